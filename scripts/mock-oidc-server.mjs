@@ -0,0 +1,227 @@
+// A local OpenID Connect provider for trying social sign-in offline.
+//
+//   npm run mock-oidc
+//
+// then start the app with a provider pointed at it, for example:
+//
+//   OAUTH_GOOGLE_ISSUER=http://localhost:4010 \
+//   OAUTH_GOOGLE_CLIENT_ID=mock-client \
+//   OAUTH_GOOGLE_CLIENT_SECRET=mock-secret npm run dev
+//
+// Its sign-in page lets you pick the email, name and whether the email
+// counts as verified, or deny access. Codes require the PKCE verifier and
+// the redirect URI they were issued for, like a real provider. Everything
+// is kept in memory.
+
+import { createHash, createHmac, randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL = 60 * 1000;
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => `&#${char.charCodeAt(0)};`
+  );
+}
+
+// HS256 with the client secret, which OpenID Connect allows for
+// confidential clients.
+function signIdToken(claims, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = createHmac("sha256", secret)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+function subjectFor(email) {
+  return createHash("sha256").update(email).digest("hex").slice(0, 20);
+}
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== "string";
+  res.writeHead(status, {
+    "Content-Type": json ? "application/json" : "text/html; charset=utf-8",
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+function redirect(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(name, value);
+  }
+  res.writeHead(302, { Location: url.toString() });
+  res.end();
+}
+
+async function readForm(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return new URLSearchParams(body);
+}
+
+function discovery(res) {
+  send(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["HS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+}
+
+function authorizePage(res, params) {
+  const missing = [
+    "client_id",
+    "redirect_uri",
+    "code_challenge",
+    "state",
+  ].filter((name) => !params.get(name));
+  if (missing.length) {
+    return send(res, 400, `<p>Missing ${missing.join(", ")}</p>`);
+  }
+  if (params.get("code_challenge_method") !== "S256") {
+    return send(res, 400, "<p>Only S256 PKCE is supported</p>");
+  }
+
+  const hidden = [...params]
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+    )
+    .join("");
+  send(
+    res,
+    200,
+    `<!doctype html>
+<title>Mock OIDC sign-in</title>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+  <h1>Mock OIDC sign-in</h1>
+  <p>Signing in to <strong>${escapeHtml(params.get("client_id"))}</strong></p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="jane@example.com" required></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email is verified</label></p>
+    <button name="decision" value="approve">Sign in</button>
+    <button name="decision" value="deny">Deny</button>
+  </form>
+</body>`
+  );
+}
+
+function authorizeDecision(res, form) {
+  const redirectUri = form.get("redirect_uri");
+  const state = form.get("state");
+  if (form.get("decision") !== "approve") {
+    return redirect(res, redirectUri, { error: "access_denied", state });
+  }
+
+  const email = form.get("email").trim().toLowerCase();
+  const code = randomBytes(24).toString("base64url");
+  codes.set(code, {
+    clientId: form.get("client_id"),
+    redirectUri,
+    codeChallenge: form.get("code_challenge"),
+    nonce: form.get("nonce"),
+    expiresAt: Date.now() + CODE_TTL,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: form.get("email_verified") === "on",
+      name: form.get("name") || email,
+    },
+  });
+  redirect(res, redirectUri, { code, state });
+}
+
+function token(res, form) {
+  const code = codes.get(form.get("code"));
+  codes.delete(form.get("code"));
+
+  const verifier = form.get("code_verifier") ?? "";
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  if (
+    form.get("grant_type") !== "authorization_code" ||
+    !code ||
+    code.expiresAt < Date.now() ||
+    code.clientId !== form.get("client_id") ||
+    code.redirectUri !== form.get("redirect_uri") ||
+    code.codeChallenge !== challenge
+  ) {
+    return send(res, 400, { error: "invalid_grant" });
+  }
+  if (!form.get("client_secret")) {
+    return send(res, 401, { error: "invalid_client" });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, code.claims);
+  send(res, 200, {
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 3600,
+    id_token: signIdToken(
+      {
+        ...code.claims,
+        iss: ISSUER,
+        aud: code.clientId,
+        iat: now,
+        exp: now + 300,
+        ...(code.nonce && { nonce: code.nonce }),
+      },
+      form.get("client_secret")
+    ),
+  });
+}
+
+function userinfo(req, res) {
+  const accessToken = req.headers.authorization?.replace(/^Bearer /, "");
+  const claims = accessTokens.get(accessToken);
+  if (!claims) return send(res, 401, { error: "invalid_token" });
+  send(res, 200, claims);
+}
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  try {
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return discovery(res);
+    }
+    if (url.pathname === "/authorize" && req.method === "GET") {
+      return authorizePage(res, url.searchParams);
+    }
+    if (url.pathname === "/authorize" && req.method === "POST") {
+      return authorizeDecision(res, await readForm(req));
+    }
+    if (url.pathname === "/token" && req.method === "POST") {
+      return token(res, await readForm(req));
+    }
+    if (url.pathname === "/userinfo") {
+      return userinfo(req, res);
+    }
+    send(res, 404, { error: "not_found" });
+  } catch (error) {
+    console.error(error);
+    send(res, 500, { error: "server_error" });
+  }
+}).listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER}`);
+});
@@ -0,0 +1,208 @@
+// A local S3-compatible object store for trying the `s3` storage driver
+// offline.
+//
+//   npm run mock-s3
+//
+// then start the app pointed at it:
+//
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:4020 S3_BUCKET=uploads \
+//   S3_ACCESS_KEY_ID=mock-access-key S3_SECRET_ACCESS_KEY=mock-secret-key \
+//   npm run dev
+//
+// It handles PUT, GET, HEAD and DELETE on path-style object URLs and, like
+// S3, rejects requests that aren't signed with Signature Version 4 by the
+// configured key, accepting both signed headers and presigned URLs.
+// Any bucket name works, and everything is kept in memory.
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.MOCK_S3_PORT) || 4020;
+const ACCESS_KEY_ID = process.env.MOCK_S3_ACCESS_KEY_ID || "mock-access-key";
+const SECRET_ACCESS_KEY =
+  process.env.MOCK_S3_SECRET_ACCESS_KEY || "mock-secret-key";
+
+// "bucket/key" → { body, contentType }
+const objects = new Map();
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => createHmac("sha256", key).update(value).digest();
+
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+function sendError(res, status, code, message) {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(
+    `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${message}</Message></Error>`
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// The query string as Signature Version 4 canonicalises it, leaving out
+// the signature itself.
+function canonicalQuery(search) {
+  return [...new URLSearchParams(search)]
+    .filter(([name]) => name !== "X-Amz-Signature")
+    .map(([name, value]) => [encode(name), encode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+}
+
+function expectedSignature(
+  req,
+  url,
+  { credential, signedHeaders, payloadHash, amzDate }
+) {
+  const [accessKeyId, date, region, service] = credential.split("/");
+  if (accessKeyId !== ACCESS_KEY_ID) return null;
+
+  const names = signedHeaders.split(";");
+  const canonicalRequest = [
+    req.method,
+    url.pathname,
+    canonicalQuery(url.search),
+    names
+      .map((name) => `${name}:${String(req.headers[name] ?? "").trim()}\n`)
+      .join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    `${date}/${region}/${service}/aws4_request`,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  let key = `AWS4${SECRET_ACCESS_KEY}`;
+  for (const part of [date, region, service, "aws4_request"]) {
+    key = hmac(key, part);
+  }
+  return hmac(key, stringToSign).toString("hex");
+}
+
+function sameSignature(a, b) {
+  return (
+    Boolean(a) &&
+    Boolean(b) &&
+    a.length === b.length &&
+    timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  );
+}
+
+// Returns an error message, or null when the request is properly signed.
+function checkSignature(req, url, body) {
+  const params = url.searchParams;
+  if (params.has("X-Amz-Signature")) {
+    const amzDate = params.get("X-Amz-Date") ?? "";
+    const issuedAt = Date.parse(
+      amzDate.replace(
+        /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+        "$1-$2-$3T$4:$5:$6Z"
+      )
+    );
+    const expires = Number(params.get("X-Amz-Expires"));
+    if (!(Date.now() <= issuedAt + expires * 1000)) {
+      return "Request has expired";
+    }
+    const expected = expectedSignature(req, url, {
+      credential: params.get("X-Amz-Credential") ?? "",
+      signedHeaders: params.get("X-Amz-SignedHeaders") ?? "",
+      payloadHash: "UNSIGNED-PAYLOAD",
+      amzDate,
+    });
+    return sameSignature(expected, params.get("X-Amz-Signature"))
+      ? null
+      : "The request signature we calculated does not match the signature you provided";
+  }
+
+  const match =
+    /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(
+      req.headers.authorization ?? ""
+    );
+  if (!match) return "Missing or malformed Authorization header";
+  const payloadHash = req.headers["x-amz-content-sha256"] ?? "";
+  if (payloadHash !== "UNSIGNED-PAYLOAD" && payloadHash !== sha256(body)) {
+    return "The provided x-amz-content-sha256 header does not match the body";
+  }
+  const expected = expectedSignature(req, url, {
+    credential: match[1],
+    signedHeaders: match[2],
+    payloadHash,
+    amzDate: req.headers["x-amz-date"] ?? "",
+  });
+  return sameSignature(expected, match[3])
+    ? null
+    : "The request signature we calculated does not match the signature you provided";
+}
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  try {
+    const body = await readBody(req);
+    const problem = checkSignature(req, url, body);
+    if (problem) return sendError(res, 403, "AccessDenied", problem);
+
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = keyParts.map(decodeURIComponent).join("/");
+    if (!bucket || !key) {
+      return sendError(res, 400, "InvalidRequest", "Use bucket/key paths");
+    }
+    const id = `${decodeURIComponent(bucket)}/${key}`;
+
+    if (req.method === "PUT") {
+      objects.set(id, {
+        body,
+        contentType: req.headers["content-type"] || "application/octet-stream",
+      });
+      res.writeHead(200, { ETag: `"${sha256(body).slice(0, 32)}"` });
+      return res.end();
+    }
+    if (req.method === "DELETE") {
+      objects.delete(id);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === "GET" || req.method === "HEAD") {
+      const object = objects.get(id);
+      if (!object) {
+        return sendError(
+          res,
+          404,
+          "NoSuchKey",
+          "The specified key does not exist."
+        );
+      }
+      res.writeHead(200, {
+        "Content-Type":
+          url.searchParams.get("response-content-type") ?? object.contentType,
+        "Content-Length": object.body.length,
+        ...(url.searchParams.has("response-content-disposition") && {
+          "Content-Disposition": url.searchParams.get(
+            "response-content-disposition"
+          ),
+        }),
+      });
+      return res.end(req.method === "GET" ? object.body : undefined);
+    }
+    sendError(res, 405, "MethodNotAllowed", "The method is not allowed.");
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "InternalError", "We encountered an internal error.");
+  }
+}).listen(PORT, () => {
+  console.log(`Mock S3 storage listening on http://localhost:${PORT}`);
+});
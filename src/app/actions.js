@@ -0,0 +1,21 @@
+"use server";
+
+import { toActionError } from "@/lib/errors";
+import { checkFormSubmission, issueFormChallenge } from "@/lib/form-protection";
+import { subscribeToNewsletter } from "@/lib/newsletter";
+
+export async function getFormChallengeAction(form) {
+  return issueFormChallenge(form);
+}
+
+export async function subscribeToNewsletterAction(input) {
+  try {
+    await checkFormSubmission("newsletter", input?.protection, {
+      email: input?.email,
+    });
+    await subscribeToNewsletter(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { handleApiError } from "@/lib/api";
+import { requirePermission } from "@/lib/auth";
+import { NotFoundError } from "@/lib/errors";
+import { getFileDownload } from "@/lib/files";
+import { getProjectFor } from "@/lib/projects";
+import { contentDisposition } from "@/lib/storage";
+
+export const dynamic = "force-dynamic";
+
+// Downloads the file's latest version, or the one in `?version=`, or with
+// `?inline=1` shows it in the browser if it's an image, PDF or video. Anyone
+// who can see the project can download its files; with a storage driver
+// that supports it they're sent on to a short-lived URL on the storage
+// service instead of the contents going through the app.
+export async function GET(request, { params }) {
+  const { id, fileId } = await params;
+
+  try {
+    const user = await requirePermission("projects:view");
+    const project = await getProjectFor(user, id);
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+
+    const { searchParams } = request.nextUrl;
+    const download = await getFileDownload(
+      project,
+      fileId,
+      searchParams.get("version"),
+      { inline: searchParams.get("inline") === "1" }
+    );
+    if (download.url) {
+      return NextResponse.redirect(download.url, {
+        headers: { "Cache-Control": "no-store" },
+      });
+    }
+    return new NextResponse(download.body, {
+      headers: {
+        "Content-Type": download.contentType,
+        "Content-Length": String(download.body.length),
+        "Content-Disposition": contentDisposition(download.file.name, {
+          inline: download.inline,
+        }),
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+        // Keeps scripts in an uploaded SVG from running on the app's origin.
+        // Chrome's PDF viewer won't open in a sandbox, and a PDF's scripts
+        // only run inside the viewer.
+        ...(download.inline &&
+          download.contentType !== "application/pdf" && {
+            "Content-Security-Policy": "sandbox",
+          }),
+      },
+    });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
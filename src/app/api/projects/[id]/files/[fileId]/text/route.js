@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { handleApiError } from "@/lib/api";
+import { requirePermission } from "@/lib/auth";
+import { NotFoundError } from "@/lib/errors";
+import { getFileText } from "@/lib/files";
+import { getProjectFor } from "@/lib/projects";
+
+export const dynamic = "force-dynamic";
+
+// The contents of a text, Markdown or CSV file's latest version, or the
+// one in `?version=`, for the preview drawer to show.
+export async function GET(request, { params }) {
+  const { id, fileId } = await params;
+
+  try {
+    const user = await requirePermission("projects:view");
+    const project = await getProjectFor(user, id);
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+
+    const text = await getFileText(
+      project,
+      fileId,
+      request.nextUrl.searchParams.get("version")
+    );
+    return NextResponse.json(
+      { text },
+      { headers: { "Cache-Control": "private, no-store" } }
+    );
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { handleApiError } from "@/lib/api";
+import { requirePermission } from "@/lib/auth";
+import { NotFoundError } from "@/lib/errors";
+import { getFileThumbnail } from "@/lib/files";
+import { getProjectFor } from "@/lib/projects";
+
+export const dynamic = "force-dynamic";
+
+// The thumbnail of an image's latest version, or the one in `?version=`.
+// A version never changes, so the browser can keep it for a day.
+export async function GET(request, { params }) {
+  const { id, fileId } = await params;
+
+  try {
+    const user = await requirePermission("projects:view");
+    const project = await getProjectFor(user, id);
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+
+    const thumbnail = await getFileThumbnail(
+      project,
+      fileId,
+      request.nextUrl.searchParams.get("version")
+    );
+    return new NextResponse(thumbnail, {
+      headers: {
+        "Content-Type": "image/webp",
+        "Content-Length": String(thumbnail.length),
+        "Cache-Control": "private, max-age=86400",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { handleApiError } from "@/lib/api";
+import { requirePermission } from "@/lib/auth";
+import { NotFoundError, ValidationError } from "@/lib/errors";
+import { listFiles, uploadFile } from "@/lib/files";
+import { getProjectFor } from "@/lib/projects";
+
+export const dynamic = "force-dynamic";
+
+async function requireVisibleProject(user, id) {
+  const project = await getProjectFor(user, id);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const user = await requirePermission("projects:view");
+    const project = await requireVisibleProject(user, id);
+    return NextResponse.json({ files: await listFiles(project) });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
+
+// One file per request, as multipart form data in a `file` field, so the
+// browser can report progress for each.
+export async function POST(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const user = await requirePermission("files:upload");
+    await requireVisibleProject(user, id);
+
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch {
+      throw new ValidationError({}, "Request body must be multipart form data");
+    }
+    const file = await uploadFile(user, id, formData.get("file"));
+    return NextResponse.json({ file }, { status: 201 });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
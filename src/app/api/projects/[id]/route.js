@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { handleApiError, readJson } from "@/lib/api";
+import { assertCan, requirePermission } from "@/lib/auth";
+import { NotFoundError } from "@/lib/errors";
+import { deleteProject, getProjectFor, updateProject } from "@/lib/projects";
+import { redactProject, touchesFinancials } from "@/lib/roles";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const user = await requirePermission("projects:view");
+    const project = await getProjectFor(user, id);
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+    return NextResponse.json({ project: redactProject(project, user) });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
+
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const user = await requirePermission("projects:edit");
+    const input = await readJson(request);
+    if (touchesFinancials(input)) assertCan(user, "financials:view");
+
+    const project = await updateProject(user, id, input);
+    return NextResponse.json({ project: redactProject(project, user) });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const user = await requirePermission("projects:delete");
+    await deleteProject(user, id);
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { handleApiError, readJson } from "@/lib/api";
+import { assertCan, requirePermission } from "@/lib/auth";
+import { createProject, listProjectsFor } from "@/lib/projects";
+import { redactProject, touchesFinancials } from "@/lib/roles";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/projects?status=&type=&priority=&search=
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const user = await requirePermission("projects:view");
+    const projects = await listProjectsFor(user, {
+      status: searchParams.get("status") || undefined,
+      type: searchParams.get("type") || undefined,
+      priority: searchParams.get("priority") || undefined,
+      search: searchParams.get("search") || undefined,
+    });
+    return NextResponse.json({
+      projects: projects.map((project) => redactProject(project, user)),
+    });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
+
+export async function POST(request) {
+  try {
+    const user = await requirePermission("projects:create");
+    const input = await readJson(request);
+    if (touchesFinancials(input)) assertCan(user, "financials:view");
+
+    const project = await createProject(user, input);
+    return NextResponse.json(
+      { project: redactProject(project, user) },
+      { status: 201 }
+    );
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { completeOAuthLogin, getOAuthErrorCode } from "@/lib/oauth";
+import { getSafeRedirect } from "@/lib/safe-redirect";
+
+export async function GET(request, { params }) {
+  const { provider } = await params;
+
+  try {
+    const result = await completeOAuthLogin(
+      provider,
+      request.nextUrl.searchParams
+    );
+    // Checked again where it's followed, not only where it was stored.
+    const next = getSafeRedirect(result.next);
+    const { twoFactorRequired } = result;
+    if (twoFactorRequired) {
+      // The login page picks the pending challenge up from here.
+      const loginUrl = new URL("/login", request.url);
+      loginUrl.searchParams.set("twoFactor", "1");
+      loginUrl.searchParams.set("next", next);
+      return NextResponse.redirect(loginUrl);
+    }
+    return NextResponse.redirect(new URL(next, request.url));
+  } catch (error) {
+    const loginUrl = new URL("/login", request.url);
+    loginUrl.searchParams.set("error", getOAuthErrorCode(error));
+    return NextResponse.redirect(loginUrl);
+  }
+}
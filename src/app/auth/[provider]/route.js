@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { beginOAuthLogin, getOAuthErrorCode } from "@/lib/oauth";
+
+// The Google and GitHub buttons on /login and /signup link here.
+export async function GET(request, { params }) {
+  const { provider } = await params;
+
+  try {
+    const url = await beginOAuthLogin(provider, {
+      next: request.nextUrl.searchParams.get("next"),
+    });
+    return NextResponse.redirect(url);
+  } catch (error) {
+    const loginUrl = new URL("/login", request.url);
+    loginUrl.searchParams.set("error", getOAuthErrorCode(error));
+    return NextResponse.redirect(loginUrl);
+  }
+}
@@ -0,0 +1,17 @@
+"use server";
+
+import { toActionError } from "@/lib/errors";
+import { checkFormSubmission } from "@/lib/form-protection";
+import { createLead } from "@/lib/leads";
+
+export async function submitContactAction(input) {
+  try {
+    await checkFormSubmission("contact", input?.protection, {
+      email: input?.email,
+    });
+    await createLead(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
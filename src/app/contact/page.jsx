@@ -1,9 +1,8 @@
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
-import { Input } from "@/components/ui/input";
-import { Textarea } from "@/components/ui/textarea";
 import { Badge } from "@/components/ui/badge";
-import { Mail, Phone, MapPin, Clock, Send, MessageCircle } from "lucide-react";
+import { Mail, Phone, MapPin, Clock, MessageCircle } from "lucide-react";
+import { ContactForm } from "@/components/contact-form";
 
 export default function ContactPage() {
   return (
@@ -46,94 +45,7 @@ export default function ContactPage() {
                     </p>
                   </div>
 
-                  <form className="space-y-4">
-                    <div className="grid gap-4 sm:grid-cols-2">
-                      <div className="space-y-2">
-                        <label
-                          htmlFor="firstName"
-                          className="text-sm font-medium"
-                        >
-                          First Name
-                        </label>
-                        <Input id="firstName" placeholder="John" />
-                      </div>
-                      <div className="space-y-2">
-                        <label
-                          htmlFor="lastName"
-                          className="text-sm font-medium"
-                        >
-                          Last Name
-                        </label>
-                        <Input id="lastName" placeholder="Doe" />
-                      </div>
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="email" className="text-sm font-medium">
-                        Email
-                      </label>
-                      <Input
-                        id="email"
-                        type="email"
-                        placeholder="john@example.com"
-                      />
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="phone" className="text-sm font-medium">
-                        Phone (Optional)
-                      </label>
-                      <Input
-                        id="phone"
-                        type="tel"
-                        placeholder="+1 (555) 123-4567"
-                      />
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="company" className="text-sm font-medium">
-                        Company
-                      </label>
-                      <Input id="company" placeholder="Your Company Name" />
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="service" className="text-sm font-medium">
-                        Service Interested In
-                      </label>
-                      <select className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                        <option>Select a service</option>
-                        <option>Web Development</option>
-                        <option>Mobile App Development</option>
-                        <option>UI/UX Design</option>
-                        <option>Digital Marketing</option>
-                        <option>E-commerce Solutions</option>
-                        <option>Analytics & Insights</option>
-                      </select>
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="budget" className="text-sm font-medium">
-                        Project Budget
-                      </label>
-                      <select className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                        <option>Select budget range</option>
-                        <option>$5,000 - $10,000</option>
-                        <option>$10,000 - $25,000</option>
-                        <option>$25,000 - $50,000</option>
-                        <option>$50,000+</option>
-                      </select>
-                    </div>
-                    <div className="space-y-2">
-                      <label htmlFor="message" className="text-sm font-medium">
-                        Project Details
-                      </label>
-                      <Textarea
-                        id="message"
-                        placeholder="Tell us about your project, goals, and any specific requirements..."
-                        rows={4}
-                      />
-                    </div>
-                    <Button className="w-full bg-blue-600 hover:bg-blue-700 py-5">
-                      Send Message
-                      <Send className=" h-4 w-4" />
-                    </Button>
-                  </form>
+                  <ContactForm />
                 </div>
               </CardContent>
             </Card>
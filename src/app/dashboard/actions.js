@@ -0,0 +1,103 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { redirect } from "next/navigation";
+import { recordChange } from "@/lib/audit";
+import { requirePermission, requireUser, switchWorkspace } from "@/lib/auth";
+import { resendVerificationEmail } from "@/lib/email-verification";
+import { AuthError, toActionError } from "@/lib/errors";
+import {
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "@/lib/notifications";
+import { getSafeRedirect } from "@/lib/safe-redirect";
+import { destroySession, getSession } from "@/lib/session";
+import { createWorkspace } from "@/lib/workspaces";
+
+/** Signs out, back to the login page, which returns to `next` afterwards. */
+export async function logoutAction(next) {
+  await destroySession();
+  redirect(
+    next ? `/login?next=${encodeURIComponent(getSafeRedirect(next))}` : "/login"
+  );
+}
+
+/**
+ * Called by the idle-timeout warning while the user is active in the
+ * browser; loading the session is what refreshes its activity timestamp.
+ * Returns how long ago that timestamp is, as it's only rewritten once a
+ * minute, so the browser can count down to when the server expires it.
+ */
+export async function keepSessionAliveAction() {
+  try {
+    const session = await getSession();
+    if (!session) {
+      throw new AuthError("Authentication required");
+    }
+    return { ok: true, idleMs: Date.now() - Date.parse(session.lastActiveAt) };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function resendVerificationEmailAction() {
+  try {
+    const user = await requireUser();
+    await resendVerificationEmail(user.id);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function switchWorkspaceAction(workspaceId) {
+  try {
+    await switchWorkspace(workspaceId);
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+/** Creates a workspace owned by the current user and switches to it. */
+export async function createWorkspaceAction(input) {
+  try {
+    const user = await requirePermission("workspaces:create");
+    const workspace = await createWorkspace(input, user);
+    await recordChange(user, {
+      action: "workspace.created",
+      entityType: "workspace",
+      entityId: workspace.id,
+      after: workspace,
+      workspaceId: workspace.id,
+    });
+    await switchWorkspace(workspace.id);
+    revalidatePath("/dashboard", "layout");
+    return { workspace };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function markNotificationReadAction(id) {
+  try {
+    const user = await requireUser();
+    await markNotificationRead(user, id);
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function markAllNotificationsReadAction() {
+  try {
+    const user = await requireUser();
+    await markAllNotificationsRead(user);
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
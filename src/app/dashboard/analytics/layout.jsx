@@ -0,0 +1,7 @@
+import { requirePagePermission } from "@/lib/auth";
+
+export default async function AnalyticsLayout({ children }) {
+  await requirePagePermission("analytics:view");
+
+  return children;
+}
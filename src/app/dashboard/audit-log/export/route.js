@@ -0,0 +1,30 @@
+import { format } from "date-fns";
+import { NextResponse } from "next/server";
+import { handleApiError } from "@/lib/api";
+import { listAuditEvents, parseAuditFilters, toAuditCsv } from "@/lib/audit";
+import { requirePermission } from "@/lib/auth";
+
+export const dynamic = "force-dynamic";
+
+// GET /dashboard/audit-log/export?entityType=&action=&actorId=&from=&to=&search=
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const user = await requirePermission("audit:view");
+    const events = await listAuditEvents(
+      user.workspaceId,
+      parseAuditFilters(Object.fromEntries(searchParams))
+    );
+    const filename = `audit-log-${format(new Date(), "yyyy-MM-dd")}.csv`;
+    // The byte order mark tells Excel the file is UTF-8.
+    return new NextResponse(`\uFEFF${toAuditCsv(events)}`, {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (error) {
+    return handleApiError(error);
+  }
+}
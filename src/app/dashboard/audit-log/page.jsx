@@ -0,0 +1,45 @@
+import { AuditLog } from "@/components/audit-log";
+import { requirePagePermission } from "@/lib/auth";
+import { listAuditEvents, parseAuditFilters } from "@/lib/audit";
+
+export const dynamic = "force-dynamic";
+
+const PAGE_SIZE = 50;
+
+export default async function AuditLogPage({ searchParams }) {
+  const params = await searchParams;
+  const user = await requirePagePermission("audit:view");
+  const filters = parseAuditFilters(params);
+
+  const allEvents = await listAuditEvents(user.workspaceId);
+  const events = await listAuditEvents(user.workspaceId, filters);
+  const pageCount = Math.max(1, Math.ceil(events.length / PAGE_SIZE));
+  const page = Math.min(Math.max(1, Number(params.page) || 1), pageCount);
+
+  // Filter choices come from the whole log, so picking one doesn't hide
+  // the others.
+  const actions = [...new Set(allEvents.map((event) => event.action))].sort();
+  const actors = [
+    ...new Map(
+      allEvents
+        .filter((event) => event.actorId)
+        .map((event) => [
+          event.actorId,
+          { id: event.actorId, email: event.actorEmail },
+        ])
+    ).values(),
+  ];
+
+  return (
+    <AuditLog
+      events={events.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE)}
+      total={events.length}
+      page={page}
+      pageSize={PAGE_SIZE}
+      pageCount={pageCount}
+      filters={filters}
+      actions={actions}
+      actors={actors}
+    />
+  );
+}
@@ -0,0 +1,17 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { requirePermission } from "@/lib/auth";
+import { deleteClient } from "@/lib/clients";
+import { toActionError } from "@/lib/errors";
+
+export async function deleteClientAction(id) {
+  try {
+    const user = await requirePermission("clients:delete");
+    await deleteClient(user, id);
+    revalidatePath("/dashboard/clients");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -1,178 +1,27 @@
-"use client";
-
-import { useState } from "react";
-import Link from "next/link";
-import { usePathname } from "next/navigation";
-import { Button } from "@/components/ui/button";
-import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import {
-  DropdownMenu,
-  DropdownMenuContent,
-  DropdownMenuItem,
-  DropdownMenuLabel,
-  DropdownMenuSeparator,
-  DropdownMenuTrigger,
-} from "@/components/ui/dropdown-menu";
-import {
-  Home,
-  FolderOpen,
-  BarChart3,
-  Settings,
-  Bell,
-  User,
-  LogOut,
-  Menu,
-  X,
-  Users,
-  Award,
-  FileBarChart,
-} from "lucide-react";
-
-const navigation = [
-  { name: "Overview", href: "/dashboard", icon: Home },
-  { name: "Projects", href: "/dashboard/projects", icon: FolderOpen },
-  { name: "Clients", href: "/dashboard/clients", icon: Users },
-  { name: "Team", href: "/dashboard/team", icon: Award },
-  { name: "Analytics", href: "/dashboard/analytics", icon: BarChart3 },
-  { name: "Reports", href: "/dashboard/reports", icon: FileBarChart },
-  { name: "Settings", href: "/dashboard/settings", icon: Settings },
-];
-
-export default function DashboardLayout({ children }) {
-  const [sidebarOpen, setSidebarOpen] = useState(false);
-  const pathname = usePathname();
-
-  const user = {
-    name: "John Doe",
-    email: "john@example.com",
-    avatar: "/placeholder.svg?height=40&width=40",
-  };
+import { headers } from "next/headers";
+import { redirect } from "next/navigation";
+import { DashboardShell } from "@/components/dashboard-shell";
+import { SessionTimeoutWarning } from "@/components/session-timeout-warning";
+import { UserProvider } from "@/components/user-provider";
+import { getCurrentUser } from "@/lib/auth";
+import { listNotifications } from "@/lib/notifications";
+
+export default async function DashboardLayout({ children }) {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    // Middleware only checks the cookie signature; a revoked or deleted
+    // session ends up here and needs its cookie cleared.
+    const next = (await headers()).get("x-pathname") ?? "/dashboard";
+    redirect(`/logout?next=${encodeURIComponent(next)}`);
+  }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
-      {/* Mobile sidebar */}
-      <div className={`fixed inset-0 z-50 ${sidebarOpen ? "block" : "hidden"}`}>
-        <div
-          className="fixed inset-0 bg-gray-600 bg-opacity-75"
-          onClick={() => setSidebarOpen(false)}
-        />
-        <div className="fixed inset-y-0 left-0 flex w-64 flex-col bg-white shadow-xl">
-          <div className="flex h-16 items-center justify-between px-4 border-b">
-            <h2 className="text-lg font-semibold text-gray-900">Dashboard</h2>
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => setSidebarOpen(false)}
-            >
-              <X className="h-5 w-5" />
-            </Button>
-          </div>
-          <nav className="flex-1 space-y-1 px-2 py-4">
-            {navigation.map((item) => {
-              const isActive = pathname === item.href;
-              return (
-                <Link
-                  key={item.name}
-                  href={item.href}
-                  className={`group flex items-center px-2 py-2 text-sm font-medium rounded-md transition-colors ${
-                    isActive
-                      ? "bg-blue-100 text-blue-900"
-                      : "text-gray-600 hover:bg-gray-50 hover:text-gray-900"
-                  }`}
-                  onClick={() => setSidebarOpen(false)}
-                >
-                  <item.icon
-                    className={`mr-3 h-5 w-5 ${
-                      isActive
-                        ? "text-blue-500"
-                        : "text-gray-400 group-hover:text-gray-500"
-                    }`}
-                  />
-                  {item.name}
-                </Link>
-              );
-            })}
-          </nav>
-        </div>
-      </div>
-
-      {/* Main content */}
-      <div className="">
-        {/* Top navigation */}
-        <div className="sticky top-0 z-40 flex h-16 items-center gap-x-4 border-b border-gray-200 bg-white px-4 shadow-sm sm:gap-x-6 sm:px-6 lg:px-8">
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={() => setSidebarOpen(true)}
-          >
-            <Menu className="h-5 w-5" />
-          </Button>
-
-          <div className="flex flex-1 gap-x-4 self-stretch lg:gap-x-6">
-            <div className="flex flex-1" />
-            <div className="flex items-center gap-x-4 lg:gap-x-6">
-              <Button variant="ghost" size="sm">
-                <Bell className="h-5 w-5" />
-              </Button>
-
-              <DropdownMenu>
-                <DropdownMenuTrigger asChild>
-                  <Button
-                    variant="ghost"
-                    className="relative h-8 w-8 rounded-full"
-                  >
-                    <Avatar className="h-8 w-8">
-                      <AvatarImage
-                        src={user.avatar || "/placeholder.svg"}
-                        alt={user.name}
-                      />
-                      <AvatarFallback>
-                        {user.name
-                          .split(" ")
-                          .map((n) => n[0])
-                          .join("")}
-                      </AvatarFallback>
-                    </Avatar>
-                  </Button>
-                </DropdownMenuTrigger>
-                <DropdownMenuContent className="w-56" align="end" forceMount>
-                  <DropdownMenuLabel className="font-normal">
-                    <div className="flex flex-col space-y-1">
-                      <p className="text-sm font-medium leading-none">
-                        {user.name}
-                      </p>
-                      <p className="text-xs leading-none text-muted-foreground">
-                        {user.email}
-                      </p>
-                    </div>
-                  </DropdownMenuLabel>
-                  <DropdownMenuSeparator />
-                  <DropdownMenuItem asChild>
-                    <Link href="/dashboard/settings">
-                      <User className="mr-2 h-4 w-4" />
-                      Profile
-                    </Link>
-                  </DropdownMenuItem>
-                  <DropdownMenuItem asChild>
-                    <Link href="/dashboard/settings">
-                      <Settings className="mr-2 h-4 w-4" />
-                      Settings
-                    </Link>
-                  </DropdownMenuItem>
-                  <DropdownMenuSeparator />
-                  <DropdownMenuItem>
-                    <LogOut className="mr-2 h-4 w-4" />
-                    Log out
-                  </DropdownMenuItem>
-                </DropdownMenuContent>
-              </DropdownMenu>
-            </div>
-          </div>
-        </div>
-
-        {/* Page content */}
-        <main>{children}</main>
-      </div>
-    </div>
+    <UserProvider user={user}>
+      <DashboardShell user={user} notifications={await listNotifications(user)}>
+        {children}
+      </DashboardShell>
+      <SessionTimeoutWarning />
+    </UserProvider>
   );
 }
@@ -0,0 +1,225 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { assertCan, requirePermission } from "@/lib/auth";
+import {
+  addComment,
+  deleteComment,
+  toggleReaction,
+  updateComment,
+} from "@/lib/comments";
+import { NotFoundError, toActionError } from "@/lib/errors";
+import {
+  approveMilestone,
+  createMilestone,
+  deleteMilestone,
+  reorderMilestones,
+  updateMilestone,
+} from "@/lib/milestones";
+import {
+  createProject,
+  deleteProject,
+  getProjectFor,
+  updateProject,
+} from "@/lib/projects";
+import { redactProject, touchesFinancials } from "@/lib/roles";
+import { createTask, deleteTask, moveTask, updateTask } from "@/lib/tasks";
+
+export async function createProjectAction(input) {
+  try {
+    const user = await requirePermission("projects:create");
+    if (touchesFinancials(input)) assertCan(user, "financials:view");
+
+    const project = await createProject(user, input);
+    revalidatePath("/dashboard/projects");
+    return { project: redactProject(project, user) };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateProjectAction(id, input) {
+  try {
+    const user = await requirePermission("projects:edit");
+    if (touchesFinancials(input)) assertCan(user, "financials:view");
+
+    const project = await updateProject(user, id, input);
+    revalidatePath("/dashboard/projects");
+    revalidatePath(`/dashboard/projects/${id}`);
+    return { project: redactProject(project, user) };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function deleteProjectAction(id) {
+  try {
+    const user = await requirePermission("projects:delete");
+    await deleteProject(user, id);
+    revalidatePath("/dashboard/projects");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+async function requireVisibleProject(user, id) {
+  const project = await getProjectFor(user, id);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+export async function addCommentAction(projectId, input) {
+  try {
+    const user = await requirePermission("projects:comment");
+    await requireVisibleProject(user, projectId);
+
+    const comment = await addComment(projectId, user, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { comment };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateCommentAction(projectId, id, input) {
+  try {
+    const user = await requirePermission("projects:comment");
+    await requireVisibleProject(user, projectId);
+
+    const comment = await updateComment(projectId, id, user, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { comment };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function deleteCommentAction(projectId, id) {
+  try {
+    const user = await requirePermission("projects:comment");
+    await requireVisibleProject(user, projectId);
+
+    await deleteComment(projectId, id, user);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function toggleReactionAction(projectId, id, emoji) {
+  try {
+    const user = await requirePermission("projects:comment");
+    await requireVisibleProject(user, projectId);
+
+    const comment = await toggleReaction(projectId, id, user, emoji);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { comment };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function createMilestoneAction(projectId, input) {
+  try {
+    const user = await requirePermission("milestones:manage");
+    const milestone = await createMilestone(user, projectId, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { milestone };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateMilestoneAction(projectId, id, input) {
+  try {
+    const user = await requirePermission("milestones:manage");
+    const milestone = await updateMilestone(user, projectId, id, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { milestone };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function deleteMilestoneAction(projectId, id) {
+  try {
+    const user = await requirePermission("milestones:manage");
+    await deleteMilestone(user, projectId, id);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function reorderMilestonesAction(projectId, ids) {
+  try {
+    const user = await requirePermission("milestones:manage");
+    await reorderMilestones(user, projectId, ids);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function approveMilestoneAction(projectId, milestoneId) {
+  try {
+    const user = await requirePermission("milestones:approve");
+    await requireVisibleProject(user, projectId);
+
+    const milestone = await approveMilestone(projectId, milestoneId, user);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { milestone };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function createTaskAction(projectId, input) {
+  try {
+    const user = await requirePermission("tasks:manage");
+    const task = await createTask(user, projectId, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { task };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateTaskAction(projectId, id, input) {
+  try {
+    const user = await requirePermission("tasks:manage");
+    const task = await updateTask(user, projectId, id, input);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { task };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function moveTaskAction(projectId, id, status, index) {
+  try {
+    const user = await requirePermission("tasks:manage");
+    const task = await moveTask(user, projectId, id, { status, index });
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { task };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function deleteTaskAction(projectId, id) {
+  try {
+    const user = await requirePermission("tasks:manage");
+    await deleteTask(user, projectId, id);
+    revalidatePath(`/dashboard/projects/${projectId}`);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
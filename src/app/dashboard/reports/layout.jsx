@@ -0,0 +1,7 @@
+import { requirePagePermission } from "@/lib/auth";
+
+export default async function ReportsLayout({ children }) {
+  await requirePagePermission("reports:view");
+
+  return children;
+}
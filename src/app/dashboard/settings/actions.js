@@ -0,0 +1,168 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { recordChange } from "@/lib/audit";
+import {
+  changePassword,
+  requirePermission,
+  requireUser,
+  updateProfile,
+} from "@/lib/auth";
+import { toActionError } from "@/lib/errors";
+import { updateFileSettings } from "@/lib/files";
+import { revokeUserSession } from "@/lib/session";
+import {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+} from "@/lib/two-factor";
+import {
+  getNotificationPreferences,
+  getSecuritySettings,
+  updateNotificationPreferences,
+  updateSecuritySettings,
+} from "@/lib/users";
+
+const PROFILE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "company",
+  "website",
+  "bio",
+  "location",
+  "timezone",
+];
+
+const pickProfile = (user) =>
+  Object.fromEntries(PROFILE_FIELDS.map((field) => [field, user[field] ?? ""]));
+
+function recordSettingsChange(user, action, changes) {
+  return recordChange(user, {
+    action,
+    entityType: "settings",
+    entityId: user.id,
+    ...changes,
+  });
+}
+
+export async function updateProfileAction(input) {
+  try {
+    const user = await requireUser();
+    const updated = await updateProfile(user.id, input);
+    await recordSettingsChange(user, "settings.profile_updated", {
+      before: pickProfile(user),
+      after: pickProfile(updated),
+    });
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function changePasswordAction(input) {
+  try {
+    const user = await requireUser();
+    await changePassword(input);
+    await recordSettingsChange(user, "settings.password_changed", {});
+    revalidatePath("/dashboard/settings");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function beginTwoFactorSetupAction() {
+  try {
+    const user = await requireUser();
+    return await beginTwoFactorSetup(user.id);
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function confirmTwoFactorSetupAction(input) {
+  try {
+    const user = await requireUser();
+    const { recoveryCodes } = await confirmTwoFactorSetup(user.id, input);
+    await recordSettingsChange(user, "settings.two_factor_enabled", {
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true },
+    });
+    revalidatePath("/dashboard", "layout");
+    return { recoveryCodes };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function disableTwoFactorAction(input) {
+  try {
+    const user = await requireUser();
+    await disableTwoFactor(user.id, input);
+    await recordSettingsChange(user, "settings.two_factor_disabled", {
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateSecuritySettingsAction(input) {
+  try {
+    const user = await requireUser();
+    const updated = await updateSecuritySettings(user.id, input);
+    await recordSettingsChange(user, "settings.security_updated", {
+      before: user.security,
+      after: getSecuritySettings(updated),
+    });
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateNotificationPreferencesAction(input) {
+  try {
+    const user = await requireUser();
+    const updated = await updateNotificationPreferences(user.id, input);
+    await recordSettingsChange(user, "settings.notifications_updated", {
+      before: user.notifications,
+      after: getNotificationPreferences(updated),
+    });
+    revalidatePath("/dashboard", "layout");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function revokeSessionAction(sessionId) {
+  try {
+    const user = await requireUser();
+    await revokeUserSession(user.id, sessionId);
+    await recordSettingsChange(user, "settings.session_revoked", {
+      details: { sessionId },
+    });
+    revalidatePath("/dashboard/settings");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function updateFileSettingsAction(input) {
+  try {
+    const user = await requirePermission("workspace:manage");
+    await updateFileSettings(user, input);
+    revalidatePath("/dashboard/settings");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
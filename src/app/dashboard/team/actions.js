@@ -0,0 +1,55 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { requirePermission } from "@/lib/auth";
+import { toActionError } from "@/lib/errors";
+import {
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+} from "@/lib/invitations";
+import { deleteTeamMember } from "@/lib/projects";
+
+export async function createInvitationAction(input) {
+  try {
+    const user = await requirePermission("team:invite");
+    const invitation = await createInvitation(input, user);
+    revalidatePath("/dashboard/team");
+    return { invitation };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function resendInvitationAction(id) {
+  try {
+    const user = await requirePermission("team:invite");
+    const invitation = await resendInvitation(id, user);
+    revalidatePath("/dashboard/team");
+    return { invitation };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function revokeInvitationAction(id) {
+  try {
+    const user = await requirePermission("team:invite");
+    await revokeInvitation(id, user);
+    revalidatePath("/dashboard/team");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function deleteTeamMemberAction(id) {
+  try {
+    const user = await requirePermission("team:remove");
+    await deleteTeamMember(user, id);
+    revalidatePath("/dashboard/team");
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
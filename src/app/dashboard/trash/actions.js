@@ -0,0 +1,25 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { requirePermission } from "@/lib/auth";
+import { toActionError } from "@/lib/errors";
+import { restoreFromTrash } from "@/lib/trash";
+
+// Where each kind of record is listed once it's back.
+const LIST_PATHS = {
+  project: "/dashboard/projects",
+  client: "/dashboard/clients",
+  teamMember: "/dashboard/team",
+};
+
+export async function restoreFromTrashAction(entityType, id) {
+  try {
+    const user = await requirePermission("trash:view");
+    await restoreFromTrash(user, entityType, id);
+    revalidatePath("/dashboard/trash");
+    if (LIST_PATHS[entityType]) revalidatePath(LIST_PATHS[entityType]);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -0,0 +1,11 @@
+import { TrashList } from "@/components/trash-list";
+import { requirePagePermission } from "@/lib/auth";
+import { listTrashFor } from "@/lib/trash";
+
+export const dynamic = "force-dynamic";
+
+export default async function TrashPage() {
+  const user = await requirePagePermission("trash:view");
+
+  return <TrashList items={await listTrashFor(user)} />;
+}
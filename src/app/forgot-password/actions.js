@@ -0,0 +1,17 @@
+"use server";
+
+import { toActionError } from "@/lib/errors";
+import { checkFormSubmission } from "@/lib/form-protection";
+import { requestPasswordReset } from "@/lib/password-reset";
+
+export async function requestPasswordResetAction(input) {
+  try {
+    await checkFormSubmission("forgot-password", input?.protection, {
+      email: input?.email,
+    });
+    await requestPasswordReset(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
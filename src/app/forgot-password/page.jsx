@@ -25,12 +25,17 @@ import {
   Zap,
   Globe,
 } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { Honeypot, useFormProtection } from "@/components/form-protection";
+import { requestPasswordResetAction } from "./actions";
 
 export default function ForgotPasswordPage() {
   const [email, setEmail] = useState("");
   const [isSubmitted, setIsSubmitted] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
   const [mounted, setMounted] = useState(false);
+  const { getProtection, honeypotProps } = useFormProtection("forgot-password");
 
   useEffect(() => {
     setMounted(true);
@@ -39,11 +44,18 @@ export default function ForgotPasswordPage() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setError("");
 
-    // Simulate API call
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
+    const result = await requestPasswordResetAction({
+      email,
+      protection: await getProtection(),
+    });
     setIsLoading(false);
+    if (result.error) {
+      setError(result.fieldErrors?.email?.[0] ?? result.error);
+      return;
+    }
+
     setIsSubmitted(true);
   };
 
@@ -295,6 +307,9 @@ export default function ForgotPasswordPage() {
                 </div>
 
                 <form onSubmit={handleSubmit} className="space-y-5">
+                  <FormAlert message={error} />
+                  <Honeypot {...honeypotProps} />
+
                   <div className="space-y-2">
                     <Label
                       htmlFor="email"
@@ -0,0 +1,22 @@
+"use server";
+
+import { signIn, verifySignInCode } from "@/lib/auth";
+import { toActionError } from "@/lib/errors";
+
+export async function loginAction(input) {
+  try {
+    const { twoFactorRequired = false } = await signIn(input);
+    return { ok: true, twoFactorRequired };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function verifyTwoFactorAction(input) {
+  try {
+    await verifySignInCode(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
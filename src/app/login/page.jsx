@@ -1,7 +1,8 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { use, useState, useEffect } from "react";
 import Link from "next/link";
+import { useRouter } from "next/navigation";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -31,10 +32,29 @@ import {
   Globe,
   Fingerprint,
 } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { getOAuthErrorMessage } from "@/lib/oauth-errors";
+import { TwoFactorChallenge } from "@/components/two-factor-challenge";
+import { getSafeRedirect } from "@/lib/safe-redirect";
+import { loginAction } from "./actions";
 
-export default function LoginPage() {
+function formatCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+export default function LoginPage({ searchParams }) {
+  // `error` and `twoFactor` are set when a social sign-in sends the user
+  // back here.
+  const { next, error: oauthError, twoFactor } = use(searchParams);
+  const router = useRouter();
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(getOAuthErrorMessage(oauthError));
+  const [twoFactorRequired, setTwoFactorRequired] = useState(twoFactor === "1");
+  // Set when too many failed attempts mean the next one has to wait.
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
   const [mounted, setMounted] = useState(false);
   const [formData, setFormData] = useState({
     email: "",
@@ -46,19 +66,55 @@ export default function LoginPage() {
     setMounted(true);
   }, []);
 
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const tick = () => {
+      const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (remaining > 0) {
+        setSecondsLeft(remaining);
+        return;
+      }
+      setLockedUntil(null);
+      setSecondsLeft(0);
+      setError("");
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setError("");
 
-    // Simulate API call
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    const result = await loginAction(formData);
+    if (result.error) {
+      setError(result.error);
+      setLockedUntil(
+        result.retryAfter ? Date.now() + result.retryAfter * 1000 : null
+      );
+      setIsLoading(false);
+      return;
+    }
+    if (result.twoFactorRequired) {
+      setTwoFactorRequired(true);
+      setIsLoading(false);
+      return;
+    }
 
-    setIsLoading(false);
-    console.log("Login attempt:", formData);
+    finishLogin();
+  };
+
+  const finishLogin = () => {
+    router.push(getSafeRedirect(next));
+    router.refresh();
   };
 
   const handleSocialLogin = (provider) => {
-    console.log(`Login with ${provider}`);
+    const params = new URLSearchParams({ next: getSafeRedirect(next) });
+    window.location.assign(`/auth/${provider}?${params}`);
   };
 
   const testimonials = [
@@ -90,6 +146,15 @@ export default function LoginPage() {
 
   if (!mounted) return null;
 
+  if (twoFactorRequired) {
+    return (
+      <TwoFactorChallenge
+        onVerified={finishLogin}
+        onCancel={() => setTwoFactorRequired(false)}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 relative overflow-hidden">
       {/* Enhanced Animated Background */}
@@ -182,6 +247,8 @@ export default function LoginPage() {
 
                 {/* Enhanced Login Form */}
                 <form onSubmit={handleSubmit} className="space-y-5">
+                  <FormAlert message={error} />
+
                   <div className="space-y-2">
                     <Label
                       htmlFor="email"
@@ -271,7 +338,7 @@ export default function LoginPage() {
                   <Button
                     type="submit"
                     className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-semibold rounded-lg shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-[1.02] relative overflow-hidden group"
-                    disabled={isLoading}
+                    disabled={isLoading || Boolean(lockedUntil)}
                   >
                     <div className="absolute inset-0 bg-gradient-to-r from-blue-700 to-purple-700 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
                     {isLoading ? (
@@ -279,6 +346,13 @@ export default function LoginPage() {
                         <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
                         <span className="relative z-10">Signing In...</span>
                       </>
+                    ) : lockedUntil ? (
+                      <>
+                        <Lock className="w-5 h-5 mr-2 relative z-10" />
+                        <span className="relative z-10">
+                          Try again in {formatCountdown(secondsLeft)}
+                        </span>
+                      </>
                     ) : (
                       <>
                         <Shield className="w-5 h-5 mr-2 relative z-10" />
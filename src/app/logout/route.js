@@ -0,0 +1,28 @@
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { getSession, SESSION_COOKIE } from "@/lib/session";
+import { getSafeRedirect } from "@/lib/safe-redirect";
+
+// The dashboard layout sends visitors here when their cookie is validly
+// signed but the session behind it has been revoked or has expired. The
+// stale cookie has to be cleared, or middleware would keep bouncing them
+// between /login and /dashboard.
+//
+// This only ever clears cookies whose session is already gone. Signing out
+// of a live session is `logoutAction`, a POST that Next.js checks the
+// origin of, so a link or redirect from another site can't do it.
+export async function GET(request) {
+  const next = request.nextUrl.searchParams.get("next");
+  if (await getSession()) {
+    return NextResponse.redirect(new URL(getSafeRedirect(next), request.url));
+  }
+
+  const cookieStore = await cookies();
+  cookieStore.delete(SESSION_COOKIE);
+
+  const loginUrl = new URL("/login", request.url);
+  if (next) {
+    loginUrl.searchParams.set("next", getSafeRedirect(next));
+  }
+  return NextResponse.redirect(loginUrl);
+}
@@ -0,0 +1,13 @@
+"use server";
+
+import { toActionError } from "@/lib/errors";
+import { resetPassword } from "@/lib/password-reset";
+
+export async function resetPasswordAction(input) {
+  try {
+    await resetPassword(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -1,14 +1,17 @@
-"use client";
-
 import ResetPasswordInner from "@/components/reset-password-inner";
-import { Suspense } from "react";
+import { isResetTokenValid } from "@/lib/password-reset";
 
 export const dynamic = "force-dynamic";
 
-export default function ResetPasswordPage() {
+export default async function ResetPasswordPage({ searchParams }) {
+  // A repeated `?token=` arrives as an array, which is no valid link.
+  const { token: param } = await searchParams;
+  const token = typeof param === "string" ? param : null;
+
   return (
-    <Suspense fallback={<div className="p-6">Loading...</div>}>
-      <ResetPasswordInner />
-    </Suspense>
+    <ResetPasswordInner
+      token={token}
+      isTokenValid={await isResetTokenValid(token)}
+    />
   );
 }
@@ -0,0 +1,26 @@
+"use server";
+
+import { signUp, signUpWithInvitation } from "@/lib/auth";
+import { toActionError } from "@/lib/errors";
+import { checkFormSubmission } from "@/lib/form-protection";
+
+export async function signupAction(input) {
+  try {
+    await checkFormSubmission("signup", input?.protection, {
+      email: input?.email,
+    });
+    await signUp(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
+
+export async function signupWithInvitationAction(input) {
+  try {
+    await signUpWithInvitation(input);
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -0,0 +1,14 @@
+"use server";
+
+import { toActionError } from "@/lib/errors";
+import { getRequestDevice } from "@/lib/login-alerts";
+import { unlockAccount } from "@/lib/login-throttle";
+
+export async function unlockAccountAction(input) {
+  try {
+    await unlockAccount(input?.token, await getRequestDevice());
+    return { ok: true };
+  } catch (error) {
+    return toActionError(error);
+  }
+}
@@ -0,0 +1,15 @@
+import { UnlockAccount } from "@/components/unlock-account";
+import { isUnlockTokenValid } from "@/lib/login-throttle";
+
+export const dynamic = "force-dynamic";
+
+export default async function UnlockAccountPage({ searchParams }) {
+  const { token } = await searchParams;
+
+  return (
+    <UnlockAccount
+      token={token}
+      isTokenValid={await isUnlockTokenValid(token)}
+    />
+  );
+}
@@ -0,0 +1,19 @@
+import { EmailVerified } from "@/components/email-verified";
+import { verifyEmail } from "@/lib/email-verification";
+import { ValidationError } from "@/lib/errors";
+
+export const dynamic = "force-dynamic";
+
+export default async function VerifyEmailPage({ searchParams }) {
+  const { token } = await searchParams;
+
+  let verified = true;
+  try {
+    await verifyEmail(token);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    verified = false;
+  }
+
+  return <EmailVerified verified={verified} />;
+}
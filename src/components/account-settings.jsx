@@ -0,0 +1,861 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Mail,
+  Phone,
+  MapPin,
+  Building,
+  Shield,
+  CreditCard,
+  Globe,
+  Camera,
+  Save,
+  Trash2,
+  Key,
+  Eye,
+  EyeOff,
+} from "lucide-react";
+import { FileUploadSettings } from "@/components/file-upload-settings";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { RecentSessions } from "@/components/recent-sessions";
+import { TwoFactorSettings } from "@/components/two-factor-settings";
+import { useUser } from "@/components/user-provider";
+import {
+  changePasswordAction,
+  updateNotificationPreferencesAction,
+  updateProfileAction,
+  updateSecuritySettingsAction,
+} from "@/app/dashboard/settings/actions";
+import {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+} from "@/lib/notification-options";
+import { SESSION_TIMEOUTS } from "@/lib/security-options";
+
+export function AccountSettings({
+  sessions,
+  currentSessionId,
+  fileSettings,
+  initialTab = "profile",
+}) {
+  const router = useRouter();
+  const user = useUser();
+  const [activeTab, setActiveTab] = useState(initialTab);
+  const [showCurrentPassword, setShowCurrentPassword] = useState(false);
+  const [showNewPassword, setShowNewPassword] = useState(false);
+  const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+
+  const [profile, setProfile] = useState(() => {
+    const [firstName = "", ...lastNames] = user.name.split(" ");
+    return {
+      firstName,
+      lastName: lastNames.join(" "),
+      email: user.email,
+      phone: user.phone ?? "",
+      company: user.company ?? "",
+      website: user.website ?? "",
+      bio: user.bio ?? "",
+      location: user.location ?? "",
+      timezone: user.timezone || "America/Los_Angeles",
+    };
+  });
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+  const [profileError, setProfileError] = useState("");
+  const [profileFieldErrors, setProfileFieldErrors] = useState({});
+
+  const [notifications, setNotifications] = useState(user.notifications);
+  const [isSavingNotifications, setIsSavingNotifications] = useState(false);
+  const [notificationsError, setNotificationsError] = useState("");
+
+  const [security, setSecurity] = useState(user.security);
+  const [isSavingSecurity, setIsSavingSecurity] = useState(false);
+  const [securityError, setSecurityError] = useState("");
+
+  // Links from the notification center can change the tab while the page
+  // is open.
+  useEffect(() => {
+    setActiveTab(initialTab);
+  }, [initialTab]);
+
+  const [passwords, setPasswords] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+  const [passwordError, setPasswordError] = useState("");
+  const [passwordFieldErrors, setPasswordFieldErrors] = useState({});
+  const [passwordChanged, setPasswordChanged] = useState(false);
+
+  const handleProfileSave = async () => {
+    setIsSavingProfile(true);
+    setProfileError("");
+    setProfileFieldErrors({});
+
+    const result = await updateProfileAction(profile);
+    setIsSavingProfile(false);
+    if (result.error) {
+      setProfileError(result.error);
+      setProfileFieldErrors(result.fieldErrors ?? {});
+      return;
+    }
+    router.refresh();
+  };
+
+  const handleNotificationsSave = async () => {
+    setIsSavingNotifications(true);
+    setNotificationsError("");
+
+    const result = await updateNotificationPreferencesAction(notifications);
+    setIsSavingNotifications(false);
+    if (result.error) {
+      setNotificationsError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  const handleSecuritySave = async () => {
+    setIsSavingSecurity(true);
+    setSecurityError("");
+
+    const result = await updateSecuritySettingsAction(security);
+    setIsSavingSecurity(false);
+    if (result.error) {
+      setSecurityError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  const handlePasswordChange = async () => {
+    setPasswordError("");
+    setPasswordFieldErrors({});
+    setPasswordChanged(false);
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordFieldErrors({
+        confirmPassword: ["New passwords don't match"],
+      });
+      return;
+    }
+
+    setIsChangingPassword(true);
+    const result = await changePasswordAction({
+      currentPassword: passwords.currentPassword,
+      newPassword: passwords.newPassword,
+    });
+    setIsChangingPassword(false);
+    if (result.error) {
+      setPasswordError(result.error);
+      setPasswordFieldErrors(result.fieldErrors ?? {});
+      return;
+    }
+    setPasswords({ currentPassword: "", newPassword: "", confirmPassword: "" });
+    setPasswordChanged(true);
+    router.refresh();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Settings</h1>
+          <p className="text-gray-600">
+            Manage your account settings and preferences
+          </p>
+        </div>
+
+        <Tabs
+          value={activeTab}
+          onValueChange={setActiveTab}
+          className="space-y-6"
+        >
+          <TabsList
+            className={`grid w-full ${fileSettings ? "grid-cols-5" : "grid-cols-4"}`}
+          >
+            <TabsTrigger value="profile">Profile</TabsTrigger>
+            <TabsTrigger value="notifications">Notifications</TabsTrigger>
+            <TabsTrigger value="security">Security</TabsTrigger>
+            <TabsTrigger value="billing">Billing</TabsTrigger>
+            {fileSettings && (
+              <TabsTrigger value="workspace">Workspace</TabsTrigger>
+            )}
+          </TabsList>
+
+          {/* Profile Tab */}
+          <TabsContent value="profile">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              <div className="lg:col-span-2">
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Profile Information</CardTitle>
+                    <CardDescription>
+                      Update your personal information and profile details
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="firstName">First Name</Label>
+                        <Input
+                          id="firstName"
+                          value={profile.firstName}
+                          onChange={(e) =>
+                            setProfile({
+                              ...profile,
+                              firstName: e.target.value,
+                            })
+                          }
+                        />
+                        <FieldError errors={profileFieldErrors.firstName} />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="lastName">Last Name</Label>
+                        <Input
+                          id="lastName"
+                          value={profile.lastName}
+                          onChange={(e) =>
+                            setProfile({ ...profile, lastName: e.target.value })
+                          }
+                        />
+                        <FieldError errors={profileFieldErrors.lastName} />
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="email">Email Address</Label>
+                      <div className="relative">
+                        <Mail className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                        <Input
+                          id="email"
+                          type="email"
+                          className="pl-10"
+                          value={profile.email}
+                          onChange={(e) =>
+                            setProfile({ ...profile, email: e.target.value })
+                          }
+                        />
+                      </div>
+                      <FieldError errors={profileFieldErrors.email} />
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="phone">Phone Number</Label>
+                        <div className="relative">
+                          <Phone className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                          <Input
+                            id="phone"
+                            className="pl-10"
+                            value={profile.phone}
+                            onChange={(e) =>
+                              setProfile({ ...profile, phone: e.target.value })
+                            }
+                          />
+                        </div>
+                        <FieldError errors={profileFieldErrors.phone} />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="company">Company</Label>
+                        <div className="relative">
+                          <Building className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                          <Input
+                            id="company"
+                            className="pl-10"
+                            value={profile.company}
+                            onChange={(e) =>
+                              setProfile({
+                                ...profile,
+                                company: e.target.value,
+                              })
+                            }
+                          />
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="website">Website</Label>
+                      <div className="relative">
+                        <Globe className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                        <Input
+                          id="website"
+                          className="pl-10"
+                          value={profile.website}
+                          onChange={(e) =>
+                            setProfile({ ...profile, website: e.target.value })
+                          }
+                        />
+                      </div>
+                      <FieldError errors={profileFieldErrors.website} />
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="bio">Bio</Label>
+                      <Textarea
+                        id="bio"
+                        rows={4}
+                        value={profile.bio}
+                        onChange={(e) =>
+                          setProfile({ ...profile, bio: e.target.value })
+                        }
+                        placeholder="Tell us about yourself..."
+                      />
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="location">Location</Label>
+                        <div className="relative">
+                          <MapPin className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                          <Input
+                            id="location"
+                            className="pl-10"
+                            value={profile.location}
+                            onChange={(e) =>
+                              setProfile({
+                                ...profile,
+                                location: e.target.value,
+                              })
+                            }
+                          />
+                        </div>
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="timezone">Timezone</Label>
+                        <Select
+                          value={profile.timezone}
+                          onValueChange={(value) =>
+                            setProfile({ ...profile, timezone: value })
+                          }
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="America/Los_Angeles">
+                              Pacific Time (PT)
+                            </SelectItem>
+                            <SelectItem value="America/Denver">
+                              Mountain Time (MT)
+                            </SelectItem>
+                            <SelectItem value="America/Chicago">
+                              Central Time (CT)
+                            </SelectItem>
+                            <SelectItem value="America/New_York">
+                              Eastern Time (ET)
+                            </SelectItem>
+                            <SelectItem value="Europe/London">
+                              London (GMT)
+                            </SelectItem>
+                            <SelectItem value="Europe/Paris">
+                              Paris (CET)
+                            </SelectItem>
+                            <SelectItem value="Asia/Tokyo">
+                              Tokyo (JST)
+                            </SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+
+                    <FormAlert message={profileError} />
+
+                    <Button
+                      onClick={handleProfileSave}
+                      disabled={isSavingProfile}
+                      className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                    >
+                      <Save className="w-4 h-4" />
+                      {isSavingProfile ? "Saving..." : "Save Changes"}
+                    </Button>
+                  </CardContent>
+                </Card>
+              </div>
+
+              {/* Profile Picture */}
+              <div>
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Profile Picture</CardTitle>
+                    <CardDescription>Update your profile photo</CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    <div className="flex flex-col items-center space-y-4">
+                      <Avatar className="w-32 h-32">
+                        <AvatarImage
+                          src="/placeholder.svg?height=128&width=128"
+                          alt="Profile"
+                        />
+                        <AvatarFallback className="text-2xl">
+                          {profile.firstName[0]}
+                          {profile.lastName[0]}
+                        </AvatarFallback>
+                      </Avatar>
+                      <div className="space-y-2">
+                        <Button variant="outline" className="w-full">
+                          <Camera className="w-4 h-4" />
+                          Upload Photo
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          className="w-full text-red-600 hover:text-red-700 hover:bg-red-50"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Remove Photo
+                        </Button>
+                      </div>
+                    </div>
+                    <div className="text-center text-sm text-gray-500">
+                      <p>Recommended: Square image, at least 400x400px</p>
+                      <p>Max file size: 5MB</p>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
+            </div>
+          </TabsContent>
+
+          {/* Notifications Tab */}
+          <TabsContent value="notifications">
+            <Card>
+              <CardHeader>
+                <CardTitle>Notification Preferences</CardTitle>
+                <CardDescription>
+                  Choose how you want to be notified about updates and
+                  activities
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="space-y-4">
+                  {NOTIFICATION_CATEGORIES.map((category) => (
+                    <div
+                      key={category.value}
+                      className="flex items-center justify-between gap-4"
+                    >
+                      <div className="space-y-0.5">
+                        <Label
+                          htmlFor={`notify-${category.value}`}
+                          className="text-base"
+                        >
+                          {category.label}
+                        </Label>
+                        <p className="text-sm text-gray-500">
+                          {category.description}
+                        </p>
+                      </div>
+                      <Select
+                        value={notifications[category.value]}
+                        onValueChange={(value) =>
+                          setNotifications({
+                            ...notifications,
+                            [category.value]: value,
+                          })
+                        }
+                      >
+                        <SelectTrigger
+                          id={`notify-${category.value}`}
+                          className="w-44 shrink-0"
+                        >
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {NOTIFICATION_CHANNELS.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+
+                <FormAlert message={notificationsError} />
+
+                <Button
+                  onClick={handleNotificationsSave}
+                  disabled={isSavingNotifications}
+                  className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                >
+                  <Save className="w-4 h-4" />
+                  {isSavingNotifications ? "Saving..." : "Save Preferences"}
+                </Button>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* Security Tab */}
+          <TabsContent value="security">
+            <div className="space-y-6">
+              {/* Password Change */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Change Password</CardTitle>
+                  <CardDescription>
+                    Update your password to keep your account secure
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {user.hasPassword && (
+                    <div className="space-y-2">
+                      <Label htmlFor="currentPassword">Current Password</Label>
+                      <div className="relative">
+                        <Key className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                        <Input
+                          id="currentPassword"
+                          type={showCurrentPassword ? "text" : "password"}
+                          className="pl-10 pr-10"
+                          value={passwords.currentPassword}
+                          onChange={(e) =>
+                            setPasswords({
+                              ...passwords,
+                              currentPassword: e.target.value,
+                            })
+                          }
+                        />
+                        <button
+                          type="button"
+                          className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                          onClick={() =>
+                            setShowCurrentPassword(!showCurrentPassword)
+                          }
+                        >
+                          {showCurrentPassword ? (
+                            <EyeOff className="h-4 w-4" />
+                          ) : (
+                            <Eye className="h-4 w-4" />
+                          )}
+                        </button>
+                      </div>
+                      <FieldError
+                        errors={passwordFieldErrors.currentPassword}
+                      />
+                    </div>
+                  )}
+
+                  <div className="space-y-2">
+                    <Label htmlFor="newPassword">New Password</Label>
+                    <div className="relative">
+                      <Key className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                      <Input
+                        id="newPassword"
+                        type={showNewPassword ? "text" : "password"}
+                        className="pl-10 pr-10"
+                        value={passwords.newPassword}
+                        onChange={(e) =>
+                          setPasswords({
+                            ...passwords,
+                            newPassword: e.target.value,
+                          })
+                        }
+                      />
+                      <button
+                        type="button"
+                        className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                        onClick={() => setShowNewPassword(!showNewPassword)}
+                      >
+                        {showNewPassword ? (
+                          <EyeOff className="h-4 w-4" />
+                        ) : (
+                          <Eye className="h-4 w-4" />
+                        )}
+                      </button>
+                    </div>
+                    <FieldError errors={passwordFieldErrors.newPassword} />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="confirmPassword">
+                      Confirm New Password
+                    </Label>
+                    <div className="relative">
+                      <Key className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                      <Input
+                        id="confirmPassword"
+                        type={showConfirmPassword ? "text" : "password"}
+                        className="pl-10 pr-10"
+                        value={passwords.confirmPassword}
+                        onChange={(e) =>
+                          setPasswords({
+                            ...passwords,
+                            confirmPassword: e.target.value,
+                          })
+                        }
+                      />
+                      <button
+                        type="button"
+                        className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                        onClick={() =>
+                          setShowConfirmPassword(!showConfirmPassword)
+                        }
+                      >
+                        {showConfirmPassword ? (
+                          <EyeOff className="h-4 w-4" />
+                        ) : (
+                          <Eye className="h-4 w-4" />
+                        )}
+                      </button>
+                    </div>
+                    <FieldError errors={passwordFieldErrors.confirmPassword} />
+                  </div>
+
+                  <FormAlert message={passwordError} />
+                  {passwordChanged && (
+                    <p className="text-sm text-green-700">
+                      Password updated. Your other sessions have been signed
+                      out.
+                    </p>
+                  )}
+
+                  <Button
+                    onClick={handlePasswordChange}
+                    disabled={isChangingPassword}
+                    className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                  >
+                    <Shield className="w-4 h-4" />
+                    {isChangingPassword ? "Updating..." : "Update Password"}
+                  </Button>
+                </CardContent>
+              </Card>
+
+              {/* Security Settings */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Security Settings</CardTitle>
+                  <CardDescription>
+                    Manage your account security preferences
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="space-y-4">
+                    <TwoFactorSettings />
+
+                    <div className="flex items-center justify-between">
+                      <div className="space-y-0.5">
+                        <Label className="text-base">Login Alerts</Label>
+                        <p className="text-sm text-gray-500">
+                          Get notified of new login attempts
+                        </p>
+                      </div>
+                      <Switch
+                        checked={security.loginAlerts}
+                        onCheckedChange={(checked) =>
+                          setSecurity({ ...security, loginAlerts: checked })
+                        }
+                      />
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="sessionTimeout">Session Timeout</Label>
+                      <Select
+                        value={security.sessionTimeout}
+                        onValueChange={(value) =>
+                          setSecurity({ ...security, sessionTimeout: value })
+                        }
+                      >
+                        <SelectTrigger className="w-48">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {SESSION_TIMEOUTS.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <p className="text-sm text-gray-500">
+                        Automatically log out after period of inactivity
+                      </p>
+                    </div>
+                  </div>
+
+                  <FormAlert message={securityError} />
+
+                  <Button
+                    onClick={handleSecuritySave}
+                    disabled={isSavingSecurity}
+                    className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                  >
+                    <Save className="w-4 h-4" />
+                    {isSavingSecurity ? "Saving..." : "Save Security Settings"}
+                  </Button>
+                </CardContent>
+              </Card>
+
+              <RecentSessions
+                sessions={sessions}
+                currentSessionId={currentSessionId}
+              />
+            </div>
+          </TabsContent>
+
+          {/* Billing Tab */}
+          <TabsContent value="billing">
+            <div className="space-y-6">
+              {/* Current Plan */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Current Plan</CardTitle>
+                  <CardDescription>
+                    Manage your subscription and billing information
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="flex items-center justify-between p-4 border rounded-lg">
+                    <div>
+                      <h3 className="font-semibold text-lg">
+                        Professional Plan
+                      </h3>
+                      <p className="text-gray-600">
+                        Full access to all features
+                      </p>
+                      <p className="text-sm text-gray-500 mt-1">
+                        Next billing date: March 15, 2024
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-2xl font-bold">$49</div>
+                      <div className="text-sm text-gray-500">per month</div>
+                      <Badge className="mt-2 bg-green-100 text-green-800">
+                        Active
+                      </Badge>
+                    </div>
+                  </div>
+                  <div className="flex space-x-4 mt-4">
+                    <Button variant="outline">Change Plan</Button>
+                    <Button
+                      variant="outline"
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                    >
+                      Cancel Subscription
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+
+              {/* Payment Method */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Payment Method</CardTitle>
+                  <CardDescription>
+                    Manage your payment information
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="flex items-center justify-between p-4 border rounded-lg">
+                    <div className="flex items-center space-x-3">
+                      <CreditCard className="w-8 h-8 text-gray-400" />
+                      <div>
+                        <div className="font-medium">•••• •••• •••• 4242</div>
+                        <div className="text-sm text-gray-500">
+                          Expires 12/25
+                        </div>
+                      </div>
+                    </div>
+                    <Badge className="bg-blue-100 text-blue-800">Primary</Badge>
+                  </div>
+                  <div className="flex gap-3 flex-wrap mt-4">
+                    <Button variant="outline">Update Payment Method</Button>
+                    <Button variant="outline">Add Payment Method</Button>
+                  </div>
+                </CardContent>
+              </Card>
+
+              {/* Billing History */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Billing History</CardTitle>
+                  <CardDescription>
+                    View your past invoices and payments
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-3">
+                    {[
+                      {
+                        date: "Feb 15, 2024",
+                        amount: "$49.00",
+                        status: "Paid",
+                        invoice: "INV-001",
+                      },
+                      {
+                        date: "Jan 15, 2024",
+                        amount: "$49.00",
+                        status: "Paid",
+                        invoice: "INV-002",
+                      },
+                      {
+                        date: "Dec 15, 2023",
+                        amount: "$49.00",
+                        status: "Paid",
+                        invoice: "INV-003",
+                      },
+                    ].map((item) => (
+                      <div
+                        key={item.invoice}
+                        className="flex items-center justify-between p-3 border rounded-lg"
+                      >
+                        <div>
+                          <div className="font-medium">{item.invoice}</div>
+                          <div className="text-sm text-gray-500">
+                            {item.date}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-4">
+                          <div className="text-right">
+                            <div className="font-medium">{item.amount}</div>
+                            <Badge className="bg-green-100 text-green-800">
+                              {item.status}
+                            </Badge>
+                          </div>
+                          <Button variant="ghost" size="sm">
+                            Download
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* Workspace Tab */}
+          {fileSettings && (
+            <TabsContent value="workspace">
+              <FileUploadSettings settings={fileSettings} />
+            </TabsContent>
+          )}
+        </Tabs>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+"use client";
+
+import Link from "next/link";
+import { format, formatDistanceToNow } from "date-fns";
+import {
+  Activity,
+  CheckSquare,
+  FileText,
+  FolderOpen,
+  MessageSquare,
+  Target,
+} from "lucide-react";
+import { Pager } from "@/components/pager";
+
+// Icon and colours for each kind of thing an event can be about, going by
+// the first part of its type ("file" for "file.uploaded").
+const EVENT_STYLES = {
+  project: { icon: FolderOpen, className: "bg-blue-100 text-blue-600" },
+  milestone: { icon: Target, className: "bg-green-100 text-green-600" },
+  task: { icon: CheckSquare, className: "bg-purple-100 text-purple-600" },
+  file: { icon: FileText, className: "bg-yellow-100 text-yellow-600" },
+  comment: { icon: MessageSquare, className: "bg-orange-100 text-orange-600" },
+};
+
+const DEFAULT_STYLE = {
+  icon: Activity,
+  className: "bg-gray-100 text-gray-600",
+};
+
+function ActivityItem({ event, showProject }) {
+  const { icon: Icon, className } =
+    EVENT_STYLES[event.type.split(".")[0]] ?? DEFAULT_STYLE;
+  const content = (
+    <>
+      <div
+        className={`w-8 h-8 rounded-full flex items-center justify-center shrink-0 ${className}`}
+      >
+        <Icon className="w-4 h-4" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-sm text-gray-900">
+          <span className="font-medium">{event.actor.name}</span>{" "}
+          {event.summary}
+        </p>
+        {showProject && (
+          <p className="text-sm text-gray-600 truncate">{event.projectName}</p>
+        )}
+        <p
+          className="text-xs text-gray-500 mt-1"
+          title={format(new Date(event.createdAt), "MMM d, yyyy 'at' h:mm a")}
+        >
+          {formatDistanceToNow(new Date(event.createdAt), { addSuffix: true })}
+        </p>
+      </div>
+    </>
+  );
+
+  if (!event.href) {
+    return <div className="flex items-start gap-3 p-2">{content}</div>;
+  }
+  return (
+    <Link
+      href={event.href}
+      className="flex items-start gap-3 p-2 rounded-lg hover:bg-gray-50 transition-colors"
+    >
+      {content}
+    </Link>
+  );
+}
+
+/**
+ * A page of activity events from `getActivityPage`, newest first, each
+ * linking to what it's about while that's still there. `showProject` adds
+ * the project's name, for feeds covering several.
+ */
+export function ActivityFeed({
+  events,
+  page,
+  pageCount,
+  pageHref,
+  showProject = false,
+  emptyMessage = "Nothing has happened yet.",
+}) {
+  if (events.length === 0) {
+    return <p className="text-sm text-gray-500 py-4">{emptyMessage}</p>;
+  }
+  return (
+    <div className="space-y-2">
+      <div className="space-y-1">
+        {events.map((event) => (
+          <ActivityItem
+            key={event.id}
+            event={event}
+            showProject={showProject}
+          />
+        ))}
+      </div>
+      <Pager
+        page={page}
+        pageCount={pageCount}
+        pageHref={pageHref}
+        scroll={false}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,301 @@
+"use client";
+
+import { useState } from "react";
+import { usePathname, useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Download, Search } from "lucide-react";
+import { Pager } from "@/components/pager";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { AUDIT_ENTITY_TYPES } from "@/lib/audit-options";
+import { getOptionLabel } from "@/lib/project-options";
+
+// Select value for "no filter"; Radix selects can't use an empty string.
+const ALL = "all";
+
+function toQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(filters)) {
+    if (value) params.set(name, value);
+  }
+  return params.toString();
+}
+
+function formatValue(value) {
+  if (value === null) return "—";
+  if (typeof value === "string") return value || '""';
+  return JSON.stringify(value);
+}
+
+function getActionColor(action) {
+  if (
+    action.endsWith(".deleted") ||
+    action.endsWith(".purged") ||
+    action.endsWith("_revoked")
+  ) {
+    return "bg-red-100 text-red-800";
+  }
+  if (
+    action.endsWith(".created") ||
+    action.endsWith(".restored") ||
+    action.startsWith("team.")
+  ) {
+    return "bg-green-100 text-green-800";
+  }
+  return "bg-blue-100 text-blue-800";
+}
+
+export function AuditLog({
+  events,
+  total,
+  page,
+  pageSize,
+  pageCount,
+  filters,
+  actions,
+  actors,
+}) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const [search, setSearch] = useState(filters.search ?? "");
+
+  const applyFilters = (changes) => {
+    const query = toQuery({ ...filters, ...changes });
+    router.push(query ? `${pathname}?${query}` : pathname);
+  };
+  const setFilter = (name) => (value) =>
+    applyFilters({ [name]: value === ALL ? undefined : value });
+  const pageHref = (number) =>
+    `${pathname}?${toQuery({ ...filters, page: String(number) })}`;
+
+  const firstShown = total ? (page - 1) * pageSize + 1 : 0;
+  const lastShown = Math.min(page * pageSize, total);
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Audit Log</h1>
+            <p className="text-gray-600">
+              Who created, changed or deleted what in this workspace
+            </p>
+          </div>
+          <Button asChild variant="outline" className="mt-4 md:mt-0">
+            <a href={`/dashboard/audit-log/export?${toQuery(filters)}`}>
+              <Download className="w-4 h-4" />
+              Export CSV
+            </a>
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <Card className="mb-8">
+          <CardContent className="p-6 space-y-4">
+            <div className="flex flex-col md:flex-row gap-4">
+              <form
+                className="flex-1"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  applyFilters({ search: search.trim() || undefined });
+                }}
+              >
+                <div className="relative">
+                  <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    placeholder="Search by actor, action or ID and press Enter..."
+                    className="pl-10"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                  />
+                </div>
+              </form>
+              <Select
+                value={filters.entityType ?? ALL}
+                onValueChange={setFilter("entityType")}
+              >
+                <SelectTrigger className="w-full md:w-44">
+                  <SelectValue placeholder="Filter by type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Types</SelectItem>
+                  {AUDIT_ENTITY_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>
+                      {type.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select
+                value={filters.action ?? ALL}
+                onValueChange={setFilter("action")}
+              >
+                <SelectTrigger className="w-full md:w-52">
+                  <SelectValue placeholder="Filter by action" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Actions</SelectItem>
+                  {actions.map((action) => (
+                    <SelectItem key={action} value={action}>
+                      {action}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select
+                value={filters.actorId ?? ALL}
+                onValueChange={setFilter("actorId")}
+              >
+                <SelectTrigger className="w-full md:w-52">
+                  <SelectValue placeholder="Filter by person" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>Everyone</SelectItem>
+                  {actors.map((actor) => (
+                    <SelectItem key={actor.id} value={actor.id}>
+                      {actor.email}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-2">
+                <Label htmlFor="audit-from" className="text-gray-600">
+                  From
+                </Label>
+                <Input
+                  id="audit-from"
+                  type="date"
+                  className="w-full md:w-44"
+                  value={filters.from ?? ""}
+                  max={filters.to}
+                  onChange={(e) =>
+                    applyFilters({ from: e.target.value || undefined })
+                  }
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <Label htmlFor="audit-to" className="text-gray-600">
+                  To
+                </Label>
+                <Input
+                  id="audit-to"
+                  type="date"
+                  className="w-full md:w-44"
+                  value={filters.to ?? ""}
+                  min={filters.from}
+                  onChange={(e) =>
+                    applyFilters({ to: e.target.value || undefined })
+                  }
+                />
+              </div>
+              {hasFilters && (
+                <Button
+                  variant="ghost"
+                  onClick={() => {
+                    setSearch("");
+                    router.push(pathname);
+                  }}
+                >
+                  Clear filters
+                </Button>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Events */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Events</CardTitle>
+            <CardDescription>
+              {total
+                ? `Showing ${firstShown}–${lastShown} of ${total}`
+                : "Nothing has been recorded yet"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {events.length === 0 && hasFilters && (
+              <p className="text-center text-gray-500 py-8">
+                No events match these filters
+              </p>
+            )}
+            {events.map((event) => {
+              const changes = Object.entries(event.changes ?? {});
+              return (
+                <div key={event.id} className="p-4 border rounded-lg">
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-2">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Badge className={getActionColor(event.action)}>
+                        {event.action}
+                      </Badge>
+                      <span className="text-sm font-medium text-gray-900">
+                        {event.actorEmail ?? "System"}
+                      </span>
+                      {event.entityType && (
+                        <span className="text-sm text-gray-500">
+                          {getOptionLabel(AUDIT_ENTITY_TYPES, event.entityType)}{" "}
+                          <span className="font-mono text-xs">
+                            {event.entityId}
+                          </span>
+                        </span>
+                      )}
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      {format(
+                        new Date(event.createdAt),
+                        "MMM d, yyyy HH:mm:ss"
+                      )}
+                      {event.ip && ` · ${event.ip}`}
+                    </span>
+                  </div>
+                  {changes.length > 0 && (
+                    <dl className="mt-3 space-y-1 text-sm">
+                      {changes.map(([field, { from, to }]) => (
+                        <div key={field} className="flex flex-wrap gap-x-2">
+                          <dt className="font-medium text-gray-700">
+                            {field}:
+                          </dt>
+                          <dd className="text-gray-600 break-all line-clamp-2">
+                            <span className="text-red-600 line-through">
+                              {formatValue(from)}
+                            </span>{" "}
+                            →{" "}
+                            <span className="text-green-700">
+                              {formatValue(to)}
+                            </span>
+                          </dd>
+                        </div>
+                      ))}
+                    </dl>
+                  )}
+                </div>
+              );
+            })}
+
+            <Pager page={page} pageCount={pageCount} pageHref={pageHref} />
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
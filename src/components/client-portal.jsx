@@ -0,0 +1,281 @@
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import {
+  Building,
+  CheckCircle,
+  Eye,
+  FolderOpen,
+  Paperclip,
+  Receipt,
+} from "lucide-react";
+import { formatCurrency } from "@/lib/utils";
+import { PROJECT_STATUSES, getOptionLabel } from "@/lib/project-options";
+import { useUser } from "@/components/user-provider";
+
+export function ClientPortal({ client, projects, invoices }) {
+  const user = useUser();
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case "completed":
+        return "bg-green-100 text-green-800 border-green-200";
+      case "in-progress":
+        return "bg-blue-100 text-blue-800 border-blue-200";
+      case "on-hold":
+        return "bg-yellow-100 text-yellow-800 border-yellow-200";
+      case "review":
+        return "bg-purple-100 text-purple-800 border-purple-200";
+      default:
+        return "bg-gray-100 text-gray-800 border-gray-200";
+    }
+  };
+
+  const getInvoiceStatusColor = (status) => {
+    switch (status) {
+      case "paid":
+        return "bg-green-100 text-green-800";
+      case "sent":
+        return "bg-blue-100 text-blue-800";
+      case "overdue":
+        return "bg-red-100 text-red-800";
+      default:
+        return "bg-gray-100 text-gray-800";
+    }
+  };
+
+  if (!client) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+        <div className="container mx-auto px-4 py-8">
+          <Card className="text-center py-12">
+            <CardContent>
+              <Building className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                Your account isn&apos;t linked to a client yet
+              </h3>
+              <p className="text-gray-600">
+                Once the team connects your account to your company, you&apos;ll
+                see your projects, files and invoices here.
+              </p>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  const awaitingApproval = projects.flatMap((project) =>
+    project.milestones
+      .filter(
+        (milestone) => milestone.status === "completed" && !milestone.approvedAt
+      )
+      .map((milestone) => ({ ...milestone, project }))
+  );
+
+  const stats = [
+    {
+      title: "Active Projects",
+      value: projects.filter((project) => project.status !== "completed")
+        .length,
+      icon: FolderOpen,
+      color: "bg-blue-100 text-blue-600",
+    },
+    {
+      title: "Awaiting Your Approval",
+      value: awaitingApproval.length,
+      icon: CheckCircle,
+      color: "bg-green-100 text-green-600",
+    },
+    {
+      title: "Shared Files",
+      value: projects.reduce((sum, project) => sum + project.fileCount, 0),
+      icon: Paperclip,
+      color: "bg-purple-100 text-purple-600",
+    },
+    {
+      title: "Outstanding Balance",
+      value: formatCurrency(
+        invoices
+          .filter((invoice) => invoice.status !== "paid")
+          .reduce((sum, invoice) => sum + invoice.amount, 0)
+      ),
+      icon: Receipt,
+      color: "bg-orange-100 text-orange-600",
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            {client.name}
+          </h1>
+          <p className="text-gray-600">
+            Welcome back, {user.name}! Here&apos;s where your projects stand.
+          </p>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          {stats.map((stat) => (
+            <Card key={stat.title}>
+              <CardContent className="p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">
+                      {stat.title}
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900">
+                      {stat.value}
+                    </p>
+                  </div>
+                  <div
+                    className={`w-12 h-12 rounded-lg flex items-center justify-center ${stat.color}`}
+                  >
+                    <stat.icon className="w-6 h-6" />
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Projects */}
+          <div className="lg:col-span-2 space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>Your Projects</CardTitle>
+                <CardDescription>
+                  Progress, milestones and files for each project
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {projects.length === 0 && (
+                  <p className="text-sm text-gray-600">
+                    There are no projects for {client.name} yet.
+                  </p>
+                )}
+                {projects.map((project) => (
+                  <div
+                    key={project.id}
+                    className="flex items-center justify-between gap-4 p-4 border rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="flex-1">
+                      <div className="flex items-center flex-wrap gap-3 mb-2">
+                        <h3 className="font-semibold text-gray-900">
+                          {project.name}
+                        </h3>
+                        <Badge className={getStatusColor(project.status)}>
+                          {getOptionLabel(PROJECT_STATUSES, project.status)}
+                        </Badge>
+                      </div>
+                      <div className="flex items-center flex-wrap gap-4 text-sm text-gray-500 mb-2">
+                        {project.dueDate && <span>Due: {project.dueDate}</span>}
+                        <span>{project.progress}% Complete</span>
+                        <span>{project.files.length} files</span>
+                      </div>
+                      <Progress value={project.progress} className="h-2" />
+                    </div>
+                    <Link href={`/dashboard/projects/${project.id}`}>
+                      <Button variant="outline" size="sm">
+                        <Eye className="w-4 h-4" />
+                        View
+                      </Button>
+                    </Link>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            {/* Invoices */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Invoices</CardTitle>
+                <CardDescription>Billing for your projects</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {invoices.length === 0 ? (
+                  <p className="text-sm text-gray-600">No invoices yet.</p>
+                ) : (
+                  <div className="divide-y">
+                    {invoices.map((invoice) => (
+                      <div
+                        key={invoice.id}
+                        id={`invoice-${invoice.id}`}
+                        className="flex items-center justify-between flex-wrap gap-3 py-3 scroll-mt-20"
+                      >
+                        <div>
+                          <p className="font-medium">{invoice.number}</p>
+                          <p className="text-sm text-gray-500">
+                            Issued {format(new Date(invoice.issueDate), "PP")} ·
+                            Due {format(new Date(invoice.dueDate), "PP")}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <span className="font-semibold">
+                            {formatCurrency(invoice.amount)}
+                          </span>
+                          <Badge
+                            className={getInvoiceStatusColor(invoice.status)}
+                          >
+                            {invoice.status}
+                          </Badge>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Approvals */}
+          <div>
+            <Card>
+              <CardHeader>
+                <CardTitle>Awaiting Your Approval</CardTitle>
+                <CardDescription>
+                  Completed milestones ready for sign-off
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {awaitingApproval.length === 0 && (
+                  <p className="text-sm text-gray-600">
+                    You&apos;re all caught up.
+                  </p>
+                )}
+                {awaitingApproval.map((milestone) => (
+                  <Link
+                    key={`${milestone.project.id}-${milestone.id}`}
+                    href={`/dashboard/projects/${milestone.project.id}`}
+                    className="block p-3 border rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <p className="text-sm font-medium">{milestone.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {milestone.project.name}
+                    </p>
+                  </Link>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,626 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { formatDistanceToNow } from "date-fns";
+import {
+  Edit,
+  MessageSquare,
+  MoreHorizontal,
+  Paperclip,
+  Reply,
+  SmilePlus,
+  Trash2,
+  X,
+} from "lucide-react";
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Textarea } from "@/components/ui/textarea";
+import { DeleteConfirmationModal } from "@/components/delete-confirmation-modal";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { Markdown } from "@/components/markdown";
+import { uploadProjectFile } from "@/components/project-files";
+import { useUser } from "@/components/user-provider";
+import {
+  addCommentAction,
+  deleteCommentAction,
+  toggleReactionAction,
+  updateCommentAction,
+} from "@/app/dashboard/projects/actions";
+import { MAX_ATTACHMENTS, REACTIONS } from "@/lib/comment-options";
+import { getFileUrl } from "@/lib/file-options";
+import { can } from "@/lib/roles";
+
+function getInitials(name) {
+  return name
+    .split(" ")
+    .map((n) => n[0])
+    .join("");
+}
+
+// An `@` at the start of a word, and what's been typed after it.
+const MENTION_QUERY = /(^|[^\w@])@([^@\n]{0,40})$/;
+
+/**
+ * A textarea that suggests people from `members` to mention once `@` is
+ * typed, completing the name on Enter, Tab or a click.
+ */
+function MentionTextarea({ value, onChange, members, ...props }) {
+  const textareaRef = useRef(null);
+  // What's typed after the `@`, or null when not mentioning anyone.
+  const [query, setQuery] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const suggestions =
+    query === null
+      ? []
+      : members
+          .filter((member) =>
+            member.name
+              .toLowerCase()
+              .split(" ")
+              .some((_, index, words) =>
+                words.slice(index).join(" ").startsWith(query.toLowerCase())
+              )
+          )
+          .slice(0, 5);
+
+  const findQuery = (text, caret) => {
+    const match = MENTION_QUERY.exec(text.slice(0, caret));
+    setQuery(match ? match[2] : null);
+    setHighlighted(0);
+  };
+
+  const choose = (member) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = value
+      .slice(0, caret)
+      .replace(/@[^@\n]*$/, `@${member.name} `);
+    onChange(before + value.slice(caret));
+    setQuery(null);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  return (
+    <div className="relative">
+      <Textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          findQuery(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={(e) => {
+          if (!suggestions.length) return;
+          if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            setHighlighted(
+              (highlighted + step + suggestions.length) % suggestions.length
+            );
+          } else if (e.key === "Enter" || e.key === "Tab") {
+            e.preventDefault();
+            choose(suggestions[highlighted]);
+          } else if (e.key === "Escape") {
+            e.preventDefault();
+            setQuery(null);
+          }
+        }}
+        onBlur={() => setQuery(null)}
+        {...props}
+      />
+      {suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-10 left-0 right-0 mt-1 bg-white border rounded-md shadow-md py-1 text-sm"
+        >
+          {suggestions.map((member, index) => (
+            <li
+              key={member.id}
+              role="option"
+              aria-selected={index === highlighted}
+              // Before the textarea's blur closes the list.
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(member);
+              }}
+              className={`px-3 py-1.5 cursor-pointer ${
+                index === highlighted ? "bg-gray-100" : ""
+              }`}
+            >
+              {member.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Writes a new comment on `thread` (`{ milestoneId, taskId, parentId }`),
+ * or edits `comment` when one is given.
+ */
+function CommentForm({
+  projectId,
+  members,
+  thread,
+  comment,
+  autoFocus,
+  placeholder = "Write a comment...",
+  submitLabel = "Post Comment",
+  onDone,
+  onCancel,
+}) {
+  const router = useRouter();
+  const user = useUser();
+  const inputRef = useRef(null);
+  const [body, setBody] = useState(comment?.body ?? "");
+  const [attachments, setAttachments] = useState(comment?.attachments ?? []);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Attached files are uploaded to the project's Files, like any other.
+  const attachFiles = async (fileList) => {
+    setIsUploading(true);
+    setError("");
+    for (const file of Array.from(fileList)) {
+      const result = await uploadProjectFile(projectId, file);
+      if (result.error) {
+        setError(result.error);
+        continue;
+      }
+      const { id, name, versions } = result.file;
+      setAttachments((current) => [
+        ...current.filter((attachment) => attachment.fileId !== id),
+        { fileId: id, version: versions[versions.length - 1].version, name },
+      ]);
+    }
+    setIsUploading(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    setFieldErrors({});
+
+    const input = { body, attachments };
+    const result = comment
+      ? await updateCommentAction(projectId, comment.id, input)
+      : await addCommentAction(projectId, { ...thread, ...input });
+    setIsSubmitting(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors ?? {});
+      return;
+    }
+    if (!comment) {
+      setBody("");
+      setAttachments([]);
+    }
+    onDone?.();
+    router.refresh();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <FormAlert message={error} />
+      <MentionTextarea
+        placeholder={placeholder}
+        value={body}
+        onChange={setBody}
+        members={members}
+        rows={3}
+        autoFocus={autoFocus}
+      />
+      <FieldError errors={fieldErrors.body} />
+
+      {attachments.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {attachments.map((attachment) => (
+            <Badge
+              key={attachment.fileId}
+              variant="secondary"
+              className="gap-1 font-normal"
+            >
+              <Paperclip className="w-3 h-3" />
+              {attachment.name}
+              <button
+                type="button"
+                aria-label={`Remove ${attachment.name}`}
+                onClick={() =>
+                  setAttachments((current) =>
+                    current.filter(({ fileId }) => fileId !== attachment.fileId)
+                  )
+                }
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+      <FieldError errors={fieldErrors.attachments} />
+
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <p className="text-xs text-gray-500">
+          Markdown works here. Type @ to mention someone on the team.
+        </p>
+        <div className="flex items-center gap-2">
+          {can(user, "files:upload") && (
+            <>
+              <input
+                ref={inputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  attachFiles(e.target.files);
+                  e.target.value = "";
+                }}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                disabled={isUploading || attachments.length >= MAX_ATTACHMENTS}
+                onClick={() => inputRef.current.click()}
+              >
+                <Paperclip className="w-4 h-4" />
+                {isUploading ? "Attaching..." : "Attach"}
+              </Button>
+            </>
+          )}
+          {onCancel && (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={onCancel}
+            >
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            size="sm"
+            disabled={isSubmitting || isUploading || !body.trim()}
+          >
+            {isSubmitting ? "Saving..." : submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+function Reactions({ projectId, comment }) {
+  const router = useRouter();
+  const user = useUser();
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const [error, setError] = useState("");
+  const canReact = can(user, "projects:comment");
+
+  const react = async (emoji) => {
+    setIsPickerOpen(false);
+    setError("");
+    const result = await toggleReactionAction(projectId, comment.id, emoji);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-2">
+      {(comment.reactions ?? []).map((reaction) => {
+        const isMine = reaction.users.some(({ id }) => id === user.id);
+        return (
+          <button
+            key={reaction.emoji}
+            type="button"
+            title={reaction.users.map(({ name }) => name).join(", ")}
+            disabled={!canReact}
+            onClick={() => react(reaction.emoji)}
+            className={`text-xs border rounded-full px-2 py-0.5 ${
+              isMine ? "bg-blue-50 border-blue-200" : "bg-white"
+            }`}
+          >
+            {reaction.emoji} {reaction.users.length}
+          </button>
+        );
+      })}
+      {canReact && (
+        <Popover open={isPickerOpen} onOpenChange={setIsPickerOpen}>
+          <PopoverTrigger asChild>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 px-2 text-gray-500"
+              aria-label="Add a reaction"
+            >
+              <SmilePlus className="w-4 h-4" />
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-1 flex gap-1">
+            {REACTIONS.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                type="button"
+                title={reaction.label}
+                aria-label={reaction.label}
+                onClick={() => react(reaction.emoji)}
+                className="text-lg rounded hover:bg-gray-100 px-1.5 py-0.5"
+              >
+                {reaction.emoji}
+              </button>
+            ))}
+          </PopoverContent>
+        </Popover>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+function CommentItem({ projectId, comment, members, onReply }) {
+  const router = useRouter();
+  const user = useUser();
+  const [isEditing, setIsEditing] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  if (comment.removed) {
+    return (
+      <p id={`comment-${comment.id}`} className="text-sm text-gray-500 italic">
+        This comment was deleted.
+      </p>
+    );
+  }
+
+  const isAuthor = comment.author.id === user.id;
+  const canDelete = isAuthor || can(user, "comments:moderate");
+
+  // Throws to keep the confirmation open with the message.
+  const handleDelete = async () => {
+    const result = await deleteCommentAction(projectId, comment.id);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    router.refresh();
+  };
+
+  return (
+    <div id={`comment-${comment.id}`} className="flex items-start space-x-3">
+      <Avatar className="w-8 h-8">
+        <AvatarFallback>{getInitials(comment.author.name)}</AvatarFallback>
+      </Avatar>
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center flex-wrap gap-2">
+          <span className="text-sm font-medium">{comment.author.name}</span>
+          {comment.author.role === "client" && (
+            <Badge variant="outline">Client</Badge>
+          )}
+          <span className="text-xs text-gray-500">
+            {formatDistanceToNow(new Date(comment.createdAt), {
+              addSuffix: true,
+            })}
+            {comment.editedAt && " (edited)"}
+          </span>
+          {(isAuthor || canDelete) && !isEditing && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 px-1 ml-auto"
+                  aria-label="Comment options"
+                >
+                  <MoreHorizontal className="w-4 h-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                {isAuthor && (
+                  <DropdownMenuItem onClick={() => setIsEditing(true)}>
+                    <Edit className="w-4 h-4" />
+                    Edit
+                  </DropdownMenuItem>
+                )}
+                {canDelete && (
+                  <DropdownMenuItem
+                    className="text-red-600"
+                    onClick={() => setIsDeleting(true)}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Delete
+                  </DropdownMenuItem>
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+        </div>
+
+        {isEditing ? (
+          <div className="mt-2">
+            <CommentForm
+              projectId={projectId}
+              members={members}
+              comment={comment}
+              autoFocus
+              submitLabel="Save"
+              onDone={() => setIsEditing(false)}
+              onCancel={() => setIsEditing(false)}
+            />
+          </div>
+        ) : (
+          <>
+            <Markdown
+              source={comment.body}
+              mentions={(comment.mentions ?? []).map(({ name }) => name)}
+              className="text-sm text-gray-700 mt-1"
+            />
+            {comment.attachments?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {comment.attachments.map((attachment) => (
+                  <a
+                    key={attachment.fileId}
+                    href={getFileUrl(projectId, attachment.fileId, {
+                      version: attachment.version,
+                    })}
+                    className="inline-flex items-center gap-1 text-xs border rounded px-2 py-1 text-blue-600 hover:bg-blue-50"
+                  >
+                    <Paperclip className="w-3 h-3" />
+                    {attachment.name}
+                    {attachment.version > 1 && ` (v${attachment.version})`}
+                  </a>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <Reactions projectId={projectId} comment={comment} />
+              {onReply && can(user, "projects:comment") && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 px-2 mt-2 text-gray-500"
+                  onClick={onReply}
+                >
+                  <Reply className="w-4 h-4" />
+                  Reply
+                </Button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      <DeleteConfirmationModal
+        isOpen={isDeleting}
+        onClose={() => setIsDeleting(false)}
+        onConfirm={handleDelete}
+        title="Delete comment"
+        description={
+          isAuthor
+            ? "Your comment will be deleted."
+            : `${comment.author.name}'s comment will be deleted.`
+        }
+        requireConfirmation={false}
+      />
+    </div>
+  );
+}
+
+/**
+ * The comments on a project (or, with `milestoneId` or `taskId`, on one of
+ * its milestones or tasks), each with its replies, and a form for adding
+ * one. `comments` can be all of the project's; only this thread's are
+ * shown. `members` are who can be @mentioned.
+ */
+export function CommentThread({
+  projectId,
+  comments,
+  members,
+  milestoneId = null,
+  taskId = null,
+  autoFocus = false,
+  emptyMessage = "No comments yet. Start the conversation below.",
+}) {
+  const user = useUser();
+  // Id of the comment being replied to.
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const inThread = comments.filter(
+    (comment) =>
+      (comment.milestoneId ?? null) === milestoneId &&
+      (comment.taskId ?? null) === taskId
+  );
+  const topLevel = inThread.filter((comment) => !comment.parentId);
+  const repliesTo = (id) =>
+    inThread.filter((comment) => comment.parentId === id);
+
+  return (
+    <div className="space-y-4">
+      {topLevel.length === 0 && (
+        <Card className="text-center py-8">
+          <CardContent>
+            <MessageSquare className="w-10 h-10 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">{emptyMessage}</p>
+          </CardContent>
+        </Card>
+      )}
+
+      {topLevel.map((comment) => (
+        <Card key={comment.id}>
+          <CardContent className="p-4 space-y-4">
+            <CommentItem
+              projectId={projectId}
+              comment={comment}
+              members={members}
+              onReply={() => setReplyingTo(comment.id)}
+            />
+            {(repliesTo(comment.id).length > 0 ||
+              replyingTo === comment.id) && (
+              <div className="ml-11 pl-4 border-l space-y-4">
+                {repliesTo(comment.id).map((reply) => (
+                  <CommentItem
+                    key={reply.id}
+                    projectId={projectId}
+                    comment={reply}
+                    members={members}
+                    onReply={
+                      comment.removed
+                        ? undefined
+                        : () => setReplyingTo(comment.id)
+                    }
+                  />
+                ))}
+                {replyingTo === comment.id && (
+                  <CommentForm
+                    projectId={projectId}
+                    members={members}
+                    thread={{ parentId: comment.id }}
+                    autoFocus
+                    placeholder="Write a reply..."
+                    submitLabel="Reply"
+                    onDone={() => setReplyingTo(null)}
+                    onCancel={() => setReplyingTo(null)}
+                  />
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+
+      {can(user, "projects:comment") && (
+        <CommentForm
+          projectId={projectId}
+          members={members}
+          thread={{ milestoneId, taskId }}
+          autoFocus={autoFocus}
+        />
+      )}
+    </div>
+  );
+}
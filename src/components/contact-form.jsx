@@ -0,0 +1,235 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CheckCircle, Send } from "lucide-react";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { Honeypot, useFormProtection } from "@/components/form-protection";
+import { submitContactAction } from "@/app/contact/actions";
+import { BUDGET_RANGES, CONTACT_SERVICES } from "@/lib/contact-options";
+
+const EMPTY_FORM = {
+  firstName: "",
+  lastName: "",
+  email: "",
+  phone: "",
+  company: "",
+  service: "",
+  budget: "",
+  message: "",
+};
+
+export function ContactForm() {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { getProtection, honeypotProps } = useFormProtection("contact");
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await submitContactAction({
+      ...formData,
+      protection: await getProtection(),
+    });
+    setIsLoading(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors ?? {});
+      return;
+    }
+    setFormData(EMPTY_FORM);
+    setIsSubmitted(true);
+  };
+
+  if (isSubmitted) {
+    return (
+      <div className="space-y-4 text-center py-8">
+        <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto">
+          <CheckCircle className="w-8 h-8 text-green-600" />
+        </div>
+        <h3 className="text-xl font-semibold">Thanks, message received!</h3>
+        <p className="text-gray-600">
+          We&apos;ve sent a confirmation to your inbox and will get back to you
+          within 24 hours.
+        </p>
+        <Button variant="outline" onClick={() => setIsSubmitted(false)}>
+          Send another message
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <FormAlert message={error} />
+      <Honeypot {...honeypotProps} />
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+          <label htmlFor="firstName" className="text-sm font-medium">
+            First Name
+          </label>
+          <Input
+            id="firstName"
+            name="firstName"
+            placeholder="John"
+            autoComplete="given-name"
+            value={formData.firstName}
+            onChange={handleChange}
+            required
+          />
+          <FieldError errors={fieldErrors.firstName} />
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="lastName" className="text-sm font-medium">
+            Last Name
+          </label>
+          <Input
+            id="lastName"
+            name="lastName"
+            placeholder="Doe"
+            autoComplete="family-name"
+            value={formData.lastName}
+            onChange={handleChange}
+            required
+          />
+          <FieldError errors={fieldErrors.lastName} />
+        </div>
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="email" className="text-sm font-medium">
+          Email
+        </label>
+        <Input
+          id="email"
+          name="email"
+          type="email"
+          placeholder="john@example.com"
+          autoComplete="email"
+          value={formData.email}
+          onChange={handleChange}
+          required
+        />
+        <FieldError errors={fieldErrors.email} />
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="phone" className="text-sm font-medium">
+          Phone (Optional)
+        </label>
+        <Input
+          id="phone"
+          name="phone"
+          type="tel"
+          placeholder="+1 (555) 123-4567"
+          autoComplete="tel"
+          value={formData.phone}
+          onChange={handleChange}
+        />
+        <FieldError errors={fieldErrors.phone} />
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="company" className="text-sm font-medium">
+          Company
+        </label>
+        <Input
+          id="company"
+          name="company"
+          placeholder="Your Company Name"
+          autoComplete="organization"
+          value={formData.company}
+          onChange={handleChange}
+        />
+        <FieldError errors={fieldErrors.company} />
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="service" className="text-sm font-medium">
+          Service Interested In
+        </label>
+        <Select
+          name="service"
+          value={formData.service}
+          onValueChange={(value) =>
+            setFormData({ ...formData, service: value })
+          }
+        >
+          <SelectTrigger id="service" className="w-full">
+            <SelectValue placeholder="Select a service" />
+          </SelectTrigger>
+          <SelectContent>
+            {CONTACT_SERVICES.map((service) => (
+              <SelectItem key={service.value} value={service.value}>
+                {service.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <FieldError errors={fieldErrors.service} />
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="budget" className="text-sm font-medium">
+          Project Budget
+        </label>
+        <Select
+          name="budget"
+          value={formData.budget}
+          onValueChange={(value) => setFormData({ ...formData, budget: value })}
+        >
+          <SelectTrigger id="budget" className="w-full">
+            <SelectValue placeholder="Select budget range" />
+          </SelectTrigger>
+          <SelectContent>
+            {BUDGET_RANGES.map((range) => (
+              <SelectItem key={range.value} value={range.value}>
+                {range.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <FieldError errors={fieldErrors.budget} />
+      </div>
+      <div className="space-y-2">
+        <label htmlFor="message" className="text-sm font-medium">
+          Project Details
+        </label>
+        <Textarea
+          id="message"
+          name="message"
+          placeholder="Tell us about your project, goals, and any specific requirements..."
+          rows={4}
+          value={formData.message}
+          onChange={handleChange}
+          required
+        />
+        <FieldError errors={fieldErrors.message} />
+      </div>
+      <Button
+        type="submit"
+        disabled={isLoading}
+        className="w-full bg-blue-600 hover:bg-blue-700 py-5"
+      >
+        {isLoading ? "Sending..." : "Send Message"}
+        <Send className=" h-4 w-4" />
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { createWorkspaceAction } from "@/app/dashboard/actions";
+
+export function CreateWorkspaceDialog({ open, onOpenChange }) {
+  const router = useRouter();
+  const [name, setName] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) {
+      setName("");
+      setError("");
+      setFieldErrors({});
+    }
+    onOpenChange(nextOpen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await createWorkspaceAction({ name });
+    setIsCreating(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    handleOpenChange(false);
+    router.push("/dashboard");
+    router.refresh();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Create a workspace</DialogTitle>
+            <DialogDescription>
+              A workspace has its own projects, clients, team and invoices.
+              You&apos;ll be its owner and can invite your team from the Team
+              page.
+            </DialogDescription>
+          </DialogHeader>
+
+          <FormAlert message={error} />
+
+          <div className="space-y-2">
+            <Label htmlFor="workspace-name">Name</Label>
+            <Input
+              id="workspace-name"
+              placeholder="Agency or brand name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+            />
+            <FieldError errors={fieldErrors.name} />
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              disabled={isCreating}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isCreating}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+            >
+              <Plus className="w-4 h-4" />
+              {isCreating ? "Creating..." : "Create Workspace"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
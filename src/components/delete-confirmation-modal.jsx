@@ -13,6 +13,7 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { AlertTriangle } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
 
 export function DeleteConfirmationModal({
   isOpen,
@@ -22,29 +23,34 @@ export function DeleteConfirmationModal({
   description,
   itemName,
   requireConfirmation = true,
+  warning = "This action cannot be undone. This will permanently delete the item and remove all associated data.",
 }) {
   const [confirmationText, setConfirmationText] = useState("");
   const [isDeleting, setIsDeleting] = useState(false);
+  const [error, setError] = useState("");
 
+  // `onConfirm` throws to keep the modal open, with its message shown.
   const handleConfirm = async () => {
     if (requireConfirmation && confirmationText !== itemName) {
       return;
     }
 
     setIsDeleting(true);
+    setError("");
     try {
       await onConfirm();
+      setConfirmationText("");
       onClose();
     } catch (error) {
-      console.error("Error deleting item:", error);
+      setError(error.message);
     } finally {
       setIsDeleting(false);
-      setConfirmationText("");
     }
   };
 
   const handleClose = () => {
     setConfirmationText("");
+    setError("");
     onClose();
   };
 
@@ -73,10 +79,7 @@ export function DeleteConfirmationModal({
         {requireConfirmation && (
           <div className="space-y-4 py-4">
             <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
-              <p className="text-sm text-red-800">
-                This action cannot be undone. This will permanently delete the
-                item and remove all associated data.
-              </p>
+              <p className="text-sm text-red-800">{warning}</p>
             </div>
             <div className="space-y-2">
               <Label htmlFor="confirmation">
@@ -94,6 +97,8 @@ export function DeleteConfirmationModal({
           </div>
         )}
 
+        <FormAlert message={error} />
+
         <DialogFooter className="flex space-x-2">
           <Button variant="outline" onClick={handleClose} disabled={isDeleting}>
             Cancel
@@ -0,0 +1,62 @@
+import Link from "next/link";
+import { AlertTriangle, ArrowRight, CheckCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+/** The result page for an email verification link. */
+export function EmailVerified({ verified }) {
+  return (
+    <div
+      className={`min-h-screen bg-gradient-to-br ${
+        verified
+          ? "from-slate-50 via-green-50 to-emerald-100"
+          : "from-slate-50 via-red-50 to-orange-100"
+      } flex items-center justify-center p-4`}
+    >
+      <Card className="w-full max-w-md shadow-2xl border-0 backdrop-blur-xl bg-white/90">
+        <CardHeader className="text-center space-y-6 pb-6">
+          <div
+            className={`mx-auto w-24 h-24 bg-gradient-to-r ${
+              verified
+                ? "from-green-500 to-emerald-500"
+                : "from-red-500 to-orange-500"
+            } rounded-full flex items-center justify-center shadow-2xl`}
+          >
+            {verified ? (
+              <CheckCircle className="w-12 h-12 text-white" />
+            ) : (
+              <AlertTriangle className="w-12 h-12 text-white" />
+            )}
+          </div>
+          <div>
+            <CardTitle className="text-3xl font-bold text-gray-900 mb-3">
+              {verified ? "Email Verified" : "Invalid Verification Link"}
+            </CardTitle>
+            <CardDescription className="text-gray-600 text-base">
+              {verified
+                ? "Thanks for confirming your email address. Your dashboard is ready."
+                : "This verification link is invalid or has expired. Sign in and send yourself a new one from the dashboard."}
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <Button
+            asChild
+            className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            <Link href="/dashboard">
+              Go to Dashboard
+              <ArrowRight className="w-4 h-4 ml-2" />
+            </Link>
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,5 @@
+export function FieldError({ errors }) {
+  if (!errors?.length) return null;
+
+  return <p className="text-sm text-red-600">{errors[0]}</p>;
+}
@@ -0,0 +1,360 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Download, FileText, Loader2 } from "lucide-react";
+import { Markdown } from "@/components/markdown";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  MAX_TEXT_PREVIEW_BYTES,
+  TEXT_PREVIEW_KINDS,
+  formatFileSize,
+  getFileExtension,
+  getFileUrl,
+  getPreviewType,
+} from "@/lib/file-options";
+
+// Rows of a CSV file shown before the rest are left to the download.
+const MAX_CSV_ROWS = 500;
+
+// Splits CSV text into rows of cells, following RFC 4180's quoting.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+function CsvTable({ text }) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">This file is empty</p>;
+  }
+  const [header, ...body] = rows.slice(0, MAX_CSV_ROWS + 1);
+  return (
+    <div className="space-y-2">
+      <div className="overflow-auto max-h-[60vh] border rounded">
+        <table className="text-sm w-full">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {header.map((cell, index) => (
+                <th
+                  key={index}
+                  className="text-left font-medium px-3 py-2 border-b whitespace-nowrap"
+                >
+                  {cell}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {body.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-b last:border-0">
+                {row.map((cell, index) => (
+                  <td key={index} className="px-3 py-2 whitespace-nowrap">
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > MAX_CSV_ROWS + 1 && (
+        <p className="text-sm text-gray-500">
+          Showing the first {MAX_CSV_ROWS} of {rows.length - 1} rows. Download
+          the file to see the rest.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function TextPreview({ url, kind }) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    fetch(url)
+      .then(async (response) => {
+        const body = await response.json();
+        if (!ignore) {
+          setResult(
+            response.ok
+              ? { text: body.text }
+              : { error: body.error ?? "The preview couldn't be loaded" }
+          );
+        }
+      })
+      .catch(() => {
+        if (!ignore) {
+          setResult({ error: "The preview couldn't be loaded" });
+        }
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [url]);
+
+  if (!result) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+      </div>
+    );
+  }
+  if (result.error) {
+    return <p className="text-sm text-red-600">{result.error}</p>;
+  }
+  if (kind === "csv") {
+    return <CsvTable text={result.text} />;
+  }
+  if (kind === "markdown") {
+    return <Markdown source={result.text} className="text-sm text-gray-800" />;
+  }
+  return (
+    <pre className="bg-gray-50 border rounded p-3 text-sm whitespace-pre-wrap break-words max-h-[60vh] overflow-auto">
+      {result.text}
+    </pre>
+  );
+}
+
+function NoPreview({ message, downloadUrl }) {
+  return (
+    <div className="border rounded-lg py-12 px-6 text-center">
+      <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+      <p className="text-gray-600 mb-4">{message}</p>
+      {downloadUrl && (
+        <Button variant="outline" asChild>
+          <a href={downloadUrl}>
+            <Download className="w-4 h-4" />
+            Download
+          </a>
+        </Button>
+      )}
+    </div>
+  );
+}
+
+function PreviewBody({ projectId, file, version }) {
+  if (!version.storageKey) {
+    return (
+      <NoPreview message="This file was listed before uploads were stored and has no contents" />
+    );
+  }
+
+  const urlOptions = { version: version.version };
+  const downloadUrl = getFileUrl(projectId, file.id, urlOptions);
+  const inlineUrl = getFileUrl(projectId, file.id, {
+    ...urlOptions,
+    inline: true,
+  });
+  const kind = getPreviewType(file.name)?.kind;
+
+  if (kind === "image") {
+    return (
+      <div className="flex justify-center bg-gray-50 border rounded-lg p-2">
+        {/* Served from behind a sign-in, so next/image can't optimise it. */}
+        {/* eslint-disable-next-line @next/next/no-img-element */}
+        <img
+          src={inlineUrl}
+          alt={file.name}
+          className="max-h-[60vh] object-contain"
+        />
+      </div>
+    );
+  }
+  if (kind === "pdf") {
+    return (
+      <iframe
+        src={inlineUrl}
+        title={file.name}
+        className="w-full h-[70vh] border rounded-lg"
+      />
+    );
+  }
+  if (kind === "video") {
+    return (
+      <video
+        src={inlineUrl}
+        controls
+        className="w-full max-h-[60vh] rounded-lg bg-black"
+      />
+    );
+  }
+  if (TEXT_PREVIEW_KINDS.includes(kind)) {
+    if (version.size > MAX_TEXT_PREVIEW_BYTES) {
+      return (
+        <NoPreview
+          message="This file is too large to preview"
+          downloadUrl={downloadUrl}
+        />
+      );
+    }
+    return (
+      <TextPreview
+        url={getFileUrl(projectId, file.id, { ...urlOptions, path: "text" })}
+        kind={kind}
+      />
+    );
+  }
+  return (
+    <NoPreview
+      message="This type of file can't be previewed"
+      downloadUrl={downloadUrl}
+    />
+  );
+}
+
+function PreviewContent({ projectId, file }) {
+  const latest = file.versions[file.versions.length - 1];
+  // The version being looked at, the latest to begin with.
+  const [versionNumber, setVersionNumber] = useState(latest.version);
+  const version =
+    file.versions.find((record) => record.version === versionNumber) ?? latest;
+  const extension = getFileExtension(file.name);
+
+  return (
+    <div className="space-y-6">
+      <SheetHeader className="pr-6">
+        <SheetTitle className="break-all flex items-center gap-2">
+          {file.name}
+          {file.versions.length > 1 && (
+            <Badge variant="secondary">v{version.version}</Badge>
+          )}
+        </SheetTitle>
+        <SheetDescription>
+          {formatFileSize(version.size)} • Uploaded by {version.uploadedBy.name}{" "}
+          on {format(new Date(version.uploadedAt), "MMM d, yyyy")}
+        </SheetDescription>
+      </SheetHeader>
+
+      <PreviewBody projectId={projectId} file={file} version={version} />
+
+      <div>
+        <h3 className="font-medium mb-2">Details</h3>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-6 gap-y-1 text-sm">
+          <dt className="text-gray-500">Type</dt>
+          <dd>
+            {extension ? extension.toUpperCase() : "Unknown"}
+            {version.contentType && ` (${version.contentType})`}
+          </dd>
+          <dt className="text-gray-500">Size</dt>
+          <dd>{formatFileSize(version.size)}</dd>
+          <dt className="text-gray-500">Uploaded</dt>
+          <dd>
+            {format(new Date(version.uploadedAt), "MMM d, yyyy 'at' h:mm a")}
+          </dd>
+          <dt className="text-gray-500">Uploaded by</dt>
+          <dd>{version.uploadedBy.name}</dd>
+          <dt className="text-gray-500">First uploaded</dt>
+          <dd>
+            {format(new Date(file.versions[0].uploadedAt), "MMM d, yyyy")}
+          </dd>
+        </dl>
+      </div>
+
+      <div>
+        <h3 className="font-medium mb-2">
+          Version History ({file.versions.length})
+        </h3>
+        <ul className="space-y-1">
+          {file.versions
+            .slice()
+            .reverse()
+            .map((record) => (
+              <li
+                key={record.version}
+                className={`flex items-center justify-between gap-3 text-sm rounded px-2 py-1.5 ${
+                  record.version === version.version ? "bg-gray-100" : ""
+                }`}
+              >
+                <button
+                  type="button"
+                  onClick={() => setVersionNumber(record.version)}
+                  className="text-left text-gray-700 hover:underline"
+                >
+                  Version {record.version} • {formatFileSize(record.size)} •{" "}
+                  {record.uploadedBy.name} on{" "}
+                  {format(new Date(record.uploadedAt), "MMM d, yyyy")}
+                  {record.version === latest.version && " (latest)"}
+                </button>
+                {record.storageKey && (
+                  <a
+                    href={getFileUrl(projectId, file.id, {
+                      version: record.version,
+                    })}
+                    className="text-blue-600 hover:underline shrink-0"
+                  >
+                    Download
+                  </a>
+                )}
+              </li>
+            ))}
+        </ul>
+      </div>
+
+      {version.storageKey && (
+        <Button asChild className="w-full">
+          <a
+            href={getFileUrl(projectId, file.id, { version: version.version })}
+          >
+            <Download className="w-4 h-4" />
+            Download{file.versions.length > 1 && ` Version ${version.version}`}
+          </a>
+        </Button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * A drawer showing `file` (null to close it) in the browser where its type
+ * allows, with its details and version history.
+ */
+export function FilePreview({ projectId, file, onClose }) {
+  return (
+    <Sheet open={Boolean(file)} onOpenChange={(open) => !open && onClose()}>
+      <SheetContent className="w-full sm:max-w-2xl overflow-y-auto">
+        {file && (
+          <PreviewContent key={file.id} projectId={projectId} file={file} />
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,101 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { updateFileSettingsAction } from "@/app/dashboard/settings/actions";
+import { MAX_FILE_SIZE_MB } from "@/lib/file-options";
+
+/** The current workspace's limits on project file uploads. */
+export function FileUploadSettings({ settings }) {
+  const router = useRouter();
+  const [maxFileSizeMb, setMaxFileSizeMb] = useState(settings.maxFileSizeMb);
+  const [allowedExtensions, setAllowedExtensions] = useState(
+    settings.allowedExtensions.join(", ")
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await updateFileSettingsAction({
+      maxFileSizeMb,
+      allowedExtensions: allowedExtensions.split(/[\s,]+/).filter(Boolean),
+    });
+    setIsSaving(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>File Uploads</CardTitle>
+        <CardDescription>
+          Limits on the files anyone in this workspace can upload to projects
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label htmlFor="maxFileSizeMb">Maximum File Size (MB)</Label>
+          <Input
+            id="maxFileSizeMb"
+            type="number"
+            min="1"
+            max={MAX_FILE_SIZE_MB}
+            className="w-48"
+            value={maxFileSizeMb}
+            onChange={(e) => setMaxFileSizeMb(e.target.value)}
+          />
+          <FieldError errors={fieldErrors.maxFileSizeMb} />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="allowedExtensions">Allowed File Types</Label>
+          <Input
+            id="allowedExtensions"
+            placeholder="Any type"
+            value={allowedExtensions}
+            onChange={(e) => setAllowedExtensions(e.target.value)}
+          />
+          <p className="text-sm text-gray-500">
+            Extensions separated by commas, such as pdf, png, fig. Leave it
+            empty to allow any type.
+          </p>
+          <FieldError errors={fieldErrors.allowedExtensions} />
+        </div>
+
+        <FormAlert message={error} />
+
+        <Button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+        >
+          <Save className="w-4 h-4" />
+          {isSaving ? "Saving..." : "Save Upload Limits"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
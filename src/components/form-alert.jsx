@@ -0,0 +1,15 @@
+import { AlertCircle } from "lucide-react";
+
+export function FormAlert({ message }) {
+  if (!message) return null;
+
+  return (
+    <div
+      role="alert"
+      className="flex items-center space-x-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700"
+    >
+      <AlertCircle className="h-4 w-4 flex-shrink-0" />
+      <span>{message}</span>
+    </div>
+  );
+}
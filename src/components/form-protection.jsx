@@ -0,0 +1,69 @@
+"use client";
+
+import { useCallback, useEffect, useId, useRef, useState } from "react";
+import { getFormChallengeAction } from "@/app/actions";
+import { solveProofOfWork } from "@/lib/proof-of-work";
+
+/**
+ * Fetches and solves a bot-protection challenge for a public form (see
+ * `@/lib/form-protection`). Render `<Honeypot {...honeypotProps} />` inside
+ * the form and send `protection: await getProtection()` with the submission.
+ */
+export function useFormProtection(form) {
+  const [website, setWebsite] = useState("");
+  const solution = useRef(null);
+
+  const refresh = useCallback(() => {
+    solution.current = getFormChallengeAction(form).then(
+      async ({ challenge, difficulty }) => ({
+        challenge,
+        nonce: await solveProofOfWork(challenge, difficulty),
+      })
+    );
+    // Surfaced by the server's check on submit instead.
+    solution.current.catch(() => {});
+  }, [form]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const getProtection = async () => {
+    const proof = await solution.current.catch(() => ({}));
+    // Challenges are single use, so start on the next one straight away in
+    // case this submission comes back with an error.
+    refresh();
+    return { ...proof, website };
+  };
+
+  return {
+    getProtection,
+    honeypotProps: {
+      value: website,
+      onChange: (e) => setWebsite(e.target.value),
+    },
+  };
+}
+
+/** A field people never see or fill in, but form-filling bots do. */
+export function Honeypot({ value, onChange }) {
+  const id = useId();
+
+  return (
+    <div
+      aria-hidden="true"
+      className="absolute -left-[10000px] h-px w-px overflow-hidden"
+    >
+      <label htmlFor={id}>Leave this field empty</label>
+      <input
+        id={id}
+        type="text"
+        name="website"
+        tabIndex={-1}
+        autoComplete="off"
+        value={value}
+        onChange={onChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Send } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { createInvitationAction } from "@/app/dashboard/team/actions";
+import { INVITABLE_ROLES } from "@/lib/roles";
+import { DEPARTMENTS } from "@/lib/team-options";
+
+const EMPTY_FORM = { email: "", role: "member", department: "" };
+
+export function InviteMemberDialog({ open, onOpenChange }) {
+  const router = useRouter();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) {
+      setFormData(EMPTY_FORM);
+      setError("");
+      setFieldErrors({});
+    }
+    onOpenChange(nextOpen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await createInvitationAction(formData);
+    setIsSending(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    handleOpenChange(false);
+    router.refresh();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Invite a team member</DialogTitle>
+            <DialogDescription>
+              We&apos;ll email them a link to create their account. It expires
+              in 7 days. Anyone who already has an account is added to this
+              workspace straight away.
+            </DialogDescription>
+          </DialogHeader>
+
+          <FormAlert message={error} />
+
+          <div className="space-y-2">
+            <Label htmlFor="invite-email">Email</Label>
+            <Input
+              id="invite-email"
+              type="email"
+              placeholder="name@example.com"
+              value={formData.email}
+              onChange={(e) =>
+                setFormData({ ...formData, email: e.target.value })
+              }
+              required
+            />
+            <FieldError errors={fieldErrors.email} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="invite-role">Role</Label>
+              <Select
+                value={formData.role}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, role: value })
+                }
+              >
+                <SelectTrigger id="invite-role" className="w-full">
+                  <SelectValue placeholder="Select a role" />
+                </SelectTrigger>
+                <SelectContent>
+                  {INVITABLE_ROLES.map((role) => (
+                    <SelectItem key={role.value} value={role.value}>
+                      {role.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.role} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="invite-department">Department</Label>
+              <Select
+                value={formData.department}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, department: value })
+                }
+              >
+                <SelectTrigger id="invite-department" className="w-full">
+                  <SelectValue placeholder="Select a department" />
+                </SelectTrigger>
+                <SelectContent>
+                  {DEPARTMENTS.map((department) => (
+                    <SelectItem key={department} value={department}>
+                      {department}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.department} />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              disabled={isSending}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSending}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+            >
+              <Send className="w-4 h-4" />
+              {isSending ? "Sending..." : "Send Invitation"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
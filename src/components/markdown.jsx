@@ -0,0 +1,140 @@
+"use client";
+
+import { Fragment } from "react";
+import { fromMarkdown } from "mdast-util-from-markdown";
+import { cn } from "@/lib/utils";
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Picks out `@Name` for each of the names in `mentions`.
+function highlightMentions(text, mentions) {
+  if (!mentions.length) return text;
+  const pattern = new RegExp(
+    `(@(?:${mentions
+      .map(escapeRegExp)
+      .sort((a, b) => b.length - a.length)
+      .join("|")}))(?![\\w])`,
+    "gi"
+  );
+  return text.split(pattern).map((part, index) =>
+    index % 2 ? (
+      <span
+        key={index}
+        className="bg-blue-50 text-blue-700 rounded px-0.5 font-medium"
+      >
+        {part}
+      </span>
+    ) : (
+      part
+    )
+  );
+}
+
+// Renders the Markdown syntax tree as React elements rather than HTML, so
+// nothing in a file or comment can inject markup. Images show their alt
+// text rather than loading from wherever they point.
+function MarkdownNode({ node, mentions }) {
+  const children = node.children?.map((child, index) => (
+    <MarkdownNode key={index} node={child} mentions={mentions} />
+  ));
+
+  switch (node.type) {
+    case "root":
+      return <Fragment>{children}</Fragment>;
+    case "heading": {
+      const Heading = `h${node.depth}`;
+      const sizes = ["text-2xl", "text-xl", "text-lg"];
+      return (
+        <Heading
+          className={`font-semibold mt-6 mb-2 ${sizes[node.depth - 1] ?? ""}`}
+        >
+          {children}
+        </Heading>
+      );
+    }
+    case "paragraph":
+      return <p className="my-3">{children}</p>;
+    case "blockquote":
+      return (
+        <blockquote className="border-l-4 pl-4 text-gray-600 my-3">
+          {children}
+        </blockquote>
+      );
+    case "list": {
+      const List = node.ordered ? "ol" : "ul";
+      return (
+        <List
+          start={node.ordered ? node.start : undefined}
+          className={`pl-6 my-3 space-y-1 ${
+            node.ordered ? "list-decimal" : "list-disc"
+          }`}
+        >
+          {children}
+        </List>
+      );
+    }
+    case "listItem":
+      return <li>{children}</li>;
+    case "code":
+      return (
+        <pre className="bg-gray-100 rounded p-3 my-3 text-sm overflow-x-auto">
+          <code>{node.value}</code>
+        </pre>
+      );
+    case "inlineCode":
+      return (
+        <code className="bg-gray-100 rounded px-1 text-sm">{node.value}</code>
+      );
+    case "emphasis":
+      return <em>{children}</em>;
+    case "strong":
+      return <strong>{children}</strong>;
+    case "link":
+      return SAFE_LINK.test(node.url) ? (
+        <a
+          href={node.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-600 hover:underline"
+        >
+          {children}
+        </a>
+      ) : (
+        <Fragment>{children}</Fragment>
+      );
+    case "image":
+    case "imageReference":
+      return node.alt ? <span className="italic">[{node.alt}]</span> : null;
+    case "thematicBreak":
+      return <hr className="my-6" />;
+    case "break":
+      return <br />;
+    case "text":
+      return highlightMentions(node.value, mentions);
+    case "html":
+      return node.value;
+    case "definition":
+      return null;
+    default:
+      return children ? <Fragment>{children}</Fragment> : null;
+  }
+}
+
+/**
+ * Markdown from a file or comment. Names in `mentions` are highlighted where
+ * they're @mentioned.
+ */
+export function Markdown({ source, mentions = [], className }) {
+  return (
+    <div
+      className={cn(
+        "break-words [&>:first-child]:mt-0 [&>:last-child]:mb-0",
+        className
+      )}
+    >
+      <MarkdownNode node={fromMarkdown(source)} mentions={mentions} />
+    </div>
+  );
+}
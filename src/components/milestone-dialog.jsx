@@ -0,0 +1,228 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { CalendarIcon, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import {
+  createMilestoneAction,
+  updateMilestoneAction,
+} from "@/app/dashboard/projects/actions";
+import { MILESTONE_STATUSES } from "@/lib/project-options";
+
+// Select value for "no owner"; Radix selects can't use an empty string.
+const UNASSIGNED = "unassigned";
+
+function toFormData(milestone) {
+  return {
+    title: milestone?.title ?? "",
+    status: milestone?.status ?? "pending",
+    dueDate: milestone?.dueDate ? new Date(milestone.dueDate) : null,
+    ownerId: milestone?.ownerId ?? UNASSIGNED,
+  };
+}
+
+/**
+ * Adds a milestone to the project, or edits `milestone` when one is given.
+ * Render it with a `key` per milestone so the form starts from its values.
+ */
+export function MilestoneDialog({
+  open,
+  onOpenChange,
+  projectId,
+  milestone,
+  teamMembers,
+}) {
+  const router = useRouter();
+  const [formData, setFormData] = useState(() => toFormData(milestone));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) {
+      setFormData(toFormData(milestone));
+      setError("");
+      setFieldErrors({});
+    }
+    onOpenChange(nextOpen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+    setFieldErrors({});
+
+    const input = {
+      ...formData,
+      dueDate: formData.dueDate ? format(formData.dueDate, "yyyy-MM-dd") : null,
+      ownerId: formData.ownerId === UNASSIGNED ? null : formData.ownerId,
+    };
+    const result = milestone
+      ? await updateMilestoneAction(projectId, milestone.id, input)
+      : await createMilestoneAction(projectId, input);
+    setIsSaving(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    handleOpenChange(false);
+    router.refresh();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>
+              {milestone ? "Edit milestone" : "Add a milestone"}
+            </DialogTitle>
+            <DialogDescription>
+              The project&apos;s progress is the share of its milestones that
+              are completed.
+            </DialogDescription>
+          </DialogHeader>
+
+          <FormAlert message={error} />
+
+          <div className="space-y-2">
+            <Label htmlFor="milestone-title">Title</Label>
+            <Input
+              id="milestone-title"
+              placeholder="e.g. Wireframes & Prototypes"
+              value={formData.title}
+              onChange={(e) =>
+                setFormData({ ...formData, title: e.target.value })
+              }
+              required
+            />
+            <FieldError errors={fieldErrors.title} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="milestone-status">Status</Label>
+              <Select
+                value={formData.status}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, status: value })
+                }
+              >
+                <SelectTrigger id="milestone-status" className="w-full">
+                  <SelectValue placeholder="Select a status" />
+                </SelectTrigger>
+                <SelectContent>
+                  {MILESTONE_STATUSES.map((status) => (
+                    <SelectItem key={status.value} value={status.value}>
+                      {status.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.status} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="milestone-owner">Owner</Label>
+              <Select
+                value={formData.ownerId}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, ownerId: value })
+                }
+              >
+                <SelectTrigger id="milestone-owner" className="w-full">
+                  <SelectValue placeholder="Select an owner" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                  {teamMembers.map((member) => (
+                    <SelectItem key={member.id} value={member.id}>
+                      {member.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.ownerId} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label>Due Date</Label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  variant="outline"
+                  className="w-full justify-start text-left font-normal"
+                >
+                  <CalendarIcon className="mr-2 h-4 w-4" />
+                  {formData.dueDate
+                    ? format(formData.dueDate, "PPP")
+                    : "Pick a date"}
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0">
+                <Calendar
+                  mode="single"
+                  selected={formData.dueDate}
+                  onSelect={(date) =>
+                    setFormData({ ...formData, dueDate: date ?? null })
+                  }
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+            <FieldError errors={fieldErrors.dueDate} />
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              disabled={isSaving}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSaving}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+            >
+              <Save className="w-4 h-4" />
+              {isSaving ? "Saving..." : "Save Milestone"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
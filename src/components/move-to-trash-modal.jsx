@@ -0,0 +1,32 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { DeleteConfirmationModal } from "@/components/delete-confirmation-modal";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash-options";
+
+/**
+ * Confirms deleting `item` (anything with an `id` and `name`) and runs
+ * `action`, a server action that moves it to the trash. Open while `item`
+ * is set.
+ */
+export function MoveToTrashModal({ item, itemType, action, onClose }) {
+  const router = useRouter();
+
+  const handleConfirm = async () => {
+    const result = await action(item.id);
+    if (result.error) throw new Error(result.error);
+    router.refresh();
+  };
+
+  return (
+    <DeleteConfirmationModal
+      isOpen={Boolean(item)}
+      onClose={onClose}
+      onConfirm={handleConfirm}
+      title={`Delete ${itemType}`}
+      description={`${item?.name ?? ""} will be moved to the Trash.`}
+      itemName={item?.name ?? ""}
+      warning={`An admin can restore it from the Trash for ${TRASH_RETENTION_DAYS} days. After that it's deleted permanently, along with its associated data.`}
+    />
+  );
+}
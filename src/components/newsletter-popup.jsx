@@ -4,11 +4,62 @@ import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
-import { X, Mail } from "lucide-react";
+import { X, Mail, CheckCircle } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { Honeypot, useFormProtection } from "@/components/form-protection";
+import { subscribeToNewsletterAction } from "@/app/actions";
+
+// Only mounted once the popup opens, so visitors who never see it don't
+// fetch or solve a protection challenge.
+function NewsletterForm({ onSubscribed }) {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const { getProtection, honeypotProps } = useFormProtection("newsletter");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    const result = await subscribeToNewsletterAction({
+      email,
+      protection: await getProtection(),
+    });
+    setIsLoading(false);
+    if (result.error) {
+      setError(result.fieldErrors?.email?.[0] ?? result.error);
+      return;
+    }
+    onSubscribed();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <FormAlert message={error} />
+      <Honeypot {...honeypotProps} />
+      <Input
+        type="email"
+        name="email"
+        placeholder="Enter your email address"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        required
+      />
+      <Button
+        type="submit"
+        disabled={isLoading}
+        className="w-full bg-blue-600 hover:bg-blue-700"
+      >
+        {isLoading ? "Subscribing..." : "Subscribe Now"}
+      </Button>
+    </form>
+  );
+}
 
 export function NewsletterPopup() {
   const [isVisible, setIsVisible] = useState(false);
-  const [email, setEmail] = useState("");
+  const [isSubscribed, setIsSubscribed] = useState(false);
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -26,14 +77,9 @@ export function NewsletterPopup() {
     localStorage.setItem("newsletter-popup-seen", "true");
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (email) {
-      // Handle newsletter signup
-      console.log("Newsletter signup:", email);
-      setIsVisible(false);
-      localStorage.setItem("newsletter-popup-seen", "true");
-    }
+  const handleSubscribed = () => {
+    setIsSubscribed(true);
+    localStorage.setItem("newsletter-popup-seen", "true");
   };
 
   if (!isVisible) return null;
@@ -62,21 +108,14 @@ export function NewsletterPopup() {
           </div>
         </CardHeader>
         <CardContent className="space-y-4">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <Input
-              type="email"
-              placeholder="Enter your email address"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-            />
-            <Button
-              type="submit"
-              className="w-full bg-blue-600 hover:bg-blue-700"
-            >
-              Subscribe Now
-            </Button>
-          </form>
+          {isSubscribed ? (
+            <div className="flex items-center justify-center space-x-2 text-green-700">
+              <CheckCircle className="h-5 w-5" />
+              <span>You&apos;re subscribed. Thanks!</span>
+            </div>
+          ) : (
+            <NewsletterForm onSubscribed={handleSubscribed} />
+          )}
           <p className="text-xs text-gray-500 text-center">
             We respect your privacy. Unsubscribe at any time.
           </p>
@@ -0,0 +1,204 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { format, formatDistanceToNow } from "date-fns";
+import {
+  Bell,
+  CreditCard,
+  FileBarChart,
+  FolderOpen,
+  Settings,
+  Shield,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  markAllNotificationsReadAction,
+  markNotificationReadAction,
+} from "@/app/dashboard/actions";
+
+const CATEGORY_ICONS = {
+  projectUpdates: FolderOpen,
+  securityAlerts: Shield,
+  invoiceReminders: CreditCard,
+  weeklyReports: FileBarChart,
+};
+
+function NotificationItem({ notification, onOpen }) {
+  const Icon = CATEGORY_ICONS[notification.category] ?? Bell;
+  const isUnread = !notification.readAt;
+  const className = `flex w-full items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 transition-colors ${
+    isUnread ? "bg-blue-50/60" : ""
+  }`;
+  const content = (
+    <>
+      <div className="w-8 h-8 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center shrink-0">
+        <Icon className="w-4 h-4" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className={`text-sm text-gray-900 ${isUnread ? "font-medium" : ""}`}>
+          {notification.title}
+        </p>
+        {notification.body && (
+          <p className="text-sm text-gray-600 line-clamp-2">
+            {notification.body}
+          </p>
+        )}
+        <p
+          className="text-xs text-gray-500 mt-1"
+          title={format(
+            new Date(notification.createdAt),
+            "MMM d, yyyy 'at' h:mm a"
+          )}
+        >
+          {formatDistanceToNow(new Date(notification.createdAt), {
+            addSuffix: true,
+          })}
+        </p>
+      </div>
+      {isUnread && (
+        <span className="mt-1.5 h-2 w-2 rounded-full bg-blue-600 shrink-0">
+          <span className="sr-only">Unread</span>
+        </span>
+      )}
+    </>
+  );
+
+  if (!notification.path) {
+    return (
+      <button
+        type="button"
+        className={className}
+        onClick={() => onOpen(notification)}
+      >
+        {content}
+      </button>
+    );
+  }
+  const handleClick = (e) => {
+    onOpen(notification);
+    // The router changes only the hash of the page that's already open
+    // without a `hashchange`, which is what opens the linked item there.
+    const url = new URL(notification.path, window.location.href);
+    if (url.pathname === window.location.pathname && url.hash) {
+      e.preventDefault();
+      if (window.location.hash === url.hash) {
+        // Already there, but what it opened may have been closed since.
+        window.dispatchEvent(new HashChangeEvent("hashchange"));
+      } else {
+        window.location.hash = url.hash;
+      }
+    }
+  };
+
+  return (
+    <Link href={notification.path} className={className} onClick={handleClick}>
+      {content}
+    </Link>
+  );
+}
+
+/**
+ * The bell in the dashboard header, with the count of unread notifications
+ * from `listNotifications`. Opening one marks it read and goes to what it's
+ * about.
+ */
+export function NotificationCenter({ notifications, unreadCount }) {
+  const router = useRouter();
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleOpenChange = (open) => {
+    setIsOpen(open);
+    setError("");
+    // Picks up anything that arrived since the page loaded.
+    if (open) router.refresh();
+  };
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    if (notification.readAt) return;
+    await markNotificationReadAction(notification.id);
+    router.refresh();
+  };
+
+  const handleMarkAllRead = async () => {
+    const result = await markAllNotificationsReadAction();
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <Popover open={isOpen} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="relative"
+          aria-label={
+            unreadCount > 0
+              ? `Notifications, ${unreadCount} unread`
+              : "Notifications"
+          }
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold leading-4 text-center">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 sm:w-96 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <p className="font-semibold text-gray-900">Notifications</p>
+          {unreadCount > 0 && (
+            <Button
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={handleMarkAllRead}
+            >
+              Mark all as read
+            </Button>
+          )}
+        </div>
+        {error && <p className="px-4 pt-2 text-xs text-red-600">{error}</p>}
+        {notifications.length === 0 ? (
+          <p className="px-4 py-8 text-sm text-gray-500 text-center">
+            You&apos;re all caught up.
+          </p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto divide-y">
+            {notifications.map((notification) => (
+              <NotificationItem
+                key={notification.id}
+                notification={notification}
+                onOpen={handleOpen}
+              />
+            ))}
+          </div>
+        )}
+        <div className="border-t px-4 py-2">
+          <Link
+            href="/dashboard/settings?tab=notifications"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            <Settings className="w-4 h-4" />
+            Notification settings
+          </Link>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
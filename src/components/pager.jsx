@@ -0,0 +1,44 @@
+import Link from "next/link";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+function PageButton({ href, scroll, children }) {
+  if (!href) {
+    return (
+      <Button variant="outline" size="sm" disabled>
+        {children}
+      </Button>
+    );
+  }
+  return (
+    <Button asChild variant="outline" size="sm">
+      <Link href={href} scroll={scroll}>
+        {children}
+      </Link>
+    </Button>
+  );
+}
+
+/**
+ * Newer and Older links for a list shown newest first, with `pageHref`
+ * giving the URL of a page by its number. Nothing shows when there's only
+ * one page.
+ */
+export function Pager({ page, pageCount, pageHref, scroll = true }) {
+  if (pageCount <= 1) return null;
+  return (
+    <div className="flex items-center justify-between pt-2">
+      <PageButton href={page > 1 && pageHref(page - 1)} scroll={scroll}>
+        <ChevronLeft className="w-4 h-4" />
+        Newer
+      </PageButton>
+      <span className="text-sm text-gray-500">
+        Page {page} of {pageCount}
+      </span>
+      <PageButton href={page < pageCount && pageHref(page + 1)} scroll={scroll}>
+        Older
+        <ChevronRight className="w-4 h-4" />
+      </PageButton>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Mail, RefreshCw, X } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { FormAlert } from "@/components/form-alert";
+import {
+  resendInvitationAction,
+  revokeInvitationAction,
+} from "@/app/dashboard/team/actions";
+import { getOptionLabel } from "@/lib/project-options";
+import { INVITABLE_ROLES } from "@/lib/roles";
+
+export function PendingInvitations({ invitations }) {
+  const router = useRouter();
+  // Id of the invitation an action is running for.
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const runAction = async (action, id) => {
+    setBusyId(id);
+    setError("");
+
+    const result = await action(id);
+    setBusyId(null);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle>Pending Invitations</CardTitle>
+        <CardDescription>
+          People who&apos;ve been invited but haven&apos;t created their account
+          yet
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <FormAlert message={error} />
+        {invitations.map((invitation) => (
+          <div
+            key={invitation.id}
+            className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 border rounded-lg"
+          >
+            <div className="flex items-center space-x-3">
+              <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+                <Mail className="w-5 h-5 text-blue-600" />
+              </div>
+              <div>
+                <div className="flex items-center gap-2 flex-wrap">
+                  <p className="font-medium text-gray-900">
+                    {invitation.email}
+                  </p>
+                  <Badge variant="outline">
+                    {getOptionLabel(INVITABLE_ROLES, invitation.role)}
+                  </Badge>
+                  <Badge variant="outline">{invitation.department}</Badge>
+                  {invitation.expired && (
+                    <Badge className="bg-red-100 text-red-800">Expired</Badge>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500">
+                  Invited by {invitation.invitedBy.name} ·{" "}
+                  {invitation.expired ? "Expired" : "Expires"}{" "}
+                  {format(new Date(invitation.expiresAt), "MMM d, yyyy")}
+                </p>
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={busyId === invitation.id}
+                onClick={() => runAction(resendInvitationAction, invitation.id)}
+              >
+                <RefreshCw className="w-4 h-4" />
+                Resend
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                disabled={busyId === invitation.id}
+                onClick={() => runAction(revokeInvitationAction, invitation.id)}
+              >
+                <X className="w-4 h-4" />
+                Revoke
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
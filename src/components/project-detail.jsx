@@ -0,0 +1,408 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  ArrowLeft,
+  Edit,
+  Trash2,
+  Calendar,
+  DollarSign,
+  Users,
+  FileText,
+  MessageSquare,
+  Play,
+  Pause,
+  CheckCircle,
+  MoreHorizontal,
+} from "lucide-react";
+import Link from "next/link";
+import { differenceInCalendarDays } from "date-fns";
+import { formatCurrency } from "@/lib/utils";
+import {
+  PROJECT_PRIORITIES,
+  PROJECT_STATUSES,
+  PROJECT_TYPES,
+  getOptionLabel,
+} from "@/lib/project-options";
+import { can } from "@/lib/roles";
+import { useUser } from "@/components/user-provider";
+import { ActivityFeed } from "@/components/activity-feed";
+import { CommentThread } from "@/components/comment-thread";
+import { ProjectFiles } from "@/components/project-files";
+import { ProjectMilestones } from "@/components/project-milestones";
+import { ProjectTasks } from "@/components/project-tasks";
+
+export function ProjectDetail({
+  project,
+  initialTab = "overview",
+  activity,
+  comments,
+  files,
+  fileSettings,
+  tasks,
+  teamMembers,
+}) {
+  const router = useRouter();
+  const user = useUser();
+  const [activeTab, setActiveTab] = useState(initialTab);
+  // Set by Send Message, which opens the discussion ready to write in.
+  const [isComposing, setIsComposing] = useState(false);
+
+  // Links within the page, such as those in the activity feed, change the
+  // tab without remounting it.
+  useEffect(() => {
+    setActiveTab(initialTab);
+  }, [initialTab]);
+
+  const daysLeft = project.dueDate
+    ? Math.max(
+        differenceInCalendarDays(new Date(project.dueDate), new Date()),
+        0
+      )
+    : "—";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8 flex-wrap gap-3">
+          <div className="flex items-center flex-wrap gap-3">
+            <Button
+              variant="ghost"
+              onClick={() => router.back()}
+              className="mr-4"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to Projects
+            </Button>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">
+                {project.name}
+              </h1>
+              <p className="text-gray-600">{project.client}</p>
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            {can(user, "projects:edit") && (
+              <Link href={`/dashboard/projects/${project.id}/edit`}>
+                <Button variant="outline">
+                  <Edit className="w-4 h-4" />
+                  Edit
+                </Button>
+              </Link>
+            )}
+            {can(user, "projects:delete") && (
+              <Button
+                variant="outline"
+                className="text-red-600 hover:text-red-700"
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete
+              </Button>
+            )}
+            <Button variant="outline">
+              <MoreHorizontal className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        {/* Project Overview Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Progress</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {project.progress}%
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                  <CheckCircle className="w-6 h-6 text-blue-600" />
+                </div>
+              </div>
+              <Progress value={project.progress} className="mt-2" />
+            </CardContent>
+          </Card>
+
+          {can(user, "financials:view") && (
+            <Card>
+              <CardContent className="p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">
+                      Budget Used
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900">
+                      {formatCurrency(project.spent)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      of {formatCurrency(project.budget)}
+                    </p>
+                  </div>
+                  <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+                    <DollarSign className="w-6 h-6 text-green-600" />
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Team Size</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {project.teamMembers.length}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                  <Users className="w-6 h-6 text-purple-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Days Left</p>
+                  <p className="text-2xl font-bold text-gray-900">{daysLeft}</p>
+                </div>
+                <div className="w-12 h-12 bg-orange-100 rounded-lg flex items-center justify-center">
+                  <Calendar className="w-6 h-6 text-orange-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Main Content */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <Tabs value={activeTab} onValueChange={setActiveTab}>
+              <TabsList
+                className={`grid w-full ${tasks ? "grid-cols-6" : "grid-cols-5"}`}
+              >
+                <TabsTrigger value="overview">Overview</TabsTrigger>
+                {tasks && <TabsTrigger value="tasks">Tasks</TabsTrigger>}
+                <TabsTrigger value="milestones">Milestones</TabsTrigger>
+                <TabsTrigger value="activity">Activity</TabsTrigger>
+                <TabsTrigger value="files">Files</TabsTrigger>
+                <TabsTrigger value="discussion">Discussion</TabsTrigger>
+              </TabsList>
+
+              <TabsContent value="overview" className="space-y-6">
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Project Description</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="text-gray-700 leading-relaxed">
+                      {project.description}
+                    </p>
+                    <div className="flex flex-wrap gap-2 mt-4">
+                      {project.tags.map((tag) => (
+                        <Badge key={tag} variant="secondary">
+                          {tag}
+                        </Badge>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Project Details</CardTitle>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <p className="text-sm font-medium text-gray-600">
+                          Project Type
+                        </p>
+                        <p className="text-gray-900">
+                          {getOptionLabel(PROJECT_TYPES, project.type)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-600">
+                          Priority
+                        </p>
+                        <Badge className="bg-red-100 text-red-800">
+                          {getOptionLabel(PROJECT_PRIORITIES, project.priority)}
+                        </Badge>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-600">
+                          Start Date
+                        </p>
+                        <p className="text-gray-900">{project.startDate}</p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-600">
+                          Due Date
+                        </p>
+                        <p className="text-gray-900">{project.dueDate}</p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
+              {tasks && (
+                <TabsContent value="tasks">
+                  <ProjectTasks
+                    projectId={project.id}
+                    tasks={tasks}
+                    teamMembers={project.teamMembers}
+                    milestones={project.milestones}
+                    comments={comments}
+                  />
+                </TabsContent>
+              )}
+
+              <TabsContent value="milestones">
+                <ProjectMilestones
+                  projectId={project.id}
+                  milestones={project.milestones}
+                  teamMembers={teamMembers}
+                  comments={comments}
+                  projectTeam={project.teamMembers}
+                />
+              </TabsContent>
+
+              <TabsContent value="activity">
+                <Card>
+                  <CardContent className="p-4">
+                    <ActivityFeed
+                      {...activity}
+                      pageHref={(page) =>
+                        `/dashboard/projects/${project.id}?tab=activity&page=${page}`
+                      }
+                      emptyMessage="Nothing has happened on this project yet."
+                    />
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
+              <TabsContent value="files">
+                <ProjectFiles
+                  projectId={project.id}
+                  files={files}
+                  settings={fileSettings}
+                />
+              </TabsContent>
+
+              <TabsContent value="discussion">
+                <CommentThread
+                  projectId={project.id}
+                  comments={comments}
+                  members={project.teamMembers}
+                  autoFocus={isComposing}
+                />
+              </TabsContent>
+            </Tabs>
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-6">
+            {/* Project Status */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Project Status</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="flex items-center justify-between mb-4">
+                  <Badge className="bg-blue-100 text-blue-800">
+                    {getOptionLabel(PROJECT_STATUSES, project.status)}
+                  </Badge>
+                  <div className="flex space-x-2">
+                    <Button size="sm" variant="outline">
+                      <Pause className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="outline">
+                      <Play className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+                <Progress value={project.progress} className="mb-2" />
+                <p className="text-sm text-gray-600">
+                  {project.progress}% Complete
+                </p>
+              </CardContent>
+            </Card>
+
+            {/* Team Members */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Team Members</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {project.teamMembers.map((member) => (
+                  <div key={member.id} className="flex items-center space-x-3">
+                    <Avatar className="w-8 h-8">
+                      <AvatarImage
+                        src={member.avatar || "/placeholder.svg"}
+                        alt={member.name}
+                      />
+                      <AvatarFallback>
+                        {member.name
+                          .split(" ")
+                          .map((n) => n[0])
+                          .join("")}
+                      </AvatarFallback>
+                    </Avatar>
+                    <div className="flex-1">
+                      <p className="text-sm font-medium">{member.name}</p>
+                      <p className="text-xs text-gray-500">{member.role}</p>
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            {/* Quick Actions */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Quick Actions</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {can(user, "projects:comment") && (
+                  <Button
+                    className="w-full justify-start"
+                    variant="outline"
+                    onClick={() => {
+                      setActiveTab("discussion");
+                      setIsComposing(true);
+                    }}
+                  >
+                    <MessageSquare className="w-4 h-4 mr-2" />
+                    Send Message
+                  </Button>
+                )}
+                <Button className="w-full justify-start" variant="outline">
+                  <Calendar className="w-4 h-4 mr-2" />
+                  Schedule Meeting
+                </Button>
+                <Button className="w-full justify-start" variant="outline">
+                  <FileText className="w-4 h-4 mr-2" />
+                  Generate Report
+                </Button>
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import {
+  CheckCircle,
+  Download,
+  Eye,
+  Paperclip,
+  Upload,
+  XCircle,
+} from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { FilePreview } from "@/components/file-preview";
+import { useUser } from "@/components/user-provider";
+import { useLocationHash } from "@/hooks/use-location-hash";
+import {
+  checkFileAgainstLimits,
+  formatFileSize,
+  getFileUrl,
+} from "@/lib/file-options";
+import { can } from "@/lib/roles";
+
+/**
+ * Uploads `file` to the project, resolving with the stored `{ file }` or an
+ * `{ error }`. Goes to the API with XMLHttpRequest rather than through a
+ * server action, since only it reports upload progress.
+ */
+export function uploadProjectFile(projectId, file, onProgress = () => {}) {
+  return new Promise((resolve) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `/api/projects/${projectId}/files`);
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress((e.loaded / e.total) * 100);
+    };
+    xhr.onload = () => {
+      let body = {};
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch {}
+      if (xhr.status < 300) return resolve({ file: body.file });
+      resolve({ error: body.error ?? "The upload failed" });
+    };
+    xhr.onerror = () =>
+      resolve({ error: "The upload failed. Check your connection." });
+
+    const formData = new FormData();
+    formData.append("file", file);
+    xhr.send(formData);
+  });
+}
+
+/**
+ * The project's files, each opening in a preview drawer with its version
+ * history. The team can upload by dropping files on the drop zone or
+ * choosing them; a file named like one already there becomes its next
+ * version.
+ */
+export function ProjectFiles({ projectId, files, settings }) {
+  const router = useRouter();
+  const user = useUser();
+  const inputRef = useRef(null);
+  const [uploads, setUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  // Id of the file open in the preview drawer.
+  const [previewId, setPreviewId] = useState(null);
+
+  // A link to a file opens it.
+  useLocationHash((hash) => {
+    const fileId = hash.replace(/^#file-/, "");
+    if (files.some((file) => file.id === fileId)) setPreviewId(fileId);
+  });
+
+  const isUploading = uploads.some((upload) => upload.status === "uploading");
+
+  const updateUpload = (index, changes) =>
+    setUploads((current) =>
+      current.map((upload, other) =>
+        other === index ? { ...upload, ...changes } : upload
+      )
+    );
+
+  const uploadFiles = async (fileList) => {
+    const queued = Array.from(fileList).map((file) => {
+      const problem = checkFileAgainstLimits(file, settings);
+      return {
+        name: file.name,
+        file,
+        progress: 0,
+        status: problem ? "failed" : "waiting",
+        error: problem,
+      };
+    });
+    setUploads(queued);
+
+    // One at a time, so each gets the bandwidth to finish.
+    for (const [index, upload] of queued.entries()) {
+      if (upload.status === "failed") continue;
+      updateUpload(index, { status: "uploading" });
+      const result = await uploadProjectFile(
+        projectId,
+        upload.file,
+        (progress) => updateUpload(index, { progress })
+      );
+      updateUpload(
+        index,
+        result.error
+          ? { status: "failed", error: result.error }
+          : { status: "done", progress: 100 }
+      );
+    }
+    router.refresh();
+  };
+
+  return (
+    <div className="space-y-4">
+      {can(user, "files:upload") && (
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setIsDragging(false);
+            if (!isUploading) uploadFiles(e.dataTransfer.files);
+          }}
+          className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
+            isDragging ? "border-blue-500 bg-blue-50" : "border-gray-300"
+          }`}
+        >
+          <Upload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-600 mb-3">
+            Drop files here to upload them, up to {settings.maxFileSizeMb} MB
+            each
+          </p>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            className="hidden"
+            accept={settings.allowedExtensions
+              .map((extension) => `.${extension}`)
+              .join(",")}
+            onChange={(e) => {
+              uploadFiles(e.target.files);
+              e.target.value = "";
+            }}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isUploading}
+            onClick={() => inputRef.current.click()}
+          >
+            Choose Files
+          </Button>
+        </div>
+      )}
+
+      {uploads.map((upload, index) => (
+        <div key={index} className="space-y-1">
+          <div className="flex items-center justify-between text-sm">
+            <span className="truncate">{upload.name}</span>
+            {upload.status === "done" && (
+              <CheckCircle className="w-4 h-4 text-green-600 shrink-0" />
+            )}
+            {upload.status === "failed" && (
+              <XCircle className="w-4 h-4 text-red-600 shrink-0" />
+            )}
+          </div>
+          {upload.status === "failed" ? (
+            <p className="text-sm text-red-600">{upload.error}</p>
+          ) : (
+            <Progress value={upload.progress} className="h-2" />
+          )}
+        </div>
+      ))}
+
+      {files.map((file) => {
+        const current = file.versions[file.versions.length - 1];
+        return (
+          <Card key={file.id} id={`file-${file.id}`}>
+            <CardContent className="p-4">
+              <div className="flex items-center justify-between flex-wrap gap-3">
+                <button
+                  type="button"
+                  onClick={() => setPreviewId(file.id)}
+                  className="flex items-center space-x-3 text-left"
+                >
+                  <div className="w-12 h-12 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden shrink-0">
+                    {current.thumbnailKey ? (
+                      // Served from behind a sign-in, so next/image can't
+                      // optimise it.
+                      // eslint-disable-next-line @next/next/no-img-element
+                      <img
+                        src={getFileUrl(projectId, file.id, {
+                          path: "thumbnail",
+                          version: current.version,
+                        })}
+                        alt=""
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <Paperclip className="w-5 h-5 text-gray-600" />
+                    )}
+                  </div>
+                  <div>
+                    <p className="font-medium flex items-center gap-2 hover:underline">
+                      {file.name}
+                      {current.version > 1 && (
+                        <Badge variant="secondary">v{current.version}</Badge>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatFileSize(current.size)} • Uploaded by{" "}
+                      {current.uploadedBy.name} on{" "}
+                      {format(new Date(current.uploadedAt), "MMM d, yyyy")}
+                    </p>
+                  </div>
+                </button>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setPreviewId(file.id)}
+                  >
+                    <Eye className="w-4 h-4" />
+                    View
+                  </Button>
+                  {current.storageKey && (
+                    <Button variant="outline" size="sm" asChild>
+                      <a href={getFileUrl(projectId, file.id)}>
+                        <Download className="w-4 h-4" />
+                        Download
+                      </a>
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      {files.length === 0 && (
+        <Card className="text-center py-12">
+          <CardContent>
+            <Paperclip className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No files have been shared yet</p>
+          </CardContent>
+        </Card>
+      )}
+
+      <FilePreview
+        projectId={projectId}
+        file={files.find((file) => file.id === previewId) ?? null}
+        onClose={() => setPreviewId(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import {
+  AlertCircle,
+  ArrowDown,
+  ArrowUp,
+  CheckCircle,
+  Clock,
+  Edit,
+  Flag,
+  MessageSquare,
+  Plus,
+  ThumbsUp,
+  Trash2,
+} from "lucide-react";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { CommentThread } from "@/components/comment-thread";
+import { DeleteConfirmationModal } from "@/components/delete-confirmation-modal";
+import { FormAlert } from "@/components/form-alert";
+import { MilestoneDialog } from "@/components/milestone-dialog";
+import { useUser } from "@/components/user-provider";
+import {
+  approveMilestoneAction,
+  deleteMilestoneAction,
+  reorderMilestonesAction,
+  updateMilestoneAction,
+} from "@/app/dashboard/projects/actions";
+import { useLocationHash } from "@/hooks/use-location-hash";
+import { MILESTONE_STATUSES, getOptionLabel } from "@/lib/project-options";
+import { can } from "@/lib/roles";
+
+function getStatusIcon(status) {
+  switch (status) {
+    case "completed":
+      return <CheckCircle className="w-4 h-4 text-green-600" />;
+    case "in-progress":
+      return <Clock className="w-4 h-4 text-blue-600" />;
+    case "pending":
+      return <AlertCircle className="w-4 h-4 text-gray-400" />;
+    default:
+      return <AlertCircle className="w-4 h-4 text-red-600" />;
+  }
+}
+
+function getStatusColor(status) {
+  switch (status) {
+    case "completed":
+      return "bg-green-100 text-green-800";
+    case "in-progress":
+      return "bg-blue-100 text-blue-800";
+    case "pending":
+      return "bg-gray-100 text-gray-800";
+    default:
+      return "bg-red-100 text-red-800";
+  }
+}
+
+/**
+ * The project's milestones in order, each with its comment thread. Managers
+ * can add, edit, reorder, complete and delete them; clients can approve
+ * completed ones. `teamMembers` are who milestones can be given to and
+ * `projectTeam` who can be @mentioned.
+ */
+export function ProjectMilestones({
+  projectId,
+  milestones,
+  teamMembers,
+  comments,
+  projectTeam,
+}) {
+  const router = useRouter();
+  const user = useUser();
+  const canManage = can(user, "milestones:manage");
+  // The milestone being edited, or `true` while adding one.
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  // Id of the milestone an action is running for.
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+  // Id of the milestone whose comments are showing.
+  const [threadId, setThreadId] = useState(null);
+
+  // A link to one of a milestone's comments opens its thread.
+  useLocationHash((hash) => {
+    const commentId = hash.replace(/^#comment-/, "");
+    const comment = comments.find((record) => record.id === commentId);
+    if (comment?.milestoneId) setThreadId(comment.milestoneId);
+  });
+
+  const commentLabel = (milestoneId) => {
+    const count = comments.filter(
+      (comment) => comment.milestoneId === milestoneId && !comment.removed
+    ).length;
+    return count === 0
+      ? "Comment"
+      : count === 1
+        ? "1 Comment"
+        : `${count} Comments`;
+  };
+
+  const completed = milestones.filter(
+    (milestone) => milestone.status === "completed"
+  ).length;
+
+  const runAction = async (milestoneId, action) => {
+    setBusyId(milestoneId);
+    setError("");
+
+    const result = await action();
+    setBusyId(null);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  const move = (index, offset) => {
+    const ids = milestones.map((milestone) => milestone.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    return runAction(milestones[index].id, () =>
+      reorderMilestonesAction(projectId, ids)
+    );
+  };
+
+  const handleDelete = async () => {
+    const result = await deleteMilestoneAction(projectId, deleting.id);
+    if (result.error) throw new Error(result.error);
+    router.refresh();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          {milestones.length
+            ? `${completed} of ${milestones.length} milestones completed`
+            : "No milestones yet"}
+        </p>
+        {canManage && (
+          <Button
+            size="sm"
+            onClick={() => setEditing(true)}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add Milestone
+          </Button>
+        )}
+      </div>
+
+      <FormAlert message={error} />
+
+      {milestones.length === 0 && (
+        <Card className="text-center py-12">
+          <CardContent>
+            <Flag className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">
+              {canManage
+                ? "Break the project into milestones to track its progress"
+                : "The team hasn't set any milestones yet"}
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
+      {milestones.map((milestone, index) => (
+        <Card key={milestone.id} id={`milestone-${milestone.id}`}>
+          <CardContent className="p-6">
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center space-x-2">
+                {getStatusIcon(milestone.status)}
+                <h3 className="font-semibold">{milestone.title}</h3>
+              </div>
+              <Badge className={getStatusColor(milestone.status)}>
+                {getOptionLabel(MILESTONE_STATUSES, milestone.status)}
+              </Badge>
+            </div>
+            <div className="flex items-center justify-between flex-wrap gap-2 text-sm text-gray-600">
+              <span>
+                Due:{" "}
+                {milestone.dueDate
+                  ? format(new Date(milestone.dueDate), "MMM d, yyyy")
+                  : "—"}
+              </span>
+              {milestone.owner ? (
+                <span className="flex items-center space-x-2">
+                  <Avatar className="w-6 h-6">
+                    <AvatarImage
+                      src={milestone.owner.avatar || "/placeholder.svg"}
+                      alt={milestone.owner.name}
+                    />
+                    <AvatarFallback className="text-xs">
+                      {milestone.owner.name
+                        .split(" ")
+                        .map((n) => n[0])
+                        .join("")}
+                    </AvatarFallback>
+                  </Avatar>
+                  <span>{milestone.owner.name}</span>
+                </span>
+              ) : (
+                <span className="text-gray-400">No owner</span>
+              )}
+            </div>
+
+            {milestone.approvedAt ? (
+              <p className="flex items-center text-sm text-green-700 mt-3">
+                <ThumbsUp className="w-4 h-4 mr-2" />
+                Approved by {milestone.approvedBy.name} on{" "}
+                {format(new Date(milestone.approvedAt), "MMM d, yyyy")}
+              </p>
+            ) : (
+              milestone.status === "completed" &&
+              can(user, "milestones:approve") && (
+                <div className="flex justify-end mt-3">
+                  <Button
+                    size="sm"
+                    disabled={busyId === milestone.id}
+                    onClick={() =>
+                      runAction(milestone.id, () =>
+                        approveMilestoneAction(projectId, milestone.id)
+                      )
+                    }
+                  >
+                    <ThumbsUp className="w-4 h-4" />
+                    {busyId === milestone.id ? "Approving..." : "Approve"}
+                  </Button>
+                </div>
+              )
+            )}
+
+            <div className="mt-3">
+              <Button
+                variant="ghost"
+                size="sm"
+                className="px-2 text-gray-600"
+                onClick={() =>
+                  setThreadId(threadId === milestone.id ? null : milestone.id)
+                }
+              >
+                <MessageSquare className="w-4 h-4" />
+                {commentLabel(milestone.id)}
+              </Button>
+              {threadId === milestone.id && (
+                <div className="mt-3">
+                  <CommentThread
+                    projectId={projectId}
+                    comments={comments}
+                    members={projectTeam}
+                    milestoneId={milestone.id}
+                    emptyMessage="No comments on this milestone yet."
+                  />
+                </div>
+              )}
+            </div>
+
+            {canManage && (
+              <div className="flex items-center justify-between flex-wrap gap-2 pt-4 mt-4 border-t border-gray-100">
+                <div className="flex space-x-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    aria-label="Move up"
+                    disabled={index === 0 || busyId !== null}
+                    onClick={() => move(index, -1)}
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    aria-label="Move down"
+                    disabled={
+                      index === milestones.length - 1 || busyId !== null
+                    }
+                    onClick={() => move(index, 1)}
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </Button>
+                </div>
+                <div className="flex space-x-2">
+                  {milestone.status !== "completed" && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={busyId === milestone.id}
+                      onClick={() =>
+                        runAction(milestone.id, () =>
+                          updateMilestoneAction(projectId, milestone.id, {
+                            status: "completed",
+                          })
+                        )
+                      }
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Mark Complete
+                    </Button>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setEditing(milestone)}
+                  >
+                    <Edit className="w-4 h-4" />
+                    Edit
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                    aria-label={`Delete ${milestone.title}`}
+                    onClick={() => setDeleting(milestone)}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+
+      {canManage && (
+        <>
+          <MilestoneDialog
+            key={editing?.id ?? "new"}
+            open={Boolean(editing)}
+            onOpenChange={(open) => !open && setEditing(null)}
+            projectId={projectId}
+            milestone={editing === true ? null : editing}
+            teamMembers={teamMembers}
+          />
+          <DeleteConfirmationModal
+            isOpen={Boolean(deleting)}
+            onClose={() => setDeleting(null)}
+            onConfirm={handleDelete}
+            title="Delete milestone"
+            description={`${deleting?.title ?? ""} will be deleted and the project's progress recalculated.`}
+            requireConfirmation={false}
+          />
+        </>
+      )}
+    </div>
+  );
+}
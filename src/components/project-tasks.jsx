@@ -0,0 +1,269 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import {
+  Calendar,
+  CheckSquare,
+  Clock,
+  Flag,
+  MessageSquare,
+  Plus,
+} from "lucide-react";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { DeleteConfirmationModal } from "@/components/delete-confirmation-modal";
+import { FormAlert } from "@/components/form-alert";
+import { TaskDialog } from "@/components/task-dialog";
+import {
+  deleteTaskAction,
+  moveTaskAction,
+} from "@/app/dashboard/projects/actions";
+import { useLocationHash } from "@/hooks/use-location-hash";
+import { TASK_STATUSES } from "@/lib/project-options";
+
+// Does what `moveTask` does on the server, so a dropped card stays where it
+// was dropped while the board reloads.
+function moveLocally(tasks, id, status, index) {
+  const task = { ...tasks.find((record) => record.id === id), status };
+  const column = tasks.filter(
+    (record) => record.status === status && record.id !== id
+  );
+  column.splice(index, 0, task);
+  return [
+    ...tasks.filter((record) => record.status !== status && record.id !== id),
+    ...column,
+  ];
+}
+
+function TaskCard({ task, commentCount, onOpen, onDragStart, onDrop }) {
+  const checked = task.checklist.filter((item) => item.done).length;
+  const overdue =
+    task.status !== "done" &&
+    task.dueDate &&
+    task.dueDate < format(new Date(), "yyyy-MM-dd");
+
+  return (
+    <div
+      draggable
+      onDragStart={onDragStart}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={onDrop}
+      onClick={onOpen}
+      onKeyDown={(e) => e.key === "Enter" && onOpen()}
+      role="button"
+      tabIndex={0}
+      className="bg-white border rounded-lg p-3 shadow-sm cursor-grab active:cursor-grabbing hover:border-blue-300 space-y-2"
+    >
+      <p className="text-sm font-medium text-gray-900">{task.title}</p>
+      {task.labels.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {task.labels.map((label) => (
+            <Badge key={label} variant="secondary" className="text-xs">
+              {label}
+            </Badge>
+          ))}
+        </div>
+      )}
+      {task.milestone && (
+        <p className="flex items-center text-xs text-gray-500">
+          <Flag className="w-3 h-3 mr-1 shrink-0" />
+          <span className="truncate">{task.milestone.title}</span>
+        </p>
+      )}
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <div className="flex items-center gap-3">
+          {task.dueDate && (
+            <span
+              className={`flex items-center ${overdue ? "text-red-600" : ""}`}
+            >
+              <Calendar className="w-3 h-3 mr-1" />
+              {format(new Date(task.dueDate), "MMM d")}
+            </span>
+          )}
+          {task.estimate !== null && (
+            <span className="flex items-center">
+              <Clock className="w-3 h-3 mr-1" />
+              {task.estimate}h
+            </span>
+          )}
+          {task.checklist.length > 0 && (
+            <span className="flex items-center">
+              <CheckSquare className="w-3 h-3 mr-1" />
+              {checked}/{task.checklist.length}
+            </span>
+          )}
+          {commentCount > 0 && (
+            <span className="flex items-center">
+              <MessageSquare className="w-3 h-3 mr-1" />
+              {commentCount}
+            </span>
+          )}
+        </div>
+        {task.assignee && (
+          <Avatar className="w-6 h-6" title={task.assignee.name}>
+            <AvatarImage
+              src={task.assignee.avatar || "/placeholder.svg"}
+              alt={task.assignee.name}
+            />
+            <AvatarFallback className="text-xs">
+              {task.assignee.name
+                .split(" ")
+                .map((n) => n[0])
+                .join("")}
+            </AvatarFallback>
+          </Avatar>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The project's task board: a column per status, with cards that can be
+ * dragged between and within columns. Clicking a card edits it and shows
+ * its comments.
+ */
+export function ProjectTasks({
+  projectId,
+  tasks,
+  teamMembers,
+  milestones,
+  comments,
+}) {
+  const router = useRouter();
+  const [board, setBoard] = useState(tasks);
+  // The task being edited, or `{ status }` while adding one to that column.
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setBoard(tasks);
+  }, [tasks]);
+
+  // A link to a task or one of its comments opens the task.
+  useLocationHash((hash) => {
+    const [, kind, id] = /^#(task|comment)-(.+)$/.exec(hash) ?? [];
+    const taskId =
+      kind === "task"
+        ? id
+        : comments.find((record) => record.id === id)?.taskId;
+    const task = tasks.find((record) => record.id === taskId);
+    if (task) setEditing(task);
+  });
+
+  const drop = async (status, index) => {
+    if (!draggedId) return;
+    const id = draggedId;
+    setDraggedId(null);
+    setError("");
+    // The card leaves its column before going back in, so dropping it
+    // lower down its own column puts it one place higher than it looks.
+    const from = board
+      .filter((task) => task.status === status)
+      .findIndex((task) => task.id === id);
+    const target = from !== -1 && from < index ? index - 1 : index;
+    setBoard(moveLocally(board, id, status, target));
+
+    const result = await moveTaskAction(projectId, id, status, target);
+    if (result.error) {
+      setError(result.error);
+      setBoard(tasks);
+      return;
+    }
+    router.refresh();
+  };
+
+  const handleDelete = async () => {
+    const result = await deleteTaskAction(projectId, deleting.id);
+    if (result.error) throw new Error(result.error);
+    setEditing(null);
+    router.refresh();
+  };
+
+  return (
+    <div className="space-y-4">
+      <FormAlert message={error} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {TASK_STATUSES.map((column) => {
+          const columnTasks = board.filter(
+            (task) => task.status === column.value
+          );
+          return (
+            <div
+              key={column.value}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => drop(column.value, columnTasks.length)}
+              className="bg-gray-50 rounded-lg p-3 space-y-3 min-h-40"
+            >
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-700">
+                  {column.label}{" "}
+                  <span className="text-gray-400 font-normal">
+                    {columnTasks.length}
+                  </span>
+                </h3>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label={`Add a task to ${column.label}`}
+                  onClick={() => setEditing({ status: column.value })}
+                >
+                  <Plus className="w-4 h-4" />
+                </Button>
+              </div>
+
+              {columnTasks.map((task, index) => (
+                <TaskCard
+                  key={task.id}
+                  task={task}
+                  commentCount={
+                    comments.filter(
+                      (comment) =>
+                        comment.taskId === task.id && !comment.removed
+                    ).length
+                  }
+                  onOpen={() => setEditing(task)}
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = "move";
+                    setDraggedId(task.id);
+                  }}
+                  onDrop={(e) => {
+                    e.stopPropagation();
+                    drop(column.value, index);
+                  }}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <TaskDialog
+        key={editing?.id ?? editing?.status ?? "closed"}
+        open={Boolean(editing)}
+        onOpenChange={(open) => !open && setEditing(null)}
+        projectId={projectId}
+        task={editing?.id ? editing : null}
+        status={editing?.status}
+        teamMembers={teamMembers}
+        milestones={milestones}
+        comments={comments}
+        onDelete={() => setDeleting(editing)}
+      />
+      <DeleteConfirmationModal
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete task"
+        description={`${deleting?.title ?? ""} will be deleted from the board.`}
+        requireConfirmation={false}
+      />
+    </div>
+  );
+}
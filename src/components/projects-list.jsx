@@ -0,0 +1,408 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Plus,
+  Search,
+  Calendar,
+  Users,
+  Clock,
+  DollarSign,
+  Eye,
+  Edit,
+  Trash2,
+  MoreHorizontal,
+  FileText,
+  CheckCircle,
+  AlertCircle,
+  Pause,
+} from "lucide-react";
+import Link from "next/link";
+import { formatCurrency } from "@/lib/utils";
+import {
+  PROJECT_PRIORITIES,
+  PROJECT_STATUSES,
+  PROJECT_TYPES,
+  getOptionLabel,
+} from "@/lib/project-options";
+import { can } from "@/lib/roles";
+import { useUser } from "@/components/user-provider";
+import { MoveToTrashModal } from "@/components/move-to-trash-modal";
+import { deleteProjectAction } from "@/app/dashboard/projects/actions";
+
+export function ProjectsList({ projects }) {
+  const user = useUser();
+  const [deleting, setDeleting] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [typeFilter, setTypeFilter] = useState("all");
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case "completed":
+        return <CheckCircle className="w-4 h-4 text-green-600" />;
+      case "in-progress":
+        return <Clock className="w-4 h-4 text-blue-600" />;
+      case "on-hold":
+        return <Pause className="w-4 h-4 text-yellow-600" />;
+      case "review":
+        return <Eye className="w-4 h-4 text-purple-600" />;
+      case "planning":
+        return <FileText className="w-4 h-4 text-gray-600" />;
+      default:
+        return <AlertCircle className="w-4 h-4 text-red-600" />;
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case "completed":
+        return "bg-green-100 text-green-800 border-green-200";
+      case "in-progress":
+        return "bg-blue-100 text-blue-800 border-blue-200";
+      case "on-hold":
+        return "bg-yellow-100 text-yellow-800 border-yellow-200";
+      case "review":
+        return "bg-purple-100 text-purple-800 border-purple-200";
+      case "planning":
+        return "bg-gray-100 text-gray-800 border-gray-200";
+      default:
+        return "bg-red-100 text-red-800 border-red-200";
+    }
+  };
+
+  const getPriorityColor = (priority) => {
+    switch (priority) {
+      case "urgent":
+      case "high":
+        return "bg-red-100 text-red-800";
+      case "medium":
+        return "bg-yellow-100 text-yellow-800";
+      case "low":
+        return "bg-green-100 text-green-800";
+      default:
+        return "bg-gray-100 text-gray-800";
+    }
+  };
+
+  const filteredProjects = projects.filter((project) => {
+    const matchesSearch =
+      project.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      project.client.toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesStatus =
+      statusFilter === "all" || project.status === statusFilter;
+    const matchesType = typeFilter === "all" || project.type === typeFilter;
+    return matchesSearch && matchesStatus && matchesType;
+  });
+
+  const stats = {
+    total: projects.length,
+    inProgress: projects.filter((p) => p.status === "in-progress").length,
+    completed: projects.filter((p) => p.status === "completed").length,
+    onHold: projects.filter((p) => p.status === "on-hold").length,
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Projects</h1>
+            <p className="text-gray-600">Manage and track all your projects</p>
+          </div>
+          {can(user, "projects:create") && (
+            <Link href={"/dashboard/projects/add"}>
+              <Button className="mt-4 md:mt-0 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700">
+                <Plus className="w-4 h-4" />
+                New Project
+              </Button>
+            </Link>
+          )}
+        </div>
+
+        {/* Stats Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    Total Projects
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.total}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                  <FileText className="w-6 h-6 text-blue-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    In Progress
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.inProgress}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                  <Clock className="w-6 h-6 text-blue-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">Completed</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.completed}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+                  <CheckCircle className="w-6 h-6 text-green-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">On Hold</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.onHold}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-yellow-100 rounded-lg flex items-center justify-center">
+                  <Pause className="w-6 h-6 text-yellow-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Filters and Search */}
+        <Card className="mb-8">
+          <CardContent className="p-6">
+            <div className="flex flex-col md:flex-row gap-4">
+              <div className="flex-1">
+                <div className="relative">
+                  <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    placeholder="Search projects or clients..."
+                    className="pl-10"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                </div>
+              </div>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-full md:w-48">
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Status</SelectItem>
+                  {PROJECT_STATUSES.map((status) => (
+                    <SelectItem key={status.value} value={status.value}>
+                      {status.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={typeFilter} onValueChange={setTypeFilter}>
+                <SelectTrigger className="w-full md:w-48">
+                  <SelectValue placeholder="Filter by type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Types</SelectItem>
+                  {PROJECT_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>
+                      {type.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Projects Grid */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {filteredProjects.map((project) => (
+            <Card
+              key={project.id}
+              className="hover:shadow-lg transition-shadow duration-300"
+            >
+              <CardHeader className="pb-4">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <CardTitle className="text-lg font-semibold text-gray-900 mb-1">
+                      {project.name}
+                    </CardTitle>
+                    <CardDescription className="text-gray-600">
+                      {project.client}
+                    </CardDescription>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Badge className={getPriorityColor(project.priority)}>
+                      {getOptionLabel(PROJECT_PRIORITIES, project.priority)}
+                    </Badge>
+                    <Button variant="ghost" size="sm">
+                      <MoreHorizontal className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <p className="text-sm text-gray-600">{project.description}</p>
+
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2">
+                    {getStatusIcon(project.status)}
+                    <Badge className={getStatusColor(project.status)}>
+                      {getOptionLabel(PROJECT_STATUSES, project.status)}
+                    </Badge>
+                  </div>
+                  <span className="text-sm text-gray-500">
+                    {getOptionLabel(PROJECT_TYPES, project.type)}
+                  </span>
+                </div>
+
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">Progress</span>
+                    <span className="font-medium">{project.progress}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-blue-600 to-purple-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${project.progress}%` }}
+                    ></div>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div className="flex items-center space-x-2">
+                    <Calendar className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">
+                      Due: {project.dueDate}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Users className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">
+                      {project.teamMembers.length} members
+                    </span>
+                  </div>
+                  {can(user, "financials:view") && (
+                    <div className="flex items-center space-x-2">
+                      <DollarSign className="w-4 h-4 text-gray-400" />
+                      <span className="text-gray-600">
+                        {formatCurrency(project.spent)} /{" "}
+                        {formatCurrency(project.budget)}
+                      </span>
+                    </div>
+                  )}
+                  <div className="flex items-center space-x-2">
+                    <Clock className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">
+                      Started: {project.startDate}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+                  <div className="flex space-x-2">
+                    <Link href={`/dashboard/projects/${project.id}`}>
+                      <Button variant="outline" size="sm">
+                        <Eye className="w-4 h-4" />
+                        View
+                      </Button>
+                    </Link>
+                    {can(user, "projects:edit") && (
+                      <Link href={`/dashboard/projects/${project.id}/edit`}>
+                        <Button variant="outline" size="sm">
+                          <Edit className="w-4 h-4" />
+                          Edit
+                        </Button>
+                      </Link>
+                    )}
+                  </div>
+                  {can(user, "projects:delete") && (
+                    <Button
+                      variant="ghost"
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      aria-label={`Delete ${project.name}`}
+                      onClick={() => setDeleting(project)}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        {filteredProjects.length === 0 && (
+          <Card className="text-center py-12">
+            <CardContent>
+              <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                No projects found
+              </h3>
+              <p className="text-gray-600 mb-4">
+                {searchTerm || statusFilter !== "all" || typeFilter !== "all"
+                  ? "Try adjusting your search or filters"
+                  : "Get started by creating your first project"}
+              </p>
+              {can(user, "projects:create") && (
+                <Link href={"/dashboard/projects/add"}>
+                  <Button className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700">
+                    <Plus className="w-4 h-4 mr-2" />
+                    Create Project
+                  </Button>
+                </Link>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      <MoveToTrashModal
+        item={deleting}
+        itemType="project"
+        action={deleteProjectAction}
+        onClose={() => setDeleting(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { formatDistanceToNow } from "date-fns";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Monitor, Smartphone } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { revokeSessionAction } from "@/app/dashboard/settings/actions";
+import { describeUserAgent } from "@/lib/user-agent";
+
+function isMobile(userAgent) {
+  return /iPhone|iPad|Android|Mobile/.test(userAgent ?? "");
+}
+
+export function RecentSessions({ sessions, currentSessionId }) {
+  const router = useRouter();
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError("");
+
+    const result = await revokeSessionAction(sessionId);
+    setRevokingId(null);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Recent Sessions</CardTitle>
+        <CardDescription>
+          Devices that are signed in to your account. Sign out any you
+          don&apos;t recognise.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <FormAlert message={error} />
+
+        {sessions.map((session) => {
+          const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+          const isCurrent = session.id === currentSessionId;
+
+          return (
+            <div
+              key={session.id}
+              className="flex items-center justify-between p-4 border rounded-lg"
+            >
+              <div className="flex items-center space-x-4">
+                <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center">
+                  <DeviceIcon className="w-5 h-5 text-gray-600" />
+                </div>
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <p className="font-medium text-gray-900">
+                      {describeUserAgent(session.userAgent)}
+                    </p>
+                    {isCurrent && (
+                      <Badge className="bg-green-100 text-green-800">
+                        This device
+                      </Badge>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    {session.ip ?? "Unknown IP"} · Active{" "}
+                    {formatDistanceToNow(new Date(session.lastActiveAt), {
+                      addSuffix: true,
+                    })}
+                  </p>
+                </div>
+              </div>
+              {!isCurrent && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revokingId === session.id}
+                >
+                  {revokingId === session.id ? "Signing out..." : "Sign out"}
+                </Button>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
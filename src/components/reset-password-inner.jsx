@@ -4,7 +4,6 @@ import React from "react";
 
 import { useState, useEffect } from "react";
 import Link from "next/link";
-import { useSearchParams } from "next/navigation";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -31,11 +30,15 @@ import {
   RefreshCw,
   AlertTriangle,
 } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { resetPasswordAction } from "@/app/reset-password/actions";
+import {
+  getPasswordRequirements,
+  getPasswordStrength,
+  meetsPasswordPolicy,
+} from "@/lib/password-policy";
 
-const ResetPasswordInner = () => {
-  const searchParams = useSearchParams();
-  const token = searchParams?.get("token");
-
+const ResetPasswordInner = ({ token, isTokenValid: initialTokenValid }) => {
   const [formData, setFormData] = useState({
     password: "",
     confirmPassword: "",
@@ -44,35 +47,16 @@ const ResetPasswordInner = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [isSuccess, setIsSuccess] = useState(false);
-  const [isTokenValid, setIsTokenValid] = useState(true);
+  const [isTokenValid, setIsTokenValid] = useState(initialTokenValid);
+  const [error, setError] = useState("");
   const [mounted, setMounted] = useState(false);
 
   useEffect(() => {
     setMounted(true);
-    // Simulate token validation
-    if (!token) {
-      setIsTokenValid(false);
-    }
-  }, [token]);
+  }, []);
 
-  const getPasswordStrength = (password) => {
-    let strength = 0;
-    if (password.length >= 8) strength += 25;
-    if (/[A-Z]/.test(password)) strength += 25;
-    if (/[0-9]/.test(password)) strength += 25;
-    if (/[^A-Za-z0-9]/.test(password)) strength += 25;
-    return strength;
-  };
-
-  const passwordRequirements = [
-    { text: "At least 8 characters", met: formData.password.length >= 8 },
-    { text: "One uppercase letter", met: /[A-Z]/.test(formData.password) },
-    { text: "One number", met: /[0-9]/.test(formData.password) },
-    {
-      text: "One special character",
-      met: /[^A-Za-z0-9]/.test(formData.password),
-    },
-  ];
+  const passwordRequirements = getPasswordRequirements(formData.password);
+  const meetsPolicy = meetsPasswordPolicy(formData.password);
 
   const passwordStrength = getPasswordStrength(formData.password);
   const getStrengthText = (strength) => {
@@ -85,17 +69,31 @@ const ResetPasswordInner = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (formData.password !== formData.confirmPassword) {
-      alert("Passwords do not match");
+      setError("Passwords do not match");
       return;
     }
-    if (passwordStrength < 50) {
-      alert("Please choose a stronger password");
+    if (!meetsPolicy) {
+      setError("Please choose a password that meets every requirement");
       return;
     }
 
     setIsLoading(true);
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    setError("");
+
+    const result = await resetPasswordAction({
+      token,
+      password: formData.password,
+    });
     setIsLoading(false);
+    if (result.fieldErrors?.token) {
+      setIsTokenValid(false);
+      return;
+    }
+    if (result.error) {
+      setError(result.fieldErrors?.password?.[0] ?? result.error);
+      return;
+    }
+
     setIsSuccess(true);
   };
 
@@ -325,6 +323,8 @@ const ResetPasswordInner = () => {
                 </div>
 
                 <form onSubmit={handleSubmit} className="space-y-5">
+                  <FormAlert message={error} />
+
                   <div className="space-y-2">
                     <Label
                       htmlFor="password"
@@ -469,7 +469,7 @@ const ResetPasswordInner = () => {
                     disabled={
                       isLoading ||
                       formData.password !== formData.confirmPassword ||
-                      passwordStrength < 50
+                      !meetsPolicy
                     }
                   >
                     <div className="absolute inset-0 bg-gradient-to-r from-blue-700 to-purple-700 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
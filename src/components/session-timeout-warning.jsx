@@ -0,0 +1,129 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { usePathname } from "next/navigation";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Clock } from "lucide-react";
+import { useUser } from "@/components/user-provider";
+import { keepSessionAliveAction, logoutAction } from "@/app/dashboard/actions";
+import { getSessionTimeoutMs } from "@/lib/security-options";
+
+const WARNING_MS = 60 * 1000;
+// Matches the server's activity write interval; pinging more often is wasted.
+const KEEP_ALIVE_INTERVAL = 60 * 1000;
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "scroll",
+  "touchstart",
+];
+
+/**
+ * Signs the user out after their chosen idle timeout, with a one-minute
+ * warning first. Activity in the page keeps the server session alive too.
+ */
+export function SessionTimeoutWarning() {
+  const user = useUser();
+  const pathname = usePathname();
+  const timeout = getSessionTimeoutMs(user.security.sessionTimeout);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  // When the server last counted the user as active, on this browser's
+  // clock. It can trail the last mouse move by a couple of minutes, so the
+  // countdown follows the server's rather than the page's idea of idle.
+  const lastActiveAt = useRef(Date.now());
+  const lastKeepAlive = useRef(0);
+  const isWarning = secondsLeft !== null;
+
+  const keepAlive = useCallback(async () => {
+    lastKeepAlive.current = Date.now();
+    const result = await keepSessionAliveAction();
+    if (result.error) {
+      // The session has already ended on the server.
+      window.location.assign(`/logout?next=${encodeURIComponent(pathname)}`);
+      return;
+    }
+    lastActiveAt.current = Date.now() - result.idleMs;
+  }, [pathname]);
+
+  useEffect(() => {
+    if (timeout) keepAlive();
+  }, [timeout, keepAlive]);
+
+  useEffect(() => {
+    if (!timeout) return;
+
+    // Once the warning is up, only "Stay signed in" counts as activity.
+    const handleActivity = () => {
+      if (isWarning) return;
+      if (Date.now() - lastKeepAlive.current > KEEP_ALIVE_INTERVAL) {
+        keepAlive();
+      }
+    };
+
+    const interval = setInterval(() => {
+      const remaining = timeout - (Date.now() - lastActiveAt.current);
+      if (remaining <= 0) {
+        clearInterval(interval);
+        logoutAction(pathname);
+        return;
+      }
+      setSecondsLeft(
+        remaining <= WARNING_MS ? Math.ceil(remaining / 1000) : null
+      );
+    }, 1000);
+
+    for (const event of ACTIVITY_EVENTS) {
+      window.addEventListener(event, handleActivity, { passive: true });
+    }
+    return () => {
+      clearInterval(interval);
+      for (const event of ACTIVITY_EVENTS) {
+        window.removeEventListener(event, handleActivity);
+      }
+    };
+  }, [timeout, pathname, isWarning, keepAlive]);
+
+  const handleStaySignedIn = () => {
+    // Keeps the warning closed until the server's answer is in.
+    lastActiveAt.current = Date.now();
+    setSecondsLeft(null);
+    keepAlive();
+  };
+
+  return (
+    <Dialog open={isWarning}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <div className="flex items-center space-x-2">
+            <div className="w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center">
+              <Clock className="w-5 h-5 text-yellow-600" />
+            </div>
+            <DialogTitle className="text-lg font-semibold text-gray-900">
+              Are you still there?
+            </DialogTitle>
+          </div>
+          <DialogDescription className="text-gray-600 mt-2">
+            You&apos;ll be signed out in {secondsLeft} seconds because of
+            inactivity.
+          </DialogDescription>
+        </DialogHeader>
+
+        <DialogFooter className="flex space-x-2">
+          <Button variant="outline" onClick={() => logoutAction()}>
+            Sign out
+          </Button>
+          <Button onClick={handleStaySignedIn}>Stay signed in</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
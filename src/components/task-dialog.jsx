@@ -0,0 +1,444 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { CalendarIcon, Plus, Save, Trash2, X } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Textarea } from "@/components/ui/textarea";
+import { CommentThread } from "@/components/comment-thread";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import {
+  createTaskAction,
+  updateTaskAction,
+} from "@/app/dashboard/projects/actions";
+import { TASK_STATUSES } from "@/lib/project-options";
+
+// Select value for "nobody" / "no milestone"; Radix selects can't use an
+// empty string.
+const NONE = "none";
+
+function toFormData(task, status) {
+  return {
+    title: task?.title ?? "",
+    description: task?.description ?? "",
+    status: task?.status ?? status ?? "backlog",
+    assigneeId: task?.assigneeId ?? NONE,
+    milestoneId: task?.milestoneId ?? NONE,
+    estimate: task?.estimate ?? "",
+    dueDate: task?.dueDate ? new Date(task.dueDate) : null,
+    labels: task?.labels ?? [],
+    checklist: task?.checklist ?? [],
+  };
+}
+
+/**
+ * Adds a task to the board, in the `status` column, or edits `task` when one
+ * is given and shows its comments. Render it with a `key` per task so the
+ * form starts from its values.
+ */
+export function TaskDialog({
+  open,
+  onOpenChange,
+  projectId,
+  task,
+  status,
+  teamMembers,
+  milestones,
+  comments,
+  onDelete,
+}) {
+  const router = useRouter();
+  const [formData, setFormData] = useState(() => toFormData(task, status));
+  const [newLabel, setNewLabel] = useState("");
+  const [newItem, setNewItem] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen) {
+      setFormData(toFormData(task, status));
+      setNewLabel("");
+      setNewItem("");
+      setError("");
+      setFieldErrors({});
+    }
+    onOpenChange(nextOpen);
+  };
+
+  const addLabel = () => {
+    const label = newLabel.trim();
+    if (label && !formData.labels.includes(label)) {
+      setFormData({ ...formData, labels: [...formData.labels, label] });
+    }
+    setNewLabel("");
+  };
+
+  const removeLabel = (label) => {
+    setFormData({
+      ...formData,
+      labels: formData.labels.filter((other) => other !== label),
+    });
+  };
+
+  const addItem = () => {
+    const text = newItem.trim();
+    if (text) {
+      setFormData({
+        ...formData,
+        checklist: [...formData.checklist, { text, done: false }],
+      });
+    }
+    setNewItem("");
+  };
+
+  const updateItem = (index, changes) => {
+    setFormData({
+      ...formData,
+      checklist: formData.checklist.map((item, other) =>
+        other === index ? { ...item, ...changes } : item
+      ),
+    });
+  };
+
+  const removeItem = (index) => {
+    setFormData({
+      ...formData,
+      checklist: formData.checklist.filter((_, other) => other !== index),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+    setFieldErrors({});
+
+    const input = {
+      ...formData,
+      assigneeId: formData.assigneeId === NONE ? null : formData.assigneeId,
+      milestoneId: formData.milestoneId === NONE ? null : formData.milestoneId,
+      dueDate: formData.dueDate ? format(formData.dueDate, "yyyy-MM-dd") : null,
+    };
+    const result = task
+      ? await updateTaskAction(projectId, task.id, input)
+      : await createTaskAction(projectId, input);
+    setIsSaving(false);
+    if (result.error) {
+      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    handleOpenChange(false);
+    router.refresh();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>{task ? "Edit task" : "Add a task"}</DialogTitle>
+            <DialogDescription>
+              Changes to tasks show up in the project&apos;s activity feed.
+            </DialogDescription>
+          </DialogHeader>
+
+          <FormAlert message={error} />
+
+          <div className="space-y-2">
+            <Label htmlFor="task-title">Title</Label>
+            <Input
+              id="task-title"
+              placeholder="e.g. Build the homepage component"
+              value={formData.title}
+              onChange={(e) =>
+                setFormData({ ...formData, title: e.target.value })
+              }
+              required
+            />
+            <FieldError errors={fieldErrors.title} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="task-description">Description</Label>
+            <Textarea
+              id="task-description"
+              value={formData.description}
+              onChange={(e) =>
+                setFormData({ ...formData, description: e.target.value })
+              }
+              rows={3}
+            />
+            <FieldError errors={fieldErrors.description} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="task-status">Status</Label>
+              <Select
+                value={formData.status}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, status: value })
+                }
+              >
+                <SelectTrigger id="task-status" className="w-full">
+                  <SelectValue placeholder="Select a status" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TASK_STATUSES.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.status} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="task-assignee">Assignee</Label>
+              <Select
+                value={formData.assigneeId}
+                onValueChange={(value) =>
+                  setFormData({ ...formData, assigneeId: value })
+                }
+              >
+                <SelectTrigger id="task-assignee" className="w-full">
+                  <SelectValue placeholder="Select someone" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NONE}>Unassigned</SelectItem>
+                  {teamMembers.map((member) => (
+                    <SelectItem key={member.id} value={member.id}>
+                      {member.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FieldError errors={fieldErrors.assigneeId} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="task-milestone">Milestone</Label>
+            <Select
+              value={formData.milestoneId}
+              onValueChange={(value) =>
+                setFormData({ ...formData, milestoneId: value })
+              }
+            >
+              <SelectTrigger id="task-milestone" className="w-full">
+                <SelectValue placeholder="Select a milestone" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NONE}>No milestone</SelectItem>
+                {milestones.map((milestone) => (
+                  <SelectItem key={milestone.id} value={milestone.id}>
+                    {milestone.title}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <FieldError errors={fieldErrors.milestoneId} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="task-estimate">Estimate (hours)</Label>
+              <Input
+                id="task-estimate"
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder="e.g. 4"
+                value={formData.estimate}
+                onChange={(e) =>
+                  setFormData({ ...formData, estimate: e.target.value })
+                }
+              />
+              <FieldError errors={fieldErrors.estimate} />
+            </div>
+            <div className="space-y-2">
+              <Label>Due Date</Label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button
+                    variant="outline"
+                    className="w-full justify-start text-left font-normal"
+                  >
+                    <CalendarIcon className="mr-2 h-4 w-4" />
+                    {formData.dueDate
+                      ? format(formData.dueDate, "PP")
+                      : "Pick a date"}
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0">
+                  <Calendar
+                    mode="single"
+                    selected={formData.dueDate}
+                    onSelect={(date) =>
+                      setFormData({ ...formData, dueDate: date ?? null })
+                    }
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+              <FieldError errors={fieldErrors.dueDate} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="task-label">Labels</Label>
+            <div className="flex space-x-2">
+              <Input
+                id="task-label"
+                placeholder="Add a label"
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+                onKeyDown={(e) =>
+                  e.key === "Enter" && (e.preventDefault(), addLabel())
+                }
+              />
+              <Button type="button" variant="outline" onClick={addLabel}>
+                Add
+              </Button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {formData.labels.map((label) => (
+                <Badge
+                  key={label}
+                  variant="secondary"
+                  className="flex items-center gap-1"
+                >
+                  {label}
+                  <X
+                    className="w-3 h-3 cursor-pointer"
+                    onClick={() => removeLabel(label)}
+                  />
+                </Badge>
+              ))}
+            </div>
+            <FieldError errors={fieldErrors.labels} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="task-checklist">Checklist</Label>
+            {formData.checklist.map((item, index) => (
+              <div key={item.id ?? index} className="flex items-center gap-2">
+                <Checkbox
+                  checked={item.done}
+                  onCheckedChange={(checked) =>
+                    updateItem(index, { done: checked === true })
+                  }
+                  aria-label={`Mark "${item.text}" done`}
+                />
+                <Input
+                  value={item.text}
+                  onChange={(e) => updateItem(index, { text: e.target.value })}
+                  className="h-8"
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  aria-label={`Remove "${item.text}"`}
+                  onClick={() => removeItem(index)}
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <div className="flex space-x-2">
+              <Input
+                id="task-checklist"
+                placeholder="Add an item"
+                value={newItem}
+                onChange={(e) => setNewItem(e.target.value)}
+                onKeyDown={(e) =>
+                  e.key === "Enter" && (e.preventDefault(), addItem())
+                }
+              />
+              <Button type="button" variant="outline" onClick={addItem}>
+                <Plus className="w-4 h-4" />
+                Add
+              </Button>
+            </div>
+            <FieldError errors={fieldErrors.checklist} />
+          </div>
+
+          <DialogFooter className="gap-2">
+            {task && (
+              <Button
+                type="button"
+                variant="ghost"
+                className="text-red-600 hover:text-red-700 hover:bg-red-50 sm:mr-auto"
+                onClick={onDelete}
+                disabled={isSaving}
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete
+              </Button>
+            )}
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              disabled={isSaving}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSaving}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+            >
+              <Save className="w-4 h-4" />
+              {isSaving ? "Saving..." : "Save Task"}
+            </Button>
+          </DialogFooter>
+        </form>
+
+        {task && (
+          <div className="border-t pt-4 space-y-3">
+            <h3 className="font-medium">Comments</h3>
+            <CommentThread
+              projectId={projectId}
+              comments={comments}
+              members={teamMembers}
+              taskId={task.id}
+              emptyMessage="No comments on this task yet."
+            />
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
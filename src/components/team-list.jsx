@@ -0,0 +1,447 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import {
+  Plus,
+  Search,
+  Phone,
+  MapPin,
+  Calendar,
+  Eye,
+  Edit,
+  Trash2,
+  MoreHorizontal,
+  Users,
+  Clock,
+  CheckCircle,
+  Star,
+  Award,
+} from "lucide-react";
+import { InviteMemberDialog } from "@/components/invite-member-dialog";
+import { MoveToTrashModal } from "@/components/move-to-trash-modal";
+import { PendingInvitations } from "@/components/pending-invitations";
+import { useUser } from "@/components/user-provider";
+import { deleteTeamMemberAction } from "@/app/dashboard/team/actions";
+import { can } from "@/lib/roles";
+import { formatCurrency } from "@/lib/utils";
+
+export function TeamList({ teamMembers, invitations }) {
+  const user = useUser();
+  const showRates = can(user, "financials:view");
+  const canInvite = can(user, "team:invite");
+  const [inviteOpen, setInviteOpen] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [roleFilter, setRoleFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  const roles = [...new Set(teamMembers.map((member) => member.role))];
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case "Active":
+        return "bg-green-100 text-green-800 border-green-200";
+      case "On Leave":
+        return "bg-yellow-100 text-yellow-800 border-yellow-200";
+      case "Inactive":
+        return "bg-gray-100 text-gray-800 border-gray-200";
+      default:
+        return "bg-gray-100 text-gray-800 border-gray-200";
+    }
+  };
+
+  const getRoleColor = (role) => {
+    switch (role) {
+      case "Project Manager":
+        return "bg-purple-100 text-purple-800";
+      case "UI/UX Designer":
+        return "bg-pink-100 text-pink-800";
+      case "Frontend Developer":
+        return "bg-blue-100 text-blue-800";
+      case "Backend Developer":
+        return "bg-green-100 text-green-800";
+      case "QA Engineer":
+        return "bg-orange-100 text-orange-800";
+      case "Marketing Specialist":
+        return "bg-red-100 text-red-800";
+      default:
+        return "bg-gray-100 text-gray-800";
+    }
+  };
+
+  const renderStars = (rating) => {
+    return Array.from({ length: 5 }, (_, i) => (
+      <Star
+        key={i}
+        className={`w-4 h-4 ${
+          i < Math.floor(rating)
+            ? "text-yellow-400 fill-current"
+            : "text-gray-300"
+        }`}
+      />
+    ));
+  };
+
+  const filteredMembers = teamMembers.filter((member) => {
+    const matchesSearch =
+      member.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      member.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      member.role.toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesRole = roleFilter === "all" || member.role === roleFilter;
+    const matchesStatus =
+      statusFilter === "all" || member.status === statusFilter;
+    return matchesSearch && matchesRole && matchesStatus;
+  });
+
+  const stats = {
+    total: teamMembers.length,
+    active: teamMembers.filter((m) => m.status === "Active").length,
+    totalHours: teamMembers.reduce((sum, member) => sum + member.totalHours, 0),
+    avgRating: teamMembers.length
+      ? teamMembers.reduce((sum, member) => sum + member.rating, 0) /
+        teamMembers.length
+      : 0,
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Team</h1>
+            <p className="text-gray-600">
+              Manage your team members and their roles
+            </p>
+          </div>
+          {canInvite && (
+            <Button
+              className="mt-4 md:mt-0 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+              onClick={() => setInviteOpen(true)}
+            >
+              <Plus className="w-4 h-4" />
+              Invite Member
+            </Button>
+          )}
+        </div>
+
+        {/* Stats Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    Total Members
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.total}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                  <Users className="w-6 h-6 text-blue-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    Active Members
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.active}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+                  <CheckCircle className="w-6 h-6 text-green-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    Total Hours
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.totalHours.toLocaleString()}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                  <Clock className="w-6 h-6 text-purple-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-6">
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col gap-1">
+                  <p className="text-sm font-medium text-gray-600">
+                    Avg Rating
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.avgRating.toFixed(1)}
+                  </p>
+                </div>
+                <div className="w-12 h-12 bg-yellow-100 rounded-lg flex items-center justify-center">
+                  <Award className="w-6 h-6 text-yellow-600" />
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Filters and Search */}
+        <Card className="mb-8">
+          <CardContent className="p-6">
+            <div className="flex flex-col md:flex-row gap-4">
+              <div className="flex-1">
+                <div className="relative">
+                  <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    placeholder="Search team members..."
+                    className="pl-10"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                </div>
+              </div>
+              <Select value={roleFilter} onValueChange={setRoleFilter}>
+                <SelectTrigger className="w-full md:w-48">
+                  <SelectValue placeholder="Filter by role" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Roles</SelectItem>
+                  {roles.map((role) => (
+                    <SelectItem key={role} value={role}>
+                      {role}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-full md:w-48">
+                  <SelectValue placeholder="Filter by status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Status</SelectItem>
+                  <SelectItem value="Active">Active</SelectItem>
+                  <SelectItem value="On Leave">On Leave</SelectItem>
+                  <SelectItem value="Inactive">Inactive</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </CardContent>
+        </Card>
+
+        {invitations.length > 0 && (
+          <PendingInvitations invitations={invitations} />
+        )}
+
+        {/* Team Members Grid */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {filteredMembers.map((member) => (
+            <Card
+              key={member.id}
+              className="hover:shadow-lg transition-shadow duration-300"
+            >
+              <CardHeader className="pb-4">
+                <div className="flex items-start justify-between">
+                  <div className="flex items-center space-x-3">
+                    <Avatar className="w-12 h-12">
+                      <AvatarImage
+                        src={member.avatar || "/placeholder.svg"}
+                        alt={member.name}
+                      />
+                      <AvatarFallback>
+                        {member.name
+                          .split(" ")
+                          .map((n) => n[0])
+                          .join("")}
+                      </AvatarFallback>
+                    </Avatar>
+                    <div>
+                      <CardTitle className="text-lg font-semibold text-gray-900">
+                        {member.name}
+                      </CardTitle>
+                      <CardDescription className="text-gray-600">
+                        {member.email}
+                      </CardDescription>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Badge className={getStatusColor(member.status)}>
+                      {member.status}
+                    </Badge>
+                    <Button variant="ghost" size="sm">
+                      <MoreHorizontal className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <Badge className={getRoleColor(member.role)}>
+                    {member.role}
+                  </Badge>
+                  <div className="flex items-center space-x-1">
+                    {renderStars(member.rating)}
+                    <span className="text-sm text-gray-600 ml-1">
+                      ({member.rating})
+                    </span>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div className="flex items-center space-x-2">
+                    <Phone className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">{member.phone}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <MapPin className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">{member.location}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Calendar className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">
+                      Joined: {member.joinDate}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Clock className="w-4 h-4 text-gray-400" />
+                    <span className="text-gray-600">{member.lastActive}</span>
+                  </div>
+                </div>
+
+                <div
+                  className={`grid ${
+                    showRates ? "grid-cols-3" : "grid-cols-2"
+                  } gap-4 text-center py-3 bg-gray-50 rounded-lg`}
+                >
+                  <div>
+                    <p className="text-lg font-semibold text-gray-900">
+                      {member.activeProjects}
+                    </p>
+                    <p className="text-xs text-gray-500">Active Projects</p>
+                  </div>
+                  <div>
+                    <p className="text-lg font-semibold text-gray-900">
+                      {member.completedProjects}
+                    </p>
+                    <p className="text-xs text-gray-500">Completed</p>
+                  </div>
+                  {showRates && (
+                    <div>
+                      <p className="text-lg font-semibold text-gray-900">
+                        {formatCurrency(member.hourlyRate)}
+                      </p>
+                      <p className="text-xs text-gray-500">Hourly Rate</p>
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Skills
+                  </p>
+                  <div className="flex flex-wrap gap-1">
+                    {member.skills.map((skill) => (
+                      <Badge key={skill} variant="outline" className="text-xs">
+                        {skill}
+                      </Badge>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+                  <div className="flex space-x-2">
+                    <Button variant="outline" size="sm">
+                      <Eye className="w-4 h-4 " />
+                      View
+                    </Button>
+                    <Button variant="outline" size="sm">
+                      <Edit className="w-4 h-4 " />
+                      Edit
+                    </Button>
+                  </div>
+                  {can(user, "team:remove") && (
+                    <Button
+                      variant="ghost"
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      aria-label={`Remove ${member.name}`}
+                      onClick={() => setDeleting(member)}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        {filteredMembers.length === 0 && (
+          <Card className="text-center py-12">
+            <CardContent>
+              <Users className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                No team members found
+              </h3>
+              <p className="text-gray-600 mb-4">
+                {searchTerm || roleFilter !== "all" || statusFilter !== "all"
+                  ? "Try adjusting your search or filters"
+                  : "Get started by inviting your first team member"}
+              </p>
+              {canInvite && (
+                <Button
+                  className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                  onClick={() => setInviteOpen(true)}
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  Invite Member
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      {canInvite && (
+        <InviteMemberDialog open={inviteOpen} onOpenChange={setInviteOpen} />
+      )}
+      <MoveToTrashModal
+        item={deleting}
+        itemType="team member"
+        action={deleteTeamMemberAction}
+        onClose={() => setDeleting(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { FormAlert } from "@/components/form-alert";
+import { restoreFromTrashAction } from "@/app/dashboard/trash/actions";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash-options";
+
+export function TrashList({ items }) {
+  const router = useRouter();
+  // Id of the item being restored.
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const restore = async (item) => {
+    setBusyId(item.id);
+    setError("");
+
+    const result = await restoreFromTrashAction(item.entityType, item.id);
+    setBusyId(null);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    router.refresh();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Trash</h1>
+          <p className="text-gray-600">
+            Deleted projects, clients and team members can be restored for{" "}
+            {TRASH_RETENTION_DAYS} days
+          </p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Deleted Items</CardTitle>
+            <CardDescription>
+              After {TRASH_RETENTION_DAYS} days, items are deleted permanently
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <FormAlert message={error} />
+            {items.map((item) => (
+              <div
+                key={`${item.entityType}:${item.id}`}
+                className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 border rounded-lg"
+              >
+                <div>
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <p className="font-medium text-gray-900">{item.name}</p>
+                    <Badge variant="outline">{item.typeLabel}</Badge>
+                    {item.description && (
+                      <span className="text-sm text-gray-500">
+                        {item.description}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    Deleted by {item.deletedBy.name} on{" "}
+                    {format(new Date(item.deletedAt), "MMM d, yyyy")} ·
+                    Permanently deleted on{" "}
+                    {format(new Date(item.purgeAt), "MMM d, yyyy")}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={busyId === item.id}
+                  onClick={() => restore(item)}
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  {busyId === item.id ? "Restoring..." : "Restore"}
+                </Button>
+              </div>
+            ))}
+
+            {items.length === 0 && (
+              <div className="text-center py-12">
+                <Trash2 className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                  The trash is empty
+                </h3>
+                <p className="text-gray-600">
+                  Deleted projects, clients and team members show up here
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
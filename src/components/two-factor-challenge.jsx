@@ -0,0 +1,123 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowLeft, KeyRound, ShieldCheck } from "lucide-react";
+import { FormAlert } from "@/components/form-alert";
+import { verifyTwoFactorAction } from "@/app/login/actions";
+
+/** Second login step for accounts with two-factor authentication. */
+export function TwoFactorChallenge({ onVerified, onCancel }) {
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    const result = await verifyTwoFactorAction({ code });
+    if (result.error) {
+      setError(result.error);
+      setIsLoading(false);
+      return;
+    }
+
+    onVerified();
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode("");
+    setError("");
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md shadow-2xl border-0 backdrop-blur-xl bg-white/90">
+        <CardHeader className="text-center space-y-6 pb-6">
+          <div className="mx-auto w-20 h-20 bg-gradient-to-r from-blue-600 to-purple-600 rounded-3xl flex items-center justify-center shadow-2xl">
+            <ShieldCheck className="w-10 h-10 text-white" />
+          </div>
+          <div>
+            <CardTitle className="text-2xl font-bold text-gray-900 mb-2">
+              Two-Factor Authentication
+            </CardTitle>
+            <CardDescription className="text-gray-600 text-base">
+              {useRecoveryCode
+                ? "Enter one of your saved recovery codes"
+                : "Enter the 6-digit code from your authenticator app"}
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <FormAlert message={error} />
+
+            <div className="space-y-2">
+              <Label
+                htmlFor="code"
+                className="text-sm font-semibold text-gray-700"
+              >
+                {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+              </Label>
+              <div className="relative group">
+                <KeyRound className="absolute left-3 top-3.5 h-5 w-5 text-gray-400 group-focus-within:text-blue-500 transition-colors duration-200" />
+                <Input
+                  id="code"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  autoComplete="one-time-code"
+                  placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                  className="pl-11 h-12 font-mono tracking-widest border-gray-200 focus:border-blue-500 focus:ring-blue-500/20"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoFocus
+                  required
+                />
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white font-semibold"
+              disabled={isLoading}
+            >
+              {isLoading ? "Verifying..." : "Verify"}
+            </Button>
+          </form>
+
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              className="flex items-center text-gray-600 hover:text-gray-900"
+              onClick={onCancel}
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              Back to sign in
+            </button>
+            <button
+              type="button"
+              className="text-blue-600 hover:text-blue-700 hover:underline font-semibold"
+              onClick={toggleRecoveryCode}
+            >
+              {useRecoveryCode
+                ? "Use authenticator app"
+                : "Use a recovery code"}
+            </button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
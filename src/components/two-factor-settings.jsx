@@ -0,0 +1,294 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Copy, ShieldCheck } from "lucide-react";
+import { FieldError } from "@/components/field-error";
+import { FormAlert } from "@/components/form-alert";
+import { useUser } from "@/components/user-provider";
+import {
+  beginTwoFactorSetupAction,
+  confirmTwoFactorSetupAction,
+  disableTwoFactorAction,
+} from "@/app/dashboard/settings/actions";
+
+export function TwoFactorSettings() {
+  const router = useRouter();
+  const user = useUser();
+  // "setup" → "recovery" when enabling, "disable" when turning it off.
+  const [step, setStep] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const enabled = user.twoFactorEnabled;
+
+  const reset = () => {
+    setStep(null);
+    setSetup(null);
+    setRecoveryCodes([]);
+    setCode("");
+    setPassword("");
+    setError("");
+    setFieldErrors({});
+  };
+
+  const showError = (result) => {
+    setError(result.error);
+    setFieldErrors(result.fieldErrors ?? {});
+  };
+
+  const handleToggle = async (checked) => {
+    reset();
+    if (!checked) {
+      setStep("disable");
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await beginTwoFactorSetupAction();
+    setIsSubmitting(false);
+    if (result.error) {
+      showError(result);
+      return;
+    }
+    setSetup(result);
+    setStep("setup");
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await confirmTwoFactorSetupAction({ code });
+    setIsSubmitting(false);
+    if (result.error) {
+      showError(result);
+      return;
+    }
+    setRecoveryCodes(result.recoveryCodes);
+    setStep("recovery");
+    router.refresh();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError("");
+    setFieldErrors({});
+
+    const result = await disableTwoFactorAction(
+      user.hasPassword ? { password } : { code }
+    );
+    setIsSubmitting(false);
+    if (result.error) {
+      showError(result);
+      return;
+    }
+    reset();
+    router.refresh();
+  };
+
+  return (
+    <>
+      <div className="flex items-center justify-between">
+        <div className="space-y-0.5">
+          <Label className="text-base">Two-Factor Authentication</Label>
+          <p className="text-sm text-gray-500">
+            Add an extra layer of security to your account
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Switch
+            checked={enabled}
+            disabled={isSubmitting}
+            onCheckedChange={handleToggle}
+          />
+          {enabled && (
+            <Badge className="bg-green-100 text-green-800">Enabled</Badge>
+          )}
+        </div>
+      </div>
+      {!step && <FormAlert message={error} />}
+
+      <Dialog open={step === "setup"} onOpenChange={(open) => !open && reset()}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Set up two-factor authentication</DialogTitle>
+            <DialogDescription>
+              Scan the QR code with an authenticator app such as Google
+              Authenticator or 1Password, then enter the 6-digit code it shows.
+            </DialogDescription>
+          </DialogHeader>
+
+          {setup && (
+            <form onSubmit={handleConfirm} className="space-y-4">
+              <div className="flex justify-center">
+                {/* Data URL generated on the server, so next/image adds nothing. */}
+                {/* eslint-disable-next-line @next/next/no-img-element */}
+                <img
+                  src={setup.qrCode}
+                  alt="QR code for your authenticator app"
+                  className="w-48 h-48"
+                />
+              </div>
+              <div className="space-y-1 text-center">
+                <p className="text-sm text-gray-500">
+                  Can&apos;t scan it? Enter this key instead:
+                </p>
+                <code className="block text-sm font-mono break-all">
+                  {setup.secret}
+                </code>
+              </div>
+
+              <FormAlert message={error} />
+
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorCode">Verification code</Label>
+                <Input
+                  id="twoFactorCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                  className="font-mono tracking-widest"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                />
+                <FieldError errors={fieldErrors.code} />
+              </div>
+
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={reset}>
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting ? "Verifying..." : "Verify and enable"}
+                </Button>
+              </DialogFooter>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={step === "recovery"}
+        onOpenChange={(open) => !open && reset()}
+      >
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <div className="flex items-center space-x-2">
+              <ShieldCheck className="w-5 h-5 text-green-600" />
+              <DialogTitle>Save your recovery codes</DialogTitle>
+            </div>
+            <DialogDescription>
+              Each code can be used once to sign in if you lose access to your
+              authenticator app. They won&apos;t be shown again.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 p-4 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+
+          <DialogFooter>
+            <Button
+              variant="outline"
+              onClick={() =>
+                navigator.clipboard.writeText(recoveryCodes.join("\n"))
+              }
+            >
+              <Copy className="w-4 h-4" />
+              Copy codes
+            </Button>
+            <Button onClick={reset}>I&apos;ve saved them</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog
+        open={step === "disable"}
+        onOpenChange={(open) => !open && reset()}
+      >
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Turn off two-factor authentication</DialogTitle>
+            <DialogDescription>
+              {user.hasPassword
+                ? "Enter your password to confirm."
+                : "Enter a code from your authenticator app, or a recovery code, to confirm."}{" "}
+              Your recovery codes will stop working.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleDisable} className="space-y-4">
+            <FormAlert message={error} />
+
+            {user.hasPassword ? (
+              <div className="space-y-2">
+                <Label htmlFor="disableTwoFactorPassword">Password</Label>
+                <Input
+                  id="disableTwoFactorPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+                <FieldError errors={fieldErrors.password} />
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <Label htmlFor="disableTwoFactorCode">
+                  Authentication code
+                </Label>
+                <Input
+                  id="disableTwoFactorCode"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                />
+                <FieldError errors={fieldErrors.code} />
+              </div>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={reset}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="destructive"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? "Turning off..." : "Turn off 2FA"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,185 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import {
+  AlertTriangle,
+  ArrowRight,
+  CheckCircle,
+  LockOpen,
+  RefreshCw,
+  Shield,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { FormAlert } from "@/components/form-alert";
+import { unlockAccountAction } from "@/app/unlock-account/actions";
+
+// The link only unlocks on a button press, so mail scanners that follow
+// links don't use it up.
+export function UnlockAccount({ token, isTokenValid: initialTokenValid }) {
+  const [isTokenValid, setIsTokenValid] = useState(initialTokenValid);
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleUnlock = async () => {
+    setIsLoading(true);
+    setError("");
+
+    const result = await unlockAccountAction({ token });
+    setIsLoading(false);
+    if (result.fieldErrors?.token) {
+      setIsTokenValid(false);
+      return;
+    }
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+
+    setIsUnlocked(true);
+  };
+
+  if (!isTokenValid) {
+    return (
+      <UnlockLayout
+        tone="error"
+        icon={AlertTriangle}
+        title="Invalid Unlock Link"
+        description="This unlock link is invalid or has expired"
+      >
+        <div className="bg-gradient-to-r from-red-50 to-orange-50 rounded-xl p-5 border border-red-100">
+          <p className="text-sm text-gray-700 text-center">
+            Unlock links only work while the account is locked, and locks lift
+            on their own after 15 minutes. If you can&apos;t remember your
+            password, reset it instead.
+          </p>
+        </div>
+
+        <div className="space-y-3">
+          <Button
+            asChild
+            className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            <Link href="/forgot-password">
+              <RefreshCw className="w-5 h-5 mr-2" />
+              Reset Password
+            </Link>
+          </Button>
+          <Button variant="outline" asChild className="w-full h-12">
+            <Link href="/login">Back to Login</Link>
+          </Button>
+        </div>
+      </UnlockLayout>
+    );
+  }
+
+  if (isUnlocked) {
+    return (
+      <UnlockLayout
+        tone="success"
+        icon={CheckCircle}
+        title="Account Unlocked"
+        description="You can sign in again straight away"
+      >
+        <Button
+          asChild
+          className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+        >
+          <Link href="/login">
+            <Shield className="w-5 h-5 mr-2" />
+            Sign In Now
+            <ArrowRight className="w-4 h-4 ml-2" />
+          </Link>
+        </Button>
+      </UnlockLayout>
+    );
+  }
+
+  return (
+    <UnlockLayout
+      tone="default"
+      icon={LockOpen}
+      title="Unlock Your Account"
+      description="Your account was locked after too many failed sign-in attempts"
+    >
+      <FormAlert message={error} />
+
+      <div className="bg-gradient-to-r from-blue-50 to-purple-50 rounded-xl p-5 border border-blue-100">
+        <p className="text-sm text-gray-700 text-center">
+          If those attempts weren&apos;t you, someone may be guessing your
+          password. Consider resetting it once you&apos;re signed in.
+        </p>
+      </div>
+
+      <Button
+        onClick={handleUnlock}
+        disabled={isLoading}
+        className="w-full h-12 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+      >
+        {isLoading ? (
+          <>
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+            Unlocking...
+          </>
+        ) : (
+          <>
+            <LockOpen className="w-5 h-5 mr-2" />
+            Unlock Account
+          </>
+        )}
+      </Button>
+    </UnlockLayout>
+  );
+}
+
+const TONES = {
+  default: {
+    background: "from-slate-50 via-blue-50 to-indigo-100",
+    icon: "from-blue-600 to-purple-600",
+  },
+  success: {
+    background: "from-slate-50 via-green-50 to-emerald-100",
+    icon: "from-green-500 to-emerald-500",
+  },
+  error: {
+    background: "from-slate-50 via-red-50 to-orange-100",
+    icon: "from-red-500 to-orange-500",
+  },
+};
+
+function UnlockLayout({ tone, icon: Icon, title, description, children }) {
+  const colors = TONES[tone];
+
+  return (
+    <div
+      className={`min-h-screen bg-gradient-to-br ${colors.background} flex items-center justify-center p-4`}
+    >
+      <Card className="w-full max-w-md shadow-2xl border-0 backdrop-blur-xl bg-white/90">
+        <CardHeader className="text-center space-y-6 pb-6">
+          <div
+            className={`mx-auto w-24 h-24 bg-gradient-to-r ${colors.icon} rounded-full flex items-center justify-center shadow-2xl`}
+          >
+            <Icon className="w-12 h-12 text-white" />
+          </div>
+          <div>
+            <CardTitle className="text-3xl font-bold text-gray-900 mb-3">
+              {title}
+            </CardTitle>
+            <CardDescription className="text-gray-600 text-base">
+              {description}
+            </CardDescription>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6">{children}</CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+"use client";
+
+import { createContext, useContext } from "react";
+
+const UserContext = createContext(null);
+
+export function UserProvider({ user, children }) {
+  return <UserContext.Provider value={user}>{children}</UserContext.Provider>;
+}
+
+/** The signed-in user, as loaded from the session by the dashboard layout. */
+export function useUser() {
+  return useContext(UserContext);
+}
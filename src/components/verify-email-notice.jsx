@@ -0,0 +1,96 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { CheckCircle, Mail, RefreshCw, Settings } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { FormAlert } from "@/components/form-alert";
+import { resendVerificationEmailAction } from "@/app/dashboard/actions";
+
+// Shown in place of the overview until the user opens the link we emailed
+// them at sign-up; the rest of the dashboard stays hidden until then.
+export function VerifyEmailNotice({ email }) {
+  const [isSending, setIsSending] = useState(false);
+  const [isResent, setIsResent] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleResend = async () => {
+    setIsSending(true);
+    setError("");
+
+    const result = await resendVerificationEmailAction();
+    setIsSending(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+
+    setIsResent(true);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <div className="container mx-auto px-4 py-8">
+        <Card className="max-w-xl mx-auto text-center py-12">
+          <CardContent className="space-y-6">
+            <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center">
+              <Mail className="w-8 h-8 text-white" />
+            </div>
+            <div>
+              <h3 className="text-2xl font-semibold text-gray-900 mb-2">
+                Verify your email address
+              </h3>
+              <p className="text-gray-600">
+                We&apos;ve sent a verification link to
+              </p>
+              <div className="mt-3 inline-block px-4 py-2 bg-blue-50 rounded-lg border border-blue-200">
+                <span className="font-semibold text-blue-800">{email}</span>
+              </div>
+              <p className="text-gray-600 mt-3">
+                Open it to unlock your projects and the rest of your dashboard.
+              </p>
+            </div>
+
+            <FormAlert message={error} />
+            {isResent && (
+              <div className="flex items-center justify-center text-sm text-green-700">
+                <CheckCircle className="w-4 h-4 mr-2" />
+                We&apos;ve sent you a new link.
+              </div>
+            )}
+
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600 font-medium">
+                Didn&apos;t receive the email?
+              </p>
+              <div className="flex flex-col sm:flex-row gap-3 justify-center">
+                <Button
+                  variant="outline"
+                  onClick={handleResend}
+                  disabled={isSending}
+                  className="border-blue-200 text-blue-600 hover:bg-blue-50 group"
+                >
+                  <RefreshCw
+                    className={`w-4 h-4 mr-2 ${
+                      isSending
+                        ? "animate-spin"
+                        : "group-hover:rotate-180 transition-transform duration-500"
+                    }`}
+                  />
+                  Send Another Email
+                </Button>
+                <Button variant="outline" asChild>
+                  <Link href="/dashboard/settings">
+                    <Settings className="w-4 h-4 mr-2" />
+                    Account Settings
+                  </Link>
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Calls `onHash` with `location.hash` once the page has loaded and again
+ * whenever the hash changes, so links to something on the page (e.g.
+ * `#task-…`) can open it whether they're followed from elsewhere or from
+ * the page itself.
+ */
+export function useLocationHash(onHash) {
+  const handler = useRef(onHash);
+
+  useEffect(() => {
+    handler.current = onHash;
+  });
+
+  useEffect(() => {
+    const handleHashChange = () => handler.current(window.location.hash);
+    handleHashChange();
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+}
@@ -0,0 +1,11 @@
+// Runs once when a server instance starts.
+export async function register() {
+  // The data store lives on the file system, which only the Node.js
+  // runtime can reach.
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { scheduleTrashPurge } = await import("@/lib/trash");
+    scheduleTrashPurge();
+    const { scheduleReminders } = await import("@/lib/reminders");
+    scheduleReminders();
+  }
+}
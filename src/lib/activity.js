@@ -0,0 +1,201 @@
+import { createId, findAll, findById, transaction } from "@/lib/db";
+import { projectUpdateEmail } from "@/lib/emails";
+import { absoluteUrl } from "@/lib/mail";
+import { listProjectPeople, notify } from "@/lib/notifications";
+import { can } from "@/lib/roles";
+import { getWorkspaceId } from "@/lib/workspaces";
+
+// What's been happening on projects, for the people working on them. Each
+// record in the `activityEvents` collection is one event on one project,
+// with a `type` such as "file.uploaded", "milestone.completed",
+// "project.status_changed", "project.budget_updated", "comment.added" or
+// "task.moved", the `actor` who did it and a `summary` that follows their
+// name ("uploaded brief.pdf"). Unlike the audit log it's written to be read,
+// so only changes the team would want to hear about are recorded.
+//
+// Events point at what changed with `entityType` and `entityId`, and the
+// feed links to it for as long as it's there. Events about something not
+// everyone on the project sees, such as the task board or the budget, name
+// the `permission` needed to see them. The people on the project are also
+// notified of the biggest changes (see `NOTIFIED_TYPES`).
+//
+// Projects from before this kept a `recentActivity` list on their record;
+// `getActivityPage` moves it into the collection the first time it sees
+// one.
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Events the project's people are notified of as well, as project updates.
+const NOTIFIED_TYPES = [
+  "project.status_changed",
+  "milestone.completed",
+  "milestone.approved",
+  "file.uploaded",
+];
+
+/** Records an event on the project, as done by `actor` just now. */
+export async function recordProjectActivity(
+  projectId,
+  actor,
+  { type, summary, entityType = null, entityId = null, permission = null }
+) {
+  const recorded = await transaction((data) => {
+    const project = data.projects?.find((record) => record.id === projectId);
+    if (!project) return null;
+    const event = {
+      id: createId(),
+      createdAt: new Date().toISOString(),
+      workspaceId: getWorkspaceId(project),
+      projectId,
+      type,
+      actor: { id: actor.id ?? null, name: actor.name },
+      summary,
+      entityType,
+      entityId,
+      permission,
+    };
+    (data.activityEvents ??= []).push(event);
+    return { project, event };
+  });
+  if (recorded && NOTIFIED_TYPES.includes(type)) {
+    await notifyProjectPeople(recorded.project, actor, recorded.event);
+  }
+}
+
+/** Where on the project page `record`, of type `entityType`, shows up. */
+export function entityPath(entityType, record) {
+  const projectPath = `/dashboard/projects/${record.projectId}`;
+  switch (entityType) {
+    case "milestone":
+      return `${projectPath}?tab=milestones#milestone-${record.id}`;
+    case "task":
+      return `${projectPath}?tab=tasks#task-${record.id}`;
+    case "file":
+      return `${projectPath}?tab=files#file-${record.id}`;
+    case "comment": {
+      const tab = record.taskId
+        ? "tasks"
+        : record.milestoneId
+          ? "milestones"
+          : "discussion";
+      return `${projectPath}?tab=${tab}#comment-${record.id}`;
+    }
+    default:
+      return projectPath;
+  }
+}
+
+// Tells everyone on the project who can see `event`, other than whoever
+// caused it.
+async function notifyProjectPeople(project, actor, event) {
+  const path = entityPath(event.entityType, {
+    projectId: project.id,
+    id: event.entityId,
+  });
+  const people = await listProjectPeople(project, {
+    permission: event.permission,
+  });
+  for (const user of people) {
+    if (user.id === actor.id) continue;
+    await notify(user, {
+      category: "projectUpdates",
+      title: `${actor.name} ${event.summary}`,
+      body: project.name,
+      path,
+      workspaceId: event.workspaceId,
+      email: projectUpdateEmail({
+        name: user.name,
+        actorName: actor.name,
+        summary: event.summary,
+        projectName: project.name,
+        url: absoluteUrl(path),
+      }),
+    });
+  }
+}
+
+// Entries from the old lists that have a time become events. The rest were
+// placeholders written with the time as text ("2 hours ago"), which can't
+// be placed in the feed, and are dropped.
+async function moveEmbeddedActivity() {
+  await transaction((data) => {
+    const events = (data.activityEvents ??= []);
+    for (const project of data.projects ?? []) {
+      if (!Array.isArray(project.recentActivity)) continue;
+      for (const entry of project.recentActivity) {
+        if (!entry.createdAt) continue;
+        events.push({
+          id: createId(),
+          createdAt: entry.createdAt,
+          workspaceId: getWorkspaceId(project),
+          projectId: project.id,
+          type: entry.type,
+          actor: { id: null, name: entry.user },
+          summary: entry.action,
+          entityType: null,
+          entityId: null,
+          permission: entry.type === "task" ? "tasks:manage" : null,
+        });
+      }
+      delete project.recentActivity;
+    }
+  });
+}
+
+// The link to what an event is about, or null once it's been deleted.
+async function findLink(event) {
+  if (!event.entityType) return null;
+  if (event.entityType === "project") {
+    return entityPath("project", { projectId: event.projectId });
+  }
+  const collection = {
+    milestone: "milestones",
+    task: "tasks",
+    file: "files",
+    comment: "comments",
+  }[event.entityType];
+  const record = collection && (await findById(collection, event.entityId));
+  if (!record || record.removed || record.projectId !== event.projectId) {
+    return null;
+  }
+  return entityPath(event.entityType, record);
+}
+
+/**
+ * One page of the events on `projects` that `user` may see, newest first,
+ * each with its project's name and an `href` to what it's about (null when
+ * that's gone). `page` is clamped to the pages there are.
+ */
+export async function getActivityPage(
+  user,
+  projects,
+  { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}
+) {
+  if (projects.some((project) => Array.isArray(project.recentActivity))) {
+    await moveEmbeddedActivity();
+  }
+  const names = new Map(projects.map((project) => [project.id, project.name]));
+  const events = await findAll(
+    "activityEvents",
+    (event) =>
+      names.has(event.projectId) &&
+      (!event.permission || can(user, event.permission))
+  );
+  events.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const pageCount = Math.max(1, Math.ceil(events.length / pageSize));
+  const current = Math.min(Math.max(1, Number(page) || 1), pageCount);
+  const shown = events.slice((current - 1) * pageSize, current * pageSize);
+  return {
+    events: await Promise.all(
+      shown.map(async (event) => ({
+        ...event,
+        projectName: names.get(event.projectId),
+        href: await findLink(event),
+      }))
+    ),
+    total: events.length,
+    page: current,
+    pageCount,
+  };
+}
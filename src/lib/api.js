@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import {
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  SpamCheckError,
+  ValidationError,
+} from "@/lib/errors";
+
+export function jsonError(status, error, extra = {}) {
+  return NextResponse.json({ error, ...extra }, { status });
+}
+
+/** Maps errors thrown by the data layer onto consistent JSON responses. */
+export function handleApiError(error) {
+  if (error instanceof ValidationError) {
+    return jsonError(400, error.message, { fieldErrors: error.fieldErrors });
+  }
+  if (error instanceof RateLimitError) {
+    const response = jsonError(429, error.message, {
+      retryAfter: error.retryAfter,
+    });
+    response.headers.set("Retry-After", String(error.retryAfter));
+    return response;
+  }
+  if (
+    error instanceof AuthError ||
+    error instanceof ForbiddenError ||
+    error instanceof NotFoundError ||
+    error instanceof SpamCheckError
+  ) {
+    return jsonError(error.status, error.message);
+  }
+  console.error(error);
+  return jsonError(500, "Internal server error");
+}
+
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new ValidationError({}, "Request body must be valid JSON");
+  }
+}
@@ -0,0 +1,15 @@
+// The kinds of entity audit log entries are recorded against, for the audit
+// log's filter. Values are what gets stored as `entityType`.
+
+export const AUDIT_ENTITY_TYPES = [
+  { value: "project", label: "Projects" },
+  { value: "milestone", label: "Milestones" },
+  { value: "task", label: "Tasks" },
+  { value: "file", label: "Files" },
+  { value: "comment", label: "Comments" },
+  { value: "client", label: "Clients" },
+  { value: "teamMember", label: "Team members" },
+  { value: "invitation", label: "Invitations" },
+  { value: "settings", label: "Settings" },
+  { value: "workspace", label: "Workspace" },
+];
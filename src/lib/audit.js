@@ -0,0 +1,179 @@
+import { findAll, insert } from "@/lib/db";
+import { getRequestDevice } from "@/lib/login-alerts";
+
+// Append-only trail of security-relevant events and of every change made
+// from the dashboard. Records are never updated; `actorId` is null when
+// nobody is signed in (e.g. a failed login), in which case `actorEmail`
+// holds the address that was tried.
+//
+// Changes also record the workspace they were made in, the entity they
+// touched and `changes`, a `{ field: { from, to } }` diff of the entity
+// before and after.
+
+// Bookkeeping every record has, which would only add noise to a diff.
+const UNDIFFED_FIELDS = ["id", "createdAt", "updatedAt"];
+
+export function recordAuditEvent({
+  action,
+  actorId = null,
+  actorEmail = null,
+  workspaceId = null,
+  entityType = null,
+  entityId = null,
+  changes = null,
+  ip = null,
+  userAgent = null,
+  details = {},
+}) {
+  return insert("auditEvents", {
+    action,
+    actorId,
+    actorEmail,
+    workspaceId,
+    entityType,
+    entityId,
+    changes,
+    ip,
+    userAgent,
+    details,
+  });
+}
+
+/** The fields that differ between `before` and `after`; either may be null. */
+export function diffRecords(before, after) {
+  const fields = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+  const changes = {};
+  for (const field of fields) {
+    if (UNDIFFED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Records a change `actor` made to an entity in their current workspace.
+ * `before` is null for creates and `after` is null for deletes. Changes
+ * nobody is signed in for, like contact form leads, pass a null `actor`
+ * and their `workspaceId`.
+ */
+export async function recordChange(
+  actor,
+  {
+    action,
+    entityType,
+    entityId,
+    before = null,
+    after = null,
+    workspaceId = actor?.workspaceId ?? null,
+    actorEmail = actor?.email ?? null,
+    details,
+  }
+) {
+  return recordAuditEvent({
+    action,
+    actorId: actor?.id ?? null,
+    actorEmail,
+    workspaceId,
+    entityType,
+    entityId,
+    changes: diffRecords(before, after),
+    ...(await getRequestDevice()),
+    details,
+  });
+}
+
+/**
+ * The workspace's audit events, newest first, narrowed by exact
+ * `entityType`, `action` and `actorId`, a `from`/`to` date range
+ * (`yyyy-MM-dd`, inclusive) and a case-insensitive `search` over the actor
+ * and entity.
+ */
+export async function listAuditEvents(
+  workspaceId,
+  { entityType, action, actorId, from, to, search } = {}
+) {
+  const term = search?.trim().toLowerCase();
+  const events = await findAll(
+    "auditEvents",
+    (event) =>
+      event.workspaceId === workspaceId &&
+      (!entityType || event.entityType === entityType) &&
+      (!action || event.action === action) &&
+      (!actorId || event.actorId === actorId) &&
+      (!from || event.createdAt.slice(0, 10) >= from) &&
+      (!to || event.createdAt.slice(0, 10) <= to) &&
+      (!term ||
+        [event.actorEmail, event.entityId, event.action].some((value) =>
+          value?.toLowerCase().includes(term)
+        ))
+  );
+  return events.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvCell(value) {
+  let text = value == null ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatChange(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/** `events` as CSV, one row per event with its changes in a single column. */
+export function toAuditCsv(events) {
+  const header = [
+    "Time",
+    "Actor",
+    "Action",
+    "Entity type",
+    "Entity ID",
+    "Changes",
+    "IP address",
+  ];
+  const rows = events.map((event) => [
+    event.createdAt,
+    event.actorEmail,
+    event.action,
+    event.entityType,
+    event.entityId,
+    Object.entries(event.changes ?? {})
+      .map(
+        ([field, { from, to }]) =>
+          `${field}: ${formatChange(from)} → ${formatChange(to)}`
+      )
+      .join("; "),
+    event.ip,
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\r\n");
+}
+
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+
+/** `listAuditEvents` filters from query parameters, skipping malformed ones. */
+export function parseAuditFilters(params) {
+  const read = (name) =>
+    typeof params[name] === "string" && params[name] ? params[name] : undefined;
+  const readDate = (name) =>
+    DATE_PARAM.test(params[name] ?? "") ? params[name] : undefined;
+  return {
+    entityType: read("entityType"),
+    action: read("action"),
+    actorId: read("actorId"),
+    from: readDate("from"),
+    to: readDate("to"),
+    search: read("search"),
+  };
+}
@@ -0,0 +1,120 @@
+import { z } from "zod";
+import {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+} from "@/lib/notification-options";
+import { PASSWORD_REQUIREMENTS } from "@/lib/password-policy";
+import { SESSION_TIMEOUTS } from "@/lib/security-options";
+
+const email = z
+  .string({ required_error: "Email is required" })
+  .trim()
+  .min(1, "Email is required")
+  .email("Enter a valid email address");
+
+export const passwordSchema = z
+  .string({ required_error: "Password is required" })
+  .superRefine((password, context) => {
+    for (const requirement of PASSWORD_REQUIREMENTS) {
+      if (!requirement.test(password)) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Password must have ${requirement.text.toLowerCase()}`,
+        });
+      }
+    }
+  });
+
+const firstName = z
+  .string({ required_error: "First name is required" })
+  .trim()
+  .min(1, "First name is required")
+  .max(60);
+
+const lastName = z
+  .string({ required_error: "Last name is required" })
+  .trim()
+  .min(1, "Last name is required")
+  .max(60);
+
+const company = z.string().trim().max(120).default("");
+
+export const signupSchema = z.object({
+  firstName,
+  lastName,
+  email,
+  company,
+  password: passwordSchema,
+});
+
+export const profileSchema = z.object({
+  firstName,
+  lastName,
+  email,
+  phone: z.string().trim().max(40).default(""),
+  company,
+  website: z
+    .string()
+    .trim()
+    .max(200)
+    .refine(
+      (website) => website === "" || /^https?:\/\/\S+$/.test(website),
+      "Enter a web address starting with http:// or https://"
+    )
+    .default(""),
+  bio: z.string().trim().max(1000).default(""),
+  location: z.string().trim().max(120).default(""),
+  timezone: z.string().trim().max(60).default(""),
+});
+
+export const changePasswordSchema = z.object({
+  // Accounts that have only signed in with OAuth have none yet.
+  currentPassword: z.string().default(""),
+  newPassword: passwordSchema,
+});
+
+export const loginSchema = z.object({
+  email,
+  password: z.string().min(1, "Password is required"),
+  rememberMe: z.boolean().default(false),
+});
+
+export const passwordResetRequestSchema = z.object({ email });
+
+export const passwordResetSchema = z.object({
+  token: z.string().min(1, "Reset token is required"),
+  password: passwordSchema,
+});
+
+export const twoFactorCodeSchema = z.object({
+  code: z
+    .string({ required_error: "Enter your authentication code" })
+    .trim()
+    .min(1, "Enter your authentication code"),
+});
+
+export const confirmPasswordSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+});
+
+export const securitySettingsSchema = z.object({
+  loginAlerts: z.boolean(),
+  sessionTimeout: z.enum(
+    SESSION_TIMEOUTS.map((option) => option.value),
+    { errorMap: () => ({ message: "Choose a session timeout" }) }
+  ),
+});
+
+const notificationChannel = z.enum(
+  NOTIFICATION_CHANNELS.map((option) => option.value),
+  { errorMap: () => ({ message: "Choose how to be notified" }) }
+);
+
+export const notificationPreferencesSchema = z.object(
+  Object.fromEntries(
+    NOTIFICATION_CATEGORIES.map((category) => [
+      category.value,
+      notificationChannel,
+    ])
+  )
+);
@@ -0,0 +1,411 @@
+import {
+  changePasswordSchema,
+  loginSchema,
+  profileSchema,
+  signupSchema,
+} from "@/lib/auth-schema";
+import { findClientByEmail } from "@/lib/clients";
+import { notFound } from "next/navigation";
+import { recordAuditEvent, recordChange } from "@/lib/audit";
+import {
+  markEmailVerified,
+  sendVerificationEmail,
+} from "@/lib/email-verification";
+import {
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  OAuthError,
+  ValidationError,
+} from "@/lib/errors";
+import { getRequestDevice } from "@/lib/login-alerts";
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  recordLoginFailure,
+} from "@/lib/login-throttle";
+import {
+  addInvitedTeamMember,
+  claimInvitation,
+  requireInvitation,
+} from "@/lib/invitations";
+import { hashPassword, verifyPassword } from "@/lib/password";
+import { can, isEmailVerified } from "@/lib/roles";
+import {
+  createSession,
+  destroyUserSessions,
+  getSession,
+  setSessionWorkspace,
+} from "@/lib/session";
+import {
+  completeTwoFactorChallenge,
+  createTwoFactorChallenge,
+} from "@/lib/two-factor";
+import { parseWith } from "@/lib/validation";
+import {
+  createUser,
+  findUserByEmail,
+  findUserByOAuthAccount,
+  getUser,
+  hasUsers,
+  linkOAuthAccount,
+  normalizeEmail,
+  toPublicUser,
+  updateUser,
+} from "@/lib/users";
+import {
+  DEFAULT_WORKSPACE_ID,
+  getMembership,
+  listWorkspacesFor,
+  resolveWorkspaceId,
+} from "@/lib/workspaces";
+
+// Verifying against a throwaway hash when the account doesn't exist, or
+// only signs in with OAuth, keeps every failure path equally slow.
+let dummyHash;
+async function getDummyHash() {
+  return (dummyHash ??= await hashPassword("not-a-real-password"));
+}
+
+// Whoever sets up the deployment owns the default workspace; later
+// sign-ups join it as clients until an admin invites them onto the team
+// (see `createInvitation`). Signing up with a client's contact email opens that client's
+// portal, once the email is verified.
+async function getNewAccountMemberships(email, { emailVerified }) {
+  const membership = {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    joinedAt: new Date().toISOString(),
+  };
+  if (!(await hasUsers())) {
+    return [{ ...membership, role: "owner", clientId: null }];
+  }
+  const client = emailVerified
+    ? await findClientByEmail(DEFAULT_WORKSPACE_ID, email)
+    : null;
+  return [{ ...membership, role: "client", clientId: client?.id ?? null }];
+}
+
+export async function signUp(input) {
+  const { firstName, lastName, email, company, password } = parseWith(
+    signupSchema,
+    input
+  );
+
+  if (await findUserByEmail(email)) {
+    throw new ValidationError({
+      email: ["An account with this email already exists"],
+    });
+  }
+
+  const user = await createUser({
+    name: `${firstName} ${lastName}`,
+    email,
+    company,
+    passwordHash: await hashPassword(password),
+    emailVerifiedAt: null,
+    memberships: await getNewAccountMemberships(email, {
+      emailVerified: false,
+    }),
+  });
+
+  // Queued rather than awaited so a slow mail server doesn't hold up the
+  // sign-up; the dashboard offers to resend it.
+  sendVerificationEmail(user).catch((error) =>
+    console.error("Failed to send verification email", error)
+  );
+  await createSession(user.id);
+  return toPublicUser(user);
+}
+
+/**
+ * Sign-up from a team invitation link: the account gets the invited email,
+ * already verified since the link was sent there, and the invited role in
+ * the workspace it was invited to.
+ */
+export async function signUpWithInvitation(input) {
+  const { token, ...details } = input ?? {};
+  const pending = await requireInvitation(token);
+  const { firstName, lastName, company, password } = parseWith(signupSchema, {
+    ...details,
+    email: pending.email,
+  });
+  if (await findUserByEmail(pending.email)) {
+    throw new ValidationError({
+      email: ["An account with this email already exists"],
+    });
+  }
+  // Claimed only once the details are valid, so a typo doesn't use it up.
+  const invitation = await claimInvitation(token);
+
+  const user = await createUser({
+    name: `${firstName} ${lastName}`,
+    email: invitation.email,
+    company,
+    passwordHash: await hashPassword(password),
+    emailVerifiedAt: new Date().toISOString(),
+    memberships: [
+      {
+        workspaceId: invitation.workspaceId,
+        role: invitation.role,
+        clientId: null,
+        joinedAt: new Date().toISOString(),
+      },
+    ],
+  });
+  const member = await addInvitedTeamMember(invitation, user);
+
+  await recordChange(user, {
+    action: "team.joined",
+    entityType: "teamMember",
+    entityId: member.id,
+    after: member,
+    workspaceId: invitation.workspaceId,
+    details: { role: invitation.role, invitedBy: invitation.invitedBy.id },
+  });
+
+  await createSession(user.id);
+  return toPublicUser(user);
+}
+
+/**
+ * Verifies the password. Accounts with 2FA get a pending challenge instead
+ * of a session and `{ twoFactorRequired: true }` back; the login is finished
+ * by `verifySignInCode`. Repeated failures are throttled (see
+ * `@/lib/login-throttle`).
+ */
+export async function signIn(input) {
+  const { email, password, rememberMe } = parseWith(loginSchema, input);
+  const device = await getRequestDevice();
+  await assertLoginAllowed(email, device);
+  const user = await findUserByEmail(email);
+
+  const valid = await verifyPassword(
+    password,
+    user?.passwordHash || (await getDummyHash())
+  );
+  if (!user?.passwordHash || !valid) {
+    await recordLoginFailure(email, device);
+    throw new AuthError();
+  }
+  // With 2FA on, failures are only cleared once the code is right too.
+  if (user.twoFactorEnabled) {
+    await createTwoFactorChallenge(user.id, { rememberMe });
+    return { twoFactorRequired: true };
+  }
+
+  await clearLoginFailures(email);
+  await createSession(user.id, { rememberMe });
+  return { user: toPublicUser(user) };
+}
+
+/**
+ * Signs in with a profile from a social provider (see `@/lib/oauth`): to
+ * the account already linked to it, else to the account with the same
+ * email, which gets linked, else to a new account. Emails are only trusted
+ * once the provider has verified them, which also verifies them here. Same
+ * return value as `signIn`.
+ */
+export async function signInWithOAuth(provider, profile) {
+  const account = { provider, subject: profile.subject };
+  let user = await findUserByOAuthAccount(provider, profile.subject);
+
+  if (!user) {
+    if (!profile.email || !profile.emailVerified) {
+      throw new OAuthError(
+        "unverified_email",
+        `${provider} didn't return a verified email`
+      );
+    }
+
+    const existing = await findUserByEmail(profile.email);
+    if (existing) {
+      if (!isEmailVerified(existing)) {
+        // Whoever signed up with this address never proved they own it, so
+        // their password and sessions go before the real owner is let in.
+        await updateUser(existing.id, { passwordHash: null });
+        await destroyUserSessions(existing.id);
+        await markEmailVerified(existing);
+      }
+      user = await linkOAuthAccount(existing.id, account);
+      const device = await getRequestDevice();
+      await recordAuditEvent({
+        action: "oauth.linked",
+        actorId: user.id,
+        actorEmail: user.email,
+        ...device,
+        details: { provider },
+      });
+    } else {
+      user = await createUser({
+        name: profile.name || profile.email.split("@")[0],
+        email: profile.email,
+        company: "",
+        avatar: profile.avatar,
+        passwordHash: null,
+        emailVerifiedAt: new Date().toISOString(),
+        oauthAccounts: [{ ...account, linkedAt: new Date().toISOString() }],
+        memberships: await getNewAccountMemberships(profile.email, {
+          emailVerified: true,
+        }),
+      });
+    }
+  }
+
+  if (user.twoFactorEnabled) {
+    await createTwoFactorChallenge(user.id, { rememberMe: false });
+    return { twoFactorRequired: true };
+  }
+
+  await createSession(user.id);
+  return { user: toPublicUser(user) };
+}
+
+/** Second step of a 2FA login: checks the TOTP or recovery code. */
+export async function verifySignInCode(input) {
+  const { userId, rememberMe } = await completeTwoFactorChallenge(input);
+  await createSession(userId, { rememberMe });
+  return toPublicUser(await getUser(userId));
+}
+
+/**
+ * The signed-in user without credentials, or null. `workspaceId`, `role`
+ * and `clientId` are for the workspace the session is working in, and
+ * `workspaces` lists every workspace the user can switch to.
+ */
+export async function getCurrentUser() {
+  const session = await getSession();
+  if (!session) return null;
+  const user = await getUser(session.userId);
+  const workspaceId = resolveWorkspaceId(user, [
+    session.workspaceId,
+    user.lastWorkspaceId,
+  ]);
+  return {
+    ...toPublicUser(user, workspaceId),
+    workspaces: await listWorkspacesFor(user),
+  };
+}
+
+/**
+ * Makes `workspaceId` the one the current session works in, and the one
+ * the user's next sign-in starts in.
+ */
+export async function switchWorkspace(workspaceId) {
+  const session = await getSession();
+  const user = session && (await getUser(session.userId));
+  if (!user) {
+    throw new AuthError("Authentication required");
+  }
+  if (!getMembership(user, workspaceId)) {
+    throw new NotFoundError("Workspace not found");
+  }
+  await setSessionWorkspace(session.id, workspaceId);
+  await updateUser(user.id, { lastWorkspaceId: workspaceId });
+}
+
+/**
+ * Saves the profile form. A new email address has to be verified again, so
+ * changing it marks the account unverified and sends the link there.
+ */
+export async function updateProfile(userId, input) {
+  const { firstName, lastName, email, ...details } = parseWith(
+    profileSchema,
+    input
+  );
+  const user = await getUser(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  const emailChanged = normalizeEmail(email) !== user.email;
+  if (emailChanged && (await findUserByEmail(email))) {
+    throw new ValidationError({
+      email: ["An account with this email already exists"],
+    });
+  }
+
+  const updated = await updateUser(user.id, {
+    name: `${firstName} ${lastName}`,
+    ...details,
+    ...(emailChanged && {
+      email: normalizeEmail(email),
+      emailVerifiedAt: null,
+    }),
+  });
+  if (emailChanged) {
+    sendVerificationEmail(updated).catch((error) =>
+      console.error("Failed to send verification email", error)
+    );
+  }
+  return updated;
+}
+
+/**
+ * Sets a new password for the signed-in user once the current one checks
+ * out. Wrong current passwords count against the login throttle, and every
+ * other session is signed out.
+ */
+export async function changePassword(input) {
+  const { currentPassword, newPassword } = parseWith(
+    changePasswordSchema,
+    input
+  );
+  const session = await getSession();
+  const user = session && (await getUser(session.userId));
+  if (!user) {
+    throw new AuthError("Authentication required");
+  }
+
+  if (user.passwordHash) {
+    const device = await getRequestDevice();
+    await assertLoginAllowed(user.email, device);
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      await recordLoginFailure(user.email, device);
+      throw new ValidationError(
+        { currentPassword: ["Incorrect password"] },
+        "Incorrect password"
+      );
+    }
+  }
+
+  await updateUser(user.id, { passwordHash: await hashPassword(newPassword) });
+  await destroyUserSessions(user.id, { except: session.id });
+  await clearLoginFailures(user.email);
+}
+
+/** Like `getCurrentUser`, but throws an `AuthError` when signed out. */
+export async function requireUser() {
+  const user = await getCurrentUser();
+  if (!user) {
+    throw new AuthError("Authentication required");
+  }
+  return user;
+}
+
+/** Throws a `ForbiddenError` unless the user's role grants `permission`. */
+export function assertCan(user, permission) {
+  if (!isEmailVerified(user)) {
+    throw new ForbiddenError("Please verify your email address first");
+  }
+  if (!can(user, permission)) {
+    throw new ForbiddenError();
+  }
+}
+
+/** `requireUser` plus a permission check, for API handlers and actions. */
+export async function requirePermission(permission) {
+  const user = await requireUser();
+  assertCan(user, permission);
+  return user;
+}
+
+/**
+ * For server pages and layouts: renders the 404 page when the user's role
+ * doesn't grant `permission`, so restricted sections don't advertise
+ * themselves.
+ */
+export async function requirePagePermission(permission) {
+  const user = await getCurrentUser();
+  if (!can(user, permission)) {
+    notFound();
+  }
+  return user;
+}
@@ -0,0 +1,98 @@
+import { findAll, findById, findOne } from "@/lib/db";
+import { isInTrash, moveToTrash, untrashedIn } from "@/lib/trash";
+import { normalizeEmail } from "@/lib/users";
+import {
+  getMembership,
+  getWorkspaceId,
+  inWorkspace,
+  setMembership,
+} from "@/lib/workspaces";
+
+const INACTIVE_PROJECT_STATUSES = ["completed", "on-hold"];
+
+/** Adds project counts, which are derived rather than stored. */
+function withProjectCounts(client, projects) {
+  const own = projects.filter((project) => project.clientId === client.id);
+  return {
+    ...client,
+    totalProjects: own.length,
+    activeProjects: own.filter(
+      (project) => !INACTIVE_PROJECT_STATUSES.includes(project.status)
+    ).length,
+  };
+}
+
+function findLatestEnquiry(client, leads) {
+  const own = leads.filter((lead) => lead.clientId === client.id);
+  const latest = own.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  if (!latest) return null;
+
+  const { service, budget, message, createdAt } = latest;
+  return { service, budget, message, createdAt };
+}
+
+/** Clients with their project counts and most recent contact form enquiry. */
+export async function listClients(workspaceId) {
+  const [clients, projects, leads] = await Promise.all([
+    findAll("clients", untrashedIn(workspaceId)),
+    findAll("projects", untrashedIn(workspaceId)),
+    findAll("leads", inWorkspace(workspaceId)),
+  ]);
+  return clients.map((client) => ({
+    ...withProjectCounts(client, projects),
+    latestEnquiry: findLatestEnquiry(client, leads),
+  }));
+}
+
+export async function getClient(workspaceId, id) {
+  const client = await findById("clients", id);
+  if (!client || getWorkspaceId(client) !== workspaceId || isInTrash(client)) {
+    return null;
+  }
+  return withProjectCounts(
+    client,
+    await findAll("projects", untrashedIn(workspaceId))
+  );
+}
+
+/** The client whose contact email this is, used to link portal accounts. */
+export function findClientByEmail(workspaceId, email) {
+  const normalized = normalizeEmail(email);
+  return findOne(
+    "clients",
+    (client) =>
+      getWorkspaceId(client) === workspaceId &&
+      !isInTrash(client) &&
+      normalizeEmail(client.email) === normalized
+  );
+}
+
+export function findClientByName(workspaceId, name) {
+  const normalized = name.trim().toLowerCase();
+  return findOne(
+    "clients",
+    (client) =>
+      getWorkspaceId(client) === workspaceId &&
+      !isInTrash(client) &&
+      client.name.toLowerCase() === normalized
+  );
+}
+
+/**
+ * Moves the client to the trash. Their projects stay; the portal accounts
+ * linked to them are unlinked, so they lose access to the client's
+ * projects and invoices until it's restored (see `restoreFromTrash`).
+ */
+export async function deleteClient(actor, id) {
+  const users = await findAll(
+    "users",
+    (user) => getMembership(user, actor.workspaceId)?.clientId === String(id)
+  );
+  const client = await moveToTrash(actor, "client", id, {
+    linkedUserIds: users.map((user) => user.id),
+  });
+  for (const user of users) {
+    await setMembership(user.id, actor.workspaceId, { clientId: null });
+  }
+  return client;
+}
@@ -0,0 +1,14 @@
+// Shared by the comment threads and `@/lib/comments`, which only accepts
+// these reactions.
+export const REACTIONS = [
+  { emoji: "👍", label: "Thumbs up" },
+  { emoji: "❤️", label: "Heart" },
+  { emoji: "🎉", label: "Celebrate" },
+  { emoji: "😄", label: "Laugh" },
+  { emoji: "👀", label: "Eyes" },
+  { emoji: "🚀", label: "Rocket" },
+];
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+export const MAX_ATTACHMENTS = 10;
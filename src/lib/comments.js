@@ -0,0 +1,404 @@
+import { z } from "zod";
+import { entityPath, recordProjectActivity } from "@/lib/activity";
+import { recordChange } from "@/lib/audit";
+import {
+  MAX_ATTACHMENTS,
+  MAX_COMMENT_LENGTH,
+  REACTIONS,
+} from "@/lib/comment-options";
+import { findAll, findById, insert, transaction } from "@/lib/db";
+import { mentionEmail } from "@/lib/emails";
+import { ForbiddenError, NotFoundError, ValidationError } from "@/lib/errors";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { notify } from "@/lib/notifications";
+import { findProject, withTeamMembers } from "@/lib/projects";
+import { can } from "@/lib/roles";
+import { getUser } from "@/lib/users";
+import { parseWith } from "@/lib/validation";
+import { getWorkspaceId } from "@/lib/workspaces";
+
+// A comment belongs to its project's discussion or, with `milestoneId` or
+// `taskId`, to the thread on one of the project's milestones or tasks.
+// Replies point at the comment they answer with `parentId`. Threads are one
+// level deep, so a reply to a reply answers the same comment.
+//
+// Bodies are Markdown. `@Name` mentions of people on the project's team are
+// kept in `mentions`, and those people are emailed. `attachments` point at
+// versions of the project's files, and `reactions` lists who reacted with
+// each emoji.
+
+export const commentSchema = z.object({
+  body: z
+    .string()
+    .trim()
+    .min(1, "Write a comment first")
+    .max(
+      MAX_COMMENT_LENGTH,
+      `Comments are limited to ${MAX_COMMENT_LENGTH.toLocaleString("en-US")} characters`
+    ),
+  attachments: z
+    .array(
+      z.object({
+        fileId: z.string().min(1),
+        version: z.coerce.number().int().positive(),
+      })
+    )
+    .max(MAX_ATTACHMENTS, `Attach at most ${MAX_ATTACHMENTS} files`)
+    .default([]),
+});
+
+const threadSchema = z.object({
+  parentId: z.string().nullish(),
+  milestoneId: z.string().nullish(),
+  taskId: z.string().nullish(),
+});
+
+// Task threads are on the task board, which clients don't see.
+const canSee = (user, comment) => !comment.taskId || can(user, "tasks:manage");
+
+/**
+ * The project's comments that `user` can see, on every thread, oldest first
+ * so each reads top to bottom.
+ */
+export async function listComments(projectId, user) {
+  const comments = await findAll(
+    "comments",
+    (comment) => comment.projectId === projectId && canSee(user, comment)
+  );
+  return comments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function requireProject(workspaceId, projectId) {
+  const project = await findProject(workspaceId, projectId);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+async function requireComment(actor, projectId, id) {
+  const project = await requireProject(actor.workspaceId, projectId);
+  const comment = await findById("comments", id);
+  if (
+    !comment ||
+    comment.projectId !== project.id ||
+    comment.removed ||
+    !canSee(actor, comment)
+  ) {
+    throw new NotFoundError("Comment not found");
+  }
+  return { project, comment };
+}
+
+// Which thread a new comment goes on, checking it's one of the project's.
+async function resolveThread(
+  actor,
+  project,
+  { parentId, milestoneId, taskId }
+) {
+  if (parentId) {
+    const parent = await findById("comments", parentId);
+    if (
+      !parent ||
+      parent.projectId !== project.id ||
+      parent.removed ||
+      !canSee(actor, parent)
+    ) {
+      throw new NotFoundError("Comment not found");
+    }
+    return {
+      parentId: parent.parentId ?? parent.id,
+      milestoneId: parent.milestoneId ?? null,
+      taskId: parent.taskId ?? null,
+    };
+  }
+  if (milestoneId) {
+    const milestone = await findById("milestones", milestoneId);
+    if (!milestone || milestone.projectId !== project.id) {
+      throw new NotFoundError("Milestone not found");
+    }
+  }
+  if (taskId) {
+    const task = await findById("tasks", taskId);
+    if (!task || task.projectId !== project.id || !can(actor, "tasks:manage")) {
+      throw new NotFoundError("Task not found");
+    }
+  }
+  return {
+    parentId: null,
+    milestoneId: milestoneId ?? null,
+    taskId: milestoneId ? null : (taskId ?? null),
+  };
+}
+
+// How activity sentences and emails name a comment's thread.
+async function describeThread(comment) {
+  if (comment.milestoneId) {
+    const milestone = await findById("milestones", comment.milestoneId);
+    return `milestone "${milestone?.title}"`;
+  }
+  if (comment.taskId) {
+    const task = await findById("tasks", comment.taskId);
+    return `task "${task?.title}"`;
+  }
+  return "the project";
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The team members `body` @mentions by name. Longer names are matched
+// first, so "@Jane Smithson" isn't also taken to mention Jane Smith.
+function findMentions(body, members) {
+  const mentions = [];
+  let text = body;
+  const byLength = [...members].sort((a, b) => b.name.length - a.name.length);
+  for (const member of byLength) {
+    const pattern = new RegExp(
+      `(^|[^\\w@])@${escapeRegExp(member.name)}(?![\\w])`,
+      "gi"
+    );
+    if (pattern.test(text)) {
+      mentions.push({ id: member.id, name: member.name });
+      text = text.replace(pattern, "$1");
+    }
+  }
+  return mentions;
+}
+
+// Attachments have to be stored versions of the project's own files.
+async function checkAttachments(project, attachments) {
+  const files = await findAll("files", (file) => file.projectId === project.id);
+  const checked = [];
+  for (const { fileId, version } of attachments) {
+    if (checked.some((attachment) => attachment.fileId === fileId)) continue;
+    const file = files.find((record) => record.id === fileId);
+    const entry = file?.versions.find((record) => record.version === version);
+    if (!entry?.storageKey) {
+      throw new ValidationError({
+        attachments: ["Attach files that were uploaded to this project"],
+      });
+    }
+    checked.push({ fileId, version, name: file.name });
+  }
+  return checked;
+}
+
+// Tells the people a comment mentions, other than its author. Emails are
+// queued rather than awaited, so a mail outage doesn't stop the comment.
+async function notifyMentioned(actor, project, comment, mentions) {
+  const where = await describeThread(comment);
+  for (const mention of mentions) {
+    const member = await findById("teamMembers", mention.id);
+    if (!member) continue;
+    const user = member.userId ? await getUser(member.userId) : null;
+    const email = user?.email ?? member.email;
+    if (!email || user?.id === actor.id || email === actor.email) continue;
+
+    const path = entityPath("comment", comment);
+    const excerpt =
+      comment.body.length > 500
+        ? `${comment.body.slice(0, 500)}…`
+        : comment.body;
+    const message = mentionEmail({
+      name: member.name,
+      authorName: actor.name,
+      projectName: project.name,
+      where,
+      excerpt,
+      url: absoluteUrl(path),
+    });
+
+    // Members with an account get it as they've asked for project updates;
+    // the rest can only be emailed.
+    if (user) {
+      await notify(user, {
+        category: "projectUpdates",
+        title: `${actor.name} mentioned you on ${project.name}`,
+        body: excerpt,
+        path,
+        workspaceId: getWorkspaceId(project),
+        email: message,
+      });
+      continue;
+    }
+    sendMail({ to: email, ...message }).catch((error) =>
+      console.error("Failed to send mention notification", error)
+    );
+  }
+}
+
+async function teamOf(project) {
+  return (await withTeamMembers(project)).teamMembers;
+}
+
+/**
+ * Adds a comment to the project's discussion, or with `milestoneId`,
+ * `taskId` or `parentId` in `input` to that milestone's or task's thread or
+ * as a reply.
+ */
+export async function addComment(projectId, author, input) {
+  const project = await requireProject(author.workspaceId, projectId);
+  const { body, attachments } = parseWith(commentSchema, input);
+  const thread = await resolveThread(
+    author,
+    project,
+    parseWith(threadSchema, input)
+  );
+
+  const comment = await insert("comments", {
+    projectId,
+    ...thread,
+    body,
+    mentions: findMentions(body, await teamOf(project)),
+    attachments: await checkAttachments(project, attachments),
+    reactions: [],
+    editedAt: null,
+    author: { id: author.id, name: author.name, role: author.role },
+  });
+  await recordChange(author, {
+    action: "comment.created",
+    entityType: "comment",
+    entityId: comment.id,
+    after: comment,
+    details: { projectId },
+  });
+
+  const where = await describeThread(comment);
+  const parent = thread.parentId
+    ? await findById("comments", thread.parentId)
+    : null;
+  await recordProjectActivity(projectId, author, {
+    type: "comment.added",
+    summary: parent
+      ? `replied to ${parent.author.name} on ${where}`
+      : `commented on ${where}`,
+    entityType: "comment",
+    entityId: comment.id,
+    permission: comment.taskId ? "tasks:manage" : null,
+  });
+  await notifyMentioned(author, project, comment, comment.mentions);
+  return comment;
+}
+
+/** Changes the body and attachments of one of `actor`'s own comments. */
+export async function updateComment(projectId, id, actor, input) {
+  const { project, comment: existing } = await requireComment(
+    actor,
+    projectId,
+    id
+  );
+  if (existing.author.id !== actor.id) {
+    throw new ForbiddenError("Only its author can edit a comment");
+  }
+  const { body, attachments } = parseWith(commentSchema, input);
+  const changes = {
+    body,
+    mentions: findMentions(body, await teamOf(project)),
+    attachments: await checkAttachments(project, attachments),
+    editedAt: new Date().toISOString(),
+  };
+
+  const comment = await transaction((data) =>
+    Object.assign(
+      data.comments.find((record) => record.id === id),
+      changes
+    )
+  );
+  await recordChange(actor, {
+    action: "comment.updated",
+    entityType: "comment",
+    entityId: id,
+    before: existing,
+    after: comment,
+    details: { projectId },
+  });
+  // Only people who weren't mentioned before hear about it.
+  await notifyMentioned(
+    actor,
+    project,
+    comment,
+    changes.mentions.filter(
+      (mention) => !existing.mentions?.some(({ id }) => id === mention.id)
+    )
+  );
+  return comment;
+}
+
+/**
+ * Deletes a comment, which its author and managers can do. A comment with
+ * replies stays as a placeholder so the replies keep their context, and
+ * goes once they're all deleted too.
+ */
+export async function deleteComment(projectId, id, actor) {
+  const { comment: existing } = await requireComment(actor, projectId, id);
+  if (existing.author.id !== actor.id && !can(actor, "comments:moderate")) {
+    throw new ForbiddenError("You can only delete your own comments");
+  }
+
+  await transaction((data) => {
+    const hasReplies = (commentId) =>
+      data.comments.some((comment) => comment.parentId === commentId);
+
+    if (hasReplies(id)) {
+      Object.assign(
+        data.comments.find((comment) => comment.id === id),
+        {
+          body: "",
+          mentions: [],
+          attachments: [],
+          reactions: [],
+          removed: true,
+        }
+      );
+      return;
+    }
+    data.comments = data.comments.filter((comment) => comment.id !== id);
+    const parent = data.comments.find(
+      (comment) => comment.id === existing.parentId
+    );
+    if (parent?.removed && !hasReplies(parent.id)) {
+      data.comments = data.comments.filter(
+        (comment) => comment.id !== parent.id
+      );
+    }
+  });
+  await recordChange(actor, {
+    action: "comment.deleted",
+    entityType: "comment",
+    entityId: id,
+    before: existing,
+    details: { projectId },
+  });
+  return existing;
+}
+
+/** Adds `actor`'s reaction to a comment, or takes it back if it's there. */
+export async function toggleReaction(projectId, id, actor, emoji) {
+  await requireComment(actor, projectId, id);
+  if (!REACTIONS.some((reaction) => reaction.emoji === emoji)) {
+    throw new ValidationError({}, "Choose one of the listed reactions");
+  }
+
+  const { comment, added } = await transaction((data) => {
+    const comment = data.comments.find((record) => record.id === id);
+    const reactions = (comment.reactions ??= []);
+    let reaction = reactions.find((record) => record.emoji === emoji);
+    if (!reaction) {
+      reaction = { emoji, users: [] };
+      reactions.push(reaction);
+    }
+    const added = !reaction.users.some((user) => user.id === actor.id);
+    reaction.users = added
+      ? [...reaction.users, { id: actor.id, name: actor.name }]
+      : reaction.users.filter((user) => user.id !== actor.id);
+    comment.reactions = reactions.filter((record) => record.users.length > 0);
+    return { comment, added };
+  });
+  await recordChange(actor, {
+    action: added ? "comment.reaction_added" : "comment.reaction_removed",
+    entityType: "comment",
+    entityId: id,
+    details: { projectId, emoji },
+  });
+  return comment;
+}
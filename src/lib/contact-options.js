@@ -0,0 +1,18 @@
+// Select options for the public contact form. Values are stored on the
+// lead; labels are what the form, the clients page and emails show.
+
+export const CONTACT_SERVICES = [
+  { value: "web-development", label: "Web Development" },
+  { value: "mobile-development", label: "Mobile App Development" },
+  { value: "ui-ux-design", label: "UI/UX Design" },
+  { value: "marketing", label: "Digital Marketing" },
+  { value: "e-commerce", label: "E-commerce Solutions" },
+  { value: "analytics", label: "Analytics & Insights" },
+];
+
+export const BUDGET_RANGES = [
+  { value: "5k-10k", label: "$5,000 - $10,000" },
+  { value: "10k-25k", label: "$10,000 - $25,000" },
+  { value: "25k-50k", label: "$25,000 - $50,000" },
+  { value: "50k-plus", label: "$50,000+" },
+];
@@ -0,0 +1,106 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { createSeedData } from "@/lib/seed";
+
+// File-backed JSON store. Every collection is an array of records with a
+// string `id`. Writes are serialised through a single queue and written
+// atomically (temp file + rename) so concurrent requests never interleave.
+const DATA_FILE =
+  process.env.DATA_FILE || path.join(process.cwd(), "data", "db.json");
+
+// Route handlers and server components can end up with separate module
+// instances, so the write queue lives on globalThis.
+const state = (globalThis.__agencyDb ??= { queue: Promise.resolve() });
+
+async function load() {
+  try {
+    return JSON.parse(await fs.readFile(DATA_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    const data = createSeedData();
+    await persist(data);
+    return data;
+  }
+}
+
+async function persist(data) {
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  const tempFile = `${DATA_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+  await fs.rename(tempFile, DATA_FILE);
+}
+
+export function createId() {
+  return randomUUID();
+}
+
+/**
+ * Runs `fn` against the whole database and persists the result. Mutations
+ * made to the passed object are saved; the return value of `fn` is passed
+ * through.
+ */
+export function transaction(fn) {
+  const run = state.queue.then(async () => {
+    const data = await load();
+    const result = await fn(data);
+    await persist(data);
+    return result;
+  });
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+export async function findAll(collection, predicate = () => true) {
+  await state.queue;
+  const data = await load();
+  return (data[collection] ?? []).filter(predicate);
+}
+
+export async function findOne(collection, predicate) {
+  const [record] = await findAll(collection, predicate);
+  return record ?? null;
+}
+
+export function findById(collection, id) {
+  return findOne(collection, (record) => record.id === String(id));
+}
+
+export function insert(collection, record) {
+  return transaction((data) => {
+    const now = new Date().toISOString();
+    const created = {
+      id: createId(),
+      createdAt: now,
+      updatedAt: now,
+      ...record,
+    };
+    (data[collection] ??= []).push(created);
+    return created;
+  });
+}
+
+export function update(collection, id, changes) {
+  return transaction((data) => {
+    const records = data[collection] ?? [];
+    const index = records.findIndex((record) => record.id === String(id));
+    if (index === -1) return null;
+    records[index] = {
+      ...records[index],
+      ...changes,
+      id: records[index].id,
+      updatedAt: new Date().toISOString(),
+    };
+    return records[index];
+  });
+}
+
+export function remove(collection, id) {
+  return transaction((data) => {
+    const records = data[collection] ?? [];
+    const index = records.findIndex((record) => record.id === String(id));
+    if (index === -1) return null;
+    const [removed] = records.splice(index, 1);
+    return removed;
+  });
+}
@@ -0,0 +1,103 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { findClientByEmail } from "@/lib/clients";
+import { verifyEmailEmail } from "@/lib/emails";
+import { ValidationError } from "@/lib/errors";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { consumeRateLimit } from "@/lib/rate-limit";
+import { isEmailVerified } from "@/lib/roles";
+import { getSigningSecret } from "@/lib/session-cookie";
+import { getUser, updateUser } from "@/lib/users";
+import { getMemberships, setMembership } from "@/lib/workspaces";
+
+// Verification links are signed rather than stored:
+// `<userId>.<expiresAt>.<signature>`. The signature also covers the email
+// address, so a link stops working if the address changes.
+
+const HOUR = 60 * 60 * 1000;
+const TOKEN_TTL_HOURS = 24;
+// Resends allowed per account per hour.
+const RESEND_LIMIT = 3;
+
+const INVALID_TOKEN_MESSAGE =
+  "This verification link is invalid or has expired";
+
+function sign(userId, expiresAt, email) {
+  return createHmac("sha256", getSigningSecret())
+    .update(`verify-email.${userId}.${expiresAt}.${email}`)
+    .digest("base64url");
+}
+
+export function createEmailVerificationToken(user) {
+  const expiresAt = Date.now() + TOKEN_TTL_HOURS * HOUR;
+  return `${user.id}.${expiresAt}.${sign(user.id, expiresAt, user.email)}`;
+}
+
+export function sendVerificationEmail(user) {
+  const token = createEmailVerificationToken(user);
+  return sendMail({
+    to: user.email,
+    ...verifyEmailEmail({
+      name: user.name,
+      url: absoluteUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+      expiresInHours: TOKEN_TTL_HOURS,
+    }),
+  });
+}
+
+export async function resendVerificationEmail(userId) {
+  consumeRateLimit(`verify-email:${userId}`, {
+    limit: RESEND_LIMIT,
+    windowMs: HOUR,
+  });
+  const user = await getUser(userId);
+  if (isEmailVerified(user)) {
+    throw new ValidationError({}, "Your email address is already verified");
+  }
+  await sendVerificationEmail(user);
+}
+
+/**
+ * Marks the user's email as verified. Client accounts are only linked to
+ * the client with the same contact email at this point, so nobody gets
+ * into a client's portal by signing up with an address they don't own.
+ */
+export async function markEmailVerified(user) {
+  let verified = await updateUser(user.id, {
+    emailVerifiedAt: new Date().toISOString(),
+  });
+  for (const { workspaceId, role, clientId } of getMemberships(user)) {
+    if (role !== "client" || clientId) continue;
+    const client = await findClientByEmail(workspaceId, user.email);
+    if (client) {
+      verified = await setMembership(user.id, workspaceId, {
+        clientId: client.id,
+      });
+    }
+  }
+  return verified;
+}
+
+/** Verifies the email address the emailed `token` was issued for. */
+export async function verifyEmail(token) {
+  const [userId, expiresAt, signature] = String(token ?? "").split(".");
+  const user = userId && (await getUser(userId));
+
+  const expected = Buffer.from(
+    user ? sign(user.id, expiresAt, user.email) : ""
+  );
+  const actual = Buffer.from(signature ?? "");
+  if (
+    !user ||
+    expected.length !== actual.length ||
+    !timingSafeEqual(expected, actual) ||
+    !(Number(expiresAt) > Date.now())
+  ) {
+    throw new ValidationError(
+      { token: [INVALID_TOKEN_MESSAGE] },
+      INVALID_TOKEN_MESSAGE
+    );
+  }
+
+  if (isEmailVerified(user)) return user;
+  return markEmailVerified(user);
+}
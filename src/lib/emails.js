@@ -0,0 +1,242 @@
+// Plain-text email templates. Each returns the `{ subject, text }` part of a
+// message for `sendMail`.
+
+export function passwordResetEmail({ name, url, expiresInMinutes }) {
+  return {
+    subject: "Reset your DigitalAgency password",
+    text: [
+      `Hi ${name},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      "",
+      url,
+      "",
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you didn't ask to reset your password, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+export function verifyEmailEmail({ name, url, expiresInHours }) {
+  return {
+    subject: "Verify your DigitalAgency email address",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Thanks for signing up! Please confirm this is your email address by opening the link below:",
+      "",
+      url,
+      "",
+      `The link expires in ${expiresInHours} hours. Until then your dashboard stays limited.`,
+      "If you didn't create an account, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+export function teamInvitationEmail({
+  inviterName,
+  workspaceName,
+  role,
+  url,
+  expiresInDays,
+}) {
+  return {
+    subject: `${inviterName} invited you to join ${workspaceName}`,
+    text: [
+      "Hi,",
+      "",
+      `${inviterName} has invited you to join the ${workspaceName} team as ${role}. Use the link below to create your account:`,
+      "",
+      url,
+      "",
+      `The invitation expires in ${expiresInDays} days.`,
+      "If you weren't expecting this, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+export function addedToWorkspaceEmail({
+  name,
+  inviterName,
+  workspaceName,
+  role,
+  url,
+}) {
+  return {
+    subject: `You've been added to ${workspaceName}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      `${inviterName} has added you to the ${workspaceName} team as ${role}. Switch to it from the account menu on your dashboard:`,
+      "",
+      url,
+    ].join("\n"),
+  };
+}
+
+export function newLoginEmail({ name, device, ip, time, settingsUrl }) {
+  return {
+    subject: "New sign-in to your DigitalAgency account",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Your account was just signed in to from a device or network we haven't seen before:",
+      "",
+      `Device: ${device}`,
+      `IP address: ${ip}`,
+      `Time: ${time}`,
+      "",
+      "If this was you, there's nothing to do.",
+      `If not, sign that session out and change your password: ${settingsUrl}`,
+    ].join("\n"),
+  };
+}
+
+export function leadAcknowledgementEmail({ name, service }) {
+  return {
+    subject: "Thanks for getting in touch with DigitalAgency",
+    text: [
+      `Hi ${name},`,
+      "",
+      service
+        ? `Thanks for your message about ${service}. We've received it and someone from the team will get back to you within 24 hours.`
+        : "Thanks for your message. We've received it and someone from the team will get back to you within 24 hours.",
+      "",
+      "If there's anything you'd like to add in the meantime, just reply to this email.",
+    ].join("\n"),
+  };
+}
+
+export function newLeadEmail({
+  name,
+  email,
+  phone,
+  company,
+  service,
+  budget,
+  message,
+  url,
+}) {
+  return {
+    subject: `New enquiry from ${company || name}`,
+    text: [
+      "A new enquiry came in through the contact form:",
+      "",
+      `Name: ${name}`,
+      `Email: ${email}`,
+      `Phone: ${phone || "—"}`,
+      `Company: ${company || "—"}`,
+      `Service: ${service || "—"}`,
+      `Budget: ${budget || "—"}`,
+      "",
+      message,
+      "",
+      `View it on the clients page: ${url}`,
+    ].join("\n"),
+  };
+}
+
+export function accountLockedEmail({ name, url, lockedMinutes }) {
+  return {
+    subject: "Your DigitalAgency account has been locked",
+    text: [
+      `Hi ${name},`,
+      "",
+      `There were too many failed attempts to sign in to your account, so we've locked it for ${lockedMinutes} minutes.`,
+      "",
+      "If this was you, use the link below to unlock it now:",
+      "",
+      url,
+      "",
+      "If it wasn't you, someone may be trying to guess your password. Consider resetting it once you're back in.",
+    ].join("\n"),
+  };
+}
+
+export function mentionEmail({
+  name,
+  authorName,
+  projectName,
+  where,
+  excerpt,
+  url,
+}) {
+  return {
+    subject: `${authorName} mentioned you on ${projectName}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      `${authorName} mentioned you in a comment on ${where}:`,
+      "",
+      excerpt
+        .split("\n")
+        .map((line) => `> ${line}`)
+        .join("\n"),
+      "",
+      `Reply on the project page: ${url}`,
+    ].join("\n"),
+  };
+}
+
+export function projectUpdateEmail({
+  name,
+  actorName,
+  summary,
+  projectName,
+  url,
+}) {
+  return {
+    subject: `${projectName}: ${actorName} ${summary}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      `${actorName} ${summary} on ${projectName}.`,
+      "",
+      `See it on the project page: ${url}`,
+    ].join("\n"),
+  };
+}
+
+export function invoiceReminderEmail({
+  name,
+  number,
+  amount,
+  dueDate,
+  overdue,
+  url,
+}) {
+  return {
+    subject: overdue
+      ? `Invoice ${number} is overdue`
+      : `Invoice ${number} is due on ${dueDate}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      overdue
+        ? `Invoice ${number} for ${amount} was due on ${dueDate} and hasn't been paid yet.`
+        : `Just a reminder that invoice ${number} for ${amount} is due on ${dueDate}.`,
+      "",
+      `View and pay it on your dashboard: ${url}`,
+      "",
+      "If you've already paid, thank you, and please ignore this email.",
+    ].join("\n"),
+  };
+}
+
+export function weeklyReportEmail({ name, workspaceName, projects, url }) {
+  return {
+    subject: `Your week on ${workspaceName}`,
+    text: [
+      `Hi ${name},`,
+      "",
+      `Here's what happened on your ${workspaceName} projects this week:`,
+      "",
+      ...projects.flatMap((project) => [
+        `${project.name} (${project.updates})`,
+        ...project.latest.map((sentence) => `- ${sentence}`),
+        "",
+      ]),
+      `See everything on your dashboard: ${url}`,
+    ].join("\n"),
+  };
+}
@@ -0,0 +1,99 @@
+// Errors thrown by the data layer. Route handlers translate them into HTTP
+// responses (see `@/lib/api`); server actions return them as plain objects.
+
+export class ValidationError extends Error {
+  constructor(fieldErrors, message = "Validation failed") {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message = "Not found") {
+    super(message);
+    this.name = "NotFoundError";
+    this.status = 404;
+  }
+}
+
+export class AuthError extends Error {
+  constructor(message = "Invalid email or password") {
+    super(message);
+    this.name = "AuthError";
+    this.status = 401;
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message = "You don't have permission to do that") {
+    super(message);
+    this.name = "ForbiddenError";
+    this.status = 403;
+  }
+}
+
+/** A public form was submitted by something that doesn't look human. */
+export class SpamCheckError extends Error {
+  constructor(
+    message = "We couldn't verify this submission. Please reload the page and try again."
+  ) {
+    super(message);
+    this.name = "SpamCheckError";
+    this.status = 400;
+  }
+}
+
+/**
+ * A social sign-in that can't go ahead. `code` is a key of
+ * `OAUTH_ERROR_MESSAGES` (see `@/lib/oauth-errors`), which the login page
+ * shows; the message is only logged.
+ */
+export class OAuthError extends Error {
+  constructor(code, message = `OAuth sign-in failed: ${code}`) {
+    super(message);
+    this.name = "OAuthError";
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+function describeWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+/** `retryAfter` is in seconds, so forms can count down to the next try. */
+export class RateLimitError extends Error {
+  constructor(retryAfterSeconds, reason = "Too many attempts.") {
+    super(`${reason} Please try again in ${describeWait(retryAfterSeconds)}.`);
+    this.name = "RateLimitError";
+    this.status = 429;
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+/**
+ * Server actions can't throw custom errors across the wire, so expected
+ * failures come back as `{ error, fieldErrors }`, the same shape as the API's
+ * error responses. Anything unexpected is rethrown.
+ */
+export function toActionError(error) {
+  if (
+    error instanceof ValidationError ||
+    error instanceof NotFoundError ||
+    error instanceof AuthError ||
+    error instanceof ForbiddenError ||
+    error instanceof SpamCheckError ||
+    error instanceof RateLimitError
+  ) {
+    return {
+      error: error.message,
+      fieldErrors: error.fieldErrors ?? {},
+      ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    };
+  }
+  throw error;
+}
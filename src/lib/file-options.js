@@ -0,0 +1,114 @@
+// Upload limits shared by the workspace settings form, the upload drop zone
+// (which checks files before sending them) and the server (which enforces
+// them). Each workspace can override the defaults. Also what the preview
+// drawer can show, and where the browser fetches files from.
+
+export const DEFAULT_FILE_SETTINGS = {
+  maxFileSizeMb: 25,
+  // Extensions without the dot. An empty list allows any type.
+  allowedExtensions: [
+    "pdf",
+    "doc",
+    "docx",
+    "xls",
+    "xlsx",
+    "ppt",
+    "pptx",
+    "txt",
+    "csv",
+    "md",
+    "png",
+    "jpg",
+    "jpeg",
+    "gif",
+    "webp",
+    "svg",
+    "fig",
+    "sketch",
+    "psd",
+    "ai",
+    "zip",
+    "mp4",
+    "webm",
+    "mov",
+  ],
+};
+
+// The most a workspace can raise the size limit to.
+export const MAX_FILE_SIZE_MB = 500;
+
+export function getFileExtension(name) {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+}
+
+// The files the preview drawer can show, by extension, with the type they're
+// served as. Anything else can only be downloaded.
+const PREVIEW_TYPES = {
+  png: { kind: "image", contentType: "image/png" },
+  jpg: { kind: "image", contentType: "image/jpeg" },
+  jpeg: { kind: "image", contentType: "image/jpeg" },
+  gif: { kind: "image", contentType: "image/gif" },
+  webp: { kind: "image", contentType: "image/webp" },
+  svg: { kind: "image", contentType: "image/svg+xml" },
+  pdf: { kind: "pdf", contentType: "application/pdf" },
+  txt: { kind: "text", contentType: "text/plain" },
+  md: { kind: "markdown", contentType: "text/markdown" },
+  markdown: { kind: "markdown", contentType: "text/markdown" },
+  csv: { kind: "csv", contentType: "text/csv" },
+  mp4: { kind: "video", contentType: "video/mp4" },
+  webm: { kind: "video", contentType: "video/webm" },
+  mov: { kind: "video", contentType: "video/quicktime" },
+};
+
+// Previews of these kinds are the text itself, which is only fetched for
+// files up to this size.
+export const TEXT_PREVIEW_KINDS = ["text", "markdown", "csv"];
+export const MAX_TEXT_PREVIEW_BYTES = 1024 * 1024;
+
+/** How `name` can be previewed (`{ kind, contentType }`), or null. */
+export function getPreviewType(name) {
+  return PREVIEW_TYPES[getFileExtension(name)] ?? null;
+}
+
+/**
+ * Why `file` (anything with a `name` and a `size` in bytes) can't be
+ * uploaded under `settings`, or null when it can.
+ */
+export function checkFileAgainstLimits(file, settings) {
+  if (file.size > settings.maxFileSizeMb * 1024 * 1024) {
+    return `${file.name} is larger than ${settings.maxFileSizeMb} MB`;
+  }
+  if (
+    settings.allowedExtensions.length &&
+    !settings.allowedExtensions.includes(getFileExtension(file.name))
+  ) {
+    return `${file.name} isn't an allowed file type`;
+  }
+  return null;
+}
+
+export function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return "—";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+/**
+ * The app's URL for a file on a project: its download, with `inline` to
+ * show it in the browser, or with `path` its "thumbnail" or "text". Leave
+ * out `version` (a version number) for the latest.
+ */
+export function getFileUrl(projectId, fileId, { path, version, inline } = {}) {
+  const params = new URLSearchParams();
+  if (version) params.set("version", version);
+  if (inline) params.set("inline", "1");
+  const query = params.toString();
+  return `/api/projects/${projectId}/files/${fileId}${path ? `/${path}` : ""}${
+    query ? `?${query}` : ""
+  }`;
+}
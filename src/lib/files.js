@@ -0,0 +1,357 @@
+import sharp from "sharp";
+import { z } from "zod";
+import { recordProjectActivity } from "@/lib/activity";
+import { recordChange } from "@/lib/audit";
+import { createId, findAll, findById, transaction } from "@/lib/db";
+import { NotFoundError, ValidationError } from "@/lib/errors";
+import {
+  DEFAULT_FILE_SETTINGS,
+  MAX_FILE_SIZE_MB,
+  MAX_TEXT_PREVIEW_BYTES,
+  TEXT_PREVIEW_KINDS,
+  checkFileAgainstLimits,
+  getPreviewType,
+} from "@/lib/file-options";
+import { findProject } from "@/lib/projects";
+import { getDownloadUrl, getObject, putObject } from "@/lib/storage";
+import { parseWith } from "@/lib/validation";
+import { getWorkspace, getWorkspaceId } from "@/lib/workspaces";
+
+// Each record in the `files` collection is one file name on a project, with
+// its `versions` oldest first: uploading a file with the same name as one
+// already there adds a version rather than a second file. The contents are
+// kept by the storage driver (see `@/lib/storage`) under each version's
+// `storageKey`, and images also get a small thumbnail for the Files list
+// under `thumbnailKey`.
+//
+// Projects from before uploads listed their files on the project record,
+// without any contents. `listFiles` and `countFiles` move them into the
+// collection the first time they see them, as versions with no `storageKey`
+// that can't be downloaded.
+
+const latest = (file) => file.versions[file.versions.length - 1];
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Thumbnails are shown at 48px, so this covers screens with twice the
+// pixel density.
+const THUMBNAIL_SIZE = 96;
+
+// Kinds of preview the browser shows straight from the file's URL, rather
+// than from its text.
+const INLINE_PREVIEW_KINDS = ["image", "pdf", "video"];
+
+const fileSettingsSchema = z.object({
+  maxFileSizeMb: z.coerce
+    .number({ invalid_type_error: "Enter a size in MB" })
+    .int("Use a whole number of MB")
+    .min(1, "The limit must be at least 1 MB")
+    .max(MAX_FILE_SIZE_MB, `The limit can be at most ${MAX_FILE_SIZE_MB} MB`),
+  allowedExtensions: z
+    .array(
+      z
+        .string()
+        .trim()
+        .toLowerCase()
+        .transform((extension) => extension.replace(/^\./, ""))
+        .pipe(
+          z
+            .string()
+            .regex(/^[a-z0-9]{1,10}$/, "List extensions such as pdf or png")
+        )
+    )
+    .max(100, "List at most 100 file types")
+    .transform((extensions) => [...new Set(extensions)]),
+});
+
+/** The workspace's upload limits, falling back to the defaults. */
+export async function getFileSettings(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  return { ...DEFAULT_FILE_SETTINGS, ...workspace?.fileSettings };
+}
+
+/** Changes the upload limits of `actor`'s current workspace. */
+export async function updateFileSettings(actor, input) {
+  const settings = parseWith(fileSettingsSchema, input);
+  const before = await getFileSettings(actor.workspaceId);
+  const workspace = await getWorkspace(actor.workspaceId);
+
+  await transaction((data) => {
+    const workspaces = (data.workspaces ??= []);
+    let record = workspaces.find((record) => record.id === workspace.id);
+    // Data stores from before workspaces have no record of the default one.
+    if (!record) {
+      record = { ...workspace, createdAt: new Date().toISOString() };
+      workspaces.push(record);
+    }
+    record.fileSettings = settings;
+    record.updatedAt = new Date().toISOString();
+  });
+  await recordChange(actor, {
+    action: "workspace.file_settings_updated",
+    entityType: "workspace",
+    entityId: workspace.id,
+    before,
+    after: settings,
+  });
+  return settings;
+}
+
+async function moveEmbeddedFiles() {
+  await transaction((data) => {
+    const records = (data.files ??= []);
+    for (const project of data.projects ?? []) {
+      if (!Array.isArray(project.files)) continue;
+      for (const file of project.files) {
+        records.push({
+          id: createId(),
+          createdAt: project.createdAt,
+          updatedAt: project.updatedAt,
+          projectId: project.id,
+          workspaceId: getWorkspaceId(project),
+          name: file.name,
+          versions: [
+            {
+              version: 1,
+              storageKey: null,
+              size: null,
+              contentType: null,
+              uploadedBy: { id: null, name: file.uploadedBy },
+              uploadedAt: file.uploadedAt,
+            },
+          ],
+        });
+      }
+      delete project.files;
+    }
+  });
+}
+
+async function moveEmbeddedFilesOf(projects) {
+  if (projects.some((project) => Array.isArray(project.files))) {
+    await moveEmbeddedFiles();
+  }
+}
+
+/** The project's files, most recently changed first. */
+export async function listFiles(project) {
+  await moveEmbeddedFilesOf([project]);
+  const files = await findAll("files", (file) => file.projectId === project.id);
+  return files.sort((a, b) =>
+    latest(b).uploadedAt.localeCompare(latest(a).uploadedAt)
+  );
+}
+
+/** How many files each of `projects` has, keyed by project id. */
+export async function countFiles(projects) {
+  await moveEmbeddedFilesOf(projects);
+  const files = await findAll("files");
+  return Object.fromEntries(
+    projects.map((project) => [
+      project.id,
+      files.filter((file) => file.projectId === project.id).length,
+    ])
+  );
+}
+
+// A thumbnail of the image in `body`, stored next to it. Returns its key,
+// or null for files that aren't images or that can't be read as one.
+async function storeThumbnail(storageKey, name, body) {
+  if (getPreviewType(name)?.kind !== "image") return null;
+
+  let thumbnail;
+  try {
+    thumbnail = await sharp(body, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch {
+    return null;
+  }
+  const thumbnailKey = `${storageKey}-thumbnail`;
+  await putObject(thumbnailKey, thumbnail, { contentType: "image/webp" });
+  return thumbnailKey;
+}
+
+async function requireProject(workspaceId, projectId) {
+  const project = await findProject(workspaceId, projectId);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+/**
+ * Stores `upload` (a `File` from a multipart request) on the project, as a
+ * new version if the project already has a file with its name.
+ */
+export async function uploadFile(actor, projectId, upload) {
+  const project = await requireProject(actor.workspaceId, projectId);
+  if (!upload || typeof upload.arrayBuffer !== "function" || !upload.name) {
+    throw new ValidationError(
+      { file: ["Choose a file to upload"] },
+      "Choose a file to upload"
+    );
+  }
+  const problem = checkFileAgainstLimits(
+    upload,
+    await getFileSettings(getWorkspaceId(project))
+  );
+  if (problem) {
+    throw new ValidationError({ file: [problem] }, problem);
+  }
+  await moveEmbeddedFilesOf([project]);
+
+  const name = upload.name.slice(0, 255);
+  const contentType = upload.type || "application/octet-stream";
+  const storageKey = `projects/${project.id}/${createId()}`;
+  const body = Buffer.from(await upload.arrayBuffer());
+  await putObject(storageKey, body, { contentType });
+  const thumbnailKey = await storeThumbnail(storageKey, name, body);
+
+  const uploadedAt = new Date().toISOString();
+  const entry = {
+    storageKey,
+    thumbnailKey,
+    size: upload.size,
+    contentType,
+    uploadedBy: { id: actor.id, name: actor.name },
+    uploadedAt,
+  };
+  // Looked up inside the transaction so two uploads of the same name at
+  // once still end up as two versions of one file.
+  const file = await transaction((data) => {
+    const files = (data.files ??= []);
+    const existing = files.find(
+      (record) => record.projectId === project.id && sameName(record.name, name)
+    );
+    if (existing) {
+      existing.versions.push({
+        version: latest(existing).version + 1,
+        ...entry,
+      });
+      // The name takes the case of the latest upload.
+      Object.assign(existing, { name, updatedAt: uploadedAt });
+      return existing;
+    }
+    const created = {
+      id: createId(),
+      createdAt: uploadedAt,
+      updatedAt: uploadedAt,
+      projectId: project.id,
+      workspaceId: getWorkspaceId(project),
+      name,
+      versions: [{ version: 1, ...entry }],
+    };
+    files.push(created);
+    return created;
+  });
+  const { version } = latest(file);
+
+  await recordChange(actor, {
+    action: "file.uploaded",
+    entityType: "file",
+    entityId: file.id,
+    after: { name, version, size: entry.size, contentType },
+    details: { projectId: project.id },
+  });
+  await recordProjectActivity(project.id, actor, {
+    type: "file.uploaded",
+    summary:
+      version === 1
+        ? `uploaded ${name}`
+        : `uploaded version ${version} of ${name}`,
+    entityType: "file",
+    entityId: file.id,
+  });
+  return file;
+}
+
+// A version of a file on `project`: its latest when `version` is left out.
+async function findVersion(project, fileId, version) {
+  const file = await findById("files", fileId);
+  if (!file || file.projectId !== project.id) {
+    throw new NotFoundError("File not found");
+  }
+  const entry = version
+    ? file.versions.find((record) => record.version === Number(version))
+    : latest(file);
+  if (!entry) {
+    throw new NotFoundError("Version not found");
+  }
+  if (!entry.storageKey) {
+    throw new NotFoundError(
+      "This file was listed before uploads were stored and has no contents"
+    );
+  }
+  return { file, entry };
+}
+
+async function readObject(key) {
+  const body = await getObject(key);
+  if (!body) {
+    throw new NotFoundError("File not found");
+  }
+  return body;
+}
+
+/**
+ * Finds a version of a file on `project` (its latest when `version` is left
+ * out) for downloading, or with `inline` for showing in the browser, which
+ * only images, PDFs and videos are. Returns `{ file, version, url }`, where
+ * `url` is a presigned URL to send the browser to, or `{ file, version,
+ * body, contentType, inline }` when the storage driver has no such URLs.
+ */
+export async function getFileDownload(
+  project,
+  fileId,
+  version,
+  { inline = false } = {}
+) {
+  const { file, entry } = await findVersion(project, fileId, version);
+  const previewType = getPreviewType(file.name);
+  // Shown files are typed by their extension rather than by what the
+  // uploader's browser claimed, so nothing else is rendered inline.
+  const showInline = inline && INLINE_PREVIEW_KINDS.includes(previewType?.kind);
+  const contentType = showInline ? previewType.contentType : entry.contentType;
+
+  const url = await getDownloadUrl(entry.storageKey, {
+    filename: file.name,
+    contentType,
+    inline: showInline,
+  });
+  if (url) return { file, version: entry, url };
+
+  return {
+    file,
+    version: entry,
+    body: await readObject(entry.storageKey),
+    contentType,
+    inline: showInline,
+  };
+}
+
+/** The thumbnail of a version of an image on `project`, as WebP. */
+export async function getFileThumbnail(project, fileId, version) {
+  const { entry } = await findVersion(project, fileId, version);
+  if (!entry.thumbnailKey) {
+    throw new NotFoundError("This file has no thumbnail");
+  }
+  return readObject(entry.thumbnailKey);
+}
+
+/**
+ * The contents of a version of a text, Markdown or CSV file on `project`,
+ * for previewing.
+ */
+export async function getFileText(project, fileId, version) {
+  const { file, entry } = await findVersion(project, fileId, version);
+  if (!TEXT_PREVIEW_KINDS.includes(getPreviewType(file.name)?.kind)) {
+    throw new ValidationError({}, "This type of file can't be previewed");
+  }
+  if (entry.size > MAX_TEXT_PREVIEW_BYTES) {
+    throw new ValidationError({}, "This file is too large to preview");
+  }
+  return (await readObject(entry.storageKey)).toString("utf8");
+}
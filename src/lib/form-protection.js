@@ -0,0 +1,120 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { SpamCheckError } from "@/lib/errors";
+import { getRequestDevice } from "@/lib/login-alerts";
+import { verifyProofOfWork } from "@/lib/proof-of-work";
+import { consumeRateLimit } from "@/lib/rate-limit";
+import { getSigningSecret } from "@/lib/session-cookie";
+
+// Shared bot protection for the public forms. Each form asks for a signed
+// challenge when it mounts and solves its proof of work in the background;
+// the submission then has to pass, in order: the per-IP rate limit, an empty
+// honeypot field, a challenge that is genuine, unused and at least a few
+// seconds old, a valid proof of work, and the per-email rate limit.
+
+const HOUR = 60 * 60 * 1000;
+
+// Attempts allowed per hour from one IP address and for one email address.
+const FORM_LIMITS = {
+  contact: { ip: 5, email: 3 },
+  signup: { ip: 10, email: 3 },
+  "forgot-password": { ip: 10, email: 3 },
+  newsletter: { ip: 10, email: 3 },
+};
+
+// Leading zero bits required of the proof-of-work hash; each extra bit
+// doubles the work. 14 bits is well under a second in a browser.
+const DIFFICULTY = 14;
+
+// Nobody fills in a form this quickly, but scripts do.
+const MIN_SUBMIT_MS = 3 * 1000;
+const CHALLENGE_TTL_MS = 2 * HOUR;
+
+const usedChallenges = (globalThis.__agencyUsedChallenges ??= new Map());
+
+function sign(payload) {
+  return createHmac("sha256", getSigningSecret())
+    .update(payload)
+    .digest("base64url");
+}
+
+function checkForm(form) {
+  if (!FORM_LIMITS[form]) {
+    throw new Error(`Unknown protected form "${form}"`);
+  }
+}
+
+/** A fresh challenge for `form`: `<form>.<issuedAt>.<salt>.<signature>`. */
+export function issueFormChallenge(form) {
+  checkForm(form);
+  const payload = `${form}.${Date.now()}.${randomBytes(12).toString("base64url")}`;
+  return { challenge: `${payload}.${sign(payload)}`, difficulty: DIFFICULTY };
+}
+
+function readChallenge(form, challenge) {
+  const [challengeForm, issuedAt, salt, signature] = String(
+    challenge ?? ""
+  ).split(".");
+  if (!signature) return null;
+
+  const expected = Buffer.from(sign(`${challengeForm}.${issuedAt}.${salt}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !timingSafeEqual(expected, actual) ||
+    challengeForm !== form
+  ) {
+    return null;
+  }
+  return { issuedAt: Number(issuedAt) };
+}
+
+function markChallengeUsed(challenge, now) {
+  for (const [used, expiresAt] of usedChallenges) {
+    if (expiresAt <= now) usedChallenges.delete(used);
+  }
+  if (usedChallenges.has(challenge)) return false;
+  usedChallenges.set(challenge, now + CHALLENGE_TTL_MS);
+  return true;
+}
+
+/**
+ * Throws a `SpamCheckError` or `RateLimitError` unless `protection` (the
+ * `{ challenge, nonce, website }` a protected form sends) checks out.
+ */
+export async function checkFormSubmission(form, protection, { email } = {}) {
+  checkForm(form);
+  const limits = FORM_LIMITS[form];
+  const { ip } = await getRequestDevice();
+  consumeRateLimit(`${form}:ip:${ip}`, { limit: limits.ip, windowMs: HOUR });
+
+  const { challenge, nonce, website } = protection ?? {};
+  if (website) {
+    throw new SpamCheckError();
+  }
+
+  const now = Date.now();
+  const details = readChallenge(form, challenge);
+  if (!details || now - details.issuedAt > CHALLENGE_TTL_MS) {
+    throw new SpamCheckError(
+      "This form has expired. Please reload the page and try again."
+    );
+  }
+  if (now - details.issuedAt < MIN_SUBMIT_MS) {
+    throw new SpamCheckError(
+      "That was quick! Please wait a few seconds and submit again."
+    );
+  }
+  if (!(await verifyProofOfWork(challenge, nonce, DIFFICULTY))) {
+    throw new SpamCheckError();
+  }
+  if (!markChallengeUsed(challenge, now)) {
+    throw new SpamCheckError();
+  }
+
+  if (typeof email === "string" && email.trim()) {
+    consumeRateLimit(`${form}:email:${email.trim().toLowerCase()}`, {
+      limit: limits.email,
+      windowMs: HOUR,
+    });
+  }
+}
@@ -0,0 +1,312 @@
+import { z } from "zod";
+import { recordChange } from "@/lib/audit";
+import {
+  findAll,
+  findById,
+  findOne,
+  insert,
+  remove,
+  transaction,
+} from "@/lib/db";
+import { addedToWorkspaceEmail, teamInvitationEmail } from "@/lib/emails";
+import { NotFoundError, ValidationError } from "@/lib/errors";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { getOptionLabel } from "@/lib/project-options";
+import { INVITABLE_ROLES } from "@/lib/roles";
+import { DEPARTMENTS } from "@/lib/team-options";
+import { generateToken, hashToken } from "@/lib/tokens";
+import { findUserByEmail, normalizeEmail } from "@/lib/users";
+import { parseWith } from "@/lib/validation";
+import {
+  getMembership,
+  getWorkspace,
+  getWorkspaceId,
+  inWorkspace,
+  setMembership,
+} from "@/lib/workspaces";
+
+// Admins invite people onto their workspace's team by email. The link leads
+// to a sign-up form with the email filled in; creating the account there
+// gives it the invited role and adds the person to the team list. Only the
+// hash of the link's token is stored. Someone who already has an account
+// is added to the workspace straight away instead, and that includes the
+// workspace's clients, who move onto the team with the invited role.
+
+const DAY = 24 * 60 * 60 * 1000;
+const INVITATION_TTL_DAYS = 7;
+
+const INVALID_INVITATION_MESSAGE =
+  "This invitation is invalid, has expired or has already been used";
+
+export const invitationSchema = z.object({
+  email: z
+    .string({ required_error: "Email is required" })
+    .trim()
+    .min(1, "Email is required")
+    .email("Enter a valid email address"),
+  role: z.enum(
+    INVITABLE_ROLES.map((role) => role.value),
+    { errorMap: () => ({ message: "Choose a role from the list" }) }
+  ),
+  department: z.enum(DEPARTMENTS, {
+    errorMap: () => ({ message: "Choose a department from the list" }),
+  }),
+});
+
+function isPending(invitation) {
+  return Boolean(invitation) && !invitation.acceptedAt;
+}
+
+function isUsable(invitation) {
+  return isPending(invitation) && new Date(invitation.expiresAt) > new Date();
+}
+
+// Strips the token hash before an invitation is sent to the browser.
+function toPublicInvitation({ tokenHash, ...invitation }) {
+  return {
+    ...invitation,
+    workspaceId: getWorkspaceId(invitation),
+    expired: new Date(invitation.expiresAt) <= new Date(),
+  };
+}
+
+function issueToken() {
+  const token = generateToken();
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * DAY).toISOString(),
+  };
+}
+
+async function sendInvitationEmail(invitation, token) {
+  const workspace = await getWorkspace(getWorkspaceId(invitation));
+  return sendMail({
+    to: invitation.email,
+    ...teamInvitationEmail({
+      inviterName: invitation.invitedBy.name,
+      workspaceName: workspace.name,
+      role: getOptionLabel(INVITABLE_ROLES, invitation.role),
+      url: absoluteUrl(`/signup?invite=${encodeURIComponent(token)}`),
+      expiresInDays: INVITATION_TTL_DAYS,
+    }),
+  });
+}
+
+/** The workspace's invitations that haven't been accepted, newest first. */
+export async function listPendingInvitations(workspaceId) {
+  const invitations = await findAll("invitations", inWorkspace(workspaceId));
+  return invitations
+    .filter(isPending)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicInvitation);
+}
+
+// Adds someone who already has an account to the workspace they were
+// invited to, or to its team if they were a client there, recording the
+// invitation as accepted.
+async function addExistingUser(user, fields, inviter) {
+  const invitation = await insert("invitations", {
+    ...fields,
+    acceptedAt: new Date().toISOString(),
+  });
+  await setMembership(user.id, invitation.workspaceId, {
+    role: invitation.role,
+    clientId: null,
+  });
+  const member = await addInvitedTeamMember(invitation, user);
+
+  const workspace = await getWorkspace(invitation.workspaceId);
+  await sendMail({
+    to: user.email,
+    ...addedToWorkspaceEmail({
+      name: user.name,
+      inviterName: inviter.name,
+      workspaceName: workspace.name,
+      role: getOptionLabel(INVITABLE_ROLES, invitation.role),
+      url: absoluteUrl("/dashboard"),
+    }),
+  });
+  await recordChange(inviter, {
+    action: "team.added",
+    entityType: "teamMember",
+    entityId: member.id,
+    after: member,
+    details: { email: user.email, role: invitation.role },
+  });
+  return toPublicInvitation(invitation);
+}
+
+/** Invites someone to `inviter`'s current workspace. */
+export async function createInvitation(input, inviter) {
+  const { email, role, department } = parseWith(invitationSchema, input);
+  const normalized = normalizeEmail(email);
+  const { workspaceId } = inviter;
+
+  const user = await findUserByEmail(normalized);
+  const membership = user && getMembership(user, workspaceId);
+  // Clients aren't on the team yet, so inviting them moves them onto it.
+  if (membership && membership.role !== "client") {
+    throw new ValidationError({
+      email: ["Someone with this email is already on this workspace's team"],
+    });
+  }
+  const existing = await findOne(
+    "invitations",
+    (invitation) =>
+      isPending(invitation) &&
+      getWorkspaceId(invitation) === workspaceId &&
+      invitation.email === normalized
+  );
+  if (existing) {
+    throw new ValidationError({
+      email: [
+        "This email has already been invited. Resend the invitation instead.",
+      ],
+    });
+  }
+
+  const fields = {
+    workspaceId,
+    email: normalized,
+    role,
+    department,
+    invitedBy: { id: inviter.id, name: inviter.name },
+  };
+  if (user) return addExistingUser(user, fields, inviter);
+
+  const { token, ...tokenFields } = issueToken();
+  const invitation = await insert("invitations", {
+    ...fields,
+    acceptedAt: null,
+    ...tokenFields,
+  });
+  await sendInvitationEmail(invitation, token);
+  await recordChange(inviter, {
+    action: "team.invited",
+    entityType: "invitation",
+    entityId: invitation.id,
+    after: toPublicInvitation(invitation),
+  });
+  return toPublicInvitation(invitation);
+}
+
+/**
+ * Emails a fresh link, which retires the old one and restarts the clock.
+ * `actor` can only resend invitations to their current workspace.
+ */
+export async function resendInvitation(id, actor) {
+  const { token, ...tokenFields } = issueToken();
+  let before = null;
+  const invitation = await transaction((data) => {
+    const invitation = (data.invitations ?? []).find(
+      (invitation) =>
+        invitation.id === String(id) &&
+        getWorkspaceId(invitation) === actor.workspaceId
+    );
+    if (!isPending(invitation)) return null;
+    before = toPublicInvitation(invitation);
+    Object.assign(invitation, tokenFields, {
+      updatedAt: new Date().toISOString(),
+    });
+    return invitation;
+  });
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+
+  await sendInvitationEmail(invitation, token);
+  await recordChange(actor, {
+    action: "team.invite_resent",
+    entityType: "invitation",
+    entityId: invitation.id,
+    before,
+    after: toPublicInvitation(invitation),
+  });
+  return toPublicInvitation(invitation);
+}
+
+export async function revokeInvitation(id, actor) {
+  const invitation = await findById("invitations", id);
+  if (
+    !isPending(invitation) ||
+    getWorkspaceId(invitation) !== actor.workspaceId
+  ) {
+    throw new NotFoundError("Invitation not found");
+  }
+  await remove("invitations", invitation.id);
+  await recordChange(actor, {
+    action: "team.invite_revoked",
+    entityType: "invitation",
+    entityId: invitation.id,
+    before: toPublicInvitation(invitation),
+  });
+}
+
+/** The usable invitation `token` was issued for, or null. */
+export async function getInvitationByToken(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const invitation = await findOne(
+    "invitations",
+    (invitation) => invitation.tokenHash === tokenHash
+  );
+  return isUsable(invitation) ? toPublicInvitation(invitation) : null;
+}
+
+function invalidInvitationError() {
+  return new ValidationError(
+    { token: [INVALID_INVITATION_MESSAGE] },
+    INVALID_INVITATION_MESSAGE
+  );
+}
+
+/** Like `getInvitationByToken`, but throws when the link can't be used. */
+export async function requireInvitation(token) {
+  const invitation = await getInvitationByToken(token);
+  if (!invitation) throw invalidInvitationError();
+  return invitation;
+}
+
+/**
+ * Marks the invitation for `token` as used and returns it. Runs in a
+ * transaction so the same link can't create two accounts.
+ */
+export async function claimInvitation(token) {
+  const tokenHash = hashToken(token ?? "");
+  const invitation = await transaction((data) => {
+    const invitation = (data.invitations ?? []).find(
+      (invitation) => invitation.tokenHash === tokenHash
+    );
+    if (!isUsable(invitation)) return null;
+    invitation.acceptedAt = new Date().toISOString();
+    return invitation;
+  });
+
+  if (!invitation) throw invalidInvitationError();
+  return toPublicInvitation(invitation);
+}
+
+/** Adds the person who accepted `invitation` to its workspace's team list. */
+export function addInvitedTeamMember(invitation, user) {
+  return insert("teamMembers", {
+    workspaceId: getWorkspaceId(invitation),
+    userId: user.id,
+    name: user.name,
+    email: user.email,
+    phone: "",
+    role: getOptionLabel(INVITABLE_ROLES, invitation.role),
+    department: invitation.department,
+    status: "Active",
+    location: "",
+    joinDate: new Date().toISOString().slice(0, 10),
+    avatar: "",
+    activeProjects: 0,
+    completedProjects: 0,
+    hourlyRate: 0,
+    totalHours: 0,
+    rating: 0,
+    skills: [],
+    lastActive: "Just joined",
+  });
+}
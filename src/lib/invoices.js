@@ -0,0 +1,13 @@
+import { findAll } from "@/lib/db";
+import { getWorkspaceId } from "@/lib/workspaces";
+
+/** Newest first, optionally narrowed to one client. */
+export async function listInvoices(workspaceId, { clientId } = {}) {
+  const invoices = await findAll(
+    "invoices",
+    (invoice) =>
+      getWorkspaceId(invoice) === workspaceId &&
+      (!clientId || invoice.clientId === clientId)
+  );
+  return invoices.sort((a, b) => b.issueDate.localeCompare(a.issueDate));
+}
@@ -0,0 +1,152 @@
+import { z } from "zod";
+import { format } from "date-fns";
+import { recordChange } from "@/lib/audit";
+import { createId, transaction } from "@/lib/db";
+import { leadAcknowledgementEmail, newLeadEmail } from "@/lib/emails";
+import { BUDGET_RANGES, CONTACT_SERVICES } from "@/lib/contact-options";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { getOptionLabel } from "@/lib/project-options";
+import { isInTrash } from "@/lib/trash";
+import { normalizeEmail } from "@/lib/users";
+import { parseWith } from "@/lib/validation";
+import { DEFAULT_WORKSPACE_ID, getWorkspaceId } from "@/lib/workspaces";
+
+const values = (options) => options.map((option) => option.value);
+
+const optionalChoice = (options, message) =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.enum(values(options), { errorMap: () => ({ message }) }).optional()
+  );
+
+export const leadSchema = z.object({
+  firstName: z
+    .string({ required_error: "First name is required" })
+    .trim()
+    .min(1, "First name is required")
+    .max(60),
+  lastName: z
+    .string({ required_error: "Last name is required" })
+    .trim()
+    .min(1, "Last name is required")
+    .max(60),
+  email: z
+    .string({ required_error: "Email is required" })
+    .trim()
+    .min(1, "Email is required")
+    .email("Enter a valid email address"),
+  phone: z.string().trim().max(40).default(""),
+  company: z.string().trim().max(120).default(""),
+  service: optionalChoice(CONTACT_SERVICES, "Choose a service from the list"),
+  budget: optionalChoice(BUDGET_RANGES, "Choose a budget range from the list"),
+  message: z
+    .string({ required_error: "Tell us a little about your project" })
+    .trim()
+    .min(10, "Tell us a little more about your project")
+    .max(5000, "Keep your message under 5,000 characters"),
+});
+
+// Where new-enquiry notifications go; the address on the contact page.
+const LEADS_INBOX = process.env.LEADS_EMAIL || "hello@digitalagency.com";
+
+/**
+ * Stores a contact form enquiry as a lead. Someone we haven't heard from
+ * becomes a "Prospect" client so the enquiry shows up on the clients page;
+ * a known contact just has the lead added to their existing record. The
+ * public site belongs to the default workspace, so its leads do too.
+ */
+export async function createLead(input) {
+  const fields = parseWith(leadSchema, input);
+  const email = normalizeEmail(fields.email);
+  const name = `${fields.firstName} ${fields.lastName}`;
+
+  const { lead, client, before } = await transaction((data) => {
+    const now = new Date().toISOString();
+    const today = format(new Date(), "yyyy-MM-dd");
+    const clients = (data.clients ??= []);
+
+    let client = clients.find(
+      (record) =>
+        getWorkspaceId(record) === DEFAULT_WORKSPACE_ID &&
+        !isInTrash(record) &&
+        normalizeEmail(record.email) === email
+    );
+    const before = client && { ...client };
+    if (client) {
+      client.lastContact = today;
+      client.updatedAt = now;
+    } else {
+      client = {
+        id: createId(),
+        createdAt: now,
+        updatedAt: now,
+        workspaceId: DEFAULT_WORKSPACE_ID,
+        name: fields.company || name,
+        contactPerson: name,
+        email,
+        phone: fields.phone,
+        company: fields.company,
+        location: "",
+        status: "Prospect",
+        type: null,
+        totalRevenue: 0,
+        joinDate: today,
+        rating: 0,
+        avatar: "",
+        lastContact: today,
+      };
+      clients.push(client);
+    }
+
+    const created = {
+      id: createId(),
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+      email,
+      workspaceId: DEFAULT_WORKSPACE_ID,
+      clientId: client.id,
+    };
+    (data.leads ??= []).push(created);
+    return { lead: created, client, before };
+  });
+
+  // A known contact writing again on the same day changes nothing.
+  if (!before || before.lastContact !== client.lastContact) {
+    await recordChange(null, {
+      action: before ? "client.updated" : "client.created",
+      entityType: "client",
+      entityId: client.id,
+      before,
+      after: client,
+      workspaceId: DEFAULT_WORKSPACE_ID,
+      actorEmail: email,
+      details: { source: "contact-form", leadId: lead.id },
+    });
+  }
+
+  const service =
+    lead.service && getOptionLabel(CONTACT_SERVICES, lead.service);
+  const budget = lead.budget && getOptionLabel(BUDGET_RANGES, lead.budget);
+
+  // Queued rather than awaited: the lead is saved, so a mail outage
+  // shouldn't turn the submission into an error.
+  sendMail({
+    to: email,
+    ...leadAcknowledgementEmail({ name: fields.firstName, service }),
+  }).catch((error) =>
+    console.error("Failed to send lead acknowledgement", error)
+  );
+  sendMail({
+    to: LEADS_INBOX,
+    ...newLeadEmail({
+      ...lead,
+      name,
+      service,
+      budget,
+      url: absoluteUrl("/dashboard/clients"),
+    }),
+  }).catch((error) => console.error("Failed to send lead notification", error));
+
+  return lead;
+}
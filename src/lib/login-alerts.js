@@ -0,0 +1,86 @@
+import { isIP } from "net";
+import { headers } from "next/headers";
+import { transaction } from "@/lib/db";
+import { newLoginEmail } from "@/lib/emails";
+import { absoluteUrl } from "@/lib/mail";
+import { notify } from "@/lib/notifications";
+import { hashToken } from "@/lib/tokens";
+import { describeUserAgent } from "@/lib/user-agent";
+import { getSecuritySettings } from "@/lib/users";
+
+// How many reverse proxies sit in front of the app, each appending the
+// address it got the request from to X-Forwarded-For. Everything to the left
+// of what the nearest of them saw was sent by the client and can't be
+// trusted. Without a proxy Next.js fills the header in with the socket
+// address, unless the client sent one.
+const DEFAULT_TRUSTED_PROXIES = 1;
+
+/**
+ * The address the request came from, as the proxies in front of the app
+ * saw it: `CLIENT_IP_HEADER` when a proxy sets one (such as
+ * `cf-connecting-ip`), else the X-Forwarded-For entry `TRUSTED_PROXIES`
+ * from the right. "unknown" when that isn't an IP address.
+ */
+export function getClientIp(headerList) {
+  let candidate;
+  if (process.env.CLIENT_IP_HEADER) {
+    candidate = headerList.get(process.env.CLIENT_IP_HEADER);
+  } else {
+    const hops =
+      Number.parseInt(process.env.TRUSTED_PROXIES, 10) ||
+      DEFAULT_TRUSTED_PROXIES;
+    const forwardedFor = (headerList.get("x-forwarded-for") ?? "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    candidate = forwardedFor[Math.max(0, forwardedFor.length - hops)];
+  }
+  candidate = candidate?.trim();
+  return candidate && isIP(candidate) ? candidate : "unknown";
+}
+
+/** User agent and client IP of the current request, for session records. */
+export async function getRequestDevice() {
+  const headerList = await headers();
+  return {
+    userAgent: headerList.get("user-agent") ?? "",
+    ip: getClientIp(headerList),
+  };
+}
+
+/**
+ * Remembers the device a user signed in from and, if it's one we haven't
+ * seen (a new browser or a new IP), tells them when login alerts are on, as
+ * a security alert.
+ * The very first sign-in only records the device.
+ */
+export async function noteSignIn(userId, { userAgent, ip }) {
+  const deviceHash = hashToken(`${userAgent}|${ip}`);
+
+  const user = await transaction((data) => {
+    const user = (data.users ?? []).find((user) => user.id === userId);
+    if (!user) return null;
+
+    const knownDevices = user.knownDevices ?? [];
+    if (knownDevices.includes(deviceHash)) return null;
+    user.knownDevices = [...knownDevices, deviceHash];
+    return knownDevices.length > 0 ? user : null;
+  });
+
+  if (!user || !getSecuritySettings(user).loginAlerts) return;
+
+  const device = describeUserAgent(userAgent);
+  await notify(user, {
+    category: "securityAlerts",
+    title: "New sign-in to your account",
+    body: `${device} from ${ip}`,
+    path: "/dashboard/settings?tab=security",
+    email: newLoginEmail({
+      name: user.name,
+      device,
+      ip,
+      time: new Date().toUTCString(),
+      settingsUrl: absoluteUrl("/dashboard/settings?tab=security"),
+    }),
+  });
+}
@@ -0,0 +1,255 @@
+import { recordAuditEvent } from "@/lib/audit";
+import { findOne, transaction } from "@/lib/db";
+import { accountLockedEmail } from "@/lib/emails";
+import { RateLimitError, ValidationError } from "@/lib/errors";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { generateToken, hashToken } from "@/lib/tokens";
+import { findUserByEmail, normalizeEmail } from "@/lib/users";
+
+// Brute-force protection for the login form. Failed attempts are counted
+// per email address and per IP in the `loginThrottles` collection, the IP
+// being the one the app's proxies saw (see `getClientIp`), which the client
+// can't choose. Email addresses are tracked whether or not an account
+// exists, so the responses never reveal which addresses are registered.
+//
+// - From the 3rd failure for an address, each further attempt has to wait
+//   twice as long as the last (1s, 2s, 4s, ... up to a minute).
+// - The 10th failure locks the address for 15 minutes and emails the
+//   account owner a link that unlocks it straight away.
+// - 30 failures from one IP within 15 minutes block that IP for 15 minutes.
+
+const MINUTE = 60 * 1000;
+
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCK_AFTER_FAILURES = 10;
+const LOCK_MS = 15 * MINUTE;
+const IP_FAILURE_LIMIT = 30;
+const IP_WINDOW_MS = 15 * MINUTE;
+// Failures older than this are forgotten.
+const FAILURE_MEMORY_MS = 60 * MINUTE;
+
+const LOCKED_REASON =
+  "This account is locked after too many failed sign-in attempts. We've emailed the account owner a link to unlock it.";
+const BLOCKED_IP_REASON = "Too many failed sign-in attempts from your network.";
+
+const emailKey = (email) => `email:${normalizeEmail(email)}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+function getDelaySeconds(failures) {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+}
+
+/** Seconds before `record` allows another attempt, and why, or null. */
+function getWait(record, now) {
+  if (!record) return null;
+  const isIp = record.key.startsWith("ip:");
+
+  const lockedUntil = record.lockedUntil
+    ? new Date(record.lockedUntil).getTime()
+    : 0;
+  if (lockedUntil > now) {
+    return {
+      seconds: secondsUntil(lockedUntil, now),
+      reason: isIp ? BLOCKED_IP_REASON : LOCKED_REASON,
+      locked: true,
+    };
+  }
+
+  // Only addresses slow down; an IP may be a whole office behind one NAT.
+  const delay = isIp ? 0 : getDelaySeconds(record.failures) * 1000;
+  const nextAttemptAt = new Date(record.lastFailedAt).getTime() + delay;
+  if (delay && nextAttemptAt > now) {
+    return {
+      seconds: secondsUntil(nextAttemptAt, now),
+      reason: "Too many failed attempts.",
+      locked: false,
+    };
+  }
+  return null;
+}
+
+function findThrottle(key) {
+  return findOne("loginThrottles", (record) => record.key === key);
+}
+
+/**
+ * Throws a `RateLimitError` carrying the remaining wait if `email` or the
+ * requesting IP is currently delayed or locked.
+ */
+export async function assertLoginAllowed(email, device) {
+  const now = Date.now();
+  for (const key of [ipKey(device.ip), emailKey(email)]) {
+    const wait = getWait(await findThrottle(key), now);
+    if (!wait) continue;
+
+    await recordAuditEvent({
+      action: "login.blocked",
+      actorEmail: normalizeEmail(email),
+      ...device,
+      details: { retryAfter: wait.seconds },
+    });
+    throw new RateLimitError(wait.seconds, wait.reason);
+  }
+}
+
+// Bumps the failure count on the record for `key`, starting afresh when the
+// last failure or lock is stale. Returns the updated record and whether
+// this failure locked it.
+function countFailure(data, key, now, { limit, windowMs, lockMs }) {
+  const records = (data.loginThrottles ??= []);
+  let record = records.find((candidate) => candidate.key === key);
+
+  const lastFailedAt = record ? new Date(record.lastFailedAt).getTime() : 0;
+  const lockExpired =
+    record?.lockedUntil && new Date(record.lockedUntil).getTime() <= now;
+  if (record && (lockExpired || now - lastFailedAt > windowMs)) {
+    records.splice(records.indexOf(record), 1);
+    record = null;
+  }
+  if (!record) {
+    record = { key, failures: 0, lockedUntil: null };
+    records.push(record);
+  }
+
+  record.failures += 1;
+  record.lastFailedAt = new Date(now).toISOString();
+  const justLocked = record.failures === limit;
+  if (justLocked) {
+    record.lockedUntil = new Date(now + lockMs).toISOString();
+  }
+  return { record, justLocked };
+}
+
+/**
+ * Records a failed login for `email` from `device`, locking the address
+ * or IP when it crosses its limit. Throws the `RateLimitError` to show when
+ * this failure means the next attempt has to wait.
+ */
+export async function recordLoginFailure(email, device) {
+  const now = Date.now();
+  const user = await findUserByEmail(email);
+  const unlockToken = generateToken();
+
+  const { ip, address } = await transaction((data) => {
+    const ip = countFailure(data, ipKey(device.ip), now, {
+      limit: IP_FAILURE_LIMIT,
+      windowMs: IP_WINDOW_MS,
+      lockMs: IP_WINDOW_MS,
+    });
+    const address = countFailure(data, emailKey(email), now, {
+      limit: LOCK_AFTER_FAILURES,
+      windowMs: FAILURE_MEMORY_MS,
+      lockMs: LOCK_MS,
+    });
+    if (address.justLocked && user) {
+      address.record.unlockTokenHash = hashToken(unlockToken);
+    }
+    return { ip, address };
+  });
+
+  await recordAuditEvent({
+    action: "login.failed",
+    actorId: user?.id ?? null,
+    actorEmail: normalizeEmail(email),
+    ...device,
+    details: { failures: address.record.failures },
+  });
+
+  if (address.justLocked) {
+    await recordAuditEvent({
+      action: "login.locked",
+      actorId: user?.id ?? null,
+      actorEmail: normalizeEmail(email),
+      ...device,
+      details: { lockedUntil: address.record.lockedUntil },
+    });
+    if (user) {
+      // Queued rather than awaited so the response time doesn't give away
+      // whether an account exists.
+      sendMail({
+        to: user.email,
+        ...accountLockedEmail({
+          name: user.name,
+          url: absoluteUrl(
+            `/unlock-account?token=${encodeURIComponent(unlockToken)}`
+          ),
+          lockedMinutes: LOCK_MS / MINUTE,
+        }),
+      }).catch((error) => console.error("Failed to send unlock email", error));
+    }
+  }
+  if (ip.justLocked) {
+    await recordAuditEvent({
+      action: "login.ip_blocked",
+      actorEmail: normalizeEmail(email),
+      ...device,
+      details: { lockedUntil: ip.record.lockedUntil },
+    });
+  }
+
+  const wait = getWait(ip.record, now) ?? getWait(address.record, now);
+  if (wait) {
+    throw new RateLimitError(
+      wait.seconds,
+      wait.locked ? wait.reason : "Invalid email or password."
+    );
+  }
+}
+
+/** Forgets the failures for `email` after a successful login or reset. */
+export function clearLoginFailures(email) {
+  const key = emailKey(email);
+  return transaction((data) => {
+    data.loginThrottles = (data.loginThrottles ?? []).filter(
+      (record) => record.key !== key
+    );
+  });
+}
+
+const INVALID_UNLOCK_MESSAGE = "This unlock link is invalid or has expired";
+
+export async function isUnlockTokenValid(token) {
+  if (!token) return false;
+  const tokenHash = hashToken(token);
+  const record = await findOne(
+    "loginThrottles",
+    (candidate) => candidate.unlockTokenHash === tokenHash
+  );
+  return Boolean(record) && new Date(record.lockedUntil) > new Date();
+}
+
+/** Lifts the lock the emailed `token` was issued for. */
+export async function unlockAccount(token, device) {
+  const tokenHash = token ? hashToken(token) : null;
+  const record = await transaction((data) => {
+    const records = data.loginThrottles ?? [];
+    const record = records.find(
+      (candidate) => tokenHash && candidate.unlockTokenHash === tokenHash
+    );
+    if (!record) return null;
+    records.splice(records.indexOf(record), 1);
+    return record;
+  });
+
+  if (!record) {
+    throw new ValidationError(
+      { token: [INVALID_UNLOCK_MESSAGE] },
+      INVALID_UNLOCK_MESSAGE
+    );
+  }
+
+  const email = record.key.slice("email:".length);
+  const user = await findUserByEmail(email);
+  await recordAuditEvent({
+    action: "login.unlocked",
+    actorId: user?.id ?? null,
+    actorEmail: email,
+    ...device,
+  });
+}
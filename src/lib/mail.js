@@ -0,0 +1,81 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { createId } from "@/lib/db";
+
+// Outgoing mail goes through a single transport: a function that receives
+// `{ to, subject, text, html }`. Pick a built-in one with MAIL_TRANSPORT or
+// plug in a provider with `setMailTransport`.
+
+const OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "data", "outbox");
+
+const transports = {
+  // Logs a summary of each message; handy when tailing the dev server.
+  console: async (message) => {
+    console.info(
+      `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+  },
+
+  // Writes each message to data/outbox/ as JSON so links can be opened
+  // without a real mail server.
+  outbox: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const file = path.join(
+      OUTBOX_DIR,
+      `${new Date().toISOString().replace(/[:.]/g, "-")}-${createId()}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    console.info(
+      `[mail] to=${message.to} subject="${message.subject}" → ${file}`
+    );
+  },
+};
+
+let transport = null;
+
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT;
+  // The defaults are for development: in production, mail that silently
+  // lands on disk would look sent to everyone waiting for it.
+  if (!name) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "Set MAIL_TRANSPORT or call setMailTransport before sending mail in production"
+      );
+    }
+    return transports.outbox;
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transports[name];
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from:
+      process.env.MAIL_FROM || "DigitalAgency <no-reply@digitalagency.local>",
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    sentAt: new Date().toISOString(),
+  };
+  await getTransport()(message);
+  return message;
+}
+
+/** Builds an absolute link for emails from a path like `/reset-password`. */
+export function absoluteUrl(pathname) {
+  return new URL(
+    pathname,
+    process.env.APP_URL || "http://localhost:3000"
+  ).toString();
+}
@@ -0,0 +1,335 @@
+import { recordProjectActivity } from "@/lib/activity";
+import { recordChange } from "@/lib/audit";
+import { createId, findAll, findById, insert, transaction } from "@/lib/db";
+import { NotFoundError, ValidationError } from "@/lib/errors";
+import { parseMilestone } from "@/lib/project-schema";
+import { isInTrash, untrashedIn } from "@/lib/trash";
+import { getWorkspaceId } from "@/lib/workspaces";
+
+// Milestones are records of their own in the `milestones` collection,
+// ordered within their project by `position`. A project's `progress` is
+// derived from them rather than stored: the share of its milestones that
+// are completed.
+//
+// Projects from before that kept their milestones in a `milestones` array
+// on the project record; `withMilestones` moves them out the first time
+// it sees one.
+
+const byPosition = (a, b) => a.position - b.position;
+
+/**
+ * Percentage of `milestones` that are completed. A project without any
+ * counts as done once its status is.
+ */
+export function getProjectProgress(project, milestones) {
+  if (!milestones.length) return project.status === "completed" ? 100 : 0;
+  const completed = milestones.filter(
+    (milestone) => milestone.status === "completed"
+  ).length;
+  return Math.round((completed / milestones.length) * 100);
+}
+
+async function moveEmbeddedMilestones() {
+  await transaction((data) => {
+    const records = (data.milestones ??= []);
+    const takenIds = new Set(records.map((record) => record.id));
+    for (const project of data.projects ?? []) {
+      if (!Array.isArray(project.milestones)) continue;
+      project.milestones.forEach(({ progress, ...milestone }, position) => {
+        // Embedded ids were only unique within their project.
+        const id = takenIds.has(milestone.id) ? createId() : milestone.id;
+        takenIds.add(id);
+        records.push({
+          createdAt: project.createdAt,
+          updatedAt: project.updatedAt,
+          ownerId: null,
+          ...milestone,
+          id,
+          projectId: project.id,
+          workspaceId: getWorkspaceId(project),
+          position,
+        });
+      });
+      delete project.milestones;
+      delete project.progress;
+    }
+  });
+}
+
+/**
+ * Adds each project's milestones, in order and with their owner's name,
+ * and the `progress` derived from them.
+ */
+export async function withMilestones(projects) {
+  if (projects.some((project) => Array.isArray(project.milestones))) {
+    await moveEmbeddedMilestones();
+  }
+
+  const projectIds = new Set(projects.map((project) => project.id));
+  const [milestones, members] = await Promise.all([
+    findAll("milestones", (milestone) => projectIds.has(milestone.projectId)),
+    findAll("teamMembers", (member) => !isInTrash(member)),
+  ]);
+
+  return projects.map((project) => {
+    const own = milestones
+      .filter((milestone) => milestone.projectId === project.id)
+      .sort(byPosition)
+      .map((milestone) => {
+        const owner = members.find((member) => member.id === milestone.ownerId);
+        return {
+          ...milestone,
+          owner: owner
+            ? { id: owner.id, name: owner.name, avatar: owner.avatar }
+            : null,
+        };
+      });
+    return {
+      ...project,
+      milestones: own,
+      progress: getProjectProgress(project, own),
+    };
+  });
+}
+
+async function requireProject(workspaceId, projectId) {
+  const project = await findById("projects", projectId);
+  if (
+    !project ||
+    getWorkspaceId(project) !== workspaceId ||
+    isInTrash(project)
+  ) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+async function checkOwner(workspaceId, ownerId) {
+  if (!ownerId) return;
+  const members = await findAll("teamMembers", untrashedIn(workspaceId));
+  if (!members.some((member) => member.id === ownerId)) {
+    throw new ValidationError({ ownerId: ["Choose an owner from the team"] });
+  }
+}
+
+function listProjectMilestones(projectId) {
+  return findAll(
+    "milestones",
+    (milestone) => milestone.projectId === projectId
+  );
+}
+
+// Completion is stamped when a milestone becomes completed; reopening one
+// clears that and any sign-off the client gave.
+function completionChanges(existing, status, actor) {
+  if (status === undefined || status === existing?.status) return {};
+  if (status === "completed") {
+    return {
+      completedAt: new Date().toISOString(),
+      completedBy: { id: actor.id, name: actor.name },
+    };
+  }
+  return {
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  };
+}
+
+// Puts a change to `milestone` in the project's activity feed.
+function recordMilestoneActivity(actor, milestone, type, summary) {
+  return recordProjectActivity(milestone.projectId, actor, {
+    type,
+    summary,
+    entityType: "milestone",
+    entityId: milestone.id,
+  });
+}
+
+/** Adds a milestone to the end of a project in `actor`'s workspace. */
+export async function createMilestone(actor, projectId, input) {
+  const fields = parseMilestone(input);
+  const project = await requireProject(actor.workspaceId, projectId);
+  await checkOwner(actor.workspaceId, fields.ownerId);
+
+  const existing = await listProjectMilestones(project.id);
+  const milestone = await insert("milestones", {
+    ...fields,
+    projectId: project.id,
+    workspaceId: getWorkspaceId(project),
+    position: Math.max(-1, ...existing.map((record) => record.position)) + 1,
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+    ...completionChanges(null, fields.status, actor),
+  });
+  await recordChange(actor, {
+    action: "milestone.created",
+    entityType: "milestone",
+    entityId: milestone.id,
+    after: milestone,
+    details: { projectId: project.id },
+  });
+  await recordMilestoneActivity(
+    actor,
+    milestone,
+    "milestone.created",
+    `added milestone ${milestone.title}`
+  );
+  return milestone;
+}
+
+async function requireMilestone(actor, projectId, id) {
+  await requireProject(actor.workspaceId, projectId);
+  const milestone = await findById("milestones", id);
+  if (!milestone || milestone.projectId !== projectId) {
+    throw new NotFoundError("Milestone not found");
+  }
+  return milestone;
+}
+
+/** Changes some of a milestone's fields, e.g. only its status. */
+export async function updateMilestone(actor, projectId, id, input) {
+  const changes = parseMilestone(input, { partial: true });
+  const existing = await requireMilestone(actor, projectId, id);
+  await checkOwner(actor.workspaceId, changes.ownerId);
+
+  const updated = await transaction((data) => {
+    const milestone = data.milestones.find((record) => record.id === id);
+    Object.assign(milestone, changes, {
+      ...completionChanges(existing, changes.status, actor),
+      updatedAt: new Date().toISOString(),
+    });
+    return milestone;
+  });
+  await recordChange(actor, {
+    action: "milestone.updated",
+    entityType: "milestone",
+    entityId: id,
+    before: existing,
+    after: updated,
+    details: { projectId },
+  });
+  if (updated.status !== existing.status) {
+    if (updated.status === "completed") {
+      await recordMilestoneActivity(
+        actor,
+        updated,
+        "milestone.completed",
+        `completed milestone ${updated.title}`
+      );
+    } else if (existing.status === "completed") {
+      await recordMilestoneActivity(
+        actor,
+        updated,
+        "milestone.reopened",
+        `reopened milestone ${updated.title}`
+      );
+    }
+  }
+  return updated;
+}
+
+export async function deleteMilestone(actor, projectId, id) {
+  const existing = await requireMilestone(actor, projectId, id);
+  await transaction((data) => {
+    data.milestones = data.milestones.filter((record) => record.id !== id);
+    for (const task of data.tasks ?? []) {
+      if (task.milestoneId === id) task.milestoneId = null;
+    }
+    if (data.comments) {
+      data.comments = data.comments.filter(
+        (comment) => comment.milestoneId !== id
+      );
+    }
+  });
+  await recordChange(actor, {
+    action: "milestone.deleted",
+    entityType: "milestone",
+    entityId: id,
+    before: existing,
+    details: { projectId },
+  });
+  return existing;
+}
+
+/** Puts a project's milestones in the order of `ids`, which lists them all. */
+export async function reorderMilestones(actor, projectId, ids) {
+  await requireProject(actor.workspaceId, projectId);
+  const milestones = (await listProjectMilestones(projectId)).sort(byPosition);
+  const before = milestones.map((milestone) => milestone.id);
+  if (
+    !Array.isArray(ids) ||
+    ids.length !== before.length ||
+    !before.every((id) => ids.includes(id))
+  ) {
+    throw new ValidationError(
+      {},
+      "The milestones have changed since the page loaded. Reload and try again."
+    );
+  }
+
+  await transaction((data) => {
+    for (const milestone of data.milestones) {
+      if (milestone.projectId === projectId) {
+        milestone.position = ids.indexOf(milestone.id);
+      }
+    }
+  });
+  await recordChange(actor, {
+    action: "milestone.reordered",
+    entityType: "project",
+    entityId: projectId,
+    before: { milestoneOrder: before },
+    after: { milestoneOrder: ids },
+  });
+}
+
+/** Records the client's sign-off on a completed milestone. */
+export async function approveMilestone(projectId, milestoneId, user) {
+  let before = null;
+  const milestone = await transaction((data) => {
+    const milestone = data.milestones?.find(
+      (record) => record.id === milestoneId && record.projectId === projectId
+    );
+    if (!milestone) {
+      throw new NotFoundError("Milestone not found");
+    }
+    if (milestone.status !== "completed") {
+      throw new ValidationError(
+        {},
+        "Only completed milestones can be approved"
+      );
+    }
+    if (milestone.approvedAt) return milestone;
+
+    before = { ...milestone };
+    const now = new Date().toISOString();
+    Object.assign(milestone, {
+      approvedAt: now,
+      approvedBy: { id: user.id, name: user.name },
+      updatedAt: now,
+    });
+    return milestone;
+  });
+
+  if (before) {
+    await recordChange(user, {
+      action: "milestone.approved",
+      entityType: "milestone",
+      entityId: milestone.id,
+      before,
+      after: milestone,
+      details: { projectId },
+    });
+    await recordMilestoneActivity(
+      user,
+      milestone,
+      "milestone.approved",
+      `approved milestone ${milestone.title}`
+    );
+  }
+  return milestone;
+}
@@ -0,0 +1,24 @@
+import { z } from "zod";
+import { findOne, insert } from "@/lib/db";
+import { normalizeEmail } from "@/lib/users";
+import { parseWith } from "@/lib/validation";
+
+export const newsletterSchema = z.object({
+  email: z
+    .string({ required_error: "Email is required" })
+    .trim()
+    .min(1, "Email is required")
+    .email("Enter a valid email address"),
+});
+
+/** Subscribing twice is a no-op, so the form never reveals who's on the list. */
+export async function subscribeToNewsletter(input) {
+  const email = normalizeEmail(parseWith(newsletterSchema, input).email);
+  const existing = await findOne(
+    "newsletterSubscribers",
+    (subscriber) => subscriber.email === email
+  );
+  if (existing) return existing;
+
+  return insert("newsletterSubscribers", { email });
+}
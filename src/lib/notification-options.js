@@ -0,0 +1,41 @@
+// Notification preferences shared by the settings form and the server. Each
+// kind of notification goes out on the channel the user picked for it.
+
+export const NOTIFICATION_CATEGORIES = [
+  {
+    value: "projectUpdates",
+    label: "Project Updates",
+    description:
+      "Mentions, tasks assigned to you, and status changes, milestones and new files on your projects",
+  },
+  {
+    value: "securityAlerts",
+    label: "Security Alerts",
+    description:
+      "Sign-ins to your account from a new device, while login alerts are on",
+  },
+  {
+    value: "invoiceReminders",
+    label: "Invoice Reminders",
+    description: "Invoices coming due and overdue",
+  },
+  {
+    value: "weeklyReports",
+    label: "Weekly Reports",
+    description: "A weekly summary of what happened on your projects",
+  },
+];
+
+export const NOTIFICATION_CHANNELS = [
+  { value: "both", label: "In-app and email" },
+  { value: "in-app", label: "In-app only" },
+  { value: "email", label: "Email only" },
+  { value: "off", label: "Off" },
+];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  projectUpdates: "both",
+  securityAlerts: "both",
+  invoiceReminders: "both",
+  weeklyReports: "email",
+};
@@ -0,0 +1,136 @@
+import { findAll, findById, insert, transaction } from "@/lib/db";
+import { NotFoundError } from "@/lib/errors";
+import { sendMail } from "@/lib/mail";
+import { can, canAccessProject } from "@/lib/roles";
+import { isInTrash } from "@/lib/trash";
+import { getNotificationPreferences, toPublicUser } from "@/lib/users";
+import { getMembership, getWorkspaceId } from "@/lib/workspaces";
+
+// Notifications tell one user about something that concerns them. Each has
+// a `category` (see `NOTIFICATION_CATEGORIES`), and the channel the user
+// picked for that category decides whether it's kept in the `notifications`
+// collection for the bell in the dashboard header, emailed, or both.
+//
+// Those kept have a `title`, an optional `body`, the `path` of the page it's
+// about and `readAt`, null until the user has seen it. They belong to the
+// workspace they're about, and the bell shows those of the user's current
+// workspace along with those about none in particular, like security
+// alerts.
+
+// How many the bell lists; older ones stay in the collection.
+const LISTED_NOTIFICATIONS = 20;
+
+/**
+ * Notifies `user` (a stored user record) as their preferences for
+ * `category` ask: in the app with `title`, `body` and `path`, by sending
+ * `email` (a template's `{ subject, text }`), both or neither.
+ */
+export async function notify(
+  user,
+  { category, title, body = "", path = null, workspaceId = null, email }
+) {
+  const channel = getNotificationPreferences(user)[category];
+
+  if (channel === "in-app" || channel === "both") {
+    await insert("notifications", {
+      userId: user.id,
+      workspaceId,
+      category,
+      title,
+      body,
+      path,
+      readAt: null,
+    });
+  }
+  if ((channel === "email" || channel === "both") && email) {
+    // Queued rather than awaited, so a mail outage doesn't stop whatever
+    // the notification is about.
+    sendMail({ to: user.email, ...email }).catch((error) =>
+      console.error(`Failed to send ${category} email`, error)
+    );
+  }
+}
+
+/**
+ * The accounts of the people on `project` who can see it, with their role
+ * in its workspace: team members with an account and the client's users.
+ * Narrowed to those with `permission` when one is given.
+ */
+export async function listProjectPeople(project, { permission } = {}) {
+  const workspaceId = getWorkspaceId(project);
+  const members = await findAll(
+    "teamMembers",
+    (member) =>
+      member.userId &&
+      !isInTrash(member) &&
+      project.teamMembers.includes(member.id)
+  );
+  const memberUserIds = new Set(members.map((member) => member.userId));
+  const users = await findAll("users", (user) => {
+    const membership = getMembership(user, workspaceId);
+    if (!membership) return false;
+    return (
+      memberUserIds.has(user.id) ||
+      (Boolean(project.clientId) && membership.clientId === project.clientId)
+    );
+  });
+  return users.filter((user) => {
+    const publicUser = toPublicUser(user, workspaceId);
+    return (
+      canAccessProject(publicUser, project) &&
+      (!permission || can(publicUser, permission))
+    );
+  });
+}
+
+/**
+ * The user's latest notifications in their current workspace, newest
+ * first, and how many of them all are unread.
+ */
+export async function listNotifications(user) {
+  const notifications = await findAll(
+    "notifications",
+    (notification) =>
+      notification.userId === user.id &&
+      (!notification.workspaceId ||
+        notification.workspaceId === user.workspaceId)
+  );
+  notifications.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    notifications: notifications.slice(0, LISTED_NOTIFICATIONS),
+    unreadCount: notifications.filter((notification) => !notification.readAt)
+      .length,
+  };
+}
+
+export async function markNotificationRead(user, id) {
+  const notification = await findById("notifications", id);
+  if (!notification || notification.userId !== user.id) {
+    throw new NotFoundError("Notification not found");
+  }
+  if (notification.readAt) return notification;
+
+  return transaction((data) =>
+    Object.assign(
+      data.notifications.find((record) => record.id === id),
+      { readAt: new Date().toISOString() }
+    )
+  );
+}
+
+/** Marks everything the bell shows the user as read. */
+export async function markAllNotificationsRead(user) {
+  await transaction((data) => {
+    const now = new Date().toISOString();
+    for (const notification of data.notifications ?? []) {
+      if (
+        notification.userId === user.id &&
+        !notification.readAt &&
+        (!notification.workspaceId ||
+          notification.workspaceId === user.workspaceId)
+      ) {
+        notification.readAt = now;
+      }
+    }
+  });
+}
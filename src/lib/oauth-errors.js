@@ -0,0 +1,15 @@
+// Social sign-in failures reach the login page as `?error=<code>`, so text
+// from the query string is never shown as-is.
+export const OAUTH_ERROR_MESSAGES = {
+  access_denied: "Sign-in was cancelled.",
+  expired: "Your sign-in attempt expired. Please try again.",
+  unavailable: "That sign-in option isn't available right now.",
+  unverified_email:
+    "That account doesn't have a verified email address we can use. Verify it with the provider, or sign in with your email and password.",
+  failed: "We couldn't sign you in with that account. Please try again.",
+};
+
+export function getOAuthErrorMessage(code) {
+  if (!code) return "";
+  return OAUTH_ERROR_MESSAGES[code] ?? OAUTH_ERROR_MESSAGES.failed;
+}
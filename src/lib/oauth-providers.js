@@ -0,0 +1,84 @@
+import { OAuthError } from "@/lib/errors";
+
+// Social sign-in providers. Each entry is an adapter the flow in
+// `@/lib/oauth` drives without knowing which provider it is:
+//
+// - `oidc` providers are discovered from `issuer` and identify the user from
+//   the ID token's claims.
+// - `oauth2` providers list their endpoints and supply `getProfile`, which
+//   turns an access token into `{ subject, email, emailVerified, name,
+//   avatar }`.
+//
+// A provider is only offered once `OAUTH_<ID>_CLIENT_ID` and
+// `OAUTH_<ID>_CLIENT_SECRET` are set. Setting `OAUTH_<ID>_ISSUER` points it
+// at any OpenID Connect issuer instead, such as the local mock server
+// (`npm run mock-oidc`).
+
+async function fetchGitHub(url, accessToken) {
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+  if (!response.ok) {
+    throw new OAuthError("failed", `GitHub responded ${response.status}`);
+  }
+  return response.json();
+}
+
+const PROVIDERS = {
+  google: {
+    name: "Google",
+    type: "oidc",
+    issuer: "https://accounts.google.com",
+    scope: "openid email profile",
+  },
+  github: {
+    name: "GitHub",
+    type: "oauth2",
+    authorizationEndpoint: "https://github.com/login/oauth/authorize",
+    tokenEndpoint: "https://github.com/login/oauth/access_token",
+    scope: "read:user user:email",
+    async getProfile(accessToken) {
+      const [user, emails] = await Promise.all([
+        fetchGitHub("https://api.github.com/user", accessToken),
+        fetchGitHub("https://api.github.com/user/emails", accessToken),
+      ]);
+      const primary = emails.find((email) => email.primary);
+      return {
+        subject: String(user.id),
+        email: primary?.email ?? null,
+        emailVerified: Boolean(primary?.verified),
+        name: user.name || user.login,
+        avatar: user.avatar_url ?? "",
+      };
+    },
+  },
+};
+
+function readEnv(id, name) {
+  return process.env[`OAUTH_${id.toUpperCase()}_${name}`] || null;
+}
+
+/**
+ * The adapter for `id` with its credentials, or throws an `OAuthError`
+ * when the provider is unknown or not configured.
+ */
+export function getOAuthProvider(id) {
+  const provider = Object.hasOwn(PROVIDERS, id) ? PROVIDERS[id] : null;
+  const clientId = readEnv(id, "CLIENT_ID");
+  const clientSecret = readEnv(id, "CLIENT_SECRET");
+  if (!provider || !clientId || !clientSecret) {
+    throw new OAuthError("unavailable", `OAuth provider "${id}" is not set up`);
+  }
+
+  const issuer = readEnv(id, "ISSUER");
+  return {
+    ...provider,
+    ...(issuer && { type: "oidc", issuer, scope: "openid email profile" }),
+    id,
+    clientId,
+    clientSecret,
+  };
+}
@@ -0,0 +1,238 @@
+import { createHash } from "crypto";
+import { cookies } from "next/headers";
+import { signInWithOAuth } from "@/lib/auth";
+import { insert, transaction } from "@/lib/db";
+import { OAuthError } from "@/lib/errors";
+import { absoluteUrl } from "@/lib/mail";
+import { getOAuthProvider } from "@/lib/oauth-providers";
+import { getSafeRedirect } from "@/lib/safe-redirect";
+import { generateToken, hashToken } from "@/lib/tokens";
+
+// Authorization-code flow with PKCE for the providers in
+// `@/lib/oauth-providers`. `/auth/<provider>` calls `beginOAuthLogin` and
+// redirects to the provider; the provider sends the browser back to
+// `/auth/<provider>/callback`, which calls `completeOAuthLogin`.
+//
+// The `state` value is kept in a cookie as well as the data store, so a
+// callback only completes in the browser that started it.
+
+const STATE_COOKIE = "oauth_state";
+const STATE_TTL = 10 * 60 * 1000;
+
+const discoveryCache = (globalThis.__agencyOidcDiscovery ??= new Map());
+
+async function discover(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new OAuthError("failed", `OIDC discovery failed for ${issuer}`);
+    }
+    discoveryCache.set(issuer, await response.json());
+  }
+  return discoveryCache.get(issuer);
+}
+
+async function getEndpoints(provider) {
+  if (provider.type !== "oidc") {
+    return {
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint,
+    };
+  }
+  const config = await discover(provider.issuer);
+  return {
+    issuer: config.issuer,
+    authorizationEndpoint: config.authorization_endpoint,
+    tokenEndpoint: config.token_endpoint,
+  };
+}
+
+function getRedirectUri(provider) {
+  return absoluteUrl(`/auth/${provider.id}/callback`);
+}
+
+function getCodeChallenge(codeVerifier) {
+  return createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+/**
+ * Starts a social sign-in and returns the provider URL to redirect to.
+ * After signing in the user lands on `next`, if it's a safe path.
+ */
+export async function beginOAuthLogin(providerId, { next } = {}) {
+  const provider = getOAuthProvider(providerId);
+  const { authorizationEndpoint } = await getEndpoints(provider);
+
+  const state = generateToken();
+  const codeVerifier = generateToken(48);
+  const nonce = generateToken();
+  const expiresAt = new Date(Date.now() + STATE_TTL);
+
+  await insert("oauthStates", {
+    stateHash: hashToken(state),
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    next: getSafeRedirect(next),
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  const cookieStore = await cookies();
+  cookieStore.set(STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    // Lax, not strict: the callback is a top-level navigation from the
+    // provider's site.
+    sameSite: "lax",
+    path: "/auth",
+    expires: expiresAt,
+  });
+
+  const url = new URL(authorizationEndpoint);
+  for (const [name, value] of Object.entries({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scope,
+    state,
+    code_challenge: getCodeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+    ...(provider.type === "oidc" && { nonce }),
+  })) {
+    url.searchParams.set(name, value);
+  }
+  return url.toString();
+}
+
+// Uses up the pending sign-in `state` belongs to, pruning expired ones
+// while it's there.
+async function consumeState(providerId, state) {
+  const cookieStore = await cookies();
+  const cookieState = cookieStore.get(STATE_COOKIE)?.value;
+  cookieStore.delete({ name: STATE_COOKIE, path: "/auth" });
+  if (!state || state !== cookieState) {
+    throw new OAuthError("expired", "OAuth state doesn't match the cookie");
+  }
+
+  const stateHash = hashToken(state);
+  const now = new Date();
+  const record = await transaction((data) => {
+    const records = data.oauthStates ?? [];
+    const record = records.find((record) => record.stateHash === stateHash);
+    data.oauthStates = records.filter(
+      (candidate) => candidate !== record && new Date(candidate.expiresAt) > now
+    );
+    return record;
+  });
+
+  if (
+    !record ||
+    new Date(record.expiresAt) <= now ||
+    record.provider !== providerId
+  ) {
+    throw new OAuthError("expired", "OAuth state is unknown or expired");
+  }
+  return record;
+}
+
+async function exchangeCode(provider, tokenEndpoint, code, codeVerifier) {
+  const response = await fetch(tokenEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: code ?? "",
+      redirect_uri: getRedirectUri(provider),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || !tokens.access_token) {
+    throw new OAuthError(
+      "failed",
+      `Token request failed: ${tokens.error ?? response.status}`
+    );
+  }
+  return tokens;
+}
+
+// The ID token came straight from the token endpoint, authenticated with
+// the client secret, which OpenID Connect accepts in place of checking its
+// signature. Its claims still have to be meant for us and this sign-in.
+function readIdToken(provider, issuer, idToken, nonce) {
+  let claims;
+  try {
+    claims = JSON.parse(
+      Buffer.from(idToken.split(".")[1], "base64url").toString("utf8")
+    );
+  } catch {
+    throw new OAuthError("failed", "Missing or malformed ID token");
+  }
+
+  if (
+    claims.iss !== issuer ||
+    ![claims.aud].flat().includes(provider.clientId) ||
+    !(claims.exp * 1000 > Date.now()) ||
+    claims.nonce !== nonce
+  ) {
+    throw new OAuthError("failed", "ID token claims were rejected");
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ?? null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name ?? "",
+    avatar: claims.picture ?? "",
+  };
+}
+
+/**
+ * Finishes a social sign-in from the callback's query `params`. Returns
+ * `signInWithOAuth`'s result plus the `next` path to send the user to.
+ */
+export async function completeOAuthLogin(providerId, params) {
+  const pending = await consumeState(providerId, params.get("state"));
+
+  const error = params.get("error");
+  if (error) {
+    throw new OAuthError(
+      error === "access_denied" ? "access_denied" : "failed",
+      `Provider returned ${error}`
+    );
+  }
+
+  const provider = getOAuthProvider(providerId);
+  const { issuer, tokenEndpoint } = await getEndpoints(provider);
+  const tokens = await exchangeCode(
+    provider,
+    tokenEndpoint,
+    params.get("code"),
+    pending.codeVerifier
+  );
+  const profile =
+    provider.type === "oidc"
+      ? readIdToken(provider, issuer, tokens.id_token ?? "", pending.nonce)
+      : await provider.getProfile(tokens.access_token);
+
+  return {
+    ...(await signInWithOAuth(provider.id, profile)),
+    next: pending.next,
+  };
+}
+
+/** The `?error=` code for the login page when a social sign-in fails. */
+export function getOAuthErrorCode(error) {
+  if (error instanceof OAuthError) {
+    if (error.code === "failed") console.error(error);
+    return error.code;
+  }
+  console.error("Social sign-in failed", error);
+  return "failed";
+}
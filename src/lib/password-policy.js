@@ -0,0 +1,40 @@
+// Password rules shared by the signup and reset forms (for live feedback)
+// and the server-side schemas (for enforcement).
+
+export const PASSWORD_REQUIREMENTS = [
+  {
+    text: "At least 8 characters",
+    test: (password) => password.length >= 8,
+  },
+  {
+    text: "One uppercase letter",
+    test: (password) => /[A-Z]/.test(password),
+  },
+  { text: "One number", test: (password) => /[0-9]/.test(password) },
+  {
+    text: "One special character",
+    test: (password) => /[^A-Za-z0-9]/.test(password),
+  },
+];
+
+/** 0–100, in steps of 25 per requirement met. */
+export function getPasswordStrength(password) {
+  return PASSWORD_REQUIREMENTS.reduce(
+    (strength, requirement) =>
+      requirement.test(password) ? strength + 25 : strength,
+    0
+  );
+}
+
+export function getPasswordRequirements(password) {
+  return PASSWORD_REQUIREMENTS.map((requirement) => ({
+    text: requirement.text,
+    met: requirement.test(password),
+  }));
+}
+
+export function meetsPasswordPolicy(password) {
+  return PASSWORD_REQUIREMENTS.every((requirement) =>
+    requirement.test(password)
+  );
+}
@@ -0,0 +1,107 @@
+import { findOne, insert, transaction } from "@/lib/db";
+import { passwordResetEmail } from "@/lib/emails";
+import { ValidationError } from "@/lib/errors";
+import { clearLoginFailures } from "@/lib/login-throttle";
+import { absoluteUrl, sendMail } from "@/lib/mail";
+import { hashPassword } from "@/lib/password";
+import { destroyUserSessions } from "@/lib/session";
+import { generateToken, hashToken } from "@/lib/tokens";
+import { findUserByEmail, updateUser } from "@/lib/users";
+import {
+  passwordResetRequestSchema,
+  passwordResetSchema,
+} from "@/lib/auth-schema";
+import { parseWith } from "@/lib/validation";
+
+const RESET_TOKEN_TTL_MINUTES = 15;
+
+const INVALID_TOKEN_MESSAGE =
+  "This password reset link is invalid or has expired";
+
+function isUsable(record) {
+  return (
+    Boolean(record) && !record.usedAt && new Date(record.expiresAt) > new Date()
+  );
+}
+
+/**
+ * Emails a single-use reset link if an account exists for `email`. Resolves
+ * the same way either way so the form can't be used to probe for accounts.
+ */
+export async function requestPasswordReset(input) {
+  const { email } = parseWith(passwordResetRequestSchema, input);
+  const user = await findUserByEmail(email);
+  if (!user) return;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  // Issuing a new link retires any earlier ones for the same account.
+  await transaction((data) => {
+    data.passwordResetTokens = (data.passwordResetTokens ?? []).filter(
+      (record) => record.userId !== user.id
+    );
+  });
+  await insert("passwordResetTokens", {
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt: expiresAt.toISOString(),
+    usedAt: null,
+  });
+
+  const url = absoluteUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  // Queued rather than awaited: how long sending takes, or a mail outage,
+  // would otherwise tell registered addresses apart.
+  sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      name: user.name,
+      url,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    }),
+  }).catch((error) => console.error("Failed to send password reset", error));
+}
+
+/** Whether `token` is a known, unused and unexpired reset token. */
+export async function isResetTokenValid(token) {
+  if (typeof token !== "string" || !token) return false;
+  const tokenHash = hashToken(token);
+  const record = await findOne(
+    "passwordResetTokens",
+    (record) => record.tokenHash === tokenHash
+  );
+  return isUsable(record);
+}
+
+/**
+ * Sets a new password for the owner of `token`, consumes the token and signs
+ * the user out everywhere.
+ */
+export async function resetPassword(input) {
+  const { token, password } = parseWith(passwordResetSchema, input);
+  const passwordHash = await hashPassword(password);
+  const tokenHash = hashToken(token);
+
+  // Consume inside a transaction so two concurrent submissions can't both
+  // use the same token.
+  const userId = await transaction((data) => {
+    const record = (data.passwordResetTokens ?? []).find(
+      (record) => record.tokenHash === tokenHash
+    );
+    if (!isUsable(record)) return null;
+    record.usedAt = new Date().toISOString();
+    return record.userId;
+  });
+
+  if (!userId) {
+    throw new ValidationError(
+      { token: [INVALID_TOKEN_MESSAGE] },
+      INVALID_TOKEN_MESSAGE
+    );
+  }
+
+  const user = await updateUser(userId, { passwordHash });
+  await destroyUserSessions(userId);
+  // A new password is as good as the unlock link.
+  await clearLoginFailures(user.email);
+}
@@ -0,0 +1,22 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as `scrypt:<salt>:<key>` so the algorithm can be changed later
+// without invalidating existing hashes.
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, key] = passwordHash?.split(":") ?? [];
+  if (algorithm !== "scrypt" || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,44 @@
+// Select options shared by the project forms, filters and badges. Values are
+// what gets stored; labels are what the UI shows.
+
+export const PROJECT_TYPES = [
+  { value: "web-development", label: "Web Development" },
+  { value: "mobile-development", label: "Mobile Development" },
+  { value: "ui-ux-design", label: "UI/UX Design" },
+  { value: "branding", label: "Branding" },
+  { value: "marketing", label: "Digital Marketing" },
+  { value: "consulting", label: "Consulting" },
+];
+
+export const PROJECT_PRIORITIES = [
+  { value: "low", label: "Low" },
+  { value: "medium", label: "Medium" },
+  { value: "high", label: "High" },
+  { value: "urgent", label: "Urgent" },
+];
+
+export const PROJECT_STATUSES = [
+  { value: "planning", label: "Planning" },
+  { value: "in-progress", label: "In Progress" },
+  { value: "review", label: "Review" },
+  { value: "on-hold", label: "On Hold" },
+  { value: "completed", label: "Completed" },
+];
+
+export const MILESTONE_STATUSES = [
+  { value: "pending", label: "Pending" },
+  { value: "in-progress", label: "In Progress" },
+  { value: "completed", label: "Completed" },
+];
+
+// The columns of a project's task board, left to right.
+export const TASK_STATUSES = [
+  { value: "backlog", label: "Backlog" },
+  { value: "in-progress", label: "In Progress" },
+  { value: "review", label: "Review" },
+  { value: "done", label: "Done" },
+];
+
+export function getOptionLabel(options, value) {
+  return options.find((option) => option.value === value)?.label ?? value;
+}
@@ -0,0 +1,199 @@
+import { z } from "zod";
+import { parseWith } from "@/lib/validation";
+import {
+  MILESTONE_STATUSES,
+  PROJECT_PRIORITIES,
+  PROJECT_STATUSES,
+  PROJECT_TYPES,
+  TASK_STATUSES,
+} from "@/lib/project-options";
+
+const values = (options) => options.map((option) => option.value);
+
+const emptyToNull = (value) =>
+  value === "" || value === undefined ? null : value;
+
+// Money, or hours for task estimates.
+const amount = (label) =>
+  z.preprocess(
+    (value) => {
+      value = emptyToNull(value);
+      return typeof value === "string" ? Number(value) : value;
+    },
+    z
+      .number({ invalid_type_error: `${label} must be a number` })
+      .finite(`${label} must be a number`)
+      .nonnegative(`${label} cannot be negative`)
+      .nullable()
+  );
+
+const date = (label) =>
+  z.preprocess(
+    emptyToNull,
+    z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be a YYYY-MM-DD date`)
+      .refine((value) => !Number.isNaN(Date.parse(value)), {
+        message: `${label} is not a valid date`,
+      })
+      .nullable()
+  );
+
+const projectFields = z.object({
+  name: z
+    .string({ required_error: "Project name is required" })
+    .trim()
+    .min(1, "Project name is required")
+    .max(120, "Project name must be at most 120 characters"),
+  client: z
+    .string({ required_error: "Client name is required" })
+    .trim()
+    .min(1, "Client name is required")
+    .max(120, "Client name must be at most 120 characters"),
+  description: z
+    .string()
+    .trim()
+    .max(5000, "Description must be at most 5000 characters")
+    .default(""),
+  type: z.enum(values(PROJECT_TYPES), {
+    errorMap: () => ({ message: "Select a project type" }),
+  }),
+  priority: z
+    .enum(values(PROJECT_PRIORITIES), {
+      errorMap: () => ({ message: "Select a valid priority" }),
+    })
+    .default("medium"),
+  status: z
+    .enum(values(PROJECT_STATUSES), {
+      errorMap: () => ({ message: "Select a valid status" }),
+    })
+    .default("planning"),
+  startDate: date("Start date").default(null),
+  dueDate: date("Due date").default(null),
+  budget: amount("Budget").default(null),
+  spent: amount("Amount spent").default(0),
+  hourlyRate: amount("Hourly rate").default(null),
+  tags: z
+    .array(
+      z
+        .string()
+        .trim()
+        .min(1, "Tags cannot be empty")
+        .max(40, "Tags must be at most 40 characters")
+    )
+    .max(20, "A project can have at most 20 tags")
+    .default([]),
+  teamMembers: z.array(z.coerce.string()).default([]),
+});
+
+function checkDates(project, context) {
+  if (
+    project.startDate &&
+    project.dueDate &&
+    project.dueDate < project.startDate
+  ) {
+    context.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["dueDate"],
+      message: "Due date must be on or after the start date",
+    });
+  }
+}
+
+export const createProjectSchema = projectFields.superRefine(checkDates);
+
+export const updateProjectSchema = projectFields
+  .partial()
+  .superRefine(checkDates);
+
+/**
+ * Validates project input for create (`partial: false`) or update
+ * (`partial: true`). Throws a `ValidationError` keyed by field name.
+ */
+export function parseProject(input, { partial = false } = {}) {
+  return parseWith(partial ? updateProjectSchema : createProjectSchema, input);
+}
+
+// Progress isn't part of a project's input: it's derived from how many of
+// its milestones are complete (see `@/lib/milestones`).
+const milestoneFields = z.object({
+  title: z
+    .string({ required_error: "Title is required" })
+    .trim()
+    .min(1, "Title is required")
+    .max(120, "Title must be at most 120 characters"),
+  status: z
+    .enum(values(MILESTONE_STATUSES), {
+      errorMap: () => ({ message: "Select a valid status" }),
+    })
+    .default("pending"),
+  dueDate: date("Due date").default(null),
+  ownerId: z
+    .preprocess(emptyToNull, z.coerce.string().nullable())
+    .default(null),
+});
+
+/** Like `parseProject`, for a milestone. */
+export function parseMilestone(input, { partial = false } = {}) {
+  return parseWith(
+    partial ? milestoneFields.partial() : milestoneFields,
+    input
+  );
+}
+
+const taskFields = z.object({
+  title: z
+    .string({ required_error: "Title is required" })
+    .trim()
+    .min(1, "Title is required")
+    .max(200, "Title must be at most 200 characters"),
+  description: z
+    .string()
+    .trim()
+    .max(5000, "Description must be at most 5000 characters")
+    .default(""),
+  status: z
+    .enum(values(TASK_STATUSES), {
+      errorMap: () => ({ message: "Select a valid status" }),
+    })
+    .default("backlog"),
+  assigneeId: z
+    .preprocess(emptyToNull, z.coerce.string().nullable())
+    .default(null),
+  milestoneId: z
+    .preprocess(emptyToNull, z.coerce.string().nullable())
+    .default(null),
+  // In hours.
+  estimate: amount("Estimate").default(null),
+  dueDate: date("Due date").default(null),
+  labels: z
+    .array(
+      z
+        .string()
+        .trim()
+        .min(1, "Labels cannot be empty")
+        .max(30, "Labels must be at most 30 characters")
+    )
+    .max(10, "A task can have at most 10 labels")
+    .default([]),
+  checklist: z
+    .array(
+      z.object({
+        // New items don't have one until they're saved.
+        id: z.string().optional(),
+        text: z
+          .string()
+          .trim()
+          .min(1, "Checklist items cannot be empty")
+          .max(200, "Checklist items must be at most 200 characters"),
+        done: z.boolean().default(false),
+      })
+    )
+    .max(50, "A checklist can have at most 50 items")
+    .default([]),
+});
+
+/** Like `parseProject`, for a task on the project's board. */
+export function parseTask(input, { partial = false } = {}) {
+  return parseWith(partial ? taskFields.partial() : taskFields, input);
+}
@@ -0,0 +1,224 @@
+import { recordProjectActivity } from "@/lib/activity";
+import { recordChange } from "@/lib/audit";
+import { findClientByName } from "@/lib/clients";
+import { findAll, findById, insert, update } from "@/lib/db";
+import { ForbiddenError, NotFoundError, ValidationError } from "@/lib/errors";
+import { withMilestones } from "@/lib/milestones";
+import { PROJECT_STATUSES, getOptionLabel } from "@/lib/project-options";
+import { parseProject } from "@/lib/project-schema";
+import { canAccessProject } from "@/lib/roles";
+import { isInTrash, moveToTrash, untrashedIn } from "@/lib/trash";
+import { getUser } from "@/lib/users";
+import { formatCurrency } from "@/lib/utils";
+import {
+  getMembership,
+  getWorkspaceId,
+  removeMembership,
+} from "@/lib/workspaces";
+
+async function checkTeamMembers(workspaceId, ids) {
+  if (!ids?.length) return;
+  const members = await listTeamMembers(workspaceId);
+  const unknown = ids.filter(
+    (id) => !members.some((member) => member.id === id)
+  );
+  if (unknown.length) {
+    throw new ValidationError({
+      teamMembers: [`Unknown team member: ${unknown.join(", ")}`],
+    });
+  }
+}
+
+// Projects name their client as free text; the link to the client record
+// is what scopes them in the client portal.
+async function resolveClientId(workspaceId, name) {
+  const client = await findClientByName(workspaceId, name);
+  return client?.id ?? null;
+}
+
+/**
+ * Lists the workspace's projects with their milestones, optionally narrowed
+ * by exact `status`, `type` and `priority` values and a case-insensitive
+ * `search` over name and client.
+ */
+export async function listProjects(
+  workspaceId,
+  { status, type, priority, search } = {}
+) {
+  const term = search?.trim().toLowerCase();
+
+  const projects = await findAll(
+    "projects",
+    (project) =>
+      getWorkspaceId(project) === workspaceId &&
+      !isInTrash(project) &&
+      (!status || project.status === status) &&
+      (!type || project.type === type) &&
+      (!priority || project.priority === priority) &&
+      (!term ||
+        project.name.toLowerCase().includes(term) ||
+        project.client.toLowerCase().includes(term))
+  );
+  return withMilestones(projects);
+}
+
+/**
+ * The stored project record, without the milestones `getProject` adds, or
+ * null when it doesn't exist in `workspaceId` or is in the trash.
+ */
+export async function findProject(workspaceId, id) {
+  const project = await findById("projects", id);
+  return project &&
+    getWorkspaceId(project) === workspaceId &&
+    !isInTrash(project)
+    ? project
+    : null;
+}
+
+/**
+ * The project with its milestones, or null when it doesn't exist in
+ * `workspaceId` or is in the trash.
+ */
+export async function getProject(workspaceId, id) {
+  const project = await findProject(workspaceId, id);
+  return project && (await withMilestones([project]))[0];
+}
+
+/**
+ * `listProjects` in the user's current workspace, narrowed to the projects
+ * they're allowed to see.
+ */
+export async function listProjectsFor(user, filters) {
+  const projects = await listProjects(user.workspaceId, filters);
+  return projects.filter((project) => canAccessProject(user, project));
+}
+
+/** `getProject`, but null when the project isn't visible to `user`. */
+export async function getProjectFor(user, id) {
+  const project = await getProject(user.workspaceId, id);
+  return project && canAccessProject(user, project) ? project : null;
+}
+
+export function listTeamMembers(workspaceId) {
+  return findAll("teamMembers", untrashedIn(workspaceId));
+}
+
+/** Replaces the member ids stored on a project with the member records. */
+export async function withTeamMembers(project) {
+  const members = await listTeamMembers(getWorkspaceId(project));
+  return {
+    ...project,
+    teamMembers: project.teamMembers
+      .map((id) => members.find((member) => member.id === id))
+      .filter(Boolean),
+  };
+}
+
+/** Creates a project in `actor`'s current workspace. */
+export async function createProject(actor, input) {
+  const { workspaceId } = actor;
+  const project = parseProject(input);
+  await checkTeamMembers(workspaceId, project.teamMembers);
+
+  const created = await insert("projects", {
+    ...project,
+    workspaceId,
+    clientId: await resolveClientId(workspaceId, project.client),
+  });
+  await recordChange(actor, {
+    action: "project.created",
+    entityType: "project",
+    entityId: created.id,
+    after: created,
+  });
+  await recordProjectActivity(created.id, actor, {
+    type: "project.created",
+    summary: "created the project",
+    entityType: "project",
+    entityId: created.id,
+  });
+  return (await withMilestones([created]))[0];
+}
+
+// Puts the changes to a project its team hears about in its activity feed.
+// Only those who can see budgets hear about those.
+async function recordProjectChanges(actor, before, after) {
+  const event = { entityType: "project", entityId: after.id };
+  if (before.status !== after.status) {
+    await recordProjectActivity(after.id, actor, {
+      ...event,
+      type: "project.status_changed",
+      summary: `changed the status to ${getOptionLabel(PROJECT_STATUSES, after.status)}`,
+    });
+  }
+  if (before.budget !== after.budget) {
+    await recordProjectActivity(after.id, actor, {
+      ...event,
+      type: "project.budget_updated",
+      summary: `changed the budget from ${formatCurrency(before.budget)} to ${formatCurrency(after.budget)}`,
+      permission: "financials:view",
+    });
+  }
+}
+
+export async function updateProject(actor, id, input) {
+  const { workspaceId } = actor;
+  const existing = await findProject(workspaceId, id);
+  if (!existing) {
+    throw new NotFoundError("Project not found");
+  }
+
+  const changes = parseProject(input, { partial: true });
+  // Re-check the merged record so cross-field rules (due date after start
+  // date) hold when only one side of the pair is being changed.
+  parseProject({ ...existing, ...changes });
+  await checkTeamMembers(workspaceId, changes.teamMembers);
+  if (changes.client !== undefined) {
+    changes.clientId = await resolveClientId(workspaceId, changes.client);
+  }
+
+  const updated = await update("projects", id, changes);
+  await recordChange(actor, {
+    action: "project.updated",
+    entityType: "project",
+    entityId: id,
+    before: existing,
+    after: updated,
+  });
+  await recordProjectChanges(actor, existing, updated);
+  return (await withMilestones([updated]))[0];
+}
+
+/** Moves the project to the trash, where it can be restored from. */
+export function deleteProject(actor, id) {
+  return moveToTrash(actor, "project", id);
+}
+
+/**
+ * Moves the team member to the trash. A member with an account also loses
+ * access to the workspace until they're restored.
+ */
+export async function deleteTeamMember(actor, id) {
+  const member = await findById("teamMembers", id);
+  if (
+    !member ||
+    getWorkspaceId(member) !== actor.workspaceId ||
+    isInTrash(member)
+  ) {
+    throw new NotFoundError("Team member not found");
+  }
+  if (!member.userId) {
+    return moveToTrash(actor, "teamMember", id);
+  }
+  if (member.userId === actor.id) {
+    throw new ValidationError({}, "You can't remove yourself from the team");
+  }
+
+  const user = await getUser(member.userId);
+  const current = user && getMembership(user, actor.workspaceId);
+  if (current?.role === "owner" && actor.role !== "owner") {
+    throw new ForbiddenError("Only an owner can remove another owner");
+  }
+  const membership = await removeMembership(member.userId, actor.workspaceId);
+  return moveToTrash(actor, "teamMember", id, { membership });
+}
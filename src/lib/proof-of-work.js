@@ -0,0 +1,35 @@
+// Hashcash-style proof of work for public forms: find a nonce such that
+// SHA-256(`<challenge>:<nonce>`) starts with `difficulty` zero bits. Solving
+// takes a browser a moment; doing it for thousands of submissions adds up.
+// Uses Web Crypto so the same code solves in the browser and verifies on
+// the server.
+
+async function digest(challenge, nonce) {
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${challenge}:${nonce}`)
+  );
+  return new Uint8Array(hash);
+}
+
+function hasLeadingZeroBits(bytes, bits) {
+  const fullBytes = Math.floor(bits / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (bytes[i] !== 0) return false;
+  }
+  const remainder = bits % 8;
+  return remainder === 0 || bytes[fullBytes] >> (8 - remainder) === 0;
+}
+
+export async function solveProofOfWork(challenge, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    if (hasLeadingZeroBits(await digest(challenge, nonce), difficulty)) {
+      return nonce;
+    }
+  }
+}
+
+export async function verifyProofOfWork(challenge, nonce, difficulty) {
+  if (!Number.isSafeInteger(nonce) || nonce < 0) return false;
+  return hasLeadingZeroBits(await digest(challenge, nonce), difficulty);
+}
@@ -0,0 +1,36 @@
+import { RateLimitError } from "@/lib/errors";
+
+// Fixed-window counters kept in memory. They reset when the server restarts
+// and aren't shared between instances, which is fine for slowing down bots
+// hitting a single deployment. Like the data store's write queue they live
+// on globalThis so every module instance counts against the same windows.
+const buckets = (globalThis.__agencyRateLimits ??= new Map());
+
+let lastSweep = 0;
+function sweep(now) {
+  if (now - lastSweep < 60 * 1000) return;
+  lastSweep = now;
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+}
+
+/**
+ * Counts one attempt against `key` and throws a `RateLimitError` once more
+ * than `limit` attempts have been made within `windowMs`.
+ */
+export function consumeRateLimit(key, { limit, windowMs }) {
+  const now = Date.now();
+  sweep(now);
+
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count += 1;
+  if (bucket.count > limit) {
+    throw new RateLimitError(Math.ceil((bucket.resetAt - now) / 1000));
+  }
+}
@@ -0,0 +1,190 @@
+import { format } from "date-fns";
+import { findAll, findById, transaction } from "@/lib/db";
+import { invoiceReminderEmail, weeklyReportEmail } from "@/lib/emails";
+import { absoluteUrl } from "@/lib/mail";
+import { notify } from "@/lib/notifications";
+import { listProjectsFor } from "@/lib/projects";
+import { can } from "@/lib/roles";
+import { isInTrash } from "@/lib/trash";
+import { toPublicUser } from "@/lib/users";
+import { formatCurrency } from "@/lib/utils";
+import {
+  getMembership,
+  getMemberships,
+  getWorkspace,
+  getWorkspaceId,
+} from "@/lib/workspaces";
+
+// Notifications that go out on a schedule rather than when someone does
+// something, which the server checks for every hour (see
+// `instrumentation.js`):
+//
+// - A client's users are reminded of an unpaid invoice once when it's
+//   `DUE_SOON_DAYS` from due and once more when it's overdue. The stages
+//   already sent are kept on the invoice as `remindersSent`.
+// - Each user gets a weekly report for each of their workspaces, covering
+//   the activity on the projects they can see there. When each was last
+//   sent is kept on the user as `weeklyReportsSentAt`, by workspace; the
+//   first check only starts the clock.
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+const REMINDER_INTERVAL = 60 * 60 * 1000;
+const DUE_SOON_DAYS = 3;
+
+// How many events a weekly report spells out for each project.
+const REPORTED_EVENTS = 3;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Which reminder an invoice is due for on `now`, if any.
+function reminderStage(invoice, now) {
+  if (invoice.status === "paid" || invoice.status === "draft") return null;
+  if (invoice.dueDate < toDay(now)) return "overdue";
+  if (invoice.dueDate <= toDay(new Date(now.getTime() + DUE_SOON_DAYS * DAY))) {
+    return "due";
+  }
+  return null;
+}
+
+/** Reminds clients of the invoices that have come due or gone overdue. */
+export async function sendInvoiceReminders(now = new Date()) {
+  // Claimed before anything is sent, so a slow run can't overlap the next.
+  const due = await transaction((data) => {
+    const reminders = [];
+    for (const invoice of data.invoices ?? []) {
+      const stage = reminderStage(invoice, now);
+      if (!stage || invoice.remindersSent?.includes(stage)) continue;
+      invoice.remindersSent = [...(invoice.remindersSent ?? []), stage];
+      reminders.push({ invoice: { ...invoice }, stage });
+    }
+    return reminders;
+  });
+
+  for (const { invoice, stage } of due) {
+    const client = await findById("clients", invoice.clientId);
+    if (!client || isInTrash(client)) continue;
+
+    const workspaceId = getWorkspaceId(invoice);
+    const users = await findAll(
+      "users",
+      (user) => getMembership(user, workspaceId)?.clientId === client.id
+    );
+    const overdue = stage === "overdue";
+    const amount = formatCurrency(invoice.amount);
+    const dueDate = format(new Date(invoice.dueDate), "PP");
+    const path = `/dashboard#invoice-${invoice.id}`;
+    for (const user of users) {
+      await notify(user, {
+        category: "invoiceReminders",
+        title: overdue
+          ? `Invoice ${invoice.number} is overdue`
+          : `Invoice ${invoice.number} is due on ${dueDate}`,
+        body: amount,
+        path,
+        workspaceId,
+        email: invoiceReminderEmail({
+          name: user.name,
+          number: invoice.number,
+          amount,
+          dueDate,
+          overdue,
+          url: absoluteUrl(path),
+        }),
+      });
+    }
+  }
+}
+
+const countUpdates = (count) =>
+  `${count} ${count === 1 ? "update" : "updates"}`;
+
+// The projects `user` can see in the workspace that had events since
+// `since`, with how many and what the latest few were.
+async function describeWeek(user, workspaceId, since) {
+  const publicUser = toPublicUser(user, workspaceId);
+  const projects = await listProjectsFor(publicUser);
+  const events = await findAll(
+    "activityEvents",
+    (event) =>
+      event.createdAt >= since &&
+      (!event.permission || can(publicUser, event.permission))
+  );
+  events.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return projects.flatMap((project) => {
+    const ofProject = events.filter((event) => event.projectId === project.id);
+    if (ofProject.length === 0) return [];
+    return [
+      {
+        name: project.name,
+        updates: countUpdates(ofProject.length),
+        latest: ofProject
+          .slice(0, REPORTED_EVENTS)
+          .map((event) => `${event.actor.name} ${event.summary}`),
+      },
+    ];
+  });
+}
+
+/** Sends the weekly reports that are due, skipping quiet weeks. */
+export async function sendWeeklyReports(now = new Date()) {
+  const due = await transaction((data) => {
+    const reports = [];
+    for (const user of data.users ?? []) {
+      const sentAt = (user.weeklyReportsSentAt ??= {});
+      for (const { workspaceId } of getMemberships(user)) {
+        const last = sentAt[workspaceId];
+        if (last && now.getTime() - Date.parse(last) < WEEK) continue;
+        sentAt[workspaceId] = now.toISOString();
+        if (last) reports.push({ userId: user.id, workspaceId, since: last });
+      }
+    }
+    return reports;
+  });
+
+  for (const { userId, workspaceId, since } of due) {
+    const user = await findById("users", userId);
+    const workspace = await getWorkspace(workspaceId);
+    if (!user || !workspace) continue;
+
+    const projects = await describeWeek(user, workspaceId, since);
+    if (projects.length === 0) continue;
+    await notify(user, {
+      category: "weeklyReports",
+      title: `Your week on ${workspace.name}`,
+      body: projects
+        .map((project) => `${project.name}: ${project.updates}`)
+        .join(", "),
+      path: "/dashboard",
+      workspaceId,
+      email: weeklyReportEmail({
+        name: user.name,
+        workspaceName: workspace.name,
+        projects,
+        url: absoluteUrl("/dashboard"),
+      }),
+    });
+  }
+}
+
+/**
+ * Starts checking for reminders and reports now and every hour after. Safe
+ * to call more than once; dev server reloads don't stack up timers.
+ */
+export function scheduleReminders() {
+  const state = (globalThis.__agencyReminders ??= {});
+  if (state.timer) return;
+
+  const run = () => {
+    sendInvoiceReminders().catch((error) =>
+      console.error("Invoice reminders failed", error)
+    );
+    sendWeeklyReports().catch((error) =>
+      console.error("Weekly reports failed", error)
+    );
+  };
+  run();
+  state.timer = setInterval(run, REMINDER_INTERVAL);
+  state.timer.unref?.();
+}
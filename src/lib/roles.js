@@ -0,0 +1,119 @@
+// Roles and what they're allowed to do. Shared by the server (which
+// enforces it) and the UI (which hides what the user can't use).
+
+export const ROLES = [
+  { value: "owner", label: "Owner" },
+  { value: "admin", label: "Admin" },
+  { value: "project-manager", label: "Project Manager" },
+  { value: "member", label: "Member" },
+  { value: "client", label: "Client" },
+];
+
+const STAFF = ["owner", "admin", "project-manager", "member"];
+const MANAGERS = ["owner", "admin", "project-manager"];
+const ADMINS = ["owner", "admin"];
+
+// Roles an admin can invite someone into. Ownership isn't handed out by
+// invitation, and clients sign up through their portal.
+export const INVITABLE_ROLES = ROLES.filter(
+  (role) => STAFF.includes(role.value) && role.value !== "owner"
+);
+
+const PERMISSIONS = {
+  "projects:view": [...STAFF, "client"],
+  "projects:create": MANAGERS,
+  "projects:edit": MANAGERS,
+  "projects:delete": ADMINS,
+  "projects:comment": [...STAFF, "client"],
+  // Deleting other people's comments; everyone can delete their own.
+  "comments:moderate": MANAGERS,
+  // Adding, editing, ordering and completing them.
+  "milestones:manage": MANAGERS,
+  // The project's task board, which clients don't see.
+  "tasks:manage": STAFF,
+  // Downloading needs only access to the project.
+  "files:upload": STAFF,
+  // Signing off finished work is the client's call, not the team's.
+  "milestones:approve": ["client"],
+  // Budgets, spend and hourly rates, both seeing and changing them.
+  "financials:view": MANAGERS,
+  "clients:view": MANAGERS,
+  "clients:delete": ADMINS,
+  "team:view": STAFF,
+  "team:invite": ADMINS,
+  "team:remove": ADMINS,
+  "analytics:view": MANAGERS,
+  "reports:view": ADMINS,
+  "audit:view": ADMINS,
+  // Restoring what was deleted; see `@/lib/trash`.
+  "trash:view": ADMINS,
+  // Workspace-wide settings such as upload limits.
+  "workspace:manage": ADMINS,
+  // Starting another agency on the same deployment.
+  "workspaces:create": ["owner"],
+};
+
+export const FINANCIAL_FIELDS = ["budget", "spent", "hourlyRate"];
+
+/** Accounts created before roles existed get the least access. */
+export function getRole(user) {
+  return user?.role ?? "client";
+}
+
+/**
+ * Accounts created before email verification existed have no
+ * `emailVerifiedAt` at all and count as verified.
+ */
+export function isEmailVerified(user) {
+  return Boolean(user) && user.emailVerifiedAt !== null;
+}
+
+// Until they've verified their email, new accounts only get the overview
+// (which asks them to) and their account settings.
+export function can(user, permission) {
+  if (!isEmailVerified(user)) return false;
+  return PERMISSIONS[permission]?.includes(getRole(user)) ?? false;
+}
+
+/**
+ * Staff see every project; client accounts only see projects belonging to
+ * the client record they're linked to.
+ */
+export function canAccessProject(user, project) {
+  if (!can(user, "projects:view")) return false;
+  if (getRole(user) !== "client") return true;
+  return Boolean(user.clientId) && project.clientId === user.clientId;
+}
+
+export function touchesFinancials(input) {
+  return FINANCIAL_FIELDS.some((field) => input?.[field] !== undefined);
+}
+
+function omitFinancials(record) {
+  const redacted = { ...record };
+  for (const field of FINANCIAL_FIELDS) delete redacted[field];
+  return redacted;
+}
+
+// Clients can see who works on their project, but not the team roster's
+// contact details, skills or workload.
+function toTeamMemberSummary({ id, name, role, avatar }) {
+  return { id, name, role, avatar };
+}
+
+/**
+ * Removes fields the user isn't allowed to see from a project: financials,
+ * including the hourly rates of its expanded team members, and for clients
+ * everything about those members beyond who they are.
+ */
+export function redactProject(project, user) {
+  if (can(user, "financials:view")) return project;
+  const isClient = getRole(user) === "client";
+  return {
+    ...omitFinancials(project),
+    teamMembers: project.teamMembers.map((member) => {
+      if (typeof member !== "object") return member;
+      return isClient ? toTeamMemberSummary(member) : omitFinancials(member);
+    }),
+  };
+}
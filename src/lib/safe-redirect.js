@@ -0,0 +1,29 @@
+// Any fixed origin works: it only tells paths on this site apart from
+// anything that resolves elsewhere.
+const BASE = "http://app.invalid";
+
+const isControlCharacter = (char) =>
+  char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f;
+
+/**
+ * Only allows same-origin paths as post-login destinations so `?next=` can't
+ * be used as an open redirect. Returns the path as the browser would
+ * resolve it, so what's checked is what's followed.
+ */
+export function getSafeRedirect(next, fallback = "/dashboard") {
+  if (typeof next !== "string" || !next.startsWith("/")) return fallback;
+  // Browsers drop tabs and newlines from URLs, so "/\t/evil.example" would
+  // otherwise pass as a path and be followed as "//evil.example".
+  if (/[\s\\]/.test(next) || [...next].some(isControlCharacter)) {
+    return fallback;
+  }
+
+  let url;
+  try {
+    url = new URL(next, BASE);
+  } catch {
+    return fallback;
+  }
+  if (url.origin !== BASE) return fallback;
+  return `${url.pathname}${url.search}${url.hash}`;
+}
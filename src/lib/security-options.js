@@ -0,0 +1,22 @@
+// Security preferences shared by the settings form, the idle-timeout warning
+// and the server. Timeout values are minutes, stored as strings to match the
+// select.
+
+export const SESSION_TIMEOUTS = [
+  { value: "15", label: "15 minutes" },
+  { value: "30", label: "30 minutes" },
+  { value: "60", label: "1 hour" },
+  { value: "240", label: "4 hours" },
+  { value: "never", label: "Never" },
+];
+
+export const DEFAULT_SECURITY_SETTINGS = {
+  loginAlerts: true,
+  sessionTimeout: "30",
+};
+
+/** Idle timeout in milliseconds, or null when sessions never time out. */
+export function getSessionTimeoutMs(sessionTimeout) {
+  if (sessionTimeout === "never") return null;
+  return Number(sessionTimeout) * 60 * 1000;
+}
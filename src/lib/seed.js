@@ -0,0 +1,913 @@
+// Initial content for a fresh data store. Mirrors the demo data the
+// dashboard pages used to hardcode so a new checkout looks the same.
+
+const teamMembers = [
+  {
+    id: "1",
+    name: "John Doe",
+    email: "john@agency.com",
+    phone: "+1 (555) 123-4567",
+    role: "Project Manager",
+    department: "Management",
+    status: "Active",
+    location: "New York, NY",
+    joinDate: "2022-01-15",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 5,
+    completedProjects: 23,
+    hourlyRate: 85,
+    totalHours: 1240,
+    rating: 4.8,
+    skills: ["Project Management", "Agile", "Scrum", "Leadership"],
+    lastActive: "Online now",
+  },
+  {
+    id: "2",
+    name: "Jane Smith",
+    email: "jane@agency.com",
+    phone: "+1 (555) 987-6543",
+    role: "UI/UX Designer",
+    department: "Design",
+    status: "Active",
+    location: "San Francisco, CA",
+    joinDate: "2022-03-20",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 3,
+    completedProjects: 18,
+    hourlyRate: 75,
+    totalHours: 980,
+    rating: 4.9,
+    skills: ["UI Design", "UX Research", "Figma", "Prototyping"],
+    lastActive: "2 hours ago",
+  },
+  {
+    id: "3",
+    name: "Mike Johnson",
+    email: "mike@agency.com",
+    phone: "+1 (555) 456-7890",
+    role: "Frontend Developer",
+    department: "Development",
+    status: "Active",
+    location: "Austin, TX",
+    joinDate: "2021-11-10",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 4,
+    completedProjects: 31,
+    hourlyRate: 80,
+    totalHours: 1560,
+    rating: 4.7,
+    skills: ["React", "TypeScript", "Next.js", "Tailwind CSS"],
+    lastActive: "1 hour ago",
+  },
+  {
+    id: "4",
+    name: "Sarah Wilson",
+    email: "sarah@agency.com",
+    phone: "+1 (555) 321-0987",
+    role: "Backend Developer",
+    department: "Development",
+    status: "Active",
+    location: "Seattle, WA",
+    joinDate: "2022-06-15",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 3,
+    completedProjects: 15,
+    hourlyRate: 82,
+    totalHours: 890,
+    rating: 4.6,
+    skills: ["Node.js", "Python", "PostgreSQL", "AWS"],
+    lastActive: "30 minutes ago",
+  },
+  {
+    id: "5",
+    name: "David Brown",
+    email: "david@agency.com",
+    phone: "+1 (555) 654-3210",
+    role: "QA Engineer",
+    department: "Quality Assurance",
+    status: "Active",
+    location: "Chicago, IL",
+    joinDate: "2023-01-08",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 2,
+    completedProjects: 12,
+    hourlyRate: 65,
+    totalHours: 520,
+    rating: 4.5,
+    skills: ["Test Automation", "Selenium", "Jest", "Cypress"],
+    lastActive: "4 hours ago",
+  },
+  {
+    id: "6",
+    name: "Lisa Park",
+    email: "lisa@agency.com",
+    phone: "+1 (555) 789-0123",
+    role: "Marketing Specialist",
+    department: "Marketing",
+    status: "On Leave",
+    location: "Los Angeles, CA",
+    joinDate: "2022-09-12",
+    avatar: "/placeholder.svg?height=40&width=40",
+    activeProjects: 0,
+    completedProjects: 8,
+    hourlyRate: 60,
+    totalHours: 340,
+    rating: 4.3,
+    skills: ["Digital Marketing", "SEO", "Content Strategy", "Analytics"],
+    lastActive: "1 week ago",
+  },
+];
+
+const clients = [
+  {
+    id: "1",
+    name: "RetailMax Inc.",
+    contactPerson: "Sarah Johnson",
+    email: "sarah@retailmax.com",
+    phone: "+1 (555) 123-4567",
+    company: "RetailMax Inc.",
+    location: "New York, NY",
+    status: "Active",
+    type: "Enterprise",
+    totalRevenue: 125000,
+    joinDate: "2023-01-15",
+    rating: 5,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-02-10",
+  },
+  {
+    id: "2",
+    name: "SecureBank",
+    contactPerson: "Michael Chen",
+    email: "m.chen@securebank.com",
+    phone: "+1 (555) 987-6543",
+    company: "SecureBank",
+    location: "San Francisco, CA",
+    status: "Active",
+    type: "Enterprise",
+    totalRevenue: 89000,
+    joinDate: "2023-03-20",
+    rating: 5,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-02-08",
+  },
+  {
+    id: "3",
+    name: "DataFlow Solutions",
+    contactPerson: "Emily Rodriguez",
+    email: "emily@dataflow.com",
+    phone: "+1 (555) 456-7890",
+    company: "DataFlow Solutions",
+    location: "Austin, TX",
+    status: "Active",
+    type: "SMB",
+    totalRevenue: 45000,
+    joinDate: "2023-06-10",
+    rating: 4,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-02-05",
+  },
+  {
+    id: "4",
+    name: "StartupCo",
+    contactPerson: "Alex Thompson",
+    email: "alex@startupco.com",
+    phone: "+1 (555) 321-0987",
+    company: "StartupCo",
+    location: "Seattle, WA",
+    status: "Inactive",
+    type: "Startup",
+    totalRevenue: 12000,
+    joinDate: "2023-09-15",
+    rating: 3,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-01-20",
+  },
+  {
+    id: "5",
+    name: "TechManufacturing Corp",
+    contactPerson: "David Wilson",
+    email: "d.wilson@techmanuf.com",
+    phone: "+1 (555) 654-3210",
+    company: "TechManufacturing Corp",
+    location: "Chicago, IL",
+    status: "Active",
+    type: "Enterprise",
+    totalRevenue: 78000,
+    joinDate: "2023-02-28",
+    rating: 4,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-02-12",
+  },
+  {
+    id: "6",
+    name: "FitLife Technologies",
+    contactPerson: "Lisa Park",
+    email: "lisa@fitlife.com",
+    phone: "+1 (555) 789-0123",
+    company: "FitLife Technologies",
+    location: "Los Angeles, CA",
+    status: "Prospect",
+    type: "SMB",
+    totalRevenue: 0,
+    joinDate: "2024-02-01",
+    rating: 0,
+    avatar: "/placeholder.svg?height=40&width=40",
+    lastContact: "2024-02-01",
+  },
+];
+
+const projects = [
+  {
+    id: "1",
+    name: "E-commerce Platform Redesign",
+    client: "RetailMax Inc.",
+    clientId: "1",
+    type: "web-development",
+    status: "in-progress",
+    priority: "high",
+    budget: 25000,
+    spent: 18750,
+    hourlyRate: 150,
+    startDate: "2024-01-15",
+    dueDate: "2024-03-15",
+    description:
+      "Complete redesign of the e-commerce platform with modern UI/UX, improved performance, and mobile responsiveness. The project includes user research, wireframing, design system creation, and full development implementation.",
+    tags: ["E-commerce", "UI/UX", "React", "Mobile"],
+    teamMembers: ["1", "2", "3", "4", "5"],
+  },
+  {
+    id: "2",
+    name: "Mobile Banking App",
+    client: "SecureBank",
+    clientId: "2",
+    type: "mobile-development",
+    status: "completed",
+    priority: "high",
+    budget: 45000,
+    spent: 43200,
+    hourlyRate: 140,
+    startDate: "2023-10-01",
+    dueDate: "2024-01-30",
+    description:
+      "Secure mobile banking application with biometric authentication",
+    tags: ["Fintech", "iOS", "Android"],
+    teamMembers: ["1", "3", "4", "5"],
+  },
+  {
+    id: "3",
+    name: "SaaS Dashboard Analytics",
+    client: "DataFlow Solutions",
+    clientId: "3",
+    type: "web-development",
+    status: "in-progress",
+    priority: "medium",
+    budget: 18000,
+    spent: 8100,
+    hourlyRate: 120,
+    startDate: "2024-02-01",
+    dueDate: "2024-04-15",
+    description: "Advanced analytics dashboard for SaaS platform",
+    tags: ["SaaS", "Analytics"],
+    teamMembers: ["1", "3", "4"],
+  },
+  {
+    id: "4",
+    name: "Brand Identity Package",
+    client: "StartupCo",
+    clientId: "4",
+    type: "branding",
+    status: "on-hold",
+    priority: "low",
+    budget: 8000,
+    spent: 2400,
+    hourlyRate: 100,
+    startDate: "2024-01-20",
+    dueDate: "2024-03-01",
+    description:
+      "Complete brand identity including logo, guidelines, and assets",
+    tags: ["Branding", "Logo"],
+    teamMembers: ["1", "2", "6"],
+  },
+  {
+    id: "5",
+    name: "Corporate Website",
+    client: "TechManufacturing Corp",
+    clientId: "5",
+    type: "web-development",
+    status: "review",
+    priority: "medium",
+    budget: 15000,
+    spent: 13500,
+    hourlyRate: 110,
+    startDate: "2023-12-01",
+    dueDate: "2024-02-15",
+    description: "Professional corporate website with CMS integration",
+    tags: ["CMS", "Corporate"],
+    teamMembers: ["1", "2", "3", "5"],
+  },
+  {
+    id: "6",
+    name: "Fitness App UI/UX",
+    client: "FitLife Technologies",
+    clientId: "6",
+    type: "ui-ux-design",
+    status: "planning",
+    priority: "medium",
+    budget: 12000,
+    spent: 1200,
+    hourlyRate: 95,
+    startDate: "2024-02-15",
+    dueDate: "2024-05-01",
+    description: "Modern fitness tracking app with social features",
+    tags: ["Health", "Mobile", "UI/UX"],
+    teamMembers: ["2", "6", "3"],
+  },
+];
+
+// Ordered within each project by `position`; see `@/lib/milestones`.
+const milestones = [
+  {
+    id: "1",
+    projectId: "1",
+    position: 0,
+    title: "User Research & Analysis",
+    status: "completed",
+    dueDate: "2024-01-25",
+    ownerId: "4",
+    completedAt: "2024-01-25T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "2",
+    projectId: "1",
+    position: 1,
+    title: "Wireframes & Prototypes",
+    status: "completed",
+    dueDate: "2024-02-05",
+    ownerId: "2",
+    completedAt: "2024-02-05T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "3",
+    projectId: "1",
+    position: 2,
+    title: "Design System Creation",
+    status: "in-progress",
+    dueDate: "2024-02-15",
+    ownerId: "2",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "4",
+    projectId: "1",
+    position: 3,
+    title: "Frontend Development",
+    status: "in-progress",
+    dueDate: "2024-02-28",
+    ownerId: "3",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "5",
+    projectId: "1",
+    position: 4,
+    title: "Backend Integration",
+    status: "pending",
+    dueDate: "2024-03-10",
+    ownerId: "3",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "6",
+    projectId: "1",
+    position: 5,
+    title: "Testing & QA",
+    status: "pending",
+    dueDate: "2024-03-15",
+    ownerId: "5",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "7",
+    projectId: "2",
+    position: 0,
+    title: "Security Architecture",
+    status: "completed",
+    dueDate: "2023-10-31",
+    ownerId: "3",
+    completedAt: "2023-10-31T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "8",
+    projectId: "2",
+    position: 1,
+    title: "App Development",
+    status: "completed",
+    dueDate: "2023-12-20",
+    ownerId: "3",
+    completedAt: "2023-12-20T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "9",
+    projectId: "2",
+    position: 2,
+    title: "Launch & Store Review",
+    status: "completed",
+    dueDate: "2024-01-30",
+    ownerId: "1",
+    completedAt: "2024-01-30T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "10",
+    projectId: "3",
+    position: 0,
+    title: "Data Model & APIs",
+    status: "completed",
+    dueDate: "2024-02-20",
+    ownerId: "3",
+    completedAt: "2024-02-20T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "11",
+    projectId: "3",
+    position: 1,
+    title: "Dashboard Designs",
+    status: "completed",
+    dueDate: "2024-03-01",
+    ownerId: "4",
+    completedAt: "2024-03-01T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "12",
+    projectId: "3",
+    position: 2,
+    title: "Chart Components",
+    status: "in-progress",
+    dueDate: "2024-03-25",
+    ownerId: "3",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "13",
+    projectId: "3",
+    position: 3,
+    title: "Beta Release",
+    status: "pending",
+    dueDate: "2024-04-15",
+    ownerId: "1",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "14",
+    projectId: "4",
+    position: 0,
+    title: "Brand Discovery",
+    status: "completed",
+    dueDate: "2024-01-31",
+    ownerId: "2",
+    completedAt: "2024-01-31T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "15",
+    projectId: "4",
+    position: 1,
+    title: "Logo Concepts",
+    status: "in-progress",
+    dueDate: "2024-02-15",
+    ownerId: "6",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "16",
+    projectId: "4",
+    position: 2,
+    title: "Brand Guidelines",
+    status: "pending",
+    dueDate: "2024-03-01",
+    ownerId: "2",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "17",
+    projectId: "5",
+    position: 0,
+    title: "Sitemap & Content Plan",
+    status: "completed",
+    dueDate: "2023-12-15",
+    ownerId: "1",
+    completedAt: "2023-12-15T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "18",
+    projectId: "5",
+    position: 1,
+    title: "Page Designs",
+    status: "completed",
+    dueDate: "2024-01-05",
+    ownerId: "2",
+    completedAt: "2024-01-05T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "19",
+    projectId: "5",
+    position: 2,
+    title: "CMS Build",
+    status: "completed",
+    dueDate: "2024-01-31",
+    ownerId: "3",
+    completedAt: "2024-01-31T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "20",
+    projectId: "5",
+    position: 3,
+    title: "Content Migration",
+    status: "completed",
+    dueDate: "2024-02-08",
+    ownerId: "5",
+    completedAt: "2024-02-08T17:00:00.000Z",
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "21",
+    projectId: "5",
+    position: 4,
+    title: "Client Review",
+    status: "in-progress",
+    dueDate: "2024-02-15",
+    ownerId: "1",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "22",
+    projectId: "6",
+    position: 0,
+    title: "User Interviews",
+    status: "in-progress",
+    dueDate: "2024-03-01",
+    ownerId: "6",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "23",
+    projectId: "6",
+    position: 1,
+    title: "Wireframes",
+    status: "pending",
+    dueDate: "2024-03-30",
+    ownerId: "2",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+  {
+    id: "24",
+    projectId: "6",
+    position: 2,
+    title: "High-Fidelity Designs",
+    status: "pending",
+    dueDate: "2024-05-01",
+    ownerId: "6",
+    completedAt: null,
+    completedBy: null,
+    approvedAt: null,
+    approvedBy: null,
+  },
+];
+
+const tasks = [
+  {
+    id: "1",
+    projectId: "1",
+    position: 0,
+    title: "Homepage component",
+    description:
+      "Build the homepage from the approved design system components.",
+    status: "done",
+    assigneeId: "3",
+    milestoneId: "4",
+    estimate: 12,
+    dueDate: "2024-02-12",
+    labels: ["Frontend"],
+    checklist: [
+      { id: "1-1", text: "Hero section", done: true },
+      { id: "1-2", text: "Featured products grid", done: true },
+      { id: "1-3", text: "Responsive layout", done: true },
+    ],
+    createdBy: null,
+  },
+  {
+    id: "2",
+    projectId: "1",
+    position: 1,
+    title: "Color and typography tokens",
+    description: "",
+    status: "done",
+    assigneeId: "2",
+    milestoneId: "3",
+    estimate: 6,
+    dueDate: "2024-02-08",
+    labels: ["Design"],
+    checklist: [],
+    createdBy: null,
+  },
+  {
+    id: "3",
+    projectId: "1",
+    position: 0,
+    title: "Component library in Figma",
+    description: "",
+    status: "review",
+    assigneeId: "2",
+    milestoneId: "3",
+    estimate: 16,
+    dueDate: "2024-02-15",
+    labels: ["Design"],
+    checklist: [
+      { id: "3-1", text: "Buttons and inputs", done: true },
+      { id: "3-2", text: "Cards", done: true },
+      { id: "3-3", text: "Navigation", done: false },
+    ],
+    createdBy: null,
+  },
+  {
+    id: "4",
+    projectId: "1",
+    position: 0,
+    title: "Product listing page",
+    description: "",
+    status: "in-progress",
+    assigneeId: "3",
+    milestoneId: "4",
+    estimate: 10,
+    dueDate: "2024-02-20",
+    labels: ["Frontend"],
+    checklist: [
+      { id: "4-1", text: "Filters sidebar", done: true },
+      { id: "4-2", text: "Sorting", done: false },
+      { id: "4-3", text: "Pagination", done: false },
+    ],
+    createdBy: null,
+  },
+  {
+    id: "5",
+    projectId: "1",
+    position: 1,
+    title: "Checkout flow UI",
+    description: "",
+    status: "in-progress",
+    assigneeId: "1",
+    milestoneId: "4",
+    estimate: 14,
+    dueDate: "2024-02-26",
+    labels: ["Frontend", "UX"],
+    checklist: [],
+    createdBy: null,
+  },
+  {
+    id: "6",
+    projectId: "1",
+    position: 0,
+    title: "Payment gateway integration",
+    description: "",
+    status: "backlog",
+    assigneeId: "5",
+    milestoneId: "5",
+    estimate: 20,
+    dueDate: "2024-03-05",
+    labels: ["Backend"],
+    checklist: [
+      { id: "6-1", text: "Sandbox account", done: false },
+      { id: "6-2", text: "Webhooks", done: false },
+    ],
+    createdBy: null,
+  },
+  {
+    id: "7",
+    projectId: "1",
+    position: 1,
+    title: "Inventory sync API",
+    description: "",
+    status: "backlog",
+    assigneeId: "4",
+    milestoneId: "5",
+    estimate: 12,
+    dueDate: "2024-03-08",
+    labels: ["Backend"],
+    checklist: [],
+    createdBy: null,
+  },
+  {
+    id: "8",
+    projectId: "1",
+    position: 2,
+    title: "Cross-browser test plan",
+    description: "",
+    status: "backlog",
+    assigneeId: "1",
+    milestoneId: "6",
+    estimate: 4,
+    dueDate: "2024-03-12",
+    labels: ["QA"],
+    checklist: [],
+    createdBy: null,
+  },
+];
+
+const invoices = [
+  {
+    id: "1",
+    number: "INV-2024-001",
+    clientId: "1",
+    projectId: "1",
+    amount: 12500,
+    status: "paid",
+    issueDate: "2024-01-15",
+    dueDate: "2024-02-14",
+  },
+  {
+    id: "2",
+    number: "INV-2024-002",
+    clientId: "1",
+    projectId: "1",
+    amount: 6250,
+    status: "sent",
+    issueDate: "2024-02-15",
+    dueDate: "2024-03-16",
+  },
+  {
+    id: "3",
+    number: "INV-2024-003",
+    clientId: "2",
+    projectId: "2",
+    amount: 43200,
+    status: "paid",
+    issueDate: "2024-01-31",
+    dueDate: "2024-03-01",
+  },
+  {
+    id: "4",
+    number: "INV-2024-004",
+    clientId: "3",
+    projectId: "3",
+    amount: 8100,
+    status: "sent",
+    issueDate: "2024-02-29",
+    dueDate: "2024-03-30",
+  },
+  {
+    id: "5",
+    number: "INV-2024-005",
+    clientId: "4",
+    projectId: "4",
+    amount: 2400,
+    status: "overdue",
+    issueDate: "2024-01-31",
+    dueDate: "2024-03-01",
+  },
+  {
+    id: "6",
+    number: "INV-2024-006",
+    clientId: "5",
+    projectId: "5",
+    amount: 13500,
+    status: "sent",
+    issueDate: "2024-02-15",
+    dueDate: "2024-03-16",
+  },
+];
+
+// Placed in the feed relative to when the data store is created.
+const activityEvents = [
+  {
+    id: "1",
+    hoursAgo: 2,
+    projectId: "1",
+    type: "file.uploaded",
+    actor: { id: null, name: "Jane Smith" },
+    summary: "uploaded design files",
+    entityType: null,
+    entityId: null,
+    permission: null,
+  },
+  {
+    id: "2",
+    hoursAgo: 4,
+    projectId: "1",
+    type: "task.completed",
+    actor: { id: null, name: "Mike Johnson" },
+    summary: "completed Homepage component",
+    entityType: "task",
+    entityId: "1",
+    permission: "tasks:manage",
+  },
+  {
+    id: "3",
+    hoursAgo: 26,
+    projectId: "1",
+    type: "project.status_changed",
+    actor: { id: null, name: "John Doe" },
+    summary: "changed the status to In Progress",
+    entityType: "project",
+    entityId: "1",
+    permission: null,
+  },
+  {
+    id: "4",
+    hoursAgo: 50,
+    projectId: "1",
+    type: "milestone.completed",
+    actor: { id: null, name: "Jane Smith" },
+    summary: "completed milestone Wireframes & Prototypes",
+    entityType: "milestone",
+    entityId: "2",
+    permission: null,
+  },
+];
+
+export function createSeedData() {
+  const now = new Date().toISOString();
+  const stamp = (record) => ({ createdAt: now, updatedAt: now, ...record });
+
+  // Records without a `workspaceId` belong to the default workspace (see
+  // `@/lib/workspaces`), so only the workspace itself needs creating.
+  return {
+    workspaces: [stamp({ id: "default", name: "DigitalAgency" })],
+    teamMembers: teamMembers.map(stamp),
+    clients: clients.map(stamp),
+    projects: projects.map(stamp),
+    milestones: milestones.map(stamp),
+    tasks: tasks.map(stamp),
+    invoices: invoices.map(stamp),
+    activityEvents: activityEvents.map(({ hoursAgo, ...event }) => ({
+      createdAt: new Date(Date.now() - hoursAgo * 3600000).toISOString(),
+      ...event,
+    })),
+  };
+}
@@ -0,0 +1,75 @@
+// Signs and verifies the session cookie with Web Crypto so the same code runs
+// in middleware (Edge runtime) and on the server. The cookie carries the
+// session token and its expiry: `<token>.<expiresAt>.<signature>`. Middleware
+// can only check the signature and expiry; revocation is checked against the
+// data store by `getSession`.
+
+export const SESSION_COOKIE = "session";
+
+const DEV_SECRET = "dev-only-session-secret-change-me";
+
+/** Also keys the other HMACs the app issues, such as form challenges. */
+export function getSigningSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  return DEV_SECRET;
+}
+
+let keyPromise;
+function getKey() {
+  keyPromise ??= crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(getSigningSecret()),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+  return keyPromise;
+}
+
+function toBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+export async function signSessionCookie(token, expiresAt) {
+  const payload = `${token}.${expiresAt.getTime()}`;
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    await getKey(),
+    new TextEncoder().encode(payload)
+  );
+  return `${payload}.${toBase64Url(signature)}`;
+}
+
+/** Returns `{ token, expiresAt }` for a valid, unexpired cookie, else null. */
+export async function verifySessionCookie(value) {
+  const [token, expires, signature] = value?.split(".") ?? [];
+  if (!token || !expires || !signature) return null;
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(
+      "HMAC",
+      await getKey(),
+      fromBase64Url(signature),
+      new TextEncoder().encode(`${token}.${expires}`)
+    );
+  } catch {
+    return null;
+  }
+
+  const expiresAt = new Date(Number(expires));
+  if (!valid || !(expiresAt > new Date())) return null;
+  return { token, expiresAt };
+}
@@ -0,0 +1,160 @@
+import { cookies } from "next/headers";
+import {
+  findAll,
+  findOne,
+  insert,
+  remove,
+  transaction,
+  update,
+} from "@/lib/db";
+import { NotFoundError } from "@/lib/errors";
+import { getRequestDevice, noteSignIn } from "@/lib/login-alerts";
+import { getSessionTimeoutMs } from "@/lib/security-options";
+import {
+  SESSION_COOKIE,
+  signSessionCookie,
+  verifySessionCookie,
+} from "@/lib/session-cookie";
+import { generateToken, hashToken } from "@/lib/tokens";
+import { getSecuritySettings, getUser } from "@/lib/users";
+
+export { SESSION_COOKIE };
+
+const DAY = 24 * 60 * 60 * 1000;
+const SESSION_TTL = DAY;
+const REMEMBER_ME_TTL = 30 * DAY;
+// `lastActiveAt` is only rewritten this often, so page loads don't each
+// cost a database write.
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000;
+
+/**
+ * Starts a session for `userId` and sets the signed, HTTP-only session
+ * cookie. Only the hash of the cookie token is stored.
+ */
+export async function createSession(userId, { rememberMe = false } = {}) {
+  const token = generateToken();
+  const ttl = rememberMe ? REMEMBER_ME_TTL : SESSION_TTL;
+  const expiresAt = new Date(Date.now() + ttl);
+  const device = await getRequestDevice();
+
+  const session = await insert("sessions", {
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: expiresAt.toISOString(),
+    lastActiveAt: new Date().toISOString(),
+    ...device,
+  });
+  await noteSignIn(userId, device);
+
+  const cookieStore = await cookies();
+  cookieStore.set(SESSION_COOKIE, await signSessionCookie(token, expiresAt), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    // Without "remember me" the cookie lives for the browser session only.
+    ...(rememberMe && { expires: expiresAt }),
+  });
+
+  return session;
+}
+
+function isIdleExpired(session, user) {
+  const timeout = getSessionTimeoutMs(getSecuritySettings(user).sessionTimeout);
+  if (!timeout) return false;
+  const lastActiveAt = new Date(session.lastActiveAt ?? session.createdAt);
+  return Date.now() - lastActiveAt.getTime() > timeout;
+}
+
+/**
+ * Returns the current session or null. Sessions idle for longer than the
+ * user's timeout are deleted; otherwise the request counts as activity.
+ */
+export async function getSession() {
+  const cookieStore = await cookies();
+  const cookie = await verifySessionCookie(
+    cookieStore.get(SESSION_COOKIE)?.value
+  );
+  if (!cookie) return null;
+
+  const tokenHash = hashToken(cookie.token);
+  const session = await findOne(
+    "sessions",
+    (session) => session.tokenHash === tokenHash
+  );
+
+  if (!session || new Date(session.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const user = await getUser(session.userId);
+  if (!user || isIdleExpired(session, user)) {
+    await remove("sessions", session.id);
+    return null;
+  }
+
+  const now = new Date();
+  if (now - new Date(session.lastActiveAt ?? 0) > ACTIVITY_WRITE_INTERVAL) {
+    await transaction((data) => {
+      const record = data.sessions.find((record) => record.id === session.id);
+      if (record) record.lastActiveAt = now.toISOString();
+    });
+    session.lastActiveAt = now.toISOString();
+  }
+  return session;
+}
+
+export async function destroySession() {
+  const session = await getSession();
+  if (session) {
+    await remove("sessions", session.id);
+  }
+
+  const cookieStore = await cookies();
+  cookieStore.delete(SESSION_COOKIE);
+}
+
+/** Switches the workspace the session works in (see `getCurrentUser`). */
+export function setSessionWorkspace(sessionId, workspaceId) {
+  return update("sessions", sessionId, { workspaceId });
+}
+
+/**
+ * Ends every session belonging to `userId`, e.g. after a password reset,
+ * except the one with the id `except`.
+ */
+export function destroyUserSessions(userId, { except } = {}) {
+  return transaction((data) => {
+    data.sessions = (data.sessions ?? []).filter(
+      (session) => session.userId !== userId || session.id === except
+    );
+  });
+}
+
+/** The user's live sessions, most recently active first. */
+export async function listUserSessions(userId) {
+  const user = await getUser(userId);
+  const now = new Date();
+  const sessions = await findAll(
+    "sessions",
+    (session) =>
+      session.userId === userId &&
+      new Date(session.expiresAt) > now &&
+      !isIdleExpired(session, user)
+  );
+  return sessions
+    .map(({ tokenHash, ...session }) => ({
+      ...session,
+      lastActiveAt: session.lastActiveAt ?? session.createdAt,
+    }))
+    .sort((a, b) => new Date(b.lastActiveAt) - new Date(a.lastActiveAt));
+}
+
+export async function revokeUserSession(userId, sessionId) {
+  const session = await findOne(
+    "sessions",
+    (session) => session.id === sessionId && session.userId === userId
+  );
+  if (!session) throw new NotFoundError("Session not found");
+  await remove("sessions", session.id);
+}
@@ -0,0 +1,260 @@
+import { createHash, createHmac } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Uploaded files are kept by a storage driver, picked with STORAGE_DRIVER:
+// `local` (the default) writes them under STORAGE_DIR, `s3` to a bucket on
+// S3 or any S3-compatible service such as MinIO. The database only holds
+// each file's key. Plug in another backend with `setStorageDriver`.
+//
+// A driver is an object with:
+//   put(key, body, { contentType })        stores a Buffer
+//   get(key)                               the Buffer, or null
+//   remove(key)                            succeeds if it's already gone
+//   getDownloadUrl(key, { filename, contentType, inline })
+//     a short-lived URL the browser can download (or with `inline`, show)
+//     the file from directly, or null when the app has to serve it
+
+const STORAGE_DIR =
+  process.env.STORAGE_DIR || path.join(process.cwd(), "data", "uploads");
+
+// How long presigned download URLs work for, in seconds.
+const DOWNLOAD_URL_TTL = 5 * 60;
+
+function localDriver() {
+  const root = path.resolve(STORAGE_DIR);
+  // Keys are made by `@/lib/files`, but a bad one still mustn't be able to
+  // reach outside the storage directory.
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+    async getDownloadUrl() {
+      return null;
+    },
+  };
+}
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => createHmac("sha256", key).update(value).digest();
+
+// Percent-encoding as Signature Version 4 defines it (RFC 3986), which
+// escapes a few characters `encodeURIComponent` leaves alone.
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+function toQueryString(params) {
+  return Object.keys(params)
+    .sort()
+    .map((name) => `${encode(name)}=${encode(params[name])}`)
+    .join("&");
+}
+
+const toAmzDate = (date) => date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+
+// AWS Signature Version 4, for the `s3` service. Header names are expected
+// in lower case, and `query` already encoded and sorted.
+function createSigner({ region, accessKeyId, secretAccessKey }) {
+  const scopeFor = (amzDate) =>
+    `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  return {
+    credential: (amzDate) => `${accessKeyId}/${scopeFor(amzDate)}`,
+    sign({ method, url, query, headers, payloadHash, amzDate }) {
+      const names = Object.keys(headers).sort();
+      const canonicalRequest = [
+        method,
+        url.pathname,
+        query,
+        names.map((name) => `${name}:${headers[name].trim()}\n`).join(""),
+        names.join(";"),
+        payloadHash,
+      ].join("\n");
+      const stringToSign = [
+        "AWS4-HMAC-SHA256",
+        amzDate,
+        scopeFor(amzDate),
+        sha256(canonicalRequest),
+      ].join("\n");
+
+      let key = `AWS4${secretAccessKey}`;
+      for (const part of [amzDate.slice(0, 8), region, "s3", "aws4_request"]) {
+        key = hmac(key, part);
+      }
+      return hmac(key, stringToSign).toString("hex");
+    },
+  };
+}
+
+function s3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(
+      "The s3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+    );
+  }
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = new URL(
+    process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+  );
+  const signer = createSigner({ region, accessKeyId, secretAccessKey });
+
+  // Path-style (endpoint/bucket/key), which self-hosted services support
+  // without a hostname per bucket.
+  const objectUrl = (key) =>
+    new URL(
+      `${endpoint.pathname.replace(/\/$/, "")}/${[bucket, ...key.split("/")]
+        .map(encode)
+        .join("/")}`,
+      endpoint
+    );
+
+  function send(method, key, { body, contentType } = {}) {
+    const url = objectUrl(key);
+    const amzDate = toAmzDate(new Date());
+    const payloadHash = sha256(body ?? "");
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...(contentType && { "content-type": contentType }),
+    };
+    const signature = signer.sign({
+      method,
+      url,
+      query: "",
+      headers,
+      payloadHash,
+      amzDate,
+    });
+    const { host, ...sent } = headers;
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${signer.credential(amzDate)}, SignedHeaders=${Object.keys(headers).sort().join(";")}, Signature=${signature}`,
+      },
+    });
+  }
+
+  async function check(response, action) {
+    if (!response.ok) {
+      throw new Error(
+        `S3 ${action} failed with ${response.status}: ${await response.text()}`
+      );
+    }
+  }
+
+  return {
+    async put(key, body, { contentType } = {}) {
+      await check(await send("PUT", key, { body, contentType }), "upload");
+    },
+    async get(key) {
+      const response = await send("GET", key);
+      if (response.status === 404) return null;
+      await check(response, "download");
+      return Buffer.from(await response.arrayBuffer());
+    },
+    async remove(key) {
+      const response = await send("DELETE", key);
+      if (response.status !== 404) await check(response, "delete");
+    },
+    // A presigned GET: the signature goes in the query string and covers
+    // how the response should be named and typed.
+    async getDownloadUrl(key, { filename, contentType, inline }) {
+      const url = objectUrl(key);
+      const amzDate = toAmzDate(new Date());
+      const query = toQueryString({
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": signer.credential(amzDate),
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(DOWNLOAD_URL_TTL),
+        "X-Amz-SignedHeaders": "host",
+        "response-content-disposition": contentDisposition(filename, {
+          inline,
+        }),
+        ...(contentType && { "response-content-type": contentType }),
+      });
+      const signature = signer.sign({
+        method: "GET",
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: "UNSIGNED-PAYLOAD",
+        amzDate,
+      });
+      url.search = `${query}&X-Amz-Signature=${signature}`;
+      return url.toString();
+    },
+  };
+}
+
+const drivers = { local: localDriver, s3: s3Driver };
+
+let driver = null;
+
+export function setStorageDriver(customDriver) {
+  driver = customDriver;
+}
+
+function getDriver() {
+  if (driver) return driver;
+
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (!drivers[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+  return (driver = drivers[name]());
+}
+
+export function putObject(key, body, options = {}) {
+  return getDriver().put(key, body, options);
+}
+
+export function getObject(key) {
+  return getDriver().get(key);
+}
+
+export function removeObject(key) {
+  return getDriver().remove(key);
+}
+
+export function getDownloadUrl(key, options) {
+  return getDriver().getDownloadUrl(key, options);
+}
+
+/**
+ * A `Content-Disposition` that downloads the file as `filename`, or with
+ * `inline` shows it in the browser under that name.
+ */
+export function contentDisposition(filename, { inline = false } = {}) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${inline ? "inline" : "attachment"}; filename="${fallback}"; filename*=UTF-8''${encode(filename)}`;
+}
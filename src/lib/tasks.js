@@ -0,0 +1,310 @@
+import { entityPath, recordProjectActivity } from "@/lib/activity";
+import { recordChange } from "@/lib/audit";
+import { createId, findAll, findById, transaction } from "@/lib/db";
+import { projectUpdateEmail } from "@/lib/emails";
+import { NotFoundError, ValidationError } from "@/lib/errors";
+import { absoluteUrl } from "@/lib/mail";
+import { notify } from "@/lib/notifications";
+import { TASK_STATUSES, getOptionLabel } from "@/lib/project-options";
+import { parseTask } from "@/lib/project-schema";
+import { findProject } from "@/lib/projects";
+import { isInTrash } from "@/lib/trash";
+import { getWorkspaceId } from "@/lib/workspaces";
+
+// Tasks live in the `tasks` collection, one board per project. Each sits in
+// the column for its `status`, ordered within it by `position`. Changes are
+// recorded in the audit log and in the project's activity feed, where only
+// those who can see the board see them.
+
+const COLUMNS = TASK_STATUSES.map((status) => status.value);
+
+const byColumnAndPosition = (a, b) =>
+  COLUMNS.indexOf(a.status) - COLUMNS.indexOf(b.status) ||
+  a.position - b.position;
+
+async function requireProject(workspaceId, projectId) {
+  const project = await findProject(workspaceId, projectId);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+}
+
+async function requireTask(actor, projectId, id) {
+  const project = await requireProject(actor.workspaceId, projectId);
+  const task = await findById("tasks", id);
+  if (!task || task.projectId !== project.id) {
+    throw new NotFoundError("Task not found");
+  }
+  return { project, task };
+}
+
+// Tasks go to people on the project and hang off one of its milestones.
+async function checkLinks(project, { assigneeId, milestoneId }) {
+  const fieldErrors = {};
+  if (assigneeId) {
+    const member = await findById("teamMembers", assigneeId);
+    if (
+      !member ||
+      isInTrash(member) ||
+      !project.teamMembers.includes(assigneeId)
+    ) {
+      fieldErrors.assigneeId = ["Choose someone on the project's team"];
+    }
+  }
+  if (milestoneId) {
+    const milestone = await findById("milestones", milestoneId);
+    if (!milestone || milestone.projectId !== project.id) {
+      fieldErrors.milestoneId = ["Choose one of the project's milestones"];
+    }
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+}
+
+function withChecklistIds(checklist) {
+  return checklist?.map((item) => ({ ...item, id: item.id ?? createId() }));
+}
+
+// Takes `task` out of its column and puts it at `index` in the `status`
+// column, renumbering that column's positions.
+function placeTask(tasks, task, status, index) {
+  const column = tasks
+    .filter(
+      (record) =>
+        record.projectId === task.projectId &&
+        record.status === status &&
+        record.id !== task.id
+    )
+    .sort((a, b) => a.position - b.position);
+  column.splice(Math.max(0, Math.min(index, column.length)), 0, task);
+  task.status = status;
+  column.forEach((record, position) => {
+    record.position = position;
+  });
+}
+
+const statusLabel = (status) => getOptionLabel(TASK_STATUSES, status);
+
+// Puts a change to `task` in the project's activity feed.
+function recordTaskActivity(actor, task, type, summary) {
+  return recordProjectActivity(task.projectId, actor, {
+    type,
+    summary,
+    entityType: "task",
+    entityId: task.id,
+    permission: "tasks:manage",
+  });
+}
+
+// Lets whoever `task` was just assigned to know, if they have an account and
+// didn't assign it to themselves.
+async function notifyAssignee(actor, project, task) {
+  const member = task.assigneeId
+    ? await findById("teamMembers", task.assigneeId)
+    : null;
+  const user = member?.userId ? await findById("users", member.userId) : null;
+  if (!user || user.id === actor.id) return;
+
+  const summary = `assigned you ${task.title}`;
+  const path = entityPath("task", task);
+  await notify(user, {
+    category: "projectUpdates",
+    title: `${actor.name} ${summary}`,
+    body: project.name,
+    path,
+    workspaceId: getWorkspaceId(project),
+    email: projectUpdateEmail({
+      name: user.name,
+      actorName: actor.name,
+      summary,
+      projectName: project.name,
+      url: absoluteUrl(path),
+    }),
+  });
+}
+
+// The activity feed's event type and sentence for a change to a task.
+function describeChange(before, after, members) {
+  if (before.status !== after.status) {
+    return after.status === "done"
+      ? ["task.completed", `completed ${after.title}`]
+      : ["task.moved", `moved ${after.title} to ${statusLabel(after.status)}`];
+  }
+  if (before.assigneeId !== after.assigneeId) {
+    const assignee = members.find((member) => member.id === after.assigneeId);
+    return assignee
+      ? ["task.assigned", `assigned ${after.title} to ${assignee.name}`]
+      : ["task.assigned", `unassigned ${after.title}`];
+  }
+  return ["task.updated", `updated task ${after.title}`];
+}
+
+/**
+ * The project's tasks, column by column, with their assignee and milestone
+ * filled in.
+ */
+export async function listTasks(projectId) {
+  const [tasks, members, milestones] = await Promise.all([
+    findAll("tasks", (task) => task.projectId === projectId),
+    findAll("teamMembers", (member) => !isInTrash(member)),
+    findAll("milestones", (milestone) => milestone.projectId === projectId),
+  ]);
+
+  return tasks.sort(byColumnAndPosition).map((task) => {
+    const assignee = members.find((member) => member.id === task.assigneeId);
+    const milestone = milestones.find(
+      (record) => record.id === task.milestoneId
+    );
+    return {
+      ...task,
+      assignee: assignee
+        ? { id: assignee.id, name: assignee.name, avatar: assignee.avatar }
+        : null,
+      milestone: milestone
+        ? { id: milestone.id, title: milestone.title }
+        : null,
+    };
+  });
+}
+
+/** Adds a task to the bottom of its column. */
+export async function createTask(actor, projectId, input) {
+  const fields = parseTask(input);
+  const project = await requireProject(actor.workspaceId, projectId);
+  await checkLinks(project, fields);
+
+  const task = await transaction((data) => {
+    const now = new Date().toISOString();
+    const task = {
+      id: createId(),
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+      checklist: withChecklistIds(fields.checklist),
+      projectId: project.id,
+      workspaceId: getWorkspaceId(project),
+      createdBy: { id: actor.id, name: actor.name },
+    };
+    const tasks = (data.tasks ??= []);
+    tasks.push(task);
+    placeTask(tasks, task, task.status, tasks.length);
+    return task;
+  });
+  await recordChange(actor, {
+    action: "task.created",
+    entityType: "task",
+    entityId: task.id,
+    after: task,
+    details: { projectId: project.id },
+  });
+  await recordTaskActivity(
+    actor,
+    task,
+    "task.created",
+    `added task ${task.title}`
+  );
+  await notifyAssignee(actor, project, task);
+  return task;
+}
+
+/**
+ * Changes some of a task's fields. A task given a new status goes to the
+ * bottom of that column; use `moveTask` to put it somewhere in particular.
+ */
+export async function updateTask(actor, projectId, id, input) {
+  const changes = parseTask(input, { partial: true });
+  const { project, task: existing } = await requireTask(actor, projectId, id);
+  await checkLinks(project, changes);
+
+  const updated = await transaction((data) => {
+    const task = data.tasks.find((record) => record.id === id);
+    Object.assign(task, changes, { updatedAt: new Date().toISOString() });
+    if (changes.checklist) {
+      task.checklist = withChecklistIds(changes.checklist);
+    }
+    if (task.status !== existing.status) {
+      placeTask(data.tasks, task, task.status, data.tasks.length);
+    }
+    return task;
+  });
+  await recordChange(actor, {
+    action: "task.updated",
+    entityType: "task",
+    entityId: id,
+    before: existing,
+    after: updated,
+    details: { projectId },
+  });
+
+  const members = await findAll("teamMembers");
+  await recordTaskActivity(
+    actor,
+    updated,
+    ...describeChange(existing, updated, members)
+  );
+  if (updated.assigneeId !== existing.assigneeId) {
+    await notifyAssignee(actor, project, updated);
+  }
+  return updated;
+}
+
+/** Puts a task at `index` in the `status` column, as dragging it there does. */
+export async function moveTask(actor, projectId, id, { status, index }) {
+  const { task: existing } = await requireTask(actor, projectId, id);
+  if (!COLUMNS.includes(status)) {
+    throw new ValidationError({ status: ["Select a valid status"] });
+  }
+  if (!Number.isInteger(index) || index < 0) {
+    throw new ValidationError({}, "Choose where to put the task");
+  }
+
+  const moved = await transaction((data) => {
+    const task = data.tasks.find((record) => record.id === id);
+    placeTask(data.tasks, task, status, index);
+    task.updatedAt = new Date().toISOString();
+    return task;
+  });
+  await recordChange(actor, {
+    action: "task.moved",
+    entityType: "task",
+    entityId: id,
+    before: { status: existing.status, position: existing.position },
+    after: { status: moved.status, position: moved.position },
+    details: { projectId },
+  });
+  // Reordering within a column isn't worth telling the project about.
+  if (moved.status !== existing.status) {
+    await recordTaskActivity(
+      actor,
+      moved,
+      ...describeChange(existing, moved, [])
+    );
+  }
+  return moved;
+}
+
+export async function deleteTask(actor, projectId, id) {
+  const { task: existing } = await requireTask(actor, projectId, id);
+  await transaction((data) => {
+    data.tasks = data.tasks.filter((record) => record.id !== id);
+    if (data.comments) {
+      data.comments = data.comments.filter((comment) => comment.taskId !== id);
+    }
+  });
+  await recordChange(actor, {
+    action: "task.deleted",
+    entityType: "task",
+    entityId: id,
+    before: existing,
+    details: { projectId },
+  });
+  await recordTaskActivity(
+    actor,
+    existing,
+    "task.deleted",
+    `deleted task ${existing.title}`
+  );
+  return existing;
+}
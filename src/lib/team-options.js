@@ -0,0 +1,8 @@
+// Departments a team member can belong to, as stored on their record.
+export const DEPARTMENTS = [
+  "Management",
+  "Design",
+  "Development",
+  "Quality Assurance",
+  "Marketing",
+];
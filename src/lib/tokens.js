@@ -0,0 +1,11 @@
+import { createHash, randomBytes } from "crypto";
+
+/** Random URL-safe token for cookies and emailed links. */
+export function generateToken(bytes = 32) {
+  return randomBytes(bytes).toString("base64url");
+}
+
+/** Tokens are only ever stored hashed so a leaked data file can't be replayed. */
+export function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
@@ -0,0 +1,3 @@
+// How long deleted records stay restorable, shared with the UI that
+// mentions it. See `@/lib/trash`.
+export const TRASH_RETENTION_DAYS = 30;
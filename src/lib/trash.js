@@ -0,0 +1,320 @@
+import { recordAuditEvent, recordChange } from "@/lib/audit";
+import { findAll, transaction } from "@/lib/db";
+import { ForbiddenError, NotFoundError } from "@/lib/errors";
+import { can } from "@/lib/roles";
+import { removeObject } from "@/lib/storage";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash-options";
+import {
+  getMembership,
+  getWorkspaceId,
+  inWorkspace,
+  setMembership,
+} from "@/lib/workspaces";
+
+// Deleting a project, client or team member from the dashboard moves it to
+// its workspace's trash: the record stays in its collection with
+// `deletedAt` and `deletedBy` set, and every list and lookup skips it. It
+// can be restored for `TRASH_RETENTION_DAYS`; after that `purgeTrash`,
+// which the server runs every hour (see `instrumentation.js`), removes it
+// for good.
+
+const DAY = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Keyed by audit `entityType`. `action` prefixes the audit actions, and
+// `permission` is what deleting and restoring one takes.
+const TRASHABLE = {
+  project: {
+    collection: "projects",
+    label: "Project",
+    action: "project",
+    permission: "projects:delete",
+    describe: (project) => project.client,
+  },
+  client: {
+    collection: "clients",
+    label: "Client",
+    action: "client",
+    permission: "clients:delete",
+    describe: (client) => client.email,
+  },
+  teamMember: {
+    collection: "teamMembers",
+    label: "Team member",
+    action: "team_member",
+    permission: "team:remove",
+    describe: (member) => member.role,
+  },
+};
+
+function getTrashable(entityType) {
+  const trashable = TRASHABLE[entityType];
+  if (!trashable) {
+    throw new NotFoundError("Unknown item type");
+  }
+  return trashable;
+}
+
+export function isInTrash(record) {
+  return Boolean(record.deletedAt);
+}
+
+/** `inWorkspace`, leaving out records in the trash. */
+export function untrashedIn(workspaceId) {
+  const belongs = inWorkspace(workspaceId);
+  return (record) => belongs(record) && !isInTrash(record);
+}
+
+function getPurgeAt(record) {
+  return new Date(
+    new Date(record.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY
+  );
+}
+
+/**
+ * Moves the record to the trash, applying `changes` along with the
+ * deletion stamp. Throws a `NotFoundError` unless it's in `actor`'s
+ * workspace and not already in the trash.
+ */
+export async function moveToTrash(actor, entityType, id, changes = {}) {
+  const { collection, label, action } = getTrashable(entityType);
+  const { before, after } = await transaction((data) => {
+    const record = (data[collection] ?? []).find(
+      (record) =>
+        record.id === String(id) &&
+        getWorkspaceId(record) === actor.workspaceId &&
+        !isInTrash(record)
+    );
+    if (!record) {
+      throw new NotFoundError(`${label} not found`);
+    }
+    const before = { ...record };
+    Object.assign(record, changes, {
+      deletedAt: new Date().toISOString(),
+      deletedBy: { id: actor.id, name: actor.name },
+    });
+    return { before, after: record };
+  });
+
+  await recordChange(actor, {
+    action: `${action}.deleted`,
+    entityType,
+    entityId: after.id,
+    before,
+    after,
+  });
+  return after;
+}
+
+// A removed team member's account gets back the role it had.
+async function reinstateMembership(member) {
+  if (member.userId && member.membership) {
+    await setMembership(
+      member.userId,
+      getWorkspaceId(member),
+      member.membership
+    );
+  }
+}
+
+// A restored client's portal accounts are linked to it again, unless
+// they've been linked elsewhere or left the workspace since.
+async function relinkPortalUsers(client) {
+  const workspaceId = getWorkspaceId(client);
+  const userIds = new Set(client.linkedUserIds ?? []);
+  const users = await findAll("users", (user) => {
+    const membership = getMembership(user, workspaceId);
+    return (
+      userIds.has(user.id) &&
+      membership?.role === "client" &&
+      !membership.clientId
+    );
+  });
+  for (const user of users) {
+    await setMembership(user.id, workspaceId, { clientId: client.id });
+  }
+}
+
+/** Takes a record out of the trash of `actor`'s workspace. */
+export async function restoreFromTrash(actor, entityType, id) {
+  const { collection, label, action, permission } = getTrashable(entityType);
+  if (!can(actor, permission)) {
+    throw new ForbiddenError();
+  }
+
+  const now = new Date();
+  const { before, after } = await transaction((data) => {
+    const record = (data[collection] ?? []).find(
+      (record) =>
+        record.id === String(id) &&
+        getWorkspaceId(record) === actor.workspaceId &&
+        isInTrash(record) &&
+        getPurgeAt(record) > now
+    );
+    if (!record) {
+      throw new NotFoundError(`${label} not found in the trash`);
+    }
+    const before = { ...record };
+    delete record.deletedAt;
+    delete record.deletedBy;
+    delete record.membership;
+    delete record.linkedUserIds;
+    record.updatedAt = now.toISOString();
+    return { before, after: record };
+  });
+
+  if (entityType === "teamMember") await reinstateMembership(before);
+  if (entityType === "client") await relinkPortalUsers(before);
+  await recordChange(actor, {
+    action: `${action}.restored`,
+    entityType,
+    entityId: after.id,
+    before,
+    after,
+  });
+  return after;
+}
+
+/**
+ * What's in the workspace's trash and can still be restored, most recently
+ * deleted first, limited to the kinds of record `user` can delete.
+ */
+export async function listTrashFor(user) {
+  const now = new Date();
+  const entries = await Promise.all(
+    Object.entries(TRASHABLE)
+      .filter(([, { permission }]) => can(user, permission))
+      .map(async ([entityType, { collection, label, describe }]) => {
+        const records = await findAll(
+          collection,
+          (record) =>
+            getWorkspaceId(record) === user.workspaceId &&
+            isInTrash(record) &&
+            getPurgeAt(record) > now
+        );
+        return records.map((record) => ({
+          entityType,
+          typeLabel: label,
+          id: record.id,
+          name: record.name,
+          description: describe(record) ?? "",
+          deletedAt: record.deletedAt,
+          deletedBy: record.deletedBy,
+          purgeAt: getPurgeAt(record).toISOString(),
+        }));
+      })
+  );
+  return entries.flat().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Drops what pointed at purged records: a purged project's comments,
+// milestones, tasks, files and activity, a purged team member's place on projects,
+// milestones and tasks and a purged client's link to its projects. Returns
+// the storage keys of the files' contents and thumbnails, which are removed
+// afterwards.
+function removeReferences(data, purged) {
+  const idsOf = (entityType) =>
+    new Set(
+      purged
+        .filter((entry) => entry.entityType === entityType)
+        .map((entry) => entry.record.id)
+    );
+  const projectIds = idsOf("project");
+  const clientIds = idsOf("client");
+  const memberIds = idsOf("teamMember");
+
+  if (data.comments) {
+    data.comments = data.comments.filter(
+      (comment) => !projectIds.has(comment.projectId)
+    );
+  }
+  if (data.activityEvents) {
+    data.activityEvents = data.activityEvents.filter(
+      (event) => !projectIds.has(event.projectId)
+    );
+  }
+  if (data.milestones) {
+    data.milestones = data.milestones.filter(
+      (milestone) => !projectIds.has(milestone.projectId)
+    );
+    for (const milestone of data.milestones) {
+      if (memberIds.has(milestone.ownerId)) milestone.ownerId = null;
+    }
+  }
+  if (data.tasks) {
+    data.tasks = data.tasks.filter((task) => !projectIds.has(task.projectId));
+    for (const task of data.tasks) {
+      if (memberIds.has(task.assigneeId)) task.assigneeId = null;
+    }
+  }
+  const storageKeys = [];
+  if (data.files) {
+    data.files = data.files.filter((file) => {
+      if (!projectIds.has(file.projectId)) return true;
+      for (const { storageKey, thumbnailKey } of file.versions) {
+        if (storageKey) storageKeys.push(storageKey);
+        if (thumbnailKey) storageKeys.push(thumbnailKey);
+      }
+      return false;
+    });
+  }
+  for (const project of data.projects ?? []) {
+    project.teamMembers = project.teamMembers.filter(
+      (memberId) => !memberIds.has(memberId)
+    );
+    if (clientIds.has(project.clientId)) project.clientId = null;
+  }
+  return storageKeys;
+}
+
+/**
+ * Permanently removes everything that's been in the trash longer than
+ * `TRASH_RETENTION_DAYS`, across all workspaces. Returns how many records
+ * were removed.
+ */
+export async function purgeTrash(now = new Date()) {
+  const { purged, storageKeys } = await transaction((data) => {
+    const purged = [];
+    for (const [entityType, { collection }] of Object.entries(TRASHABLE)) {
+      if (!data[collection]) continue;
+      data[collection] = data[collection].filter((record) => {
+        const expired = isInTrash(record) && getPurgeAt(record) <= now;
+        if (expired) purged.push({ entityType, record });
+        return !expired;
+      });
+    }
+    const storageKeys = purged.length ? removeReferences(data, purged) : [];
+    return { purged, storageKeys };
+  });
+  for (const key of storageKeys) {
+    await removeObject(key);
+  }
+
+  // Not recorded with `recordChange`: there's no request to take a device
+  // from, and nobody in particular did it.
+  for (const { entityType, record } of purged) {
+    await recordAuditEvent({
+      action: `${TRASHABLE[entityType].action}.purged`,
+      workspaceId: getWorkspaceId(record),
+      entityType,
+      entityId: record.id,
+      details: { name: record.name, deletedAt: record.deletedAt },
+    });
+  }
+  return purged.length;
+}
+
+/**
+ * Starts purging the trash now and every hour after. Safe to call more
+ * than once; dev server reloads don't stack up timers.
+ */
+export function scheduleTrashPurge() {
+  const state = (globalThis.__agencyTrashPurge ??= {});
+  if (state.timer) return;
+
+  const run = () =>
+    purgeTrash().catch((error) => console.error("Trash purge failed", error));
+  run();
+  state.timer = setInterval(run, PURGE_INTERVAL);
+  state.timer.unref?.();
+}
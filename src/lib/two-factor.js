@@ -0,0 +1,210 @@
+import { randomBytes } from "crypto";
+import { cookies } from "next/headers";
+import QRCode from "qrcode";
+import { confirmPasswordSchema, twoFactorCodeSchema } from "@/lib/auth-schema";
+import { findOne, insert, remove, transaction } from "@/lib/db";
+import { AuthError, NotFoundError, ValidationError } from "@/lib/errors";
+import { getRequestDevice } from "@/lib/login-alerts";
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  recordLoginFailure,
+} from "@/lib/login-throttle";
+import { verifyPassword } from "@/lib/password";
+import { generateToken, hashToken } from "@/lib/tokens";
+import { generateTotpSecret, getTotpUri, verifyTotp } from "@/lib/totp";
+import { getUser, updateUser } from "@/lib/users";
+import { parseWith } from "@/lib/validation";
+
+const ISSUER = "DigitalAgency";
+const RECOVERY_CODE_COUNT = 10;
+
+// Password-verified logins wait here for their second factor.
+const CHALLENGE_COOKIE = "two_factor_challenge";
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+function invalidCodeError() {
+  const message = "That code didn't work. Try the latest one from your app.";
+  return new ValidationError({ code: [message] }, message);
+}
+
+// Recovery codes are shown as `xxxxx-xxxxx`; hyphens, spaces and case are
+// ignored when they're typed back in.
+function generateRecoveryCode() {
+  const code = randomBytes(5).toString("hex");
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/[^0-9a-f]/g, ""));
+}
+
+async function getUserOrThrow(userId) {
+  const user = await getUser(userId);
+  if (!user) throw new NotFoundError("User not found");
+  return user;
+}
+
+/**
+ * Generates a secret for the authenticator app. It stays pending until
+ * `confirmTwoFactorSetup` sees a valid code from it.
+ */
+export async function beginTwoFactorSetup(userId) {
+  const user = await getUserOrThrow(userId);
+  if (user.twoFactorEnabled) {
+    throw new ValidationError({}, "Two-factor authentication is already on");
+  }
+
+  const secret = generateTotpSecret();
+  await updateUser(user.id, { twoFactorPendingSecret: secret });
+
+  const uri = getTotpUri({ secret, accountName: user.email, issuer: ISSUER });
+  return { secret, qrCode: await QRCode.toDataURL(uri) };
+}
+
+/** Turns 2FA on and returns the one-time recovery codes, shown only once. */
+export async function confirmTwoFactorSetup(userId, input) {
+  const { code } = parseWith(twoFactorCodeSchema, input);
+  const user = await getUserOrThrow(userId);
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError({}, "Start two-factor setup again");
+  }
+  if (!verifyTotp(user.twoFactorPendingSecret, code)) {
+    throw invalidCodeError();
+  }
+
+  const recoveryCodes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    generateRecoveryCode
+  );
+  await updateUser(user.id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: null,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Turns 2FA off once the user confirms with their password or, for
+ * accounts that only sign in with OAuth and have none, a code from their
+ * app or a recovery code.
+ */
+export async function disableTwoFactor(userId, input) {
+  const user = await getUserOrThrow(userId);
+  if (user.passwordHash) {
+    const { password } = parseWith(confirmPasswordSchema, input);
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      throw new ValidationError(
+        { password: ["Incorrect password"] },
+        "Incorrect password"
+      );
+    }
+  } else {
+    const { code } = parseWith(twoFactorCodeSchema, input);
+    if (!(await verifySecondFactor(user.id, code))) {
+      throw invalidCodeError();
+    }
+  }
+
+  await updateUser(user.id, {
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    recoveryCodeHashes: [],
+  });
+}
+
+/**
+ * Accepts either a current TOTP code or an unused recovery code. Recovery
+ * codes are consumed in the same transaction that checks them.
+ */
+export function verifySecondFactor(userId, code) {
+  return transaction((data) => {
+    const user = (data.users ?? []).find((user) => user.id === userId);
+    if (!user?.twoFactorEnabled) return false;
+    if (verifyTotp(user.twoFactorSecret, code)) return true;
+
+    const codeHash = hashRecoveryCode(code);
+    const index = (user.recoveryCodeHashes ?? []).indexOf(codeHash);
+    if (index === -1) return false;
+
+    user.recoveryCodeHashes.splice(index, 1);
+    user.updatedAt = new Date().toISOString();
+    return true;
+  });
+}
+
+/** Records a password-verified login that still needs its second factor. */
+export async function createTwoFactorChallenge(userId, { rememberMe }) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL);
+
+  await insert("twoFactorChallenges", {
+    userId,
+    tokenHash: hashToken(token),
+    rememberMe,
+    attempts: 0,
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  const cookieStore = await cookies();
+  cookieStore.set(CHALLENGE_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    expires: expiresAt,
+  });
+}
+
+/**
+ * Checks `code` against the pending challenge and returns it once the
+ * second factor is verified, so the caller can start the session.
+ */
+export async function completeTwoFactorChallenge(input) {
+  const { code } = parseWith(twoFactorCodeSchema, input);
+  const cookieStore = await cookies();
+  const token = cookieStore.get(CHALLENGE_COOKIE)?.value;
+  const tokenHash = token && hashToken(token);
+
+  const challenge =
+    tokenHash &&
+    (await findOne(
+      "twoFactorChallenges",
+      (challenge) => challenge.tokenHash === tokenHash
+    ));
+  if (
+    !challenge ||
+    new Date(challenge.expiresAt) <= new Date() ||
+    challenge.attempts >= MAX_CHALLENGE_ATTEMPTS
+  ) {
+    throw new AuthError("Your sign-in attempt expired. Please sign in again.");
+  }
+
+  // Wrong codes count against the account's login throttle like wrong
+  // passwords, so signing in again for a fresh challenge doesn't bring
+  // fresh guesses. The failures are only cleared once a code is right.
+  const { email } = await getUserOrThrow(challenge.userId);
+  const device = await getRequestDevice();
+  await assertLoginAllowed(email, device);
+
+  if (!(await verifySecondFactor(challenge.userId, code))) {
+    await transaction((data) => {
+      const record = data.twoFactorChallenges.find(
+        (record) => record.id === challenge.id
+      );
+      if (record) record.attempts += 1;
+    });
+    await recordLoginFailure(email, device);
+    throw invalidCodeError();
+  }
+
+  await clearLoginFailures(email);
+  await remove("twoFactorChallenges", challenge.id);
+  cookieStore.delete(CHALLENGE_COOKIE);
+  return challenge;
+}
@@ -0,0 +1,31 @@
+// Rough, dependency-free user agent parsing, only good enough to label a
+// session as e.g. "Chrome on macOS" in the sessions list and alert emails.
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+function match(patterns, userAgent) {
+  return patterns.find(([, pattern]) => pattern.test(userAgent))?.[0];
+}
+
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser ?? platform ?? "Unknown device";
+}
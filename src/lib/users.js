@@ -0,0 +1,113 @@
+import {
+  notificationPreferencesSchema,
+  securitySettingsSchema,
+} from "@/lib/auth-schema";
+import { findById, findOne, insert, transaction, update } from "@/lib/db";
+import { DEFAULT_NOTIFICATION_PREFERENCES } from "@/lib/notification-options";
+import { DEFAULT_SECURITY_SETTINGS } from "@/lib/security-options";
+import { parseWith } from "@/lib/validation";
+import { getMembership, getMemberships } from "@/lib/workspaces";
+
+export function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+export function getUser(id) {
+  return findById("users", id);
+}
+
+export function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  return findOne("users", (user) => user.email === normalized);
+}
+
+/** The user who has linked `subject` at social sign-in `provider`. */
+export function findUserByOAuthAccount(provider, subject) {
+  return findOne("users", (user) =>
+    (user.oauthAccounts ?? []).some(
+      (account) => account.provider === provider && account.subject === subject
+    )
+  );
+}
+
+export function linkOAuthAccount(id, { provider, subject }) {
+  return transaction((data) => {
+    const user = (data.users ?? []).find((user) => user.id === String(id));
+    if (!user) return null;
+    user.oauthAccounts = [
+      ...(user.oauthAccounts ?? []),
+      { provider, subject, linkedAt: new Date().toISOString() },
+    ];
+    user.updatedAt = new Date().toISOString();
+    return user;
+  });
+}
+
+export async function hasUsers() {
+  return Boolean(await findOne("users", () => true));
+}
+
+export function createUser(user) {
+  return insert("users", {
+    phone: "",
+    location: "",
+    avatar: "",
+    plan: "Starter",
+    ...user,
+    email: normalizeEmail(user.email),
+  });
+}
+
+export function updateUser(id, changes) {
+  return update("users", id, changes);
+}
+
+export function getSecuritySettings(user) {
+  return { ...DEFAULT_SECURITY_SETTINGS, ...user.security };
+}
+
+export function updateSecuritySettings(id, input) {
+  return updateUser(id, { security: parseWith(securitySettingsSchema, input) });
+}
+
+/** How the user wants each kind of notification, falling back to defaults. */
+export function getNotificationPreferences(user) {
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...user.notifications };
+}
+
+export function updateNotificationPreferences(id, input) {
+  return updateUser(id, {
+    notifications: parseWith(notificationPreferencesSchema, input),
+  });
+}
+
+/**
+ * Strips credentials before a user record is sent to the client. `role`
+ * and `clientId` are the user's in `workspaceId`, or in their first
+ * workspace when it's left out.
+ */
+export function toPublicUser(user, workspaceId) {
+  if (!user) return null;
+  const {
+    passwordHash,
+    twoFactorSecret,
+    twoFactorPendingSecret,
+    recoveryCodeHashes,
+    knownDevices,
+    memberships,
+    ...publicUser
+  } = user;
+  const membership = workspaceId
+    ? getMembership(user, workspaceId)
+    : getMemberships(user)[0];
+  return {
+    ...publicUser,
+    workspaceId: membership?.workspaceId ?? null,
+    role: membership?.role ?? "client",
+    clientId: membership?.clientId ?? null,
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    hasPassword: Boolean(passwordHash),
+    security: getSecuritySettings(user),
+    notifications: getNotificationPreferences(user),
+  };
+}
@@ -0,0 +1,10 @@
+import { ValidationError } from "@/lib/errors";
+
+/** Parses `input` with a zod schema, throwing a field-keyed `ValidationError`. */
+export function parseWith(schema, input) {
+  const result = schema.safeParse(input ?? {});
+  if (!result.success) {
+    throw new ValidationError(result.error.flatten().fieldErrors);
+  }
+  return result.data;
+}
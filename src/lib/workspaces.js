@@ -0,0 +1,156 @@
+import { z } from "zod";
+import { findAll, findById, insert, transaction } from "@/lib/db";
+import { parseWith } from "@/lib/validation";
+
+// Workspaces let more than one agency run on the same deployment. Projects,
+// clients, team members, invoices, leads and invitations each belong to one
+// through their `workspaceId`. Users can be members of several workspaces,
+// with a role in each (`user.memberships`), and work in one at a time: the
+// session remembers which (see `getCurrentUser`).
+//
+// Records and accounts from before workspaces existed have no workspace of
+// their own and belong to the default one.
+
+export const DEFAULT_WORKSPACE_ID = "default";
+
+const DEFAULT_WORKSPACE = { id: DEFAULT_WORKSPACE_ID, name: "DigitalAgency" };
+
+export const workspaceSchema = z.object({
+  name: z
+    .string({ required_error: "Name is required" })
+    .trim()
+    .min(1, "Name is required")
+    .max(80, "Keep the name under 80 characters"),
+});
+
+export function getWorkspaceId(record) {
+  return record.workspaceId ?? DEFAULT_WORKSPACE_ID;
+}
+
+/** A `findAll` predicate for records belonging to `workspaceId`. */
+export function inWorkspace(workspaceId) {
+  return (record) => getWorkspaceId(record) === workspaceId;
+}
+
+/** `{ workspaceId, role, clientId }` for each workspace `user` belongs to. */
+export function getMemberships(user) {
+  return (
+    user.memberships ?? [
+      {
+        workspaceId: DEFAULT_WORKSPACE_ID,
+        role: user.role ?? "client",
+        clientId: user.clientId ?? null,
+      },
+    ]
+  );
+}
+
+export function getMembership(user, workspaceId) {
+  return (
+    getMemberships(user).find(
+      (membership) => membership.workspaceId === workspaceId
+    ) ?? null
+  );
+}
+
+/**
+ * The first of `candidates` that `user` is still a member of, falling back
+ * to their first workspace.
+ */
+export function resolveWorkspaceId(user, candidates) {
+  const memberships = getMemberships(user);
+  const workspaceId = candidates.find((id) =>
+    memberships.some((membership) => membership.workspaceId === id)
+  );
+  return workspaceId ?? memberships[0]?.workspaceId ?? null;
+}
+
+// Data stores from before workspaces have no record of the default one.
+function withDefaultWorkspace(workspaces) {
+  return workspaces.some((workspace) => workspace.id === DEFAULT_WORKSPACE_ID)
+    ? workspaces
+    : [DEFAULT_WORKSPACE, ...workspaces];
+}
+
+export async function getWorkspace(id) {
+  const workspace = await findById("workspaces", id);
+  return workspace ?? (id === DEFAULT_WORKSPACE_ID ? DEFAULT_WORKSPACE : null);
+}
+
+/** The workspaces `user` belongs to, with their role in each. */
+export async function listWorkspacesFor(user) {
+  const workspaces = withDefaultWorkspace(await findAll("workspaces"));
+  return getMemberships(user).flatMap(({ workspaceId, role }) => {
+    const workspace = workspaces.find((record) => record.id === workspaceId);
+    return workspace ? [{ id: workspace.id, name: workspace.name, role }] : [];
+  });
+}
+
+// Moves accounts from before workspaces onto `memberships`, so their role
+// and client link aren't kept in two places.
+function toMembershipRecord(user) {
+  user.memberships = getMemberships(user);
+  delete user.role;
+  delete user.clientId;
+  return user.memberships;
+}
+
+/**
+ * Applies `changes` to `user`'s membership of `workspaceId`, adding the
+ * membership if they aren't a member yet. Returns the updated user.
+ */
+export function setMembership(userId, workspaceId, changes) {
+  return transaction((data) => {
+    const user = (data.users ?? []).find((user) => user.id === userId);
+    if (!user) return null;
+
+    const memberships = toMembershipRecord(user);
+    const membership = memberships.find(
+      (membership) => membership.workspaceId === workspaceId
+    );
+    if (membership) {
+      Object.assign(membership, changes);
+    } else {
+      memberships.push({
+        workspaceId,
+        role: "client",
+        clientId: null,
+        joinedAt: new Date().toISOString(),
+        ...changes,
+      });
+    }
+    user.updatedAt = new Date().toISOString();
+    return user;
+  });
+}
+
+/**
+ * Takes `user` out of `workspaceId` and returns the membership they had,
+ * or null if they weren't a member.
+ */
+export function removeMembership(userId, workspaceId) {
+  return transaction((data) => {
+    const user = (data.users ?? []).find((user) => user.id === userId);
+    if (!user) return null;
+
+    const memberships = toMembershipRecord(user);
+    const index = memberships.findIndex(
+      (membership) => membership.workspaceId === workspaceId
+    );
+    if (index === -1) return null;
+    const [removed] = memberships.splice(index, 1);
+    user.updatedAt = new Date().toISOString();
+    return removed;
+  });
+}
+
+/** Creates a workspace, owned by `owner`. */
+export async function createWorkspace(input, owner) {
+  const { name } = parseWith(workspaceSchema, input);
+  const workspace = await insert("workspaces", {
+    name,
+    createdBy: { id: owner.id, name: owner.name },
+  });
+  await setMembership(owner.id, workspace.id, { role: "owner" });
+  return workspace;
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import { SESSION_COOKIE, verifySessionCookie } from "@/lib/session-cookie";
+
+// API routes that must stay reachable without a session.
+const PUBLIC_API_ROUTES = [];
+
+const AUTH_PAGES = ["/login", "/signup"];
+
+function isPublicApiRoute(pathname) {
+  return PUBLIC_API_ROUTES.some(
+    (route) => pathname === route || pathname.startsWith(`${route}/`)
+  );
+}
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+  const session = await verifySessionCookie(
+    request.cookies.get(SESSION_COOKIE)?.value
+  );
+
+  if (AUTH_PAGES.includes(pathname)) {
+    return session
+      ? NextResponse.redirect(new URL("/dashboard", request.url))
+      : NextResponse.next();
+  }
+
+  if (isPublicApiRoute(pathname)) {
+    return NextResponse.next();
+  }
+
+  if (session) {
+    // Lets server components that find the session revoked send the visitor
+    // back to this page after signing in again.
+    const headers = new Headers(request.headers);
+    headers.set("x-pathname", `${pathname}${search}`);
+    return NextResponse.next({ request: { headers } });
+  }
+
+  if (pathname.startsWith("/api/")) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  const loginUrl = new URL("/login", request.url);
+  loginUrl.searchParams.set("next", `${pathname}${search}`);
+  return NextResponse.redirect(loginUrl);
+}
+
+export const config = {
+  matcher: ["/dashboard/:path*", "/api/:path*", "/login", "/signup"],
+};
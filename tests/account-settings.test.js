@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { changePassword, signIn, updateProfile } from "@/lib/auth";
+import { findAll } from "@/lib/db";
+import { ValidationError } from "@/lib/errors";
+import { hashPassword } from "@/lib/password";
+import { createSession } from "@/lib/session";
+import { createUser, getUser } from "@/lib/users";
+
+const PASSWORD = "Correct#1234";
+const NEW_PASSWORD = "Changed#5678";
+
+let user;
+
+const sessionsOf = (user) =>
+  findAll("sessions", (session) => session.userId === user.id);
+
+beforeEach(async () => {
+  globalThis.__testCookies.clear();
+  user = await createUser({
+    name: "Ada Lovelace",
+    email: `${crypto.randomUUID()}@example.com`,
+    passwordHash: await hashPassword(PASSWORD),
+    emailVerifiedAt: new Date().toISOString(),
+  });
+});
+
+describe("changePassword", () => {
+  it("needs the current password", async () => {
+    await createSession(user.id);
+    await expect(
+      changePassword({
+        currentPassword: "Wrong#1234",
+        newPassword: NEW_PASSWORD,
+      })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it("signs out every other session but this one", async () => {
+    await createSession(user.id);
+    globalThis.__testCookies.clear();
+    await createSession(user.id);
+
+    await changePassword({
+      currentPassword: PASSWORD,
+      newPassword: NEW_PASSWORD,
+    });
+
+    expect(await sessionsOf(user)).toHaveLength(1);
+    await expect(
+      signIn({ email: user.email, password: NEW_PASSWORD, rememberMe: false })
+    ).resolves.toHaveProperty("user");
+  });
+});
+
+describe("updateProfile", () => {
+  const profile = {
+    firstName: "Ada",
+    lastName: "King",
+    phone: "",
+    company: "Analytical Engines",
+    website: "https://engines.example",
+    bio: "",
+    location: "London",
+    timezone: "Europe/London",
+  };
+
+  it("saves the details and asks for a changed email to be verified", async () => {
+    const email = `${crypto.randomUUID()}@example.com`;
+    await updateProfile(user.id, { ...profile, email });
+
+    const updated = await getUser(user.id);
+    expect(updated).toMatchObject({
+      name: "Ada King",
+      email,
+      company: "Analytical Engines",
+      emailVerifiedAt: null,
+    });
+  });
+
+  it("won't take another account's email", async () => {
+    const other = await createUser({
+      name: "Other",
+      email: `${crypto.randomUUID()}@example.com`,
+      passwordHash: null,
+    });
+    await expect(
+      updateProfile(user.id, { ...profile, email: other.email })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it("only takes http(s) websites", async () => {
+    await expect(
+      updateProfile(user.id, {
+        ...profile,
+        email: user.email,
+        website: "javascript:alert(1)",
+      })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { getClientIp } from "@/lib/login-alerts";
+
+const withHeaders = (values) => new Headers(values);
+
+afterEach(() => {
+  delete process.env.TRUSTED_PROXIES;
+  delete process.env.CLIENT_IP_HEADER;
+});
+
+describe("getClientIp", () => {
+  it("takes the address the proxy appended, not what the client sent", () => {
+    const headerList = withHeaders({
+      "x-forwarded-for": "203.0.113.9, 198.51.100.7",
+    });
+    expect(getClientIp(headerList)).toBe("198.51.100.7");
+  });
+
+  it("counts back past each trusted proxy", () => {
+    process.env.TRUSTED_PROXIES = "2";
+    const headerList = withHeaders({
+      "x-forwarded-for": "203.0.113.9, 198.51.100.7, 10.0.0.2",
+    });
+    expect(getClientIp(headerList)).toBe("198.51.100.7");
+  });
+
+  it("uses the configured header instead when there is one", () => {
+    process.env.CLIENT_IP_HEADER = "cf-connecting-ip";
+    const headerList = withHeaders({
+      "cf-connecting-ip": "198.51.100.7",
+      "x-forwarded-for": "203.0.113.9",
+    });
+    expect(getClientIp(headerList)).toBe("198.51.100.7");
+  });
+
+  it("ignores X-Real-IP unless it's configured", () => {
+    const headerList = withHeaders({
+      "x-real-ip": "203.0.113.9",
+      "x-forwarded-for": "198.51.100.7",
+    });
+    expect(getClientIp(headerList)).toBe("198.51.100.7");
+  });
+
+  it("doesn't pass on anything that isn't an IP address", () => {
+    const headerList = withHeaders({ "x-forwarded-for": "<script>" });
+    expect(getClientIp(headerList)).toBe("unknown");
+    expect(getClientIp(withHeaders({}))).toBe("unknown");
+  });
+});
@@ -0,0 +1,180 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import * as projectRoute from "@/app/api/projects/[id]/route";
+import * as projectsRoute from "@/app/api/projects/route";
+import * as fileRoute from "@/app/api/projects/[id]/files/[fileId]/route";
+import {
+  addCommentAction,
+  deleteCommentAction,
+  updateCommentAction,
+} from "@/app/dashboard/projects/actions";
+import { restoreFromTrashAction } from "@/app/dashboard/trash/actions";
+import { addComment } from "@/lib/comments";
+import { findById } from "@/lib/db";
+import { uploadFile } from "@/lib/files";
+import { createProject, deleteProject } from "@/lib/projects";
+import { restoreFromTrash } from "@/lib/trash";
+import { createWorkspace, DEFAULT_WORKSPACE_ID } from "@/lib/workspaces";
+import { callRoute, createAccount, signInAs } from "./helpers";
+
+// An owner of the default workspace tries to reach what belongs to another
+// workspace, using its ids directly. Everything should answer as if those
+// ids didn't exist.
+
+const PROJECT_INPUT = {
+  name: "Other agency's project",
+  client: "Other Client",
+  type: "web-development",
+  status: "planning",
+  priority: "low",
+  budget: 1000,
+  startDate: "2026-01-01",
+  dueDate: "2026-02-01",
+  description: "Belongs to the other workspace",
+};
+
+let owner;
+let other;
+
+beforeAll(async () => {
+  owner = await createAccount("owner@example.com", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "owner",
+  });
+
+  const otherOwner = await createAccount("other@example.com", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "client",
+  });
+  const workspace = await createWorkspace({ name: "Other" }, otherOwner);
+  const actor = { ...otherOwner, workspaceId: workspace.id, role: "owner" };
+
+  const project = await createProject(actor, PROJECT_INPUT);
+  const file = await uploadFile(
+    actor,
+    project.id,
+    new File(["secret"], "brief.txt", { type: "text/plain" })
+  );
+  const comment = await addComment(project.id, actor, { body: "Private" });
+  const trashed = await createProject(actor, {
+    ...PROJECT_INPUT,
+    name: "Deleted",
+  });
+  await deleteProject(actor, trashed.id);
+
+  other = { actor, project, file, comment, trashed };
+  await signInAs(owner);
+});
+
+describe("/api/projects", () => {
+  it("leaves other workspaces' projects out of the list", async () => {
+    const response = await callRoute(projectsRoute.GET, "/api/projects", {});
+    expect(response.status).toBe(200);
+    const { projects } = await response.json();
+    expect(projects.length).toBeGreaterThan(0);
+    expect(projects.map((project) => project.id)).not.toContain(
+      other.project.id
+    );
+  });
+
+  it("can't read another workspace's project", async () => {
+    const response = await callRoute(
+      projectRoute.GET,
+      `/api/projects/${other.project.id}`,
+      { params: { id: other.project.id } }
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it("can't update another workspace's project", async () => {
+    const response = await callRoute(
+      projectRoute.PATCH,
+      `/api/projects/${other.project.id}`,
+      {
+        params: { id: other.project.id },
+        method: "PATCH",
+        body: { name: "Taken over" },
+      }
+    );
+    expect(response.status).toBe(404);
+    expect((await findById("projects", other.project.id)).name).toBe(
+      PROJECT_INPUT.name
+    );
+  });
+
+  it("can't delete another workspace's project", async () => {
+    const response = await callRoute(
+      projectRoute.DELETE,
+      `/api/projects/${other.project.id}`,
+      { params: { id: other.project.id }, method: "DELETE" }
+    );
+    expect(response.status).toBe(404);
+    expect((await findById("projects", other.project.id)).deletedAt).toBe(
+      undefined
+    );
+  });
+
+  it("still lets the owner at their own projects", async () => {
+    const response = await callRoute(projectRoute.GET, "/api/projects/1", {
+      params: { id: "1" },
+    });
+    expect(response.status).toBe(200);
+  });
+});
+
+describe("file downloads", () => {
+  it("can't download from another workspace's project", async () => {
+    const { project, file } = other;
+    const response = await callRoute(
+      fileRoute.GET,
+      `/api/projects/${project.id}/files/${file.id}`,
+      { params: { id: project.id, fileId: file.id } }
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it("can't reach another workspace's file through an own project", async () => {
+    const response = await callRoute(
+      fileRoute.GET,
+      `/api/projects/1/files/${other.file.id}`,
+      { params: { id: "1", fileId: other.file.id } }
+    );
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("comments", () => {
+  it("can't comment on another workspace's project", async () => {
+    const result = await addCommentAction(other.project.id, { body: "Hi" });
+    expect(result.error).toBe("Project not found");
+  });
+
+  it("can't edit or delete another workspace's comments", async () => {
+    const { project, comment } = other;
+    expect(
+      (await updateCommentAction(project.id, comment.id, { body: "Edited" }))
+        .error
+    ).toBe("Project not found");
+    expect((await deleteCommentAction(project.id, comment.id)).error).toBe(
+      "Project not found"
+    );
+    expect((await deleteCommentAction("1", comment.id)).error).toBe(
+      "Comment not found"
+    );
+
+    const stored = await findById("comments", comment.id);
+    expect(stored.body).toBe("Private");
+  });
+});
+
+describe("trash", () => {
+  it("can't restore another workspace's deleted project", async () => {
+    const result = await restoreFromTrashAction("project", other.trashed.id);
+    expect(result.error).toBe("Project not found in the trash");
+    await expect(
+      restoreFromTrash(owner, "project", other.trashed.id)
+    ).rejects.toMatchObject({ status: 404 });
+    expect((await findById("projects", other.trashed.id)).deletedAt).toEqual(
+      expect.any(String)
+    );
+  });
+});
@@ -0,0 +1,37 @@
+import { NextRequest } from "next/server";
+import { createSession } from "@/lib/session";
+import { createUser, toPublicUser } from "@/lib/users";
+import { setMembership } from "@/lib/workspaces";
+
+/**
+ * A verified account with `role` in `workspaceId`, as the dashboard sees
+ * it there.
+ */
+export async function createAccount(email, { workspaceId, role }) {
+  const user = await createUser({
+    name: email.split("@")[0],
+    email,
+    passwordHash: null,
+    emailVerifiedAt: new Date().toISOString(),
+  });
+  const updated = await setMembership(user.id, workspaceId, { role });
+  return toPublicUser(updated, workspaceId);
+}
+
+/** Makes the calls that follow come from a session of `user`'s. */
+export async function signInAs(user) {
+  globalThis.__testCookies.clear();
+  await createSession(user.id);
+}
+
+/** Calls a route handler the way Next.js would. */
+export function callRoute(handler, path, { params, method = "GET", body }) {
+  const request = new NextRequest(new URL(path, "http://localhost"), {
+    method,
+    ...(body !== undefined && {
+      body: JSON.stringify(body),
+      headers: { "Content-Type": "application/json" },
+    }),
+  });
+  return handler(request, { params: Promise.resolve(params) });
+}
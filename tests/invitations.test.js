@@ -0,0 +1,49 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { ValidationError } from "@/lib/errors";
+import { createInvitation } from "@/lib/invitations";
+import { getUser } from "@/lib/users";
+import { DEFAULT_WORKSPACE_ID, getMembership } from "@/lib/workspaces";
+import { createAccount } from "./helpers";
+
+let owner;
+
+beforeAll(async () => {
+  owner = await createAccount("owner@invitations.example", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "owner",
+  });
+});
+
+describe("inviting someone who already has an account", () => {
+  it("moves a client of the workspace onto the team", async () => {
+    const client = await createAccount("client@invitations.example", {
+      workspaceId: DEFAULT_WORKSPACE_ID,
+      role: "client",
+    });
+
+    await createInvitation(
+      { email: client.email, role: "member", department: "Design" },
+      owner
+    );
+
+    const membership = getMembership(
+      await getUser(client.id),
+      DEFAULT_WORKSPACE_ID
+    );
+    expect(membership).toMatchObject({ role: "member", clientId: null });
+  });
+
+  it("refuses someone already on the team", async () => {
+    const member = await createAccount("member@invitations.example", {
+      workspaceId: DEFAULT_WORKSPACE_ID,
+      role: "member",
+    });
+
+    await expect(
+      createInvitation(
+        { email: member.email, role: "admin", department: "Design" },
+        owner
+      )
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
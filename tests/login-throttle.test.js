@@ -0,0 +1,33 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { signIn } from "@/lib/auth";
+import { RateLimitError } from "@/lib/errors";
+
+const attempt = (email) =>
+  signIn({ email, password: "Wrong#1234", rememberMe: false });
+
+beforeAll(() => {
+  globalThis.__testHeaders = { "user-agent": "vitest" };
+});
+
+describe("per-IP login blocking", () => {
+  it("blocks a network even when it makes up X-Forwarded-For entries", async () => {
+    for (let i = 0; i < 30; i++) {
+      // A different address each time, as a bot would send, in front of
+      // the one the proxy appended.
+      globalThis.__testHeaders["x-forwarded-for"] =
+        `203.0.113.${i}, 198.51.100.7`;
+      await expect(attempt(`nobody${i}@example.com`)).rejects.toThrow();
+    }
+
+    globalThis.__testHeaders["x-forwarded-for"] = "203.0.113.200, 198.51.100.7";
+    await expect(attempt("someone@example.com")).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+
+    // Other networks aren't affected.
+    globalThis.__testHeaders["x-forwarded-for"] = "198.51.100.8";
+    await expect(attempt("someone@example.com")).rejects.not.toBeInstanceOf(
+      RateLimitError
+    );
+  });
+});
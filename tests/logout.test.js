@@ -0,0 +1,49 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { GET } from "@/app/logout/route";
+import { findAll, remove } from "@/lib/db";
+import { SESSION_COOKIE } from "@/lib/session";
+import { DEFAULT_WORKSPACE_ID } from "@/lib/workspaces";
+import { callRoute, createAccount, signInAs } from "./helpers";
+
+let user;
+
+const sessionsOf = (user) =>
+  findAll("sessions", (session) => session.userId === user.id);
+
+beforeAll(async () => {
+  user = await createAccount("logout@example.com", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "member",
+  });
+});
+
+describe("GET /logout", () => {
+  it("leaves a live session alone", async () => {
+    await signInAs(user);
+    const response = await callRoute(
+      GET,
+      "/logout?next=/dashboard/projects",
+      {}
+    );
+
+    expect(response.headers.get("location")).toBe(
+      "http://localhost/dashboard/projects"
+    );
+    expect(await sessionsOf(user)).toHaveLength(1);
+    expect(globalThis.__testCookies.has(SESSION_COOKIE)).toBe(true);
+  });
+
+  it("clears the cookie of a session that's gone", async () => {
+    await signInAs(user);
+    for (const session of await sessionsOf(user)) {
+      await remove("sessions", session.id);
+    }
+
+    const response = await callRoute(GET, "/logout?next=/dashboard", {});
+
+    expect(response.headers.get("location")).toBe(
+      "http://localhost/login?next=%2Fdashboard"
+    );
+    expect(globalThis.__testCookies.has(SESSION_COOKIE)).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { sendMail } from "@/lib/mail";
+
+const MESSAGE = { to: "someone@example.com", subject: "Hi", text: "Hello" };
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("sendMail", () => {
+  it("refuses to fall back to the outbox in production", async () => {
+    vi.stubEnv("NODE_ENV", "production");
+    vi.stubEnv("MAIL_TRANSPORT", "");
+    await expect(sendMail(MESSAGE)).rejects.toThrow(/MAIL_TRANSPORT/);
+  });
+
+  it("uses the transport it's given in production", async () => {
+    vi.stubEnv("NODE_ENV", "production");
+    vi.stubEnv("MAIL_TRANSPORT", "console");
+    vi.spyOn(console, "info").mockImplementation(() => {});
+    await expect(sendMail(MESSAGE)).resolves.toMatchObject(MESSAGE);
+  });
+});
@@ -0,0 +1,8 @@
+import { describe, expect, it } from "vitest";
+import { isResetTokenValid } from "@/lib/password-reset";
+
+describe("isResetTokenValid", () => {
+  it("treats a repeated ?token= as an invalid link", async () => {
+    expect(await isResetTokenValid(["a", "b"])).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { findAll, insert } from "@/lib/db";
+import { sendInvoiceReminders } from "@/lib/reminders";
+import { createUser, updateNotificationPreferences } from "@/lib/users";
+import { DEFAULT_WORKSPACE_ID, setMembership } from "@/lib/workspaces";
+
+// Two of a client's users, one who wants invoice reminders in the app and
+// one who only wants them by email.
+
+let inApp;
+let byEmail;
+
+async function createClientUser(email, client, invoiceReminders) {
+  const user = await createUser({
+    name: email.split("@")[0],
+    email,
+    passwordHash: null,
+    emailVerifiedAt: new Date().toISOString(),
+  });
+  await setMembership(user.id, DEFAULT_WORKSPACE_ID, {
+    role: "client",
+    clientId: client.id,
+  });
+  await updateNotificationPreferences(user.id, {
+    projectUpdates: "both",
+    securityAlerts: "both",
+    invoiceReminders,
+    weeklyReports: "off",
+  });
+  return user;
+}
+
+const notificationsOf = (user) =>
+  findAll("notifications", (notification) => notification.userId === user.id);
+
+beforeAll(async () => {
+  const client = await insert("clients", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    name: "Reminded Client",
+    email: "billing@reminded.example",
+  });
+  inApp = await createClientUser("in-app@reminded.example", client, "in-app");
+  byEmail = await createClientUser("email@reminded.example", client, "email");
+  await insert("invoices", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    clientId: client.id,
+    number: "INV-9001",
+    amount: 1200,
+    status: "sent",
+    dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10),
+  });
+});
+
+describe("invoice reminders", () => {
+  it("go out on the channel each user picked, once per stage", async () => {
+    await sendInvoiceReminders();
+    await sendInvoiceReminders();
+
+    const notifications = await notificationsOf(inApp);
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({
+      category: "invoiceReminders",
+      title: "Invoice INV-9001 is overdue",
+    });
+    expect(await notificationsOf(byEmail)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,34 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { keepSessionAliveAction } from "@/app/dashboard/actions";
+import { transaction } from "@/lib/db";
+import { DEFAULT_WORKSPACE_ID } from "@/lib/workspaces";
+import { createAccount, signInAs } from "./helpers";
+
+let user;
+
+beforeAll(async () => {
+  user = await createAccount("keep-alive@example.com", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "member",
+  });
+});
+
+describe("keepSessionAliveAction", () => {
+  it("says how long ago the server last counted activity", async () => {
+    await signInAs(user);
+    // Recent enough that the keep-alive doesn't rewrite it.
+    const lastActiveAt = new Date(Date.now() - 30 * 1000).toISOString();
+    await transaction((data) => {
+      for (const session of data.sessions) session.lastActiveAt = lastActiveAt;
+    });
+
+    const result = await keepSessionAliveAction();
+    expect(result.ok).toBe(true);
+    expect(result.idleMs).toBeGreaterThanOrEqual(30 * 1000);
+  });
+
+  it("returns an error once the session has ended", async () => {
+    globalThis.__testCookies.clear();
+    expect((await keepSessionAliveAction()).error).toBeTruthy();
+  });
+});
@@ -0,0 +1,34 @@
+import { mkdtempSync } from "fs";
+import os from "os";
+import path from "path";
+import { vi } from "vitest";
+
+// Each test file gets its own data store, uploads and outbox, seeded
+// afresh the first time it's read.
+const dir = mkdtempSync(path.join(os.tmpdir(), "agency-test-"));
+process.env.DATA_FILE = path.join(dir, "db.json");
+process.env.STORAGE_DIR = path.join(dir, "uploads");
+process.env.MAIL_OUTBOX_DIR = path.join(dir, "outbox");
+
+// There's no request around the code under test, so the cookie jar and
+// headers Next.js would give it are kept here instead. `signInAs` in
+// helpers.js fills the jar, and tests can change `__testHeaders`.
+const jar = new Map();
+globalThis.__testCookies = jar;
+globalThis.__testHeaders = {
+  "user-agent": "vitest",
+  "x-forwarded-for": "127.0.0.1",
+};
+
+vi.mock("next/headers", () => ({
+  cookies: async () => ({
+    get: (name) => (jar.has(name) ? { name, value: jar.get(name) } : undefined),
+    set: (name, value) => jar.set(name, value),
+    delete: (name) => jar.delete(name),
+  }),
+  headers: async () => new Headers(globalThis.__testHeaders),
+}));
+
+vi.mock("next/cache", () => ({
+  revalidatePath: () => {},
+}));
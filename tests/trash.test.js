@@ -0,0 +1,58 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { deleteClient } from "@/lib/clients";
+import { insert } from "@/lib/db";
+import { createProject } from "@/lib/projects";
+import { canAccessProject } from "@/lib/roles";
+import { restoreFromTrash } from "@/lib/trash";
+import { getUser, toPublicUser } from "@/lib/users";
+import { DEFAULT_WORKSPACE_ID, setMembership } from "@/lib/workspaces";
+import { createAccount } from "./helpers";
+
+let owner;
+let portalUser;
+let project;
+
+const portalView = async () =>
+  toPublicUser(await getUser(portalUser.id), DEFAULT_WORKSPACE_ID);
+
+beforeAll(async () => {
+  owner = await createAccount("owner@trash.example", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "owner",
+  });
+  await insert("clients", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    name: "Trashed Client",
+    email: "billing@trashed.example",
+  });
+  project = await createProject(owner, {
+    name: "Portal project",
+    client: "Trashed Client",
+    type: "web-development",
+    status: "planning",
+    priority: "low",
+    budget: 1000,
+    startDate: "2026-01-01",
+    dueDate: "2026-02-01",
+    description: "Seen through the client portal",
+  });
+  portalUser = await createAccount("portal@trash.example", {
+    workspaceId: DEFAULT_WORKSPACE_ID,
+    role: "client",
+  });
+  await setMembership(portalUser.id, DEFAULT_WORKSPACE_ID, {
+    clientId: project.clientId,
+  });
+});
+
+describe("trashing a client", () => {
+  it("takes its portal accounts' access away until it's restored", async () => {
+    expect(canAccessProject(await portalView(), project)).toBe(true);
+
+    await deleteClient(owner, project.clientId);
+    expect(canAccessProject(await portalView(), project)).toBe(false);
+
+    await restoreFromTrash(owner, "client", project.clientId);
+    expect(canAccessProject(await portalView(), project)).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { signIn, verifySignInCode } from "@/lib/auth";
+import { findOne } from "@/lib/db";
+import { AuthError, RateLimitError, ValidationError } from "@/lib/errors";
+import { hashPassword } from "@/lib/password";
+import { generateTotp, generateTotpSecret } from "@/lib/totp";
+import { disableTwoFactor } from "@/lib/two-factor";
+import { createUser, getUser, updateUser } from "@/lib/users";
+
+const PASSWORD = "Correct#1234";
+
+let email;
+let secret;
+
+const signInWith = (password) => signIn({ email, password, rememberMe: false });
+const failures = async () =>
+  (await findOne("loginThrottles", (record) => record.key === `email:${email}`))
+    ?.failures ?? 0;
+
+beforeEach(async () => {
+  globalThis.__testCookies.clear();
+  email = `${crypto.randomUUID()}@example.com`;
+  secret = generateTotpSecret();
+  await createUser({
+    name: "Two Factor",
+    email,
+    passwordHash: await hashPassword(PASSWORD),
+    emailVerifiedAt: new Date().toISOString(),
+    twoFactorEnabled: true,
+    twoFactorSecret: secret,
+    recoveryCodeHashes: [],
+  });
+});
+
+describe("two-factor sign-in throttling", () => {
+  it("counts wrong codes across fresh challenges", async () => {
+    await signInWith(PASSWORD);
+    await expect(verifySignInCode({ code: "000000" })).rejects.toBeInstanceOf(
+      ValidationError
+    );
+    await signInWith(PASSWORD);
+    await expect(verifySignInCode({ code: "000000" })).rejects.toBeInstanceOf(
+      ValidationError
+    );
+    await signInWith(PASSWORD);
+    // The third failure in a row makes the next attempt wait.
+    await expect(verifySignInCode({ code: "000000" })).rejects.toBeInstanceOf(
+      RateLimitError
+    );
+    await expect(signInWith(PASSWORD)).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  it("keeps password failures until the code is right", async () => {
+    await expect(signInWith("Wrong#1234")).rejects.toThrow();
+    await expect(signInWith("Wrong#1234")).rejects.toThrow();
+    await signInWith(PASSWORD);
+    expect(await failures()).toBe(2);
+
+    await verifySignInCode({ code: generateTotp(secret) });
+    expect(await failures()).toBe(0);
+  });
+});
+
+describe("accounts without a password", () => {
+  beforeEach(async () => {
+    const user = await findOne("users", (user) => user.email === email);
+    await updateUser(user.id, { passwordHash: null });
+  });
+
+  it("can't be signed into with the dummy hash's password", async () => {
+    await expect(signInWith("not-a-real-password")).rejects.toBeInstanceOf(
+      AuthError
+    );
+  });
+
+  it("turn 2FA off with a code instead", async () => {
+    const { id } = await findOne("users", (user) => user.email === email);
+    await expect(
+      disableTwoFactor(id, { code: "000000" })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await disableTwoFactor(id, { code: generateTotp(secret) });
+    expect((await getUser(id)).twoFactorEnabled).toBe(false);
+  });
+});
@@ -0,0 +1,16 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    alias: { "@": path.join(__dirname, "src") },
+  },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    setupFiles: ["tests/setup.js"],
+  },
+});